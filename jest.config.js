@@ -1,6 +1,6 @@
 module.exports = {
   testEnvironment: 'jsdom',
-  setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
+  setupFilesAfterEnv: ['<rootDir>/tests/setup.env.js'],
   moduleFileExtensions: ['js', 'json'],
   transform: {
     '^.+\\.js$': 'babel-jest'
@@ -1,13 +1,52 @@
 /**
  * Complete KnockoffArcade Game - Working Version
+ *
+ * Browser adapter around the headless Simulation: owns the DOM, canvas,
+ * audio and input, feeds inputs into the simulation each tick and draws
+ * whatever state comes out.
  */
 
 import { HighScoreManager } from './systems/HighScoreManager.js';
 import { AudioManager } from './systems/AudioManager.js';
+import { SaveManager } from './systems/SaveManager.js';
+import { InputManager } from './systems/InputManager.js';
+import { SettingsManager } from './systems/SettingsManager.js';
 import { GameConfig } from './config/GameConfig.js';
+import { GameLoop } from './core/GameLoop.js';
+import { logger } from './core/Logger.js';
+import { Random } from './core/Random.js';
+import { Replay, ReplayRecorder } from './core/Replay.js';
+import { ReplayPlayer } from './core/ReplayPlayer.js';
+import { Simulation } from './core/Simulation.js';
+import { Viewport } from './core/Viewport.js';
+import { Particle } from './components/Particle.js';
+import { BrickRenderer } from './systems/BrickRenderer.js';
+import { ScreenEffects } from './systems/ScreenEffects.js';
+import { Announcer } from './systems/Announcer.js';
+import { Captions } from './systems/Captions.js';
+import { LevelEditor } from './systems/LevelEditor.js';
+import { i18n } from './systems/I18n.js';
+
+// Column headings for the binding slots (bindings.slots.<slot> messages)
+const SLOT_LABELS = ['key', 'altKey', 'gamepad'];
+
+// Timed power-up effects read out in the playfield description (effects.<type> messages)
+const DESCRIBED_EFFECTS = ['wide', 'slow', 'fast', 'pierce'];
+
+// Level editor fields read as numbers, and those where an empty choice means null
+const EDITOR_NUMBERS = ['color', 'hits', 'columns', 'rows', 'ballSpeed', 'dropChance'];
+const EDITOR_NULLABLE = ['drop', 'music', 'background'];
+
+// Elements the menu actions move focus between
+const MENU_FOCUSABLE = 'button:not([disabled]), input:not([type="file"]):not([disabled]), select';
 
 export class KnockoffArcade {
-  constructor() {
+  /**
+   * @param {Object} options - Game options
+   * @param {number|string} options.seed - Fixed seed for reproducible runs (random per run if omitted)
+   * @param {number} options.maxPixelRatio - Render-scale cap (defaults to the render-scale setting)
+   */
+  constructor({ seed, maxPixelRatio } = {}) {
     this.canvas = document.getElementById('gameCanvas');
     this.ctx = this.canvas.getContext('2d');
     this.startScreen = document.getElementById('startScreen');
@@ -23,48 +62,113 @@ export class KnockoffArcade {
     this.powerupDisplay = document.getElementById('powerupDisplay');
     this.playerNameInput = document.getElementById('playerName');
     this.startButton = document.querySelector('.saloon-door-btn');
+    this.helpKeys = document.getElementById('helpKeys');
     this.highScoresScreen = document.getElementById('highScoresScreen');
     this.highScoresList = document.getElementById('highScoresList');
 
     this.gameState = 'start';
-    this.score = 0;
-    this.lives = 10;
-    this.level = 1;
-    this.combo = 0;
-    this.multiplier = 1;
-    this.balls = [];
-    this.bricks = [];
-    this.powerUps = [];
     this.particles = [];
-    this.cavityBalls = new Set(); // Track balls in the cavity (above bricks)
-    this.cavityTimers = new Map(); // Track cavity effect timers for balls
-    this.originalSpeeds = new Map(); // Track original speeds for cavity balls
-    this.keys = {};
+    this.settings = new SettingsManager();
+    this.input = new InputManager();
+    this.spinnerRemainder = 0; // Spinner motion (playfield units) not yet worth a whole unit
+
+    // Gameplay runs in a fixed logical playfield; the viewport fits it to the screen
+    this.playfield = { width: GameConfig.PLAYFIELD.WIDTH, height: GameConfig.PLAYFIELD.HEIGHT };
+    this.viewport = new Viewport(this.playfield.width, this.playfield.height);
+    this.maxPixelRatio = maxPixelRatio ?? this.settings.get('renderScale');
+
+    // Cached brick sprites
+    this.brickRenderer = new BrickRenderer({
+      palette: this.settings.get('palette'),
+      overlays: this.settings.get('overlays')
+    });
+
+    // Rules and physics run headless; this class only presents them
+    this.seed = seed;
+    this.simulation = new Simulation({
+      seed: seed ?? Random.createSeed(),
+      width: this.playfield.width,
+      height: this.playfield.height
+    });
+    this.bindSimulationEvents(this.simulation);
+    this.simulation.on(Simulation.EVENTS.GAME_OVER, () => this.gameOver());
+    this.simulation.on(Simulation.EVENTS.LEVEL_COMPLETE, () => {
+      // A play-tested level is over once it is cleared
+      if (this.playTest) {
+        this.endPlayTest();
+      } else {
+        this.saveRun();
+      }
+    });
+
+    // Screen readers hear about the live run through throttled announcements
+    this.announcer = new Announcer({ interval: GameConfig.ACCESSIBILITY.ANNOUNCE_INTERVAL });
+    this.bindAnnouncements(this.simulation);
+    this.lastDescribedAt = -Infinity;
+    this.focusStack = []; // Where focus was before each open overlay screen
+
+    // Every run is recorded; a replay being watched plays into its own simulation
+    this.recorder = null;
+    this.lastReplay = null;
+    this.replayPlayer = null;
+    this.replayReturnState = null;
+
+    // Game-time clock for power-up and effect timers (stops while paused)
+    this.clock = this.simulation.clock;
+    this.random = this.simulation.random;
+
+    // Shake and flashes, toned down in reduced-motion mode
+    this.screenEffects = new ScreenEffects({ rng: this.random.cosmetic });
 
     // Initialize high score manager
     this.highScoreManager = new HighScoreManager();
     this.displayHighScores();
 
+    // Runs in progress are saved so they survive a reload
+    this.saveManager = new SaveManager();
+
+    // Level editor; a play-test runs its draft in place of the level sequence
+    this.editor = new LevelEditor({ width: this.playfield.width, height: this.playfield.height });
+    this.defaultLevels = this.simulation.levels;
+    this.playTest = false;
+    this.editorHover = null; // Grid cell under the pointer
+
     // Initialize audio manager and start music after first user interaction
     this.audioManager = new AudioManager();
     this.musicStarted = false;
 
-    // Load background image
-    this.backgroundImage = new Image();
-    this.backgroundImage.src = './assets/img/background.webp';
+    // Sounds and voice lines that carry meaning are captioned on screen
+    this.captions = new Captions({ element: document.getElementById('captionStrip') });
+    this.audioManager.on(AudioManager.EVENTS.CAPTION, (caption) => this.captions.show(caption));
+
+    // Saved settings apply now and again whenever they change
+    for (let [key, value] of Object.entries(this.settings.getAll())) {
+      if (key !== 'renderScale') this.applySetting(key, value);
+    }
+    this.settings.on(SettingsManager.EVENTS.CHANGE, (key, value) => this.applySetting(key, value));
+
+    // Level background images, loaded the first time a level shows one
+    this.backgroundImages = new Map(); // name -> { image, loaded }
 
     // Load power-up icons
     this.powerUpIcons = {};
     this.loadPowerUpIcons();
-    this.backgroundImageLoaded = false;
-    this.backgroundImage.onload = () => {
-      this.backgroundImageLoaded = true;
-    };
 
     this.resizeCanvas();
-    this.initializeGame();
     this.setupEventListeners();
-    this.gameLoop();
+
+    // Fixed-timestep simulation, interpolated rendering
+    this.loop = new GameLoop({
+      update: (deltaTime, stepMs) => this.update(deltaTime, stepMs),
+      render: (alpha) => {
+        if (this.gameState === 'editor') {
+          this.renderEditor();
+        } else if (this.gameStarted) {
+          this.render(alpha);
+        }
+      }
+    });
+    this.loop.start();
   }
 
   async init() {
@@ -94,86 +198,166 @@ export class KnockoffArcade {
     canvasWidth = Math.max(canvasWidth, minDimension);
     canvasHeight = Math.max(canvasHeight, minDimension);
 
-    this.canvas.width = canvasWidth;
-    this.canvas.height = canvasHeight;
-
-    // Set CSS dimensions to match canvas dimensions for proper scaling
+    // Size the backing store in device pixels (up to the render-scale cap)
+    // and keep the on-page size in CSS pixels
+    const pixelRatio = this.getPixelRatio();
+    this.canvas.width = Math.round(canvasWidth * pixelRatio);
+    this.canvas.height = Math.round(canvasHeight * pixelRatio);
     this.canvas.style.width = canvasWidth + 'px';
     this.canvas.style.height = canvasHeight + 'px';
 
-    // Debounced resize handler to avoid excessive recalculations
-    if (!this.resizeTimeout) {
-      window.addEventListener('resize', () => {
-        clearTimeout(this.resizeTimeout);
-        this.resizeTimeout = setTimeout(() => {
-          this.resizeCanvas();
-          this.initializeGame();
-        }, 250);
-      });
+    // Only the view changes - bricks, balls and paddle stay where they are
+    this.viewport.resize(canvasWidth, canvasHeight, pixelRatio);
 
-      // Handle visual viewport changes on mobile
-      if (window.visualViewport) {
-        window.visualViewport.addEventListener('resize', () => {
-          clearTimeout(this.resizeTimeout);
-          this.resizeTimeout = setTimeout(() => {
-            this.resizeCanvas();
-            this.initializeGame();
-          }, 250);
-        });
-      }
+    // Repaint brick sprites at the new on-screen size
+    this.brickRenderer.setResolution(this.viewport.getPixelScale());
+  }
+
+  /**
+   * Get the device pixel ratio to render at
+   * @returns {number} Pixel ratio, capped by the render-scale setting
+   */
+  getPixelRatio() {
+    const devicePixelRatio = window.devicePixelRatio || 1;
+    return Math.max(0.5, Math.min(devicePixelRatio, this.maxPixelRatio));
+  }
+
+  /**
+   * Change the render-scale cap
+   * @param {number} maxPixelRatio - Highest pixel ratio to render at (1 is fastest)
+   */
+  setMaxPixelRatio(maxPixelRatio) {
+    this.maxPixelRatio = maxPixelRatio;
+    this.handleResize();
+  }
+
+  /**
+   * Put a setting into effect
+   * @param {string} key - Setting name
+   * @param {*} value - New value
+   */
+  applySetting(key, value) {
+    switch (key) {
+      case 'masterVolume':
+        this.audioManager.setMasterVolume(value);
+        break;
+      case 'sfxVolume':
+        this.audioManager.setSfxVolume(value);
+        break;
+      case 'musicVolume':
+        this.audioManager.setMusicVolume(value);
+        break;
+      case 'muted':
+        if (value) {
+          this.audioManager.mute();
+        } else {
+          this.audioManager.unmute();
+        }
+        break;
+      case 'effectsQuality':
+        this.updateEffects();
+        break;
+      case 'renderScale':
+        this.setMaxPixelRatio(value);
+        break;
+      case 'reducedMotion':
+        document.body.classList.toggle('reduced-motion', value);
+        this.updateEffects();
+        break;
+      case 'palette':
+        this.brickRenderer.setPalette(value);
+        this.updateEditorScreen(); // Color swatches
+        break;
+      case 'overlays':
+        this.brickRenderer.setOverlays(value);
+        break;
+      case 'captions':
+        this.captions.setEnabled(value);
+        break;
+      case 'captionSize':
+        this.captions.setSize(value);
+        break;
+      case 'captionBackground':
+        this.captions.setBackground(value);
+        break;
+      case 'directionIndicators':
+        this.captions.setIndicators(value);
+        break;
+      case 'language':
+        i18n.setLanguage(value);
+        document.documentElement.lang = i18n.locale;
+        this.refreshText();
+        break;
     }
   }
 
-  handleResize() {
-    this.resizeCanvas();
+  /**
+   * Put all on-screen text into the current language
+   */
+  refreshText() {
+    i18n.translatePage(document);
+    this.updateStartPrompt();
+    this.updateContinuePrompt();
+    this.displayHighScores();
+    if (this.bindingsList) this.renderBindings();
+    this.updateSettingsScreen();
+    this.fillEditorOptions();
+    this.updateEditorScreen();
+
+    if (this.replaySpeed) {
+      for (let option of this.replaySpeed.options) {
+        option.textContent = i18n.t('replay.speedOption', { speed: Number(option.value) });
+      }
+    }
+
+    this.updateUI();
+    this.updateCanvasDescription(true);
   }
 
-  initializeGame() {
-    const scale = Math.min(this.canvas.width, this.canvas.height) / 800;
-    
-    this.paddle = {
-      x: this.canvas.width / 2 - 60 * scale,
-      y: this.canvas.height - 50 * scale,
-      width: 120 * scale,
-      height: 15 * scale,
-      speed: 8 * scale,
-      powerUps: {}
+  /**
+   * Work out effect detail from the quality and reduced-motion settings
+   */
+  updateEffects() {
+    const quality = GameConfig.SETTINGS.EFFECTS_QUALITY[this.settings.get('effectsQuality')];
+    const reducedMotion = this.settings.get('reducedMotion');
+    const { TRAIL_LENGTH, REDUCED_MOTION } = GameConfig.EFFECTS;
+
+    this.effects = {
+      particles: quality.particles * (reducedMotion ? REDUCED_MOTION.PARTICLE_SCALE : 1),
+      maxParticles: reducedMotion ? REDUCED_MOTION.MAX_PARTICLES : Infinity,
+      glow: quality.glow && !reducedMotion,
+      trails: quality.trails,
+      trailLength: reducedMotion ? REDUCED_MOTION.TRAIL_LENGTH : TRAIL_LENGTH
     };
+    this.screenEffects.setReducedMotion(reducedMotion);
+  }
 
-    this.ball = {
-      x: this.canvas.width / 2,
-      y: this.canvas.height / 2,
-      radius: 12 * scale,
-      speedX: 2 * scale,
-      speedY: -2 * scale,
-      powerUps: {}
+  /**
+   * Refit the canvas when the device pixel ratio changes, e.g. when the
+   * window moves to another monitor or the page is zoomed
+   * @private
+   */
+  watchPixelRatio() {
+    if (!window.matchMedia) return;
+
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    const onChange = () => {
+      query.removeEventListener('change', onChange);
+      this.handleResize();
+      this.watchPixelRatio();
     };
-
-    this.balls = [this.ball];
-    this.createBricks();
+    query.addEventListener('change', onChange);
   }
 
-  createBricks() {
-    this.bricks = [];
-    const scale = Math.min(this.canvas.width, this.canvas.height) / 800;
-    const brickWidth = 75 * scale;
-    const brickHeight = 20 * scale;
-    const padding = 5 * scale;
-    const rows = 8;
-    const cols = Math.floor((this.canvas.width - padding * 2) / (brickWidth + padding));
-    
-    for (let row = 0; row < rows; row++) {
-      for (let col = 0; col < cols; col++) {
-        this.bricks.push({
-          x: padding + col * (brickWidth + padding),
-          y: padding + 100 * scale + row * (brickHeight + padding),
-          width: brickWidth,
-          height: brickHeight,
-          visible: true,
-          hits: 1,
-          color: this.getBrickColor(row)
-        });
-      }
+  /**
+   * Refit the playfield after the window or visual viewport changes size
+   */
+  handleResize() {
+    this.resizeCanvas();
+
+    // Resizing wipes the canvas; redraw so a paused game doesn't go blank
+    if (this.gameStarted || this.gameState === 'playing') {
+      this.render();
     }
   }
 
@@ -195,12 +379,94 @@ export class KnockoffArcade {
   }
 
 
-  getBrickColor(row) {
-    const colors = ['#dc143c', '#ff6600', '#ffd700', '#00ff7f', '#00ffff', '#8a2be2', '#ff69b4', '#deb887'];
-    return colors[row % colors.length];
+  /**
+   * Route simulation events to audio and effects
+   * @param {Simulation} simulation - Live run or replay being watched
+   */
+  bindSimulationEvents(simulation) {
+    const { EVENTS } = Simulation;
+
+    simulation.on(EVENTS.SOUND, (name, position) => this.audioManager.playSound(name, { position }));
+    simulation.on(EVENTS.BRICK_HIT, () => this.audioManager.playBrickBreak());
+    simulation.on(EVENTS.COMBO, (combo) => this.audioManager.playComboSound(combo));
+    simulation.on(EVENTS.PARTICLES, ({ x, y, color, count }) => this.createParticles(x, y, color, count));
+    simulation.on(EVENTS.POWER_UP, ({ effect }) => {
+      this.screenEffects.shake(8, 300);
+      if (effect === GameConfig.POWERUPS.TYPES.PIERCE) {
+        this.audioManager.startSpikeMusic();
+      }
+    });
+    simulation.on(EVENTS.LEVEL_COMPLETE, () => {
+      this.screenEffects.shake(15, 800);
+      this.screenEffects.flash(GameConfig.COLORS.GOLD, 400, 0.4);
+      this.playLevelMusic(simulation);
+    });
+  }
+
+  /**
+   * Switch to the music the current level asks for, if it asks for any
+   * @param {Simulation} simulation - Run whose level is starting
+   */
+  playLevelMusic(simulation) {
+    const { music } = simulation.getLevel();
+    if (music) {
+      this.audioManager.playTrack(music);
+    }
+  }
+
+  /**
+   * Get a level background image, starting to load it on first use
+   * @param {string} name - Entry of GameConfig.LEVELS.BACKGROUNDS
+   * @returns {HTMLImageElement|null} The image once it has loaded
+   */
+  getBackgroundImage(name) {
+    let entry = this.backgroundImages.get(name);
+    if (!entry) {
+      entry = { image: new Image(), loaded: false };
+      entry.image.onload = () => {
+        entry.loaded = true;
+      };
+      entry.image.src = `./assets/img/${name}`;
+      this.backgroundImages.set(name, entry);
+    }
+    return entry.loaded ? entry.image : null;
+  }
+
+  /**
+   * Announce the events of a run that canvas and sound alone would convey
+   * @param {Simulation} simulation - Live run
+   */
+  bindAnnouncements(simulation) {
+    const { EVENTS } = Simulation;
+    const { ASSERTIVE } = Announcer.PRIORITIES;
+
+    simulation.on(EVENTS.LIFE_LOST, (lives) => {
+      if (lives > 0) {
+        this.announcer.announce(i18n.t('announce.lifeLost', { count: lives }), { priority: ASSERTIVE });
+      }
+    });
+    simulation.on(EVENTS.LEVEL_COMPLETE, (level) => {
+      this.announcer.announce(i18n.t('announce.levelCleared', { level, score: simulation.score }));
+    });
+    simulation.on(EVENTS.POWER_UP, ({ type }) => {
+      const name = i18n.has(`powerUps.${type}`) ? i18n.t(`powerUps.${type}`) : type;
+      this.announcer.announce(i18n.t('announce.powerUp', { name }), { key: 'powerUp' });
+    });
+    simulation.on(EVENTS.COMBO, (combo) => {
+      if (combo > 0 && combo % GameConfig.ACCESSIBILITY.COMBO_ANNOUNCE_STEP === 0) {
+        this.announcer.announce(i18n.t('announce.combo', { count: combo }), { key: 'combo' });
+      }
+    });
   }
 
   setupEventListeners() {
+    // Mobile toolbars showing or hiding resize the visual viewport. Window
+    // resizes already reach handleResize() through the app shell.
+    if (window.visualViewport) {
+      window.visualViewport.addEventListener('resize', () => this.handleResize());
+    }
+    this.watchPixelRatio();
+
     // Start music on any user interaction
     const startMusicOnInteraction = async () => {
       if (!this.musicStarted) {
@@ -221,139 +487,28 @@ export class KnockoffArcade {
       }
     };
 
-    document.addEventListener('keydown', (e) => {
-      this.keys[e.code] = true;
-      startMusicOnInteraction();
-      
-      if (e.code === 'Space') {
-        e.preventDefault();
-        if (this.gameState === 'start') {
-          const playerName = this.playerNameInput.value.trim();
-          if (playerName.length === 0) {
-            // Shake the input field and play error sound
-            this.playerNameInput.style.border = '3px solid #dc143c';
-            this.playerNameInput.placeholder = 'ENTER YER NAME, PARTNER!';
-            this.audioManager.playSound('ballLost'); // Use error sound
-            setTimeout(() => {
-              this.playerNameInput.style.border = '';
-              this.playerNameInput.placeholder = 'ENTER YER NAME';
-            }, 2000);
-            return;
-          }
-          this.audioManager.playSound('menuConfirm');
-          this.startGame();
-        } else if (this.gameState === 'gameOver') {
-          this.audioManager.playSound('menuConfirm');
-          this.resetGame();
-        } else if (this.gameState === 'highScores') {
-          this.audioManager.playSound('menuSelect');
-          this.hideHighScores();
-        }
-      } else if (e.code === 'KeyH') {
-        // Don't intercept if input is focused
-        if (document.activeElement !== this.playerNameInput) {
-          e.preventDefault();
-          if (this.gameState === 'gameOver' || this.gameState === 'start') {
-            this.audioManager.playSound('menuSelect');
-            this.showHighScores();
-          }
-        }
-      } else if (e.code === 'KeyM') {
-        // Don't intercept if input is focused
-        if (document.activeElement !== this.playerNameInput) {
-          e.preventDefault();
-          this.audioManager.toggleMute();
-        }
-      } else if (e.code === 'KeyS') {
-        // Don't intercept if input is focused
-        if (document.activeElement !== this.playerNameInput) {
-          e.preventDefault();
-          this.audioManager.playNextTrackManual();
-          this.audioManager.playSound('menuSelect'); // Play Western sound effect
-        }
-      }
+    // Keyboard, mouse, touch and gamepads all arrive as actions and pointer positions
+    this.input.attach(this.canvas);
+    this.input.on(InputManager.EVENTS.ACTION, (action, event) => this.handleAction(action, event));
+    this.input.on(InputManager.EVENTS.GAMEPAD, (connected, player, id) => {
+      logger.info(`Gamepad ${connected ? 'connected' : 'disconnected'}`, { player: player + 1, id });
+      this.updateStartPrompt();
     });
+    document.addEventListener('mousedown', () => document.body.classList.remove('menu-nav'));
 
-    document.addEventListener('keyup', (e) => {
-      this.keys[e.code] = false;
+    // Spinner mode: losing the pointer lock mid-run (Escape, alt-tab) pauses the game
+    this.input.on(InputManager.EVENTS.POINTER_LOCK, (locked) => {
+      this.spinnerRemainder = 0;
+      if (!locked && this.gameState === 'playing' && (this.gameStarted || this.countdownTimer)) {
+        this.pause();
+      }
     });
-
-    // Mouse controls
-    this.canvas.addEventListener('mousemove', (e) => {
-      if (this.gameState === 'playing') {
-        const rect = this.canvas.getBoundingClientRect();
-        const mouseX = e.clientX - rect.left;
-        this.paddle.x = mouseX - this.paddle.width / 2;
-
-        // Keep paddle in bounds
-        if (this.paddle.x < 0) this.paddle.x = 0;
-        if (this.paddle.x + this.paddle.width > this.canvas.width) {
-          this.paddle.x = this.canvas.width - this.paddle.width;
-        }
+    this.canvas.addEventListener('click', () => {
+      if (this.gameState === 'playing' && this.gameStarted) {
+        this.input.requestPointerLock();
       }
     });
-
-    // Touch controls for mobile
-    if (GameConfig.TOUCH_ENABLED) {
-      // Prevent default touch behaviors on canvas
-      this.canvas.addEventListener('touchstart', (e) => e.preventDefault(), { passive: false });
-      this.canvas.addEventListener('touchmove', (e) => e.preventDefault(), { passive: false });
-      this.canvas.addEventListener('touchend', (e) => e.preventDefault(), { passive: false });
-
-      // Touch move for paddle control
-      this.canvas.addEventListener('touchmove', (e) => {
-        if (this.gameState === 'playing' && e.touches.length > 0) {
-          const rect = this.canvas.getBoundingClientRect();
-          const touch = e.touches[0];
-          const touchX = touch.clientX - rect.left;
-          this.paddle.x = touchX - this.paddle.width / 2;
-
-          // Keep paddle in bounds
-          if (this.paddle.x < 0) this.paddle.x = 0;
-          if (this.paddle.x + this.paddle.width > this.canvas.width) {
-            this.paddle.x = this.canvas.width - this.paddle.width;
-          }
-        }
-      }, { passive: false });
-
-      // Touch tap for starting game and menu interactions
-      this.canvas.addEventListener('touchstart', (e) => {
-        if (this.gameState === 'start' || this.gameState === 'gameOver') {
-          // Touch to start game
-          if (this.gameState === 'start') {
-            const playerName = this.playerNameInput.value.trim();
-            if (playerName.length === 0) {
-              // Shake the input field and play error sound
-              this.playerNameInput.style.border = '3px solid #dc143c';
-              this.playerNameInput.placeholder = 'ENTER YER NAME, PARTNER!';
-              this.audioManager.playSound('ballLost'); // Use error sound
-              setTimeout(() => {
-                this.playerNameInput.style.border = '';
-                this.playerNameInput.placeholder = 'TYPE HERE...';
-              }, 2000);
-              return;
-            }
-            this.audioManager.playSound('menuConfirm');
-            this.startGame();
-          } else if (this.gameState === 'gameOver') {
-            this.audioManager.playSound('menuConfirm');
-            this.resetGame();
-          }
-        } else if (this.gameState === 'playing' && e.touches.length > 0) {
-          // Set paddle position on touch start
-          const rect = this.canvas.getBoundingClientRect();
-          const touch = e.touches[0];
-          const touchX = touch.clientX - rect.left;
-          this.paddle.x = touchX - this.paddle.width / 2;
-
-          // Keep paddle in bounds
-          if (this.paddle.x < 0) this.paddle.x = 0;
-          if (this.paddle.x + this.paddle.width > this.canvas.width) {
-            this.paddle.x = this.canvas.width - this.paddle.width;
-          }
-        }
-      }, { passive: false });
-    }
+    document.addEventListener('keydown', startMusicOnInteraction);
 
     // Also start music on click or input events
     document.addEventListener('click', startMusicOnInteraction);
@@ -362,6 +517,27 @@ export class KnockoffArcade {
     // Setup start button functionality
     this.setupStartButton();
 
+    // Replay playback, import and export
+    this.setupReplayControls();
+
+    // Offer to continue a saved run
+    this.setupContinuePrompt();
+
+    // Key remapping
+    this.setupBindingsScreen();
+
+    // Audio, visual and language settings
+    this.setupSettingsScreen();
+
+    // Level editor and play-testing
+    this.setupEditorScreen();
+
+    // Buttons on the game-over and hall-of-fame screens
+    this.setupGameOverScreen();
+
+    // Pause menu and resume countdown
+    this.setupPauseMenu();
+
     // Initialize mobile controls
     this.initializeMobileControls();
   }
@@ -383,24 +559,9 @@ export class KnockoffArcade {
     // Function to check if button should be enabled
     const updateButtonState = () => {
       const playerName = this.playerNameInput.value.trim();
-      const subtext = this.startButton.querySelector('.btn-subtext');
-      if (playerName.length > 0) {
-        this.startButton.disabled = false;
-        this.startButton.classList.remove('disabled');
-        if (subtext) {
-          if (GameConfig.MOBILE) {
-            subtext.textContent = 'Touch to enter';
-          } else {
-            subtext.textContent = 'Press SPACE when ready';
-          }
-        }
-      } else {
-        this.startButton.disabled = true;
-        this.startButton.classList.add('disabled');
-        if (subtext) {
-          subtext.textContent = 'Enter name first';
-        }
-      }
+      this.startButton.disabled = playerName.length === 0;
+      this.startButton.classList.toggle('disabled', this.startButton.disabled);
+      this.updateStartPrompt();
     };
 
     // Listen for input changes
@@ -434,730 +595,884 @@ export class KnockoffArcade {
   }
 
   startGame() {
+    // Each run starts from its own seed (or the fixed one we were given)
+    this.simulation.reset(this.seed ?? Random.createSeed());
+    this.particles = [];
+    this.screenEffects.reset();
+    this.recorder = new ReplayRecorder({ seed: this.random.seed, playfield: this.playfield });
+    logger.info('Run started', { seed: this.random.seed });
+
+    // A new run replaces any saved one
+    this.saveManager.clear();
+    this.enterPlaying();
+    this.announcer.announce(i18n.t('announce.runStarted', { level: this.simulation.level, count: this.simulation.lives }));
+  }
+
+  /**
+   * Pick up the saved run where it left off
+   */
+  continueRun() {
+    const save = this.saveManager.load();
+    if (!save) {
+      this.updateContinuePrompt();
+      return;
+    }
+
+    this.simulation.deserialize(save.simulation);
+    this.particles = [];
+    this.screenEffects.reset();
+    if (save.playerName) {
+      this.playerNameInput.value = save.playerName;
+    }
+
+    // Keep recording into the saved replay; without one the rest of the run goes unrecorded
+    this.recorder = save.replay ? new ReplayRecorder({ replay: save.replay }) : null;
+    logger.debug('Run continued', { seed: this.random.seed, tick: this.simulation.tick });
+
+    this.enterPlaying();
+    this.updateUI();
+  }
+
+  /**
+   * Save the run in progress so it can be continued after a reload
+   * @returns {boolean} True if a run was saved
+   */
+  saveRun() {
+    // A play-test is not a run worth continuing
+    if (this.gameState !== 'playing' || this.simulation.status !== Simulation.STATUS.PLAYING || this.playTest) {
+      return false;
+    }
+
+    return this.saveManager.save({
+      playerName: this.playerNameInput.value.trim(),
+      simulation: this.simulation,
+      replay: this.recorder ? this.recorder.replay : null
+    });
+  }
+
+  /**
+   * Switch the screens over to gameplay
+   * @private
+   */
+  enterPlaying() {
+    this.input.consumePointer(); // Don't jump to wherever the mouse was resting
     this.gameState = 'playing';
+    this.playLevelMusic(this.simulation);
     this.startScreen.classList.add('hidden');
     this.gameOverScreen.classList.add('hidden');
     document.body.classList.add('playing');
     this.showMobileControls();
+    this.input.requestPointerLock();
     this.start();
   }
 
   resetGame() {
-    this.score = 0;
-    this.lives = 10;
-    this.level = 1;
-    this.combo = 0;
-    this.multiplier = 1;
     this.gameState = 'start';
     this.startScreen.classList.remove('hidden');
     this.gameOverScreen.classList.add('hidden');
     document.body.classList.remove('playing');
-    this.initializeGame();
+    this.updateContinuePrompt();
+    this.focusScreen(this.startScreen);
+    this.updateCanvasDescription(true);
   }
 
   start() {
     this.gameStarted = true;
-    this.lastTime = performance.now();
+    this.clock.resume();
+    this.loop.resetTiming();
     // Music is already started on user interaction
   }
 
+  /**
+   * Stop the run and bring up the pause menu
+   */
   pause() {
+    // Watching a replay only stops playback
+    if (this.gameState === 'replay') {
+      this.replayPlayer.pause();
+      return;
+    }
+    if (this.gameState !== 'playing') return;
+
+    if (this.gameStarted && this.recorder) {
+      this.recorder.markPause(this.simulation.tick);
+    }
+    if (this.gameStarted || this.countdownTimer) {
+      this.announcer.announce(i18n.t('announce.paused'), { priority: Announcer.PRIORITIES.ASSERTIVE, key: 'pause' });
+    }
+    this.cancelCountdown();
     this.gameStarted = false;
+    this.clock.pause();
+    this.input.exitPointerLock();
+    this.showPauseMenu();
+    this.updateCanvasDescription(true);
   }
 
+  /**
+   * Leave the pause menu and count back in to play
+   */
   resume() {
-    this.gameStarted = true;
-    this.lastTime = performance.now();
+    // A paused replay waits for the play button
+    if (this.gameState !== 'playing' || this.gameStarted || this.countdownTimer) return;
+
+    this.hidePauseMenu();
+    this.input.requestPointerLock(); // Needs the click or key press that resumed
+    this.announcer.announce(i18n.t('announce.resuming'), { key: 'pause' });
+    this.runCountdown(() => {
+      this.gameStarted = true;
+      this.clock.resume();
+      this.loop.resetTiming();
+    });
   }
 
   togglePause() {
-    if (this.gameStarted) {
+    if (this.gameState === 'replay') {
+      this.replayPlayer.togglePlay();
+    } else if (this.gameStarted || this.countdownTimer) {
       this.pause();
     } else {
       this.resume();
     }
   }
 
-  gameLoop() {
-    const currentTime = performance.now();
-    
-    if (this.gameStarted) {
-      this.update();
-      this.render();
-    }
-    
-    this.lastTime = currentTime;
-    requestAnimationFrame(() => this.gameLoop());
-  }
+  /**
+   * Show "3-2-1, draw!" and then carry on
+   * @param {Function} onDone - Called when the countdown ends
+   */
+  runCountdown(onDone) {
+    const steps = GameConfig.PAUSE.COUNTDOWN;
+    let index = 0;
+
+    const showStep = () => {
+      if (index >= steps.length) {
+        this.cancelCountdown();
+        onDone();
+        return;
+      }
 
-  update() {
-    if (this.gameState !== 'playing') return;
+      const step = steps[index];
+      this.countdownElement.textContent = typeof step === 'number' ? i18n.formatNumber(step) : i18n.t(step);
+      // Restart the pop animation for each step
+      this.countdownElement.classList.remove('tick');
+      void this.countdownElement.offsetWidth;
+      this.countdownElement.classList.add('tick');
+      this.audioManager.playSound(index === steps.length - 1 ? 'menuConfirm' : 'menuSelect');
 
-    this.updatePaddle();
-    this.updateBalls();
-    this.updatePowerUps();
-    this.updateParticles();
-    this.checkCollisions();
-    this.checkGameState();
-    this.updateUI();
+      index++;
+      this.countdownTimer = setTimeout(showStep, GameConfig.PAUSE.COUNTDOWN_STEP);
+    };
+
+    this.countdownElement.classList.remove('hidden');
+    showStep();
   }
 
-  updatePaddle() {
-    // Keyboard controls
-    if (this.keys.ArrowLeft || this.keys.KeyA) {
-      if (this.paddle.x > 0) {
-        this.paddle.x -= this.paddle.speed;
-      }
-    }
-    if (this.keys.ArrowRight || this.keys.KeyD) {
-      if (this.paddle.x < this.canvas.width - this.paddle.width) {
-        this.paddle.x += this.paddle.speed;
-      }
+  /**
+   * Stop a resume countdown, if one is running
+   */
+  cancelCountdown() {
+    clearTimeout(this.countdownTimer);
+    this.countdownTimer = null;
+    if (this.countdownElement) {
+      this.countdownElement.classList.add('hidden');
     }
   }
 
-  updateBalls() {
-    for (let i = this.balls.length - 1; i >= 0; i--) {
-      const ball = this.balls[i];
-
-      // Update position
-      ball.x += ball.speedX;
-      ball.y += ball.speedY;
-
-      // Check if ball is in cavity (above top row of bricks)
-      const topBrickY = 80; // Where bricks start
-      const wasInCavity = this.cavityBalls.has(ball);
-      const isInCavity = ball.y < topBrickY;
-
-      if (isInCavity && !wasInCavity) {
-        // Ball just entered cavity!
-        this.cavityBalls.add(ball);
-        this.score += 50; // Cavity entry bonus
-        this.createParticles(ball.x, ball.y, '#ffd700', 8); // Gold particles
-
-        // Store original speed and increase ball speed (SuperBreakout style!)
-        this.originalSpeeds.set(ball, {
-          speedX: ball.speedX,
-          speedY: ball.speedY
-        });
-        ball.speedX *= 1.8; // 80% speed increase
-        ball.speedY *= 1.8;
-        console.log('Ball entered cavity! Speed increased and bonus points awarded.');
-      } else if (!isInCavity && wasInCavity) {
-        // Ball left cavity - start golden effect timer
-        this.cavityBalls.delete(ball);
-        this.cavityTimers.set(ball, Date.now() + 5000); // Golden effect lasts 5 seconds after leaving cavity
-        console.log('Ball left cavity - golden effect continues for 5 seconds');
-      }
+  setupPauseMenu() {
+    this.pauseMenu = document.getElementById('pauseMenu');
+    this.pauseHelp = document.getElementById('pauseHelp');
+    this.countdownElement = document.getElementById('resumeCountdown');
+    this.countdownTimer = null;
 
-      // Check if cavity timer has expired
-      if (this.cavityTimers.has(ball)) {
-        if (Date.now() > this.cavityTimers.get(ball)) {
-          this.cavityTimers.delete(ball);
-
-          // Restore original speed when cavity effect expires
-          if (this.originalSpeeds.has(ball)) {
-            const originalSpeed = this.originalSpeeds.get(ball);
-            ball.speedX = originalSpeed.speedX;
-            ball.speedY = originalSpeed.speedY;
-            this.originalSpeeds.delete(ball);
-            console.log('Golden cavity effect expired - speed restored to normal');
-          } else {
-            console.log('Golden cavity effect expired for ball');
-          }
-        }
-      }
+    if (!this.pauseMenu || !this.pauseHelp || !this.countdownElement) {
+      console.warn('Pause menu elements not found');
+      return;
+    }
 
-      // Wall collisions
-      if (ball.x <= ball.radius || ball.x >= this.canvas.width - ball.radius) {
-        ball.speedX = -ball.speedX;
-      }
-      if (ball.y <= ball.radius) {
-        ball.speedY = -ball.speedY;
-      }
+    document.getElementById('pauseResumeBtn').addEventListener('click', () => {
+      this.audioManager.playSound('menuSelect');
+      this.resume();
+    });
+    document.getElementById('pauseRestartBtn').addEventListener('click', () => this.restartLevel());
+    document.getElementById('pauseSettingsBtn').addEventListener('click', () => {
+      this.audioManager.playSound('menuSelect');
+      this.showSettings();
+    });
+    document.getElementById('pauseHelpBtn').addEventListener('click', () => {
+      this.audioManager.playSound('menuSelect');
+      this.renderPauseHelp();
+      this.pauseHelp.classList.toggle('hidden');
+    });
+    this.pauseQuitButton = document.getElementById('pauseQuitBtn');
+    this.pauseQuitButton.addEventListener('click', () => this.quitToTitle());
 
-      // Bottom boundary - lose ball
-      if (ball.y >= this.canvas.height - ball.radius) {
-        this.balls.splice(i, 1);
-        this.cavityBalls.delete(ball); // Remove from cavity tracking
-        this.cavityTimers.delete(ball); // Remove cavity timer
-        this.originalSpeeds.delete(ball); // Remove speed tracking
-        this.createParticles(ball.x, ball.y, '#ff0000', 10);
-        this.audioManager.playSound('ballLost');
-      }
-    }
-    
-    // Check if all balls are lost
-    if (this.balls.length === 0) {
-      this.lives--;
-      if (this.lives <= 0) {
-        this.gameOver();
-      } else {
-        this.resetBall();
-      }
-    }
+    // Tabbing away or clicking off the window pauses the run
+    window.addEventListener('blur', () => this.pause());
   }
 
-  updatePowerUps() {
-    for (let i = this.powerUps.length - 1; i >= 0; i--) {
-      const powerUp = this.powerUps[i];
-      powerUp.y += 2; // Fall speed
-      
-      // Remove if off screen
-      if (powerUp.y > this.canvas.height) {
-        this.powerUps.splice(i, 1);
-        continue;
-      }
-      
-      // Check collision with paddle
-      if (powerUp.x < this.paddle.x + this.paddle.width &&
-          powerUp.x + powerUp.width > this.paddle.x &&
-          powerUp.y < this.paddle.y + this.paddle.height &&
-          powerUp.y + powerUp.height > this.paddle.y) {
-        
-        this.applyPowerUp(powerUp.type);
-        this.powerUps.splice(i, 1);
-        this.createParticles(powerUp.x, powerUp.y, powerUp.color, 15);
-        this.score += 250;
-        this.audioManager.playSound('powerUpCollect');
-      }
-    }
+  showPauseMenu() {
+    if (!this.pauseMenu) return;
+    this.pauseQuitButton.textContent = i18n.t(this.playTest ? 'editor.backToEditor' : 'pause.quit');
+    this.pauseHelp.classList.add('hidden');
+    this.pauseMenu.classList.remove('hidden');
+    this.focusScreen(this.pauseMenu);
   }
 
-  updateParticles() {
-    for (let i = this.particles.length - 1; i >= 0; i--) {
-      const particle = this.particles[i];
-      
-      particle.x += particle.vx;
-      particle.y += particle.vy;
-      particle.life -= particle.decay;
-      
-      if (particle.life <= 0) {
-        this.particles.splice(i, 1);
-      }
-    }
+  hidePauseMenu() {
+    if (!this.pauseMenu) return;
+    this.pauseMenu.classList.add('hidden');
   }
 
-  checkCollisions() {
-    for (let ball of this.balls) {
-      // Paddle collision
-      if (ball.y + ball.radius >= this.paddle.y &&
-          ball.x >= this.paddle.x &&
-          ball.x <= this.paddle.x + this.paddle.width &&
-          ball.speedY > 0) {
-        
-        const hitPos = (ball.x - (this.paddle.x + this.paddle.width / 2)) / (this.paddle.width / 2);
-        ball.speedX = hitPos * 5;
-        ball.speedY = -Math.abs(ball.speedY);
-        this.audioManager.playSound('paddleHit');
-      }
-      
-      // Brick collisions
-      for (let brick of this.bricks) {
-        if (!brick.visible) continue;
-        
-        if (ball.x >= brick.x &&
-            ball.x <= brick.x + brick.width &&
-            ball.y >= brick.y &&
-            ball.y <= brick.y + brick.height) {
-          
-          this.hitBrick(brick, ball);
-          break;
-        }
-      }
+  /**
+   * List the current controls on the pause menu
+   */
+  renderPauseHelp() {
+    let html = '<table>';
+    for (let action of Object.keys(this.input.getBindings())) {
+      html += `<tr><td>${i18n.t(`actions.${action}`)}</td><td>${this.input.describeAction(action)}</td></tr>`;
     }
+    html += '</table>';
+    this.pauseHelp.innerHTML = html;
   }
 
-  hitBrick(brick, ball) {
-    const bricksHit = [];
-    
-    // Check if ball has spike power-up (and it hasn't expired)
-    const hasSpike = ball.powerUps.spike && ball.powerUps.spike > Date.now();
-    
-    if (hasSpike) {
-      // Find up to 3 bricks in the direction of ball movement
-      bricksHit.push(brick);
-      
-      const direction = { x: Math.sign(ball.speedX), y: Math.sign(ball.speedY) };
-      let currentBrick = brick;
-      
-      // Find next 2 bricks in the movement direction
-      for (let i = 0; i < 2; i++) {
-        const nextBrick = this.findNextBrick(currentBrick, direction);
-        if (nextBrick && nextBrick.visible) {
-          bricksHit.push(nextBrick);
-          currentBrick = nextBrick;
-        } else {
-          break;
-        }
-      }
-    } else {
-      bricksHit.push(brick);
-    }
-    
-    // Process all hit bricks
-    bricksHit.forEach(hitBrick => {
-      hitBrick.visible = false;
-
-      // Add score with cavity bonus
-      let points = 100 * this.multiplier;
-      const ballInCavity = this.cavityBalls.has(ball) || this.cavityTimers.has(ball);
-      if (ballInCavity) {
-        points *= 2; // Double points for cavity shots!
-        console.log('Cavity shot! Double points!');
-      }
-      this.score += points;
+  /**
+   * Play the current level again from the pause menu
+   */
+  restartLevel() {
+    if (this.gameState !== 'playing' || this.gameStarted) return;
 
-      this.combo++;
-      this.audioManager.playBrickBreak();
-      this.audioManager.playComboSound(this.combo);
-      
-      // Create particles (extra for cavity shots)
-      const particleCount = hasSpike ? 15 : (ballInCavity ? 15 : 10);
-      const particleColor = ballInCavity ? '#ffd700' : hitBrick.color; // Gold for cavity shots
-      this.createParticles(hitBrick.x + hitBrick.width / 2, hitBrick.y + hitBrick.height / 2, particleColor, particleCount);
-      
-      // Random power-up drop (only from first brick) - reduced spawn rate and limit total powerups
-      if (hitBrick === brick && Math.random() < 0.08 && this.powerUps.length < 2) {
-        this.createPowerUp(hitBrick.x + hitBrick.width / 2, hitBrick.y + hitBrick.height / 2);
-      }
-    });
-    
-    // Update multiplier
-    if (this.combo > 5) {
-      this.multiplier = Math.min(5, Math.floor(this.combo / 5) + 1);
-    }
-    
-    // Only reverse ball direction if not spiked or if it's the last brick in the chain
-    if (!hasSpike) {
-      ball.speedY = -ball.speedY;
+    if (this.recorder) {
+      this.recorder.markRestart(this.simulation.tick);
     }
+    this.simulation.restartLevel();
+    this.particles = [];
+    this.screenEffects.reset();
+    this.audioManager.playSound('menuConfirm');
+    this.updateUI();
+    this.render();
+    this.resume();
   }
 
-  checkGameState() {
-    const remainingBricks = this.bricks.filter(brick => brick.visible);
-    if (remainingBricks.length === 0) {
-      this.levelComplete();
+  /**
+   * Leave the run from the pause menu; it is saved so it can be continued
+   *
+   * A play-test goes back to the editor instead.
+   */
+  quitToTitle() {
+    if (this.gameState !== 'playing') return;
+    if (this.playTest) {
+      this.audioManager.playSound('menuSelect');
+      this.endPlayTest();
+      return;
     }
-  }
 
-  levelComplete() {
-    this.level++;
-    this.combo = 0;
-    this.multiplier = 1;
-    
-    const levelBonus = this.level * 1000;
-    this.score += levelBonus;
-    this.audioManager.playSound('levelComplete');
-    
-    this.createBricks();
-    this.resetBall();
+    this.cancelCountdown();
+    this.saveRun();
+    this.recorder = null;
+    this.hidePauseMenu();
+    this.hideMobileControls();
+    document.body.classList.remove('playing');
+    this.audioManager.playSound('menuSelect');
+    this.resetGame();
   }
 
-  resetBall() {
-    const scale = Math.min(this.canvas.width, this.canvas.height) / 800;
-    this.ball.x = this.canvas.width / 2;
-    this.ball.y = this.canvas.height / 2;
-    this.ball.speedX = (Math.random() > 0.5 ? 1 : -1) * 2 * scale;
-    this.ball.speedY = -2 * scale;
-
-    // Reset ball power-ups
-    this.ball.powerUps = {};
-
-    // Reset paddle power-ups
-    this.paddle.powerUps = {};
-
-    // Reset paddle size to normal if it was widened
-    this.paddle.width = 120 * scale;
+  /**
+   * Advance the simulation by one fixed tick
+   * @param {number} frameDelta - Tick length in 60 Hz reference frames
+   * @param {number} stepMs - Tick length in milliseconds
+   */
+  update(frameDelta, stepMs) {
+    // Gamepads are polled even while paused, so Start can resume
+    this.input.update();
+    if (!this.gameStarted) return;
+
+    if (this.gameState === 'replay') {
+      if (!this.replayPlayer.playing) return;
+      this.replayPlayer.update();
+    } else if (this.gameState === 'playing') {
+      const inputs = this.collectInputs();
+      if (this.recorder) {
+        this.recorder.record(this.simulation.tick, inputs);
+      }
+      this.simulation.step(inputs, stepMs);
+    } else {
+      return;
+    }
 
-    this.balls = [this.ball];
+    // Particles are cosmetic, so they live out here rather than in the simulation
+    this.updateParticles(frameDelta * this.clock.timeScale);
+    this.screenEffects.update(stepMs);
+    this.captions.update(stepMs);
+    this.updateUI();
   }
 
-  async gameOver() {
-    this.gameState = 'gameOver';
-    document.body.classList.remove('playing');
-    this.hideMobileControls();
-    this.audioManager.playSound('gameOver');
-    
-    // Check if it's a high score
-    if (this.highScoreManager.isHighScore(this.score)) {
-      const playerName = this.playerNameInput.value.trim() || 'OUTLAW';
-      const rank = this.highScoreManager.addHighScore(playerName, this.score, this.level);
-      
-      this.gameOverTitle.textContent = `NEW HIGH SCORE! RANK #${rank}`;
-      this.gameOverTitle.classList.add('win');
-      
-      // Update high scores display
-      this.displayHighScores();
-    } else {
-      this.gameOverTitle.textContent = 'GAME OVER';
-      this.gameOverTitle.classList.remove('win');
+  /**
+   * Gather this tick's player inputs for the simulation
+   * @returns {Object} Simulation inputs
+   */
+  collectInputs() {
+    const pointer = this.input.consumePointer();
+    let pointerX = pointer ? this.pointerToPlayfieldX(pointer.clientX, pointer.clientY) : null;
+    if (this.input.isPointerLocked()) {
+      pointerX = this.spinnerToPlayfieldX(this.input.consumeMotion());
     }
-    
-    this.gameOverScreen.classList.remove('hidden');
-    this.finalScoreElement.textContent = `Final Score: ${this.score.toLocaleString()}`;
+
+    return {
+      left: this.input.isActive(InputManager.ACTIONS.MOVE_LEFT),
+      right: this.input.isActive(InputManager.ACTIONS.MOVE_RIGHT),
+      pointerX,
+      // Hundredths, as replays store it
+      axis: Math.round(this.input.getAnalogAxis() * 100) / 100
+    };
   }
 
-  createParticles(x, y, color, count = 10) {
-    for (let i = 0; i < count; i++) {
-      this.particles.push({
-        x: x,
-        y: y,
-        vx: (Math.random() - 0.5) * 8,
-        vy: (Math.random() - 0.5) * 8,
-        color: color,
-        size: Math.random() * 4 + 2,
-        life: 1,
-        decay: Math.random() * 0.02 + 0.01
-      });
-    }
+  /**
+   * Convert a mouse or touch position to the paddle's playfield X
+   * @param {number} clientX - Pointer client X
+   * @param {number} clientY - Pointer client Y
+   * @returns {number} Playfield X to center the paddle on
+   */
+  pointerToPlayfieldX(clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    // Whole playfield units are plenty precise and keep replays small
+    return Math.round(this.viewport.clientToPlayfield(clientX, clientY, rect).x);
   }
 
-  createPowerUp(x, y) {
-    const types = ['dynamite', 'whiskey', 'horseshoe', 'boots', 'sheriff_badge'];
-    const colors = ['#8b4513', '#d2691e', '#c0c0c0', '#654321', '#ffd700'];
-    const typeIndex = Math.floor(Math.random() * types.length);
-    
-    this.powerUps.push({
-      x: x - 30, // Adjusted for larger powerup (half of 60)
-      y: y,
-      width: 60,  // 3 times larger (was 20), 1:1 aspect ratio
-      height: 60, // 3 times larger (was 20), 1:1 aspect ratio
-      type: types[typeIndex],
-      color: colors[typeIndex]
-    });
+  /**
+   * Turn spinner motion into a paddle target
+   *
+   * The target goes through the same whole-unit pointerX input as the mouse,
+   * so replays don't need to know about spinners. Fractions are carried over
+   * to the next tick rather than dropped.
+   * @param {number} motion - Shaped relative motion (CSS px)
+   * @returns {number|null} Playfield X to center the paddle on, or null if it hasn't moved
+   */
+  spinnerToPlayfieldX(motion) {
+    this.spinnerRemainder += motion / this.viewport.scale;
+    const whole = Math.trunc(this.spinnerRemainder);
+    if (whole === 0) return null;
+
+    this.spinnerRemainder -= whole;
+    const { paddle } = this.simulation;
+    return Math.round(paddle.position.x + paddle.width / 2) + whole;
   }
 
-  applyPowerUp(type) {
-    switch (type) {
-      case 'dynamite':
-        // Multi-ball explosion
-        if (this.balls.length < 5) {
-          const newBall = { ...this.ball };
-          newBall.speedX = -newBall.speedX;
-          // Inherit power-ups from the original ball
-          newBall.powerUps = { ...this.ball.powerUps };
-          this.balls.push(newBall);
+  /**
+   * React to a pressed action
+   * @param {string} action - InputManager.ACTIONS value
+   * @param {Event|null} event - Triggering DOM event, null for gamepads
+   */
+  handleAction(action, event = null) {
+    const { ACTIONS } = InputManager;
+
+    switch (action) {
+      case ACTIONS.LAUNCH:
+        // Pads can't type a name, so they ride under the default one
+        if (event === null && this.gameState === 'start' && this.playerNameInput.value.trim().length === 0) {
+          this.playerNameInput.value = i18n.t('start.defaultName');
+        }
+        if (!this.activateFocused()) {
+          this.confirm();
         }
         break;
-      case 'whiskey':
-        // Makes paddle wider (liquid courage)
-        this.paddle.width *= 1.5;
-        break;
-      case 'boots':
-        // Speed boost (faster movement)
-        this.balls.forEach(ball => {
-          ball.speedX *= 1.5;
-          ball.speedY *= 1.5;
-        });
+      case ACTIONS.MENU_UP:
+      case ACTIONS.MENU_DOWN:
+        this.moveMenuFocus(action === ACTIONS.MENU_UP ? -1 : 1);
         break;
-      case 'sheriff_badge':
-        // Gives ball destructive power (like spike)
-        this.balls.forEach(ball => {
-          ball.powerUps.spike = Date.now() + 10000; // 10 second timeout
-        });
-        this.audioManager.startSpikeMusic();
+      case ACTIONS.BACK:
+        this.goBack();
         break;
-      case 'horseshoe':
-        // Lucky charm - slows things down
-        this.balls.forEach(ball => {
-          ball.speedX *= 0.5;
-          ball.speedY *= 0.5;
-        });
+      case ACTIONS.PAUSE:
+        if (this.gameState === 'bindings') {
+          this.hideBindings();
+        } else if (this.gameState === 'settings') {
+          this.hideSettings();
+        } else if (this.gameState === 'editor') {
+          this.hideEditor();
+        } else if (this.gameState === 'playing' || this.gameState === 'replay') {
+          this.togglePause();
+        }
+        break;
+      case ACTIONS.MOVE_LEFT:
+      case ACTIONS.MOVE_RIGHT:
+        if (this.gameState === 'replay') {
+          // Skip five seconds back or forward
+          const skip = 5 * this.replayPlayer.replay.tickRate;
+          this.replayPlayer.seek(this.replayPlayer.tick + (action === ACTIONS.MOVE_LEFT ? -skip : skip));
+        } else {
+          this.adjustFocusedSlider(action === ACTIONS.MOVE_LEFT ? -1 : 1);
+        }
+        break;
+      case ACTIONS.SKIP_TRACK:
+        this.audioManager.playNextTrackManual();
+        this.audioManager.playSound('menuSelect'); // Play Western sound effect
+        break;
+      case ACTIONS.MUTE:
+        this.settings.set('muted', !this.settings.get('muted')); // Applied through the CHANGE event
+        break;
+      case ACTIONS.HIGH_SCORES:
+        if (this.gameState === 'gameOver' || this.gameState === 'start') {
+          this.audioManager.playSound('menuSelect');
+          this.showHighScores();
+        }
+        break;
+      case ACTIONS.WATCH_REPLAY:
+        if (this.gameState === 'gameOver') {
+          this.audioManager.playSound('menuConfirm');
+          this.watchReplay(this.lastReplay);
+        }
         break;
     }
   }
 
-  updateUI() {
-    if (this.scoreElement) this.scoreElement.textContent = this.score.toLocaleString();
-    if (this.livesElement) this.livesElement.textContent = this.lives;
-    if (this.levelElement) this.levelElement.textContent = `LEVEL ${this.level}`;
-    if (this.comboElement) this.comboElement.textContent = this.combo;
-    if (this.multiplierElement) this.multiplierElement.textContent = `x${this.multiplier}`;
+  /**
+   * Confirm on the current screen
+   */
+  confirm() {
+    switch (this.gameState) {
+      case 'start':
+        this.tryStartGame();
+        break;
+      case 'gameOver':
+        this.audioManager.playSound('menuConfirm');
+        this.resetGame();
+        break;
+      case 'highScores':
+        this.audioManager.playSound('menuSelect');
+        this.hideHighScores();
+        break;
+      case 'replay':
+        this.replayPlayer.togglePlay();
+        break;
+    }
   }
 
-  render() {
-    // Clear canvas
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-
-    // Draw background image if loaded
-    if (this.backgroundImageLoaded) {
-      this.ctx.drawImage(this.backgroundImage, 0, 0, this.canvas.width, this.canvas.height);
-    } else {
-      // Fallback solid color background
-      this.ctx.fillStyle = '#2d1810';
-      this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+  /**
+   * Leave the current menu screen
+   */
+  goBack() {
+    switch (this.gameState) {
+      case 'highScores':
+        this.audioManager.playSound('menuSelect');
+        this.hideHighScores();
+        break;
+      case 'bindings':
+        this.hideBindings();
+        break;
+      case 'settings':
+        this.hideSettings();
+        break;
+      case 'editor':
+        this.hideEditor();
+        break;
+      case 'gameOver':
+        this.audioManager.playSound('menuSelect');
+        this.resetGame();
+        break;
+      case 'replay':
+        this.closeReplay();
+        break;
+      case 'playing':
+        this.resume(); // Only does anything from the pause menu
+        break;
     }
+  }
 
-    // Draw bricks (rough cut wood style)
-    for (let brick of this.bricks) {
-      if (brick.visible) {
-        this.drawWoodBrick(brick);
-      }
-    }
+  /**
+   * Get the screen element for the current menu state
+   * @returns {HTMLElement|null} Visible menu screen, or null during play
+   */
+  getMenuScreen() {
+    const screens = {
+      start: this.startScreen,
+      playing: this.pauseMenu,
+      gameOver: this.gameOverScreen,
+      highScores: this.highScoresScreen,
+      bindings: this.bindingsScreen,
+      settings: this.settingsScreen,
+      editor: this.editorScreen,
+      replay: this.replayControls
+    };
+    return screens[this.gameState] || null;
+  }
 
-    // Draw paddle
-    const gradient = this.ctx.createLinearGradient(
-      this.paddle.x, this.paddle.y,
-      this.paddle.x, this.paddle.y + this.paddle.height
-    );
-    gradient.addColorStop(0, '#deb887');
-    gradient.addColorStop(0.5, '#8b7355');
-    gradient.addColorStop(1, '#654321');
-    
-    this.ctx.fillStyle = gradient;
-    this.ctx.fillRect(this.paddle.x, this.paddle.y, this.paddle.width, this.paddle.height);
+  /**
+   * Get the controls of the current menu screen that focus can move between
+   * @returns {HTMLElement[]} Controls in document order
+   */
+  getMenuItems() {
+    const screen = this.getMenuScreen();
+    if (!screen) return [];
 
-    // Draw balls
-    for (let ball of this.balls) {
-      const hasSpike = ball.powerUps.spike && ball.powerUps.spike > Date.now();
-      
-      if (hasSpike) {
-        // Draw spiked ball
-        this.ctx.fillStyle = '#ff6600';
-        this.ctx.strokeStyle = '#ff3300';
-        this.ctx.lineWidth = 2;
-        
-        // Draw spikes around the ball
-        this.ctx.beginPath();
-        const spikes = 8;
-        for (let i = 0; i < spikes; i++) {
-          const angle = (i * Math.PI * 2) / spikes;
-          const innerX = ball.x + Math.cos(angle) * ball.radius * 0.7;
-          const innerY = ball.y + Math.sin(angle) * ball.radius * 0.7;
-          const outerX = ball.x + Math.cos(angle) * ball.radius * 1.3;
-          const outerY = ball.y + Math.sin(angle) * ball.radius * 1.3;
-          
-          if (i === 0) {
-            this.ctx.moveTo(innerX, innerY);
-          } else {
-            this.ctx.lineTo(innerX, innerY);
-          }
-          this.ctx.lineTo(outerX, outerY);
-        }
-        this.ctx.closePath();
-        this.ctx.fill();
-        this.ctx.stroke();
-        
-        // Draw inner ball
-        this.ctx.fillStyle = '#ffaa00';
-        this.ctx.beginPath();
-        this.ctx.arc(ball.x, ball.y, ball.radius * 0.6, 0, Math.PI * 2);
-        this.ctx.fill();
-      } else {
-        // Check if ball is in cavity or has active cavity timer for special glow effect
-        const inCavity = this.cavityBalls.has(ball) || this.cavityTimers.has(ball);
-
-        if (inCavity) {
-          // Draw golden glow for cavity balls
-          this.ctx.shadowBlur = 15;
-          this.ctx.shadowColor = '#ffd700';
-
-          const cavityGradient = this.ctx.createRadialGradient(
-            ball.x - ball.radius * 0.3, ball.y - ball.radius * 0.3, 0,
-            ball.x, ball.y, ball.radius
-          );
-          cavityGradient.addColorStop(0, '#fff700');
-          cavityGradient.addColorStop(0.4, '#ffd700');
-          cavityGradient.addColorStop(1, '#cc9900');
-
-          this.ctx.fillStyle = cavityGradient;
-        } else {
-          // Draw normal ball
-          const ballGradient = this.ctx.createRadialGradient(
-            ball.x - ball.radius * 0.3, ball.y - ball.radius * 0.3, 0,
-            ball.x, ball.y, ball.radius
-          );
-          ballGradient.addColorStop(0, '#c0c0c0');
-          ballGradient.addColorStop(0.4, '#808080');
-          ballGradient.addColorStop(1, '#404040');
-
-          this.ctx.fillStyle = ballGradient;
-        }
+    return Array.from(screen.querySelectorAll(MENU_FOCUSABLE))
+      .filter(element => !element.closest('.hidden'));
+  }
 
-        this.ctx.beginPath();
-        this.ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI * 2);
-        this.ctx.fill();
+  /**
+   * Move focus to the previous or next control on the current menu screen
+   * @param {number} direction - -1 for previous, 1 for next
+   */
+  moveMenuFocus(direction) {
+    const items = this.getMenuItems();
+    if (items.length === 0) return;
+
+    const current = items.indexOf(document.activeElement);
+    let next;
+    if (current < 0) {
+      next = direction > 0 ? 0 : items.length - 1;
+    } else {
+      next = (current + direction + items.length) % items.length;
+    }
 
-        // Clear shadow effect
-        this.ctx.shadowBlur = 0;
-        this.ctx.shadowColor = 'transparent';
-      }
+    document.body.classList.add('menu-nav');
+    items[next].focus();
+  }
+
+  /**
+   * Press the focused button or checkbox on the current menu screen
+   * @returns {boolean} True if something was pressed
+   */
+  activateFocused() {
+    const focused = document.activeElement;
+    const pressable = focused && (focused.tagName === 'BUTTON' || focused.type === 'checkbox');
+    if (!pressable || !this.getMenuItems().includes(focused)) {
+      return false;
     }
 
-    // Draw power-ups using Western icons
-    for (let powerUp of this.powerUps) {
-      this.ctx.save();
-
-      // Use icon if available, otherwise fallback to simple shape
-      const icon = this.powerUpIcons[powerUp.type];
-      if (icon && icon.complete) {
-        // Draw the Western icon
-        this.ctx.drawImage(icon, powerUp.x, powerUp.y, powerUp.width, powerUp.height);
-      } else {
-        // Fallback to colored circle
-        this.ctx.fillStyle = powerUp.color;
-        this.ctx.beginPath();
-        this.ctx.arc(powerUp.x + powerUp.width/2, powerUp.y + powerUp.height/2, powerUp.width/2, 0, Math.PI * 2);
-        this.ctx.fill();
-      }
+    focused.click();
+    return true;
+  }
 
-      this.ctx.restore();
+  /**
+   * Step the focused slider on the current menu screen
+   * @param {number} direction - -1 to step down, 1 to step up
+   * @returns {boolean} True if a slider was stepped
+   */
+  adjustFocusedSlider(direction) {
+    const focused = document.activeElement;
+    if (!focused || focused.type !== 'range' || !this.getMenuItems().includes(focused)) {
+      return false;
     }
 
-    // Draw particles
-    for (let particle of this.particles) {
-      this.ctx.globalAlpha = particle.life;
-      this.ctx.fillStyle = particle.color;
-      this.ctx.beginPath();
-      this.ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
-      this.ctx.fill();
+    if (direction < 0) {
+      focused.stepDown();
+    } else {
+      focused.stepUp();
     }
-    
-    this.ctx.globalAlpha = 1;
+    focused.dispatchEvent(new Event('input', { bubbles: true }));
+    return true;
   }
 
-  drawWoodBrick(brick) {
-    const ctx = this.ctx;
-    const { x, y, width, height, color } = brick;
-
-    // Create wood base color (darker version of the main color)
-    const woodColor = this.darkenColor(color, 0.3);
+  /**
+   * Start a run if the player has entered a name
+   * @returns {boolean} True if the run started
+   */
+  tryStartGame() {
+    const playerName = this.playerNameInput.value.trim();
+    if (playerName.length === 0) {
+      // Shake the input field and play error sound
+      this.playerNameInput.style.border = '3px solid #dc143c';
+      this.playerNameInput.placeholder = i18n.t('start.nameMissing');
+      this.audioManager.playSound('ballLost'); // Use error sound
+      setTimeout(() => {
+        this.playerNameInput.style.border = '';
+        this.playerNameInput.placeholder = i18n.t('start.namePlaceholder');
+      }, 2000);
+      return false;
+    }
 
-    // Fill base with wood color
-    ctx.fillStyle = woodColor;
-    ctx.fillRect(x, y, width, height);
+    this.audioManager.playSound('menuConfirm');
+    this.startGame();
+    return true;
+  }
 
-    // Add wood grain texture with random lines
-    ctx.strokeStyle = this.darkenColor(woodColor, 0.2);
-    ctx.lineWidth = 0.5;
-    ctx.globalAlpha = 0.6;
+  updateParticles(deltaTime) {
+    for (let i = this.particles.length - 1; i >= 0; i--) {
+      const particle = this.particles[i];
+      particle.savePreviousPosition();
+      particle.update(deltaTime);
+      
+      if (!particle.isAlive()) {
+        this.particles.splice(i, 1);
+      }
+    }
+  }
 
-    // Draw horizontal wood grain lines
-    const grainLines = Math.floor(height / 3);
-    for (let i = 0; i < grainLines; i++) {
-      const lineY = y + (i + 1) * (height / (grainLines + 1));
-      const variance = Math.random() * 2 - 1; // Random variance for rough look
+  gameOver() {
+    // Losing a play-test only goes back to the editor
+    if (this.playTest) {
+      this.audioManager.playSound('gameOver');
+      this.endPlayTest();
+      return;
+    }
 
-      ctx.beginPath();
-      ctx.moveTo(x + 2, lineY + variance);
+    const { score, level } = this.simulation;
+    this.gameState = 'gameOver';
+    document.body.classList.remove('playing');
+    this.input.exitPointerLock();
+    this.hideMobileControls();
+    this.audioManager.playSound('gameOver');
 
-      // Create wavy grain line
-      for (let px = 0; px <= width - 4; px += 4) {
-        const waveY = lineY + variance + Math.sin((px / width) * Math.PI * 2) * 0.5;
-        ctx.lineTo(x + 2 + px, waveY);
-      }
-      ctx.stroke();
+    const playerName = this.playerNameInput.value.trim() || i18n.t('start.defaultName');
+    this.lastReplay = this.recorder ? this.recorder.finish({ name: playerName, score, level }) : null;
+    this.saveManager.clear();
+    
+    // Check if it's a high score
+    let announcement = i18n.t('announce.gameOver', { score, level });
+    if (this.highScoreManager.isHighScore(score)) {
+      const rank = this.highScoreManager.addHighScore(playerName, score, level, this.lastReplay);
+      
+      this.gameOverTitle.textContent = i18n.t('gameOver.newHighScore', { rank });
+      this.gameOverTitle.classList.add('win');
+      announcement += ` ${i18n.t('announce.newHighScore', { rank })}`;
+      
+      // Update high scores display
+      this.displayHighScores();
+    } else {
+      this.gameOverTitle.textContent = i18n.t('gameOver.title');
+      this.gameOverTitle.classList.remove('win');
     }
+    
+    this.gameOverScreen.classList.remove('hidden');
+    this.finalScoreElement.textContent = i18n.t('gameOver.finalScore', { score });
+    if (this.gameOverReplayBtn) this.gameOverReplayBtn.disabled = !this.lastReplay;
+    this.focusScreen(this.gameOverScreen);
+    this.announcer.announce(announcement, { priority: Announcer.PRIORITIES.ASSERTIVE });
+    this.updateCanvasDescription(true);
+  }
+
+  createParticles(x, y, color, count = 10) {
+    const cosmetic = this.random.cosmetic;
+    count = Math.min(this.effects.maxParticles, Math.max(1, Math.round(count * this.effects.particles)));
 
-    ctx.globalAlpha = 1;
+    for (let i = 0; i < count; i++) {
+      this.particles.push(new Particle(x, y, {
+        vx: cosmetic.range(-4, 4),
+        vy: cosmetic.range(-4, 4),
+        color: color,
+        size: cosmetic.range(2, 6),
+        decay: cosmetic.range(0.01, 0.03)
+      }));
+    }
+  }
 
-    // Add paint overlay with worn edges
-    ctx.fillStyle = color;
-    ctx.globalAlpha = 0.7;
+  updateUI() {
+    const { score, lives, level, combo, multiplier } = this.getActiveSimulation();
 
-    // Paint doesn't cover the entire brick (worn/chipped look)
-    const paintInset = 1;
-    ctx.fillRect(
-      x + paintInset,
-      y + paintInset,
-      width - paintInset * 2,
-      height - paintInset * 2
-    );
+    // Only touch the DOM when a value changes; this runs every tick
+    this.setText(this.scoreElement, i18n.formatNumber(score));
+    this.setText(this.livesElement, i18n.formatNumber(lives));
+    this.setText(this.levelElement, i18n.t('hud.level', { level }));
+    this.setText(this.comboElement, combo);
+    this.setText(this.multiplierElement, `x${multiplier}`);
 
-    ctx.globalAlpha = 1;
+    if (this.gameState === 'replay') {
+      this.updateReplayControls();
+    }
+    this.updateCanvasDescription();
+  }
 
-    // Add rough edges and weathering
-    ctx.strokeStyle = this.darkenColor(color, 0.4);
-    ctx.lineWidth = 1;
+  /**
+   * Set an element's text if it exists and has changed
+   * @param {HTMLElement|null} element - Element to update
+   * @param {string|number} text - New text
+   */
+  setText(element, text) {
+    text = String(text);
+    if (element && element.textContent !== text) {
+      element.textContent = text;
+    }
+  }
 
-    // Draw rough wooden edges
-    ctx.beginPath();
+  /**
+   * Format a multiplier such as a sensitivity for display
+   * @param {number} value - Multiplier
+   * @param {number} digits - Decimal places shown
+   * @returns {string} e.g. "×1.50"
+   */
+  formatFactor(value, digits) {
+    return `×${i18n.formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+  }
 
-    // Top edge (slightly uneven)
-    ctx.moveTo(x, y);
-    for (let i = 0; i <= width; i += 2) {
-      const roughness = Math.random() * 0.5;
-      ctx.lineTo(x + i, y + roughness);
+  /**
+   * Describe the playfield in the canvas label, at most once per DESCRIPTION_INTERVAL
+   * @param {boolean} force - Update now regardless of the interval
+   */
+  updateCanvasDescription(force = false) {
+    const now = Date.now();
+    if (!force && now - this.lastDescribedAt < GameConfig.ACCESSIBILITY.DESCRIPTION_INTERVAL) return;
+    this.lastDescribedAt = now;
+
+    const description = this.describePlayfield();
+    if (this.canvas.getAttribute('aria-label') !== description) {
+      this.canvas.setAttribute('aria-label', description);
     }
+  }
 
-    // Right edge
-    for (let i = 0; i <= height; i += 2) {
-      const roughness = Math.random() * 0.5;
-      ctx.lineTo(x + width - roughness, y + i);
+  /**
+   * Put the state of the playfield into words
+   * @returns {string} Description
+   */
+  describePlayfield() {
+    if (!['playing', 'gameOver', 'replay'].includes(this.gameState)) {
+      return i18n.t('describe.idle');
     }
 
-    // Bottom edge
-    for (let i = width; i >= 0; i -= 2) {
-      const roughness = Math.random() * 0.5;
-      ctx.lineTo(x + i, y + height - roughness);
+    const { score, lives, level, remainingBricks, paddle, balls } = this.getActiveSimulation();
+    const parts = [
+      i18n.t(this.gameState === 'replay' ? 'describe.replayLevel' : 'describe.level', { level }),
+      i18n.t('describe.score', { score }),
+      i18n.t('describe.lives', { count: lives }),
+      i18n.t('describe.targets', { count: remainingBricks })
+    ];
+
+    if (this.gameState === 'gameOver') {
+      parts.push(i18n.t('describe.gameOver'));
+    } else if (this.gameState === 'playing' && !this.gameStarted) {
+      parts.push(i18n.t('describe.paused'));
+    } else if (balls.length > 0) {
+      // Where the nearest ball is relative to the paddle
+      const paddleCenter = paddle.position.x + paddle.width / 2;
+      const ball = balls.reduce((lowest, next) => (next.position.y > lowest.position.y ? next : lowest));
+      const offset = ball.position.x - paddleCenter;
+      let side = 'above';
+      if (Math.abs(offset) > paddle.width / 2) {
+        side = offset < 0 ? 'left' : 'right';
+      }
+      parts.push(i18n.t('describe.ball', {
+        count: balls.length,
+        motion: i18n.t(ball.velocity.y > 0 ? 'describe.falling' : 'describe.rising'),
+        side: i18n.t(`describe.${side}`)
+      }));
     }
 
-    // Left edge
-    for (let i = height; i >= 0; i -= 2) {
-      const roughness = Math.random() * 0.5;
-      ctx.lineTo(x + roughness, y + i);
+    const effects = new Set();
+    for (let entity of [paddle, ...balls]) {
+      for (let effect of Object.keys(entity.powerUps)) {
+        if (DESCRIBED_EFFECTS.includes(effect) && entity.hasPowerUp(effect)) {
+          effects.add(i18n.t(`effects.${effect}`));
+        }
+      }
+    }
+    if (effects.size > 0) {
+      parts.push(i18n.t('describe.active', { effects: [...effects].join(i18n.t('describe.separator')) }));
     }
 
-    ctx.closePath();
-    ctx.stroke();
+    return i18n.t('describe.end', { description: parts.join(i18n.t('describe.separator')) });
+  }
+
+  /**
+   * Get the simulation on screen
+   * @returns {Simulation} The replay being watched, otherwise the live run
+   */
+  getActiveSimulation() {
+    return this.gameState === 'replay' ? this.replayPlayer.simulation : this.simulation;
+  }
 
-    // Add nail holes or imperfections
-    if (Math.random() < 0.3) {
-      ctx.fillStyle = this.darkenColor(woodColor, 0.5);
-      const nailX = x + 2 + Math.random() * (width - 4);
-      const nailY = y + 2 + Math.random() * (height - 4);
-      ctx.beginPath();
-      ctx.arc(nailX, nailY, 0.5, 0, Math.PI * 2);
-      ctx.fill();
+  /**
+   * Draw the current frame
+   * @param {number} alpha - Interpolation factor between the last two ticks
+   */
+  render(alpha = 1) {
+    const { width, height } = this.playfield;
+    const simulation = this.getActiveSimulation();
+    const { paddle, balls, bricks, powerUps } = simulation;
+    const level = simulation.getLevel();
+
+    // Clear canvas, leaving letterbox bars around the playfield
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.fillStyle = GameConfig.PLAYFIELD.LETTERBOX_COLOR;
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+    // Everything else is drawn in playfield units
+    this.ctx.save();
+    this.viewport.apply(this.ctx);
+    this.ctx.beginPath();
+    this.ctx.rect(0, 0, width, height);
+    this.ctx.clip();
+    this.screenEffects.apply(this.ctx);
+
+    this.drawBackground(level.background);
+
+    // Draw bricks (rough cut wood style, painted once per look)
+    for (let brick of bricks) {
+      if (brick.visible) {
+        this.brickRenderer.render(this.ctx, brick);
+      }
     }
 
-    // Add highlight on top edge for 3D effect
-    ctx.strokeStyle = this.lightenColor(color, 0.3);
-    ctx.lineWidth = 1;
-    ctx.globalAlpha = 0.8;
-    ctx.beginPath();
-    ctx.moveTo(x + 1, y + 1);
-    ctx.lineTo(x + width - 1, y + 1);
-    ctx.stroke();
+    // Draw paddle
+    paddle.render(this.ctx, alpha);
 
-    // Add shadow on bottom edge
-    ctx.strokeStyle = this.darkenColor(woodColor, 0.3);
-    ctx.beginPath();
-    ctx.moveTo(x + 1, y + height - 1);
-    ctx.lineTo(x + width - 1, y + height - 1);
-    ctx.stroke();
+    // Draw balls
+    for (let ball of balls) {
+      ball.render(this.ctx, alpha, this.effects);
+    }
 
-    ctx.globalAlpha = 1;
-  }
+    // Draw power-ups using Western icons
+    for (let powerUp of powerUps) {
+      powerUp.render(this.ctx, this.powerUpIcons[powerUp.type], alpha, { overlay: this.settings.get('overlays') });
+    }
 
-  darkenColor(color, factor) {
-    // Convert hex to RGB and darken
-    const hex = color.replace('#', '');
-    const r = Math.max(0, parseInt(hex.substr(0, 2), 16) * (1 - factor));
-    const g = Math.max(0, parseInt(hex.substr(2, 2), 16) * (1 - factor));
-    const b = Math.max(0, parseInt(hex.substr(4, 2), 16) * (1 - factor));
+    // Draw particles
+    for (let particle of this.particles) {
+      particle.render(this.ctx, alpha);
+    }
 
-    return `rgb(${Math.floor(r)}, ${Math.floor(g)}, ${Math.floor(b)})`;
+    this.screenEffects.renderOverlay(this.ctx, width, height);
+    this.captions.renderIndicators(this.ctx, width, height);
+    
+    this.ctx.globalAlpha = 1;
+    this.ctx.restore();
   }
 
-  lightenColor(color, factor) {
-    // Convert hex to RGB and lighten
-    const hex = color.replace('#', '');
-    const r = Math.min(255, parseInt(hex.substr(0, 2), 16) * (1 + factor));
-    const g = Math.min(255, parseInt(hex.substr(2, 2), 16) * (1 + factor));
-    const b = Math.min(255, parseInt(hex.substr(4, 2), 16) * (1 + factor));
+  /**
+   * Fill the playfield with a level's background
+   * @param {string|null} background - Image name or #rrggbb color; null for the default
+   */
+  drawBackground(background) {
+    const { width, height } = this.playfield;
+    background = background ?? GameConfig.LEVELS.DEFAULT_BACKGROUND;
+
+    // A plain color, or an image once it has loaded
+    const isColor = background.startsWith('#');
+    const backgroundImage = isColor ? null : this.getBackgroundImage(background);
+    if (backgroundImage) {
+      this.ctx.drawImage(backgroundImage, 0, 0, width, height);
+    } else {
+      // Fallback solid color background
+      this.ctx.fillStyle = isColor ? background : '#2d1810';
+      this.ctx.fillRect(0, 0, width, height);
+    }
+  }
 
-    return `rgb(${Math.floor(r)}, ${Math.floor(g)}, ${Math.floor(b)})`;
+  /**
+   * Draw the level editor's draft on the playfield
+   */
+  renderEditor() {
+    const { width, height } = this.playfield;
+
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.fillStyle = GameConfig.PLAYFIELD.LETTERBOX_COLOR;
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+    this.ctx.save();
+    this.viewport.apply(this.ctx);
+    this.ctx.beginPath();
+    this.ctx.rect(0, 0, width, height);
+    this.ctx.clip();
+    this.drawBackground(this.editor.draft.background);
+    this.editor.render(this.ctx, this.brickRenderer, this.editorHover);
+    this.ctx.restore();
   }
 
   getGameState() {
+    const { score, lives, level, combo, multiplier } = this.simulation;
     return {
-      score: this.score,
-      lives: this.lives,
-      level: this.level,
-      combo: this.combo,
-      multiplier: this.multiplier,
+      score,
+      lives,
+      level,
+      combo,
+      multiplier,
       gameState: this.gameState
     };
   }
@@ -1213,32 +1528,964 @@ export class KnockoffArcade {
     this.gameOverScreen.classList.add('hidden');
     this.highScoresScreen.classList.remove('hidden');
     this.displayHighScores();
+    this.focusScreen(this.highScoresScreen);
   }
 
   hideHighScores() {
     this.highScoresScreen.classList.add('hidden');
     this.gameState = 'start';
     this.startScreen.classList.remove('hidden');
+    this.updateContinuePrompt();
+    this.focusScreen(this.startScreen);
   }
 
-  findNextBrick(currentBrick, direction) {
-    const scale = Math.min(this.canvas.width, this.canvas.height) / 800;
-    const brickWidth = 75 * scale;
-    const brickHeight = 20 * scale;
-    const padding = 5 * scale;
-    
-    // Calculate approximate next brick position
-    const nextX = currentBrick.x + (direction.x * (brickWidth + padding));
-    const nextY = currentBrick.y + (direction.y * (brickHeight + padding));
-    
-    // Find brick at that position
-    return this.bricks.find(brick => 
-      brick.visible &&
-      Math.abs(brick.x - nextX) < (brickWidth / 2) &&
-      Math.abs(brick.y - nextY) < (brickHeight / 2)
-    );
+  setupGameOverScreen() {
+    this.gameOverReplayBtn = document.getElementById('gameOverReplayBtn');
+    const againButton = document.getElementById('gameOverAgainBtn');
+    const scoresButton = document.getElementById('gameOverScoresBtn');
+    const backButton = document.getElementById('highScoresBackBtn');
+
+    if (!this.gameOverReplayBtn || !againButton || !scoresButton || !backButton) {
+      console.warn('Game over screen elements not found');
+      return;
+    }
+
+    againButton.addEventListener('click', () => {
+      if (this.gameState !== 'gameOver') return;
+      this.audioManager.playSound('menuConfirm');
+      this.resetGame();
+    });
+    scoresButton.addEventListener('click', () => {
+      if (this.gameState !== 'gameOver') return;
+      this.audioManager.playSound('menuSelect');
+      this.showHighScores();
+    });
+    this.gameOverReplayBtn.addEventListener('click', () => {
+      if (this.gameState !== 'gameOver') return;
+      this.audioManager.playSound('menuConfirm');
+      this.watchReplay(this.lastReplay);
+    });
+    backButton.addEventListener('click', () => this.goBack());
+  }
+
+  /**
+   * Focus the main control of a screen that has just been shown
+   * @param {HTMLElement|null} screen - Screen element
+   */
+  focusScreen(screen) {
+    if (!screen) return;
+
+    const visible = element => element && !element.disabled && !element.closest('.hidden');
+    const preferred = Array.from(screen.querySelectorAll('[data-autofocus]')).find(visible);
+    const target = preferred || Array.from(screen.querySelectorAll(MENU_FOCUSABLE)).find(visible);
+    if (target) {
+      target.focus();
+    }
+  }
+
+  /**
+   * Move focus into an overlay screen, remembering where it was
+   * @param {HTMLElement} screen - Screen that opened
+   */
+  enterScreenFocus(screen) {
+    this.focusStack.push(document.activeElement);
+    this.focusScreen(screen);
+  }
+
+  /**
+   * Put focus back where it was before the last overlay screen opened
+   */
+  leaveScreenFocus() {
+    const previous = this.focusStack.pop();
+    if (previous && previous !== document.body && previous.isConnected && !previous.closest('.hidden')) {
+      previous.focus();
+    } else {
+      this.focusScreen(this.getMenuScreen());
+    }
+  }
+
+  setupBindingsScreen() {
+    this.bindingsScreen = document.getElementById('bindingsScreen');
+    this.bindingsList = document.getElementById('bindingsList');
+    this.bindingsReturnState = 'start';
+
+    if (!this.bindingsScreen || !this.bindingsList) {
+      console.warn('Bindings screen elements not found');
+      return;
+    }
+
+    document.getElementById('bindingsBtn').addEventListener('click', () => {
+      if (this.gameState === 'start') {
+        this.audioManager.playSound('menuSelect');
+        this.showBindings();
+      }
+    });
+    document.getElementById('bindingsResetBtn').addEventListener('click', () => {
+      this.audioManager.playSound('menuSelect');
+      this.input.resetBindings();
+    });
+    document.getElementById('bindingsBackBtn').addEventListener('click', () => this.hideBindings());
+
+    // Click a slot, then press the key or button to put in it
+    this.bindingsList.addEventListener('click', async (e) => {
+      const slot = e.target.closest('[data-binding-action]');
+      if (!slot) return;
+
+      const action = slot.dataset.bindingAction;
+      const index = Number(slot.dataset.bindingSlot);
+      const device = index === GameConfig.INPUT.GAMEPAD_SLOT ? 'gamepad' : 'keyboard';
+      this.renderBindings();
+      const button = this.bindingsList.querySelector(`[data-binding-action="${action}"][data-binding-slot="${index}"]`);
+      button.textContent = i18n.t(device === 'gamepad' ? 'bindings.pressButton' : 'bindings.pressKey');
+      button.classList.add('listening');
+
+      const code = await this.input.captureNextKey({ device });
+      if (code) {
+        this.audioManager.playSound('menuConfirm');
+        this.input.rebind(action, index, code); // Re-renders through the BINDINGS event
+      } else {
+        this.renderBindings();
+      }
+    });
+
+    // Stick and spinner settings apply as the controls change
+    this.deadZoneSlider = document.getElementById('deadZoneSlider');
+    this.responseCurveSlider = document.getElementById('responseCurveSlider');
+    if (this.deadZoneSlider && this.responseCurveSlider) {
+      this.deadZoneSlider.addEventListener('input', () => {
+        this.input.setGamepadOptions({ deadZone: Number(this.deadZoneSlider.value) });
+      });
+      this.responseCurveSlider.addEventListener('input', () => {
+        this.input.setGamepadOptions({ responseCurve: Number(this.responseCurveSlider.value) });
+      });
+    }
+
+    this.spinnerToggle = document.getElementById('spinnerToggle');
+    this.spinnerSensitivitySlider = document.getElementById('spinnerSensitivitySlider');
+    this.spinnerAccelerationSlider = document.getElementById('spinnerAccelerationSlider');
+    if (this.spinnerToggle && this.spinnerSensitivitySlider && this.spinnerAccelerationSlider) {
+      this.spinnerToggle.addEventListener('change', () => {
+        this.input.setSpinnerOptions({ enabled: this.spinnerToggle.checked });
+      });
+      this.spinnerSensitivitySlider.addEventListener('input', () => {
+        this.input.setSpinnerOptions({ sensitivity: Number(this.spinnerSensitivitySlider.value) });
+      });
+      this.spinnerAccelerationSlider.addEventListener('input', () => {
+        this.input.setSpinnerOptions({ acceleration: Number(this.spinnerAccelerationSlider.value) });
+      });
+    }
+
+    this.input.on(InputManager.EVENTS.BINDINGS, () => {
+      this.renderBindings();
+      this.updateStartPrompt();
+    });
+    this.updateStartPrompt();
+  }
+
+  showBindings() {
+    // Opened from the title or the settings screen; back goes to the same place
+    this.bindingsReturnState = this.gameState;
+    this.gameState = 'bindings';
+    this.startScreen.classList.add('hidden');
+    this.hidePauseMenu();
+    if (this.settingsScreen) this.settingsScreen.classList.add('hidden');
+    this.bindingsScreen.classList.remove('hidden');
+    this.renderBindings();
+    this.enterScreenFocus(this.bindingsScreen);
+  }
+
+  hideBindings() {
+    this.input.cancelCapture();
+    this.bindingsScreen.classList.add('hidden');
+    this.returnTo(this.bindingsReturnState);
+    this.leaveScreenFocus();
+    this.audioManager.playSound('menuSelect');
+  }
+
+  /**
+   * Go back to the screen a menu was opened from
+   * @param {string} state - 'start', 'settings', or 'playing' for the pause menu
+   */
+  returnTo(state) {
+    if (state === 'playing') {
+      this.gameState = 'playing';
+      this.showPauseMenu();
+    } else if (state === 'settings' && this.settingsScreen) {
+      this.gameState = 'settings';
+      this.settingsScreen.classList.remove('hidden');
+      this.updateSettingsScreen();
+    } else {
+      this.gameState = 'start';
+      this.startScreen.classList.remove('hidden');
+    }
+  }
+
+  setupSettingsScreen() {
+    this.settingsScreen = document.getElementById('settingsScreen');
+    this.settingsReturnState = 'start';
+
+    if (!this.settingsScreen) {
+      console.warn('Settings screen elements not found');
+      return;
+    }
+
+    document.getElementById('settingsBtn').addEventListener('click', () => {
+      if (this.gameState === 'start') {
+        this.audioManager.playSound('menuSelect');
+        this.showSettings();
+      }
+    });
+    document.getElementById('settingsControlsBtn').addEventListener('click', () => {
+      this.audioManager.playSound('menuSelect');
+      this.showBindings();
+    });
+    document.getElementById('settingsResetBtn').addEventListener('click', () => {
+      this.audioManager.playSound('menuSelect');
+      this.settings.reset();
+    });
+    document.getElementById('settingsBackBtn').addEventListener('click', () => this.hideSettings());
+
+    // Languages are listed under their own names
+    const languageSelect = document.getElementById('languageSelect');
+    for (let [key, { name, lang }] of Object.entries(GameConfig.SETTINGS.LANGUAGES)) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.lang = lang;
+      option.textContent = name;
+      languageSelect.appendChild(option);
+    }
+
+    // Each control is tagged with the setting it edits and applies as it changes
+    this.settingsScreen.addEventListener('input', (e) => {
+      const key = e.target.dataset.setting;
+      if (!key) return;
+
+      let value;
+      if (e.target.type === 'checkbox') {
+        value = e.target.checked;
+      } else if (e.target.type === 'range' || key === 'renderScale') {
+        value = Number(e.target.value);
+      } else {
+        value = e.target.value;
+      }
+      this.settings.set(key, value);
+    });
+
+    // Control sensitivity is saved with the bindings
+    this.sensitivitySlider = document.getElementById('settingsSensitivitySlider');
+    this.sensitivitySlider.addEventListener('input', () => {
+      this.input.setSpinnerOptions({ sensitivity: Number(this.sensitivitySlider.value) });
+    });
+
+    this.settings.on(SettingsManager.EVENTS.CHANGE, () => this.updateSettingsScreen());
+    this.input.on(InputManager.EVENTS.BINDINGS, () => this.updateSettingsScreen());
+    this.updateSettingsScreen();
+  }
+
+  showSettings() {
+    // Opened from the title or from the pause menu; back goes to the same place
+    this.settingsReturnState = this.gameState;
+    this.gameState = 'settings';
+    this.startScreen.classList.add('hidden');
+    this.hidePauseMenu();
+    this.settingsScreen.classList.remove('hidden');
+    this.updateSettingsScreen();
+    this.enterScreenFocus(this.settingsScreen);
+  }
+
+  hideSettings() {
+    this.settingsScreen.classList.add('hidden');
+    this.returnTo(this.settingsReturnState);
+    this.leaveScreenFocus();
+    this.audioManager.playSound('menuSelect');
+  }
+
+  /**
+   * Show the current settings on the settings screen
+   */
+  updateSettingsScreen() {
+    if (!this.settingsScreen) return;
+
+    for (let control of this.settingsScreen.querySelectorAll('[data-setting]')) {
+      const value = this.settings.get(control.dataset.setting);
+      if (control.type === 'checkbox') {
+        control.checked = value;
+      } else {
+        control.value = value;
+      }
+    }
+
+    for (let key of ['masterVolume', 'sfxVolume', 'musicVolume']) {
+      document.getElementById(`${key}Value`).textContent = i18n.formatNumber(this.settings.get(key), { style: 'percent' });
+    }
+
+    const { sensitivity } = this.input.getSpinnerOptions();
+    this.sensitivitySlider.value = sensitivity;
+    document.getElementById('settingsSensitivityValue').textContent = this.formatFactor(sensitivity, 2);
+  }
+
+  renderBindings() {
+    const bindings = this.input.getBindings();
+    const focused = this.bindingsList.contains(document.activeElement) ? document.activeElement.dataset : null;
+    let html = '<table class="bindings-table">';
+    html += `<tr><th></th>${SLOT_LABELS.map(slot => `<th>${i18n.t(`bindings.slots.${slot}`)}</th>`).join('')}</tr>`;
+
+    for (let action of Object.keys(bindings)) {
+      html += `<tr><td class="binding-label">${i18n.t(`actions.${action}`)}</td>`;
+      bindings[action].forEach((code, slot) => {
+        const data = `data-binding-action="${action}" data-binding-slot="${slot}"`;
+        html += `<td><button class="screen-btn binding-slot" ${data}>${InputManager.describeCode(code)}</button></td>`;
+      });
+      html += '</tr>';
+    }
+
+    html += '</table>';
+    this.bindingsList.innerHTML = html;
+
+    // Re-rendering replaces the buttons, so put focus back where it was
+    if (focused) {
+      const selector = `[data-binding-action="${focused.bindingAction}"][data-binding-slot="${focused.bindingSlot}"]`;
+      const button = this.bindingsList.querySelector(selector);
+      if (button) button.focus();
+    }
+
+    this.updateDeviceSettings();
+  }
+
+  /**
+   * Show the current stick and spinner settings on the bindings screen
+   */
+  updateDeviceSettings() {
+    if (this.deadZoneSlider && this.responseCurveSlider) {
+      const { deadZone, responseCurve } = this.input.getGamepadOptions();
+      this.deadZoneSlider.value = deadZone;
+      this.responseCurveSlider.value = responseCurve;
+      document.getElementById('deadZoneValue').textContent = i18n.formatNumber(deadZone, { style: 'percent' });
+      document.getElementById('responseCurveValue').textContent = responseCurve === 1 ? i18n.t('bindings.linear') : this.formatFactor(responseCurve, 1);
+    }
+
+    if (this.spinnerToggle && this.spinnerSensitivitySlider && this.spinnerAccelerationSlider) {
+      const { enabled, sensitivity, acceleration } = this.input.getSpinnerOptions();
+      this.spinnerToggle.checked = enabled;
+      this.spinnerSensitivitySlider.value = sensitivity;
+      this.spinnerAccelerationSlider.value = acceleration;
+      this.spinnerSensitivitySlider.disabled = !enabled;
+      this.spinnerAccelerationSlider.disabled = !enabled;
+      document.getElementById('spinnerSensitivityValue').textContent = this.formatFactor(sensitivity, 2);
+      document.getElementById('spinnerAccelerationValue').textContent = acceleration === 0 ? i18n.t('bindings.off') : this.formatFactor(acceleration, 1);
+    }
+  }
+
+  /**
+   * Show the current launch keys on the start button, or ask for a name first,
+   * and the current key for each action in the help line
+   */
+  updateStartPrompt() {
+    if (this.helpKeys) {
+      this.helpKeys.textContent = i18n.t('start.helpKeys', {
+        launch: this.input.describeAction(InputManager.ACTIONS.LAUNCH),
+        scores: this.input.describeAction(InputManager.ACTIONS.HIGH_SCORES),
+        mute: this.input.describeAction(InputManager.ACTIONS.MUTE)
+      });
+    }
+
+    const subtext = this.startButton && this.startButton.querySelector('.btn-subtext');
+    if (!subtext) return;
+
+    if (this.startButton.disabled) {
+      subtext.textContent = i18n.t('start.enterNameFirst');
+    } else if (GameConfig.MOBILE) {
+      subtext.textContent = i18n.t('start.touchToEnter');
+    } else {
+      subtext.textContent = i18n.t('start.pressWhenReady', { keys: this.input.describeAction(InputManager.ACTIONS.LAUNCH) });
+    }
+  }
+
+  setupContinuePrompt() {
+    this.continuePanel = document.getElementById('continueRun');
+    this.continueDetails = document.getElementById('continueDetails');
+
+    if (!this.continuePanel || !this.continueDetails) {
+      console.warn('Continue prompt elements not found');
+      return;
+    }
+
+    document.getElementById('continueRunBtn').addEventListener('click', () => {
+      if (this.gameState === 'start') {
+        this.audioManager.playSound('menuConfirm');
+        this.continueRun();
+      }
+    });
+    document.getElementById('discardRunBtn').addEventListener('click', () => {
+      this.audioManager.playSound('menuSelect');
+      this.saveManager.clear();
+      this.updateContinuePrompt();
+    });
+
+    this.updateContinuePrompt();
+  }
+
+  /**
+   * Show or hide the "Continue run?" prompt for the saved run
+   */
+  updateContinuePrompt() {
+    if (!this.continuePanel) return;
+
+    const save = this.saveManager.load();
+    this.continuePanel.classList.toggle('hidden', !save);
+
+    if (save) {
+      const { score, level, lives } = save.simulation;
+      const name = save.playerName || i18n.t('start.defaultName');
+      this.continueDetails.textContent = i18n.t('continueRun.details', { name, level, score, count: lives });
+    }
+  }
+
+  setupEditorScreen() {
+    this.editorScreen = document.getElementById('editorScreen');
+    this.editorStatus = document.getElementById('editorStatus');
+    this.editorSwatches = document.getElementById('editorSwatches');
+    this.editorFileInput = document.getElementById('editorFileInput');
+    this.editorBackgroundColor = document.getElementById('editorBackgroundColor');
+
+    if (!this.editorScreen || !this.editorSwatches || !this.editorFileInput || !this.editorBackgroundColor) {
+      console.warn('Level editor elements not found');
+      this.editorScreen = null;
+      return;
+    }
+
+    document.getElementById('editorBtn').addEventListener('click', () => {
+      if (this.gameState === 'start') {
+        this.audioManager.playSound('menuSelect');
+        this.showEditor();
+      }
+    });
+
+    // One swatch per palette row; they take the colors of the current palette
+    GameConfig.PALETTES.classic.bricks.forEach((color, index) => {
+      const swatch = document.createElement('button');
+      swatch.className = 'editor-swatch';
+      swatch.dataset.brush = 'color';
+      swatch.dataset.value = String(index);
+      this.editorSwatches.appendChild(swatch);
+    });
+
+    // Tool and color buttons are tagged with the brush setting and value they pick
+    this.editorScreen.addEventListener('click', (e) => {
+      const choice = e.target.closest('[data-brush][data-value]');
+      if (choice) {
+        this.audioManager.playSound('menuSelect');
+        const { brush, value } = choice.dataset;
+        this.editor.setBrush({ [brush]: this.readEditorValue(brush, value) });
+      }
+    });
+
+    // Other fields are tagged with the brush setting or level property they edit
+    this.editorScreen.addEventListener('change', (e) => {
+      const { brush, property } = e.target.dataset;
+      let applied = true;
+      if (brush) {
+        applied = this.editor.setBrush({ [brush]: this.readEditorValue(brush, e.target.value) });
+      } else if (property === 'background' && e.target.value === 'color') {
+        applied = this.editor.setProperty('background', this.editorBackgroundColor.value);
+      } else if (property) {
+        applied = this.editor.setProperty(property, this.readEditorValue(property, e.target.value));
+      } else if (e.target === this.editorBackgroundColor) {
+        applied = this.editor.setProperty('background', e.target.value);
+      }
+      if (!applied) {
+        this.updateEditorScreen(); // Put the field back
+      }
+    });
+
+    document.getElementById('editorUndoBtn').addEventListener('click', () => this.editor.undo());
+    document.getElementById('editorRedoBtn').addEventListener('click', () => this.editor.redo());
+    document.getElementById('editorNewBtn').addEventListener('click', () => {
+      this.audioManager.playSound('menuSelect');
+      this.editor.newDraft();
+      this.setEditorStatus('');
+    });
+    document.getElementById('editorSaveBtn').addEventListener('click', () => {
+      this.audioManager.playSound('menuSelect');
+      this.setEditorStatus(i18n.t(this.editor.save() ? 'editor.saved' : 'editor.saveFailed'));
+    });
+    document.getElementById('editorExportBtn').addEventListener('click', () => this.exportLevel());
+    document.getElementById('editorImportBtn').addEventListener('click', () => this.editorFileInput.click());
+    this.editorFileInput.addEventListener('change', () => {
+      const file = this.editorFileInput.files[0];
+      this.editorFileInput.value = '';
+      if (file) {
+        this.importLevel(file);
+      }
+    });
+    document.getElementById('editorPlayBtn').addEventListener('click', () => this.playTestLevel());
+    document.getElementById('editorBackBtn').addEventListener('click', () => this.hideEditor());
+
+    // Painting on the playfield; a drag is one stroke
+    this.canvas.addEventListener('pointerdown', (e) => {
+      if (this.gameState !== 'editor') return;
+      const cell = this.getEditorCell(e);
+      if (!cell) return;
+
+      e.preventDefault();
+      if (this.canvas.setPointerCapture && e.pointerId !== undefined) {
+        this.canvas.setPointerCapture(e.pointerId);
+      }
+      this.editor.beginStroke();
+      this.editor.applyAt(cell.row, cell.column);
+    });
+    this.canvas.addEventListener('pointermove', (e) => {
+      if (this.gameState !== 'editor') return;
+      this.editorHover = this.getEditorCell(e);
+      if (this.editorHover && this.editor.isStroking()) {
+        this.editor.applyAt(this.editorHover.row, this.editorHover.column);
+      }
+    });
+    this.canvas.addEventListener('pointerup', () => this.editor.endStroke());
+    this.canvas.addEventListener('pointercancel', () => this.editor.endStroke());
+    this.canvas.addEventListener('pointerleave', () => {
+      this.editorHover = null;
+    });
+
+    // Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes (text fields keep their own undo)
+    document.addEventListener('keydown', (e) => {
+      if (this.gameState !== 'editor' || !(e.ctrlKey || e.metaKey) || this.input.isTyping(e)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+          this.editor.redo();
+        } else {
+          this.editor.undo();
+        }
+      }
+    });
+
+    this.editor.on(LevelEditor.EVENTS.CHANGE, () => this.updateEditorScreen());
+    this.fillEditorOptions();
+    this.updateEditorScreen();
+  }
+
+  showEditor() {
+    this.startScreen.classList.add('hidden');
+    this.openEditor();
+    this.setEditorStatus('');
+    this.enterScreenFocus(this.editorScreen);
+  }
+
+  hideEditor() {
+    this.editor.endStroke();
+    this.editor.save();
+    this.editorHover = null;
+    this.editorScreen.classList.add('hidden');
+    document.body.classList.remove('editing');
+    this.returnTo('start');
+    this.updateContinuePrompt();
+    this.leaveScreenFocus();
+    this.audioManager.playSound('menuSelect');
+  }
+
+  /**
+   * Bring up the editor panel
+   * @private
+   */
+  openEditor() {
+    this.gameState = 'editor';
+    this.editorScreen.classList.remove('hidden');
+    document.body.classList.add('editing');
+    this.updateEditorScreen();
+  }
+
+  /**
+   * Fill the editor's drop-down lists in the current language
+   */
+  fillEditorOptions() {
+    if (!this.editorScreen) return;
+
+    const fill = (id, options) => {
+      const select = document.getElementById(id);
+      select.textContent = '';
+      for (let [value, label] of options) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      }
+    };
+    const fileLabel = name => name.split('/').pop().replace(/\.\w+$/, '');
+    const { BRICK_TYPES, MAX_HITS, BACKGROUNDS } = GameConfig.LEVELS;
+
+    fill('editorTypeSelect', Object.keys(BRICK_TYPES).map(type => [type, i18n.t(`editor.types.${type}`)]));
+    fill('editorHitsSelect', Array.from({ length: MAX_HITS }, (_, index) => (
+      [String(index + 1), i18n.formatNumber(index + 1)]
+    )));
+    fill('editorDropSelect', [
+      ['', i18n.t('editor.noDrop')],
+      ['random', i18n.t('editor.randomDrop')],
+      ...Object.keys(GameConfig.POWERUPS.DROPS).map(type => [type, i18n.t(`powerUps.${type}`)])
+    ]);
+    fill('editorMusicSelect', [
+      ['', i18n.t('editor.keepMusic')],
+      ...GameConfig.AUDIO.TRACKS.map(track => [track, fileLabel(track)])
+    ]);
+    fill('editorBackgroundSelect', [
+      ['', i18n.t('editor.defaultBackground')],
+      ...BACKGROUNDS.map(name => [name, fileLabel(name)]),
+      ['color', i18n.t('editor.plainColor')]
+    ]);
+
+    for (let swatch of this.editorSwatches.children) {
+      swatch.setAttribute('aria-label', i18n.t('editor.colorOption', { number: Number(swatch.dataset.value) + 1 }));
+    }
+  }
+
+  /**
+   * Show the editor's brush, level properties and history on its panel
+   */
+  updateEditorScreen() {
+    if (!this.editorScreen) return;
+
+    const { brush } = this.editor;
+    const properties = this.editor.getProperties();
+    const colors = GameConfig.PALETTES.classic.bricks;
+
+    for (let choice of this.editorScreen.querySelectorAll('[data-brush][data-value]')) {
+      choice.setAttribute('aria-pressed', String(String(brush[choice.dataset.brush]) === choice.dataset.value));
+    }
+    for (let swatch of this.editorSwatches.children) {
+      swatch.style.background = this.brickRenderer.getColor(colors[Number(swatch.dataset.value)]);
+    }
+    for (let control of this.editorScreen.querySelectorAll('select[data-brush]')) {
+      control.value = brush[control.dataset.brush] ?? '';
+    }
+    for (let control of this.editorScreen.querySelectorAll('[data-property]')) {
+      control.value = properties[control.dataset.property] ?? '';
+    }
+
+    // Plain-color backgrounds are picked with the color input
+    const isColor = Boolean(properties.background && properties.background.startsWith('#'));
+    if (isColor) {
+      document.getElementById('editorBackgroundSelect').value = 'color';
+      this.editorBackgroundColor.value = properties.background;
+    }
+    this.editorBackgroundColor.disabled = !isColor;
+
+    document.getElementById('editorColumnsInput').max = String(GameConfig.LEVELS.COLUMNS);
+    document.getElementById('editorRowsInput').max = String(GameConfig.LEVELS.MAX_ROWS);
+    document.getElementById('editorBallSpeedValue').textContent = this.formatFactor(properties.ballSpeed, 2);
+    const dropChance = i18n.formatNumber(properties.dropChance, { style: 'percent' });
+    document.getElementById('editorDropChanceValue').textContent = dropChance;
+    document.getElementById('editorUndoBtn').disabled = !this.editor.canUndo();
+    document.getElementById('editorRedoBtn').disabled = !this.editor.canRedo();
+  }
+
+  /**
+   * Show a message on the editor panel (read out by screen readers)
+   * @param {string} message - Message, or '' to clear it
+   */
+  setEditorStatus(message) {
+    if (this.editorStatus) {
+      this.editorStatus.textContent = message;
+    }
+  }
+
+  /**
+   * Find the editor grid cell under a pointer
+   * @param {PointerEvent} event - Pointer event on the canvas
+   * @returns {Object|null} { row, column }, or null off the grid
+   */
+  getEditorCell(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const { x, y } = this.viewport.clientToPlayfield(event.clientX, event.clientY, rect);
+    return this.editor.cellAt(x, y);
+  }
+
+  /**
+   * Play the editor's draft as a one-level run
+   *
+   * The draft is saved first. A play-test is not recorded or saved as a run
+   * and leaves any saved run alone; clearing the level, losing, or quitting
+   * from the pause menu goes back to the editor.
+   */
+  playTestLevel() {
+    if (this.gameState !== 'editor') return;
+
+    let level;
+    try {
+      level = this.editor.toLevel();
+    } catch (error) {
+      this.setEditorStatus(i18n.t('editor.invalid', { error: error.message }));
+      this.audioManager.playSound('ballLost'); // Use error sound
+      return;
+    }
+
+    this.editor.endStroke();
+    this.editor.save();
+    this.editorHover = null;
+    this.editorScreen.classList.add('hidden');
+    document.body.classList.remove('editing');
+
+    this.playTest = true;
+    this.simulation.levels = [level];
+    this.simulation.reset(Random.createSeed());
+    this.particles = [];
+    this.screenEffects.reset();
+    this.recorder = null;
+    this.audioManager.playSound('menuConfirm');
+    this.enterPlaying();
+    this.updateUI();
+  }
+
+  /**
+   * Leave a play-test and go back to the editor
+   */
+  endPlayTest() {
+    if (!this.playTest) return;
+
+    this.playTest = false;
+    this.simulation.levels = this.defaultLevels;
+    this.cancelCountdown();
+    this.gameStarted = false;
+    this.clock.pause();
+    this.input.exitPointerLock();
+    this.hidePauseMenu();
+    this.hideMobileControls();
+    document.body.classList.remove('playing');
+    this.particles = [];
+    this.screenEffects.reset();
+
+    this.openEditor();
+    this.focusScreen(this.editorScreen);
+    this.updateCanvasDescription(true);
+  }
+
+  /**
+   * Download the editor's draft as a level JSON file
+   */
+  exportLevel() {
+    let data;
+    try {
+      data = this.editor.toJSON();
+    } catch (error) {
+      this.setEditorStatus(i18n.t('editor.invalid', { error: error.message }));
+      this.audioManager.playSound('ballLost'); // Use error sound
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const name = data.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'untitled';
+
+    link.href = url;
+    link.download = `knockoffarcade-level-${name}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Load a level file into the editor
+   * @param {File} file - Level JSON file
+   */
+  async importLevel(file) {
+    try {
+      this.editor.load(await file.text());
+      this.setEditorStatus(i18n.t('editor.imported'));
+    } catch (error) {
+      console.error('Error importing level:', error);
+      this.setEditorStatus(i18n.t('editor.invalid', { error: error.message }));
+      this.audioManager.playSound('ballLost'); // Use error sound
+    }
+  }
+
+  /**
+   * Read an editor field's value as the brush or draft stores it
+   * @param {string} key - Brush setting or level property
+   * @param {string} raw - Field value
+   * @returns {*} Value to set
+   */
+  readEditorValue(key, raw) {
+    if (EDITOR_NUMBERS.includes(key)) return Number(raw);
+    if (EDITOR_NULLABLE.includes(key) && raw === '') return null;
+    return raw;
+  }
+
+  setupReplayControls() {
+    this.replayControls = document.getElementById('replayControls');
+    this.replayPlayButton = document.getElementById('replayPlayBtn');
+    this.replayScrubber = document.getElementById('replayScrubber');
+    this.replayTime = document.getElementById('replayTime');
+    this.replaySpeed = document.getElementById('replaySpeed');
+    this.replayFileInput = document.getElementById('replayFileInput');
+
+    if (!this.replayControls || !this.replayScrubber || !this.replaySpeed) {
+      console.warn('Replay control elements not found');
+      return;
+    }
+
+    for (let speed of GameConfig.REPLAY.SPEEDS) {
+      const option = document.createElement('option');
+      option.value = String(speed);
+      option.textContent = i18n.t('replay.speedOption', { speed });
+      this.replaySpeed.appendChild(option);
+    }
+    this.replaySpeed.value = '1';
+
+    this.replayPlayButton.addEventListener('click', () => this.replayPlayer && this.replayPlayer.togglePlay());
+    this.replayScrubber.addEventListener('input', () => {
+      if (this.replayPlayer) {
+        this.replayPlayer.seek(Number(this.replayScrubber.value));
+      }
+    });
+    this.replaySpeed.addEventListener('change', () => {
+      if (this.replayPlayer) {
+        this.replayPlayer.setSpeed(Number(this.replaySpeed.value));
+      }
+    });
+    document.getElementById('replayExportBtn').addEventListener('click', () => {
+      if (this.replayPlayer) {
+        this.exportReplay(this.replayPlayer.replay);
+      }
+    });
+    document.getElementById('replayCloseBtn').addEventListener('click', () => this.closeReplay());
+
+    // Watch and export buttons on the high score table
+    this.highScoresList.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-replay-action]');
+      if (!button) return;
+
+      const replay = this.highScoreManager.getReplay(Number(button.dataset.replayIndex));
+      if (!replay) {
+        this.audioManager.playSound('ballLost'); // Use error sound
+        return;
+      }
+
+      if (button.dataset.replayAction === 'watch') {
+        this.audioManager.playSound('menuConfirm');
+        this.watchReplay(replay);
+      } else {
+        this.exportReplay(replay);
+      }
+    });
+
+    // Replays shared as files
+    document.getElementById('replayImportBtn').addEventListener('click', () => this.replayFileInput.click());
+    this.replayFileInput.addEventListener('change', () => {
+      const file = this.replayFileInput.files[0];
+      this.replayFileInput.value = '';
+      if (file) {
+        this.importReplay(file);
+      }
+    });
+  }
+
+  /**
+   * Start watching a replay
+   * @param {Replay} replay - Replay to watch
+   */
+  watchReplay(replay) {
+    if (!replay) return;
+
+    if (!replay.isCompatible()) {
+      console.warn(`Replay was recorded with version ${replay.version}; playback may not match the original run`);
+    }
+
+    this.replayReturnState = this.gameState;
+    this.replayPlayer = new ReplayPlayer(replay);
+    this.bindSimulationEvents(this.replayPlayer.simulation);
+    this.playLevelMusic(this.replayPlayer.simulation);
+    this.replayPlayer.on(ReplayPlayer.EVENTS.STATE, () => this.updateUI());
+
+    this.gameState = 'replay';
+    this.particles = [];
+    this.screenEffects.reset();
+    this.startScreen.classList.add('hidden');
+    this.gameOverScreen.classList.add('hidden');
+    this.highScoresScreen.classList.add('hidden');
+    this.replayControls.classList.remove('hidden');
+    this.replayScrubber.max = String(replay.length);
+    this.replaySpeed.value = '1';
+    document.body.classList.add('playing');
+
+    this.start();
+    this.replayPlayer.play();
+  }
+
+  /**
+   * Stop watching and go back to the screen the replay was opened from
+   */
+  closeReplay() {
+    if (this.gameState !== 'replay') return;
+
+    this.replayPlayer.simulation.removeAllListeners();
+    this.replayPlayer.removeAllListeners();
+    this.replayPlayer = null;
+    this.particles = [];
+    this.screenEffects.reset();
+
+    this.replayControls.classList.add('hidden');
+    document.body.classList.remove('playing');
+    this.audioManager.playSound('menuSelect');
+
+    if (this.replayReturnState === 'gameOver') {
+      this.gameState = 'gameOver';
+      this.gameOverScreen.classList.remove('hidden');
+    } else {
+      this.showHighScores();
+    }
+    this.updateUI();
+  }
+
+  updateReplayControls() {
+    const player = this.replayPlayer;
+    if (!player || !this.replayControls) return;
+
+    this.replayPlayButton.textContent = player.playing ? '⏸' : '▶';
+    this.replayScrubber.value = String(player.tick);
+    this.replaySpeed.value = String(player.speed);
+    this.replayTime.textContent = `${this.formatReplayTime(player.tick)} / ${this.formatReplayTime(player.length)}`;
+  }
+
+  /**
+   * Format a replay position as minutes and seconds
+   * @param {number} ticks - Position in ticks
+   * @returns {string} m:ss
+   */
+  formatReplayTime(ticks) {
+    const seconds = Math.floor(ticks / this.replayPlayer.replay.tickRate);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Download a replay as a JSON file
+   * @param {Replay} replay - Replay to export
+   */
+  exportReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const name = replay.result ? replay.result.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() : 'run';
+
+    link.href = url;
+    link.download = `knockoffarcade-replay-${name}-${replay.seed}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Load a replay file and start watching it
+   * @param {File} file - Exported replay
+   */
+  async importReplay(file) {
+    try {
+      this.watchReplay(Replay.from(await file.text()));
+    } catch (error) {
+      console.error('Error importing replay:', error);
+      this.audioManager.playSound('ballLost'); // Use error sound
+    }
   }
 
 }
 
-export default KnockoffArcade;
\ No newline at end of file
+export default KnockoffArcade;
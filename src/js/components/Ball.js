@@ -1,22 +1,35 @@
 import Vector2D from '../utils/Vector2D.js';
 import GameConfig from '../config/GameConfig.js';
+import { GameClock } from '../core/GameClock.js';
 
 /**
  * Ball entity class
  */
 export class Ball {
-  constructor(x, y) {
+  /**
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {GameClock} clock - Game-time clock its power-up and effect timers run on
+   */
+  constructor(x, y, clock = new GameClock()) {
+    this.clock = clock;
     this.position = new Vector2D(x, y);
+    this.previousPosition = new Vector2D(x, y);
     this.velocity = new Vector2D(0, 0);
     this.radius = GameConfig.PHYSICS.BALL_RADIUS;
     this.powerUps = {};
     this.trails = [];
     this.maxTrails = GameConfig.EFFECTS.TRAIL_LENGTH;
+
+    // Cavity (space above the bricks) bonus state
+    this.inCavity = false;
+    this.cavityExpiresAt = null;
+    this.cavityBaseSpeed = null;
     
     // Visual properties
     this.glowEffect = false;
     this.energyLevel = 1.0;
-    this.lastTrailTime = 0;
+    this.lastTrailTime = -Infinity;
     this.trailInterval = 16; // ~60fps trail updates
   }
 
@@ -34,6 +47,14 @@ export class Ball {
     // Handle boundary collisions
     this._handleBoundaryCollisions(canvasBounds);
 
+    this.updateEffects();
+  }
+
+  /**
+   * Update power-ups and visual effects without moving the ball
+   * (for when a physics step has already moved it)
+   */
+  updateEffects() {
     // Update power-ups
     this._updatePowerUps();
 
@@ -77,6 +98,22 @@ export class Ball {
     this.velocity = direction.multiply(speed);
   }
 
+  /**
+   * Remember the current position as the start of this tick
+   */
+  savePreviousPosition() {
+    this.previousPosition.set(this.position.x, this.position.y);
+  }
+
+  /**
+   * Get the position interpolated between the last two ticks
+   * @param {number} alpha - Interpolation factor (0-1)
+   * @returns {Vector2D} Render position
+   */
+  getRenderPosition(alpha = 1) {
+    return this.previousPosition.clone().lerp(this.position, alpha);
+  }
+
   /**
    * Reverse ball direction
    * @param {string} axis - 'x' or 'y' to reverse specific axis, or 'both'
@@ -93,10 +130,10 @@ export class Ball {
   /**
    * Apply power-up effect
    * @param {string} type - Power-up type
-   * @param {number} duration - Duration in milliseconds
+   * @param {number} duration - Duration in game-time milliseconds
    */
   applyPowerUp(type, duration = GameConfig.POWERUPS.DURATION) {
-    this.powerUps[type] = Date.now() + duration;
+    this.powerUps[type] = this.clock.after(duration);
     
     // Apply immediate effects
     switch (type) {
@@ -118,7 +155,7 @@ export class Ball {
    * @returns {boolean} True if active
    */
   hasPowerUp(type) {
-    return !!(this.powerUps[type] && this.powerUps[type] > Date.now());
+    return !!(this.powerUps[type] && this.powerUps[type] > this.clock.now());
   }
 
   /**
@@ -134,6 +171,48 @@ export class Ball {
     }
   }
 
+  /**
+   * Mark the ball as inside the cavity and boost its speed
+   * @param {number} boost - Speed multiplier while in the cavity
+   */
+  enterCavity(boost) {
+    this.inCavity = true;
+    this.cavityExpiresAt = null;
+    if (this.cavityBaseSpeed === null) {
+      this.cavityBaseSpeed = this.getSpeed();
+    }
+    this.setSpeed(this.cavityBaseSpeed * boost);
+  }
+
+  /**
+   * Mark the ball as out of the cavity; the golden effect lingers
+   * @param {number} duration - Game-time milliseconds the effect lasts
+   */
+  leaveCavity(duration) {
+    this.inCavity = false;
+    this.cavityExpiresAt = this.clock.after(duration);
+  }
+
+  /**
+   * End the golden cavity effect and restore the pre-cavity speed
+   */
+  endCavityEffect() {
+    if (this.cavityBaseSpeed !== null) {
+      this.setSpeed(this.cavityBaseSpeed);
+    }
+    this.inCavity = false;
+    this.cavityExpiresAt = null;
+    this.cavityBaseSpeed = null;
+  }
+
+  /**
+   * Check if the ball is in the cavity or still glowing from it
+   * @returns {boolean} True if the cavity effect is active
+   */
+  hasCavityEffect() {
+    return this.inCavity || this.cavityExpiresAt !== null;
+  }
+
   /**
    * Reset ball to initial state
    * @param {number} x - X position
@@ -141,11 +220,16 @@ export class Ball {
    */
   reset(x, y) {
     this.position.set(x, y);
+    this.previousPosition.set(x, y);
     this.velocity.set(0, 0);
     this.powerUps = {};
     this.trails = [];
     this.glowEffect = false;
     this.energyLevel = 1.0;
+    this.lastTrailTime = -Infinity;
+    this.inCavity = false;
+    this.cavityExpiresAt = null;
+    this.cavityBaseSpeed = null;
   }
 
   /**
@@ -194,13 +278,17 @@ export class Ball {
    * @private
    */
   _updatePowerUps() {
-    const now = Date.now();
+    const now = this.clock.now();
     
     Object.keys(this.powerUps).forEach(type => {
       if (this.powerUps[type] <= now) {
         this.removePowerUp(type);
       }
     });
+
+    if (this.cavityExpiresAt !== null && this.cavityExpiresAt <= now) {
+      this.endCavityEffect();
+    }
   }
 
   /**
@@ -208,7 +296,7 @@ export class Ball {
    * @private
    */
   _updateTrails() {
-    const now = Date.now();
+    const now = this.clock.now();
     
     // Add new trail point
     if (now - this.lastTrailTime > this.trailInterval) {
@@ -251,61 +339,111 @@ export class Ball {
   /**
    * Render the ball
    * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} alpha - Interpolation factor between the last two ticks
+   * @param {Object} options - Detail options
+   * @param {boolean} options.glow - Draw the cavity-shot glow
+   * @param {boolean} options.trails - Draw the motion trail
+   * @param {number} options.trailLength - Most recent trail points to draw
    */
-  render(ctx) {
+  render(ctx, alpha = 1, { glow = true, trails = true, trailLength = this.maxTrails } = {}) {
+    const { x, y } = this.getRenderPosition(alpha);
+
     ctx.save();
     
     // Render trails first
-    this._renderTrails(ctx);
-    
+    if (trails) {
+      this._renderTrails(ctx, trailLength);
+    }
+
+    if (this.hasPowerUp(GameConfig.POWERUPS.TYPES.PIERCE)) {
+      this._renderSpikes(ctx, x, y);
+      ctx.restore();
+      return;
+    }
+
     // Create metallic gradient for cannonball effect
     const gradient = ctx.createRadialGradient(
-      this.position.x - this.radius * 0.3,
-      this.position.y - this.radius * 0.3,
+      x - this.radius * 0.3,
+      y - this.radius * 0.3,
       0,
-      this.position.x,
-      this.position.y,
+      x,
+      y,
       this.radius
     );
     
-    gradient.addColorStop(0, '#c0c0c0'); // Silver highlight
-    gradient.addColorStop(0.4, '#808080'); // Dark silver
-    gradient.addColorStop(0.8, '#404040'); // Dark metal
-    gradient.addColorStop(1, '#202020'); // Black outline
+    if (this.hasCavityEffect()) {
+      // Golden glow for cavity shots
+      if (glow) {
+        ctx.shadowBlur = 15;
+        ctx.shadowColor = '#ffd700';
+      }
+      gradient.addColorStop(0, '#fff700');
+      gradient.addColorStop(0.4, '#ffd700');
+      gradient.addColorStop(1, '#cc9900');
+    } else {
+      gradient.addColorStop(0, '#c0c0c0'); // Silver highlight
+      gradient.addColorStop(0.4, '#808080'); // Dark silver
+      gradient.addColorStop(0.8, '#404040'); // Dark metal
+      gradient.addColorStop(1, '#202020'); // Black outline
+    }
     
     ctx.fillStyle = gradient;
     ctx.beginPath();
-    ctx.arc(this.position.x, this.position.y, this.radius, 0, Math.PI * 2);
+    ctx.arc(x, y, this.radius, 0, Math.PI * 2);
     ctx.fill();
     
-    // Add metallic rim
-    ctx.strokeStyle = '#2f1b14';
+    ctx.restore();
+  }
+
+  /**
+   * Render the spiked look of a piercing (sheriff badge) ball
+   * @private
+   */
+  _renderSpikes(ctx, x, y) {
+    ctx.fillStyle = '#ff6600';
+    ctx.strokeStyle = '#ff3300';
     ctx.lineWidth = 2;
-    ctx.stroke();
-    
-    // Pierce effect - glowing bullet
-    if (this.hasPowerUp(GameConfig.POWERUPS.TYPES.PIERCE)) {
-      ctx.strokeStyle = GameConfig.COLORS.GOLD;
-      ctx.lineWidth = 3;
-      ctx.stroke();
-      ctx.shadowBlur = 10;
-      ctx.shadowColor = GameConfig.COLORS.GOLD;
+
+    // Draw spikes around the ball
+    ctx.beginPath();
+    const spikes = 8;
+    for (let i = 0; i < spikes; i++) {
+      const angle = (i * Math.PI * 2) / spikes;
+      const innerX = x + Math.cos(angle) * this.radius * 0.7;
+      const innerY = y + Math.sin(angle) * this.radius * 0.7;
+      const outerX = x + Math.cos(angle) * this.radius * 1.3;
+      const outerY = y + Math.sin(angle) * this.radius * 1.3;
+
+      if (i === 0) {
+        ctx.moveTo(innerX, innerY);
+      } else {
+        ctx.lineTo(innerX, innerY);
+      }
+      ctx.lineTo(outerX, outerY);
     }
-    
-    ctx.restore();
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    // Draw inner ball
+    ctx.fillStyle = '#ffaa00';
+    ctx.beginPath();
+    ctx.arc(x, y, this.radius * 0.6, 0, Math.PI * 2);
+    ctx.fill();
   }
 
   /**
    * Render ball trails
    * @private
    */
-  _renderTrails(ctx) {
-    if (this.trails.length < 2) return;
+  _renderTrails(ctx, length = this.maxTrails) {
+    const trails = this.trails.slice(-length);
+    if (trails.length < 2) return;
     
     ctx.save();
     ctx.globalAlpha = 0.4;
     
-    this.trails.forEach((trail, index) => {
+    trails.forEach((trail, index) => {
       const alpha = trail.life * 0.4;
       const radius = this.radius * trail.life * 0.5;
       
@@ -324,10 +462,13 @@ export class Ball {
    * @returns {Ball} New ball instance
    */
   clone() {
-    const newBall = new Ball(this.position.x, this.position.y);
+    const newBall = new Ball(this.position.x, this.position.y, this.clock);
     newBall.velocity = this.velocity.clone();
     newBall.radius = this.radius;
     newBall.powerUps = { ...this.powerUps };
+    newBall.inCavity = this.inCavity;
+    newBall.cavityExpiresAt = this.cavityExpiresAt;
+    newBall.cavityBaseSpeed = this.cavityBaseSpeed;
     return newBall;
   }
 
@@ -341,7 +482,10 @@ export class Ball {
       velocity: this.velocity.toObject(),
       radius: this.radius,
       powerUps: this.powerUps,
-      energyLevel: this.energyLevel
+      energyLevel: this.energyLevel,
+      inCavity: this.inCavity,
+      cavityExpiresAt: this.cavityExpiresAt,
+      cavityBaseSpeed: this.cavityBaseSpeed
     };
   }
 
@@ -351,10 +495,14 @@ export class Ball {
    */
   deserialize(data) {
     this.position.set(data.position.x, data.position.y);
+    this.previousPosition.set(data.position.x, data.position.y);
     this.velocity.set(data.velocity.x, data.velocity.y);
     this.radius = data.radius;
     this.powerUps = data.powerUps || {};
     this.energyLevel = data.energyLevel || 1.0;
+    this.inCavity = data.inCavity || false;
+    this.cavityExpiresAt = data.cavityExpiresAt ?? null;
+    this.cavityBaseSpeed = data.cavityBaseSpeed ?? null;
   }
 }
 
@@ -0,0 +1,114 @@
+import Vector2D from '../utils/Vector2D.js';
+
+/**
+ * Brick entity class
+ */
+export class Brick {
+  /**
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Brick width
+   * @param {number} height - Brick height
+   * @param {string} color - Paint color (hex)
+   * @param {number} hits - Hits needed to destroy the brick
+   */
+  constructor(x, y, width, height, color, hits = 1) {
+    this.position = new Vector2D(x, y);
+    this.width = width;
+    this.height = height;
+    this.color = color;
+    this.hits = hits;
+    this.maxHits = hits;
+    this.visible = true;
+    this.seed = 0; // Picks the brick's weathered look
+    this.type = 'normal'; // Key of GameConfig.LEVELS.BRICK_TYPES
+    this.drop = null; // Power-up it always lets fall, or 'random' for any
+  }
+
+  /**
+   * Register a hit on the brick
+   * @returns {boolean} True if the hit destroyed the brick
+   */
+  hit() {
+    if (!this.visible) return false;
+
+    this.hits--;
+    if (this.hits <= 0) {
+      this.hits = 0;
+      this.visible = false;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get how damaged the brick is
+   * @returns {number} Number of hits taken
+   */
+  getDamage() {
+    return this.maxHits - this.hits;
+  }
+
+  /**
+   * Get brick center point
+   * @returns {Vector2D} Center point
+   */
+  getCenter() {
+    return new Vector2D(this.position.x + this.width / 2, this.position.y + this.height / 2);
+  }
+
+  /**
+   * Get brick bounds for collision detection
+   * @returns {Object} Bounds object
+   */
+  getBounds() {
+    return {
+      left: this.position.x,
+      right: this.position.x + this.width,
+      top: this.position.y,
+      bottom: this.position.y + this.height,
+      centerX: this.position.x + this.width / 2,
+      centerY: this.position.y + this.height / 2,
+      width: this.width,
+      height: this.height
+    };
+  }
+
+  /**
+   * Serialize brick state
+   * @returns {Object} Serialized state
+   */
+  serialize() {
+    return {
+      position: this.position.toObject(),
+      width: this.width,
+      height: this.height,
+      color: this.color,
+      hits: this.hits,
+      maxHits: this.maxHits,
+      visible: this.visible,
+      seed: this.seed,
+      type: this.type,
+      drop: this.drop
+    };
+  }
+
+  /**
+   * Deserialize brick state
+   * @param {Object} data - Serialized state
+   */
+  deserialize(data) {
+    this.position.set(data.position.x, data.position.y);
+    this.width = data.width;
+    this.height = data.height;
+    this.color = data.color;
+    this.hits = data.hits;
+    this.maxHits = data.maxHits || data.hits;
+    this.visible = data.visible !== false;
+    this.seed = data.seed || 0;
+    this.type = data.type || 'normal';
+    this.drop = data.drop ?? null;
+  }
+}
+
+export default Brick;
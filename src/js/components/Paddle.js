@@ -1,18 +1,30 @@
 import Vector2D from '../utils/Vector2D.js';
 import GameConfig from '../config/GameConfig.js';
+import { GameClock } from '../core/GameClock.js';
 
 /**
  * Paddle entity class
  */
 export class Paddle {
-  constructor(x, y) {
+  /**
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {GameClock} clock - Game-time clock its power-up and effect timers run on
+   */
+  constructor(x, y, clock = new GameClock()) {
+    this.clock = clock;
     this.position = new Vector2D(x, y);
+    this.previousPosition = new Vector2D(x, y);
     this.velocity = new Vector2D(0, 0);
     this.width = GameConfig.PHYSICS.PADDLE_WIDTH;
     this.height = GameConfig.PHYSICS.PADDLE_HEIGHT;
     this.baseWidth = this.width;
     this.speed = GameConfig.PHYSICS.PADDLE_SPEED;
     this.powerUps = {};
+
+    // Measured horizontal movement, whether from keys, mouse or touch
+    this.lastX = x;
+    this.trackedVelocity = 0;
     
     // AI assistance properties
     this.aiEnabled = false;
@@ -47,6 +59,9 @@ export class Paddle {
     
     // Constrain to canvas bounds
     this._constrainToBounds(canvasBounds);
+
+    // Measure how fast the paddle actually moved for english
+    this._trackMotion(deltaTime);
     
     // Update visual effects
     this._updateVisualEffects();
@@ -72,6 +87,16 @@ export class Paddle {
     }
   }
 
+  /**
+   * Move paddle at part of its speed, for analog sticks
+   * @param {number} amount - -1 (full left) to 1 (full right)
+   */
+  moveBy(amount) {
+    if (!this.aiEnabled) {
+      this.velocity.x = this.speed * Math.max(-1, Math.min(1, amount));
+    }
+  }
+
   /**
    * Stop paddle movement
    */
@@ -90,13 +115,29 @@ export class Paddle {
     this.position.set(x, y);
   }
 
+  /**
+   * Remember the current position as the start of this tick
+   */
+  savePreviousPosition() {
+    this.previousPosition.set(this.position.x, this.position.y);
+  }
+
+  /**
+   * Get the position interpolated between the last two ticks
+   * @param {number} alpha - Interpolation factor (0-1)
+   * @returns {Vector2D} Render position
+   */
+  getRenderPosition(alpha = 1) {
+    return this.previousPosition.clone().lerp(this.position, alpha);
+  }
+
   /**
    * Apply power-up effect
    * @param {string} type - Power-up type
-   * @param {number} duration - Duration in milliseconds
+   * @param {number} duration - Duration in game-time milliseconds
    */
   applyPowerUp(type, duration = GameConfig.POWERUPS.DURATION) {
-    this.powerUps[type] = Date.now() + duration;
+    this.powerUps[type] = this.clock.after(duration);
     
     // Apply immediate effects
     switch (type) {
@@ -118,7 +159,7 @@ export class Paddle {
     // Add visual effect
     this.glowEffects.push({
       type,
-      startTime: Date.now(),
+      startTime: this.clock.now(),
       duration
     });
   }
@@ -129,7 +170,7 @@ export class Paddle {
    * @returns {boolean} True if active
    */
   hasPowerUp(type) {
-    return this.powerUps[type] && this.powerUps[type] > Date.now();
+    return this.powerUps[type] && this.powerUps[type] > this.clock.now();
   }
 
   /**
@@ -196,6 +237,26 @@ export class Paddle {
     return Math.max(-1, Math.min(1, relativeX / (this.width / 2)));
   }
 
+  /**
+   * Send a ball back up off the paddle
+   *
+   * The ball keeps its speed. Where it lands picks the launch angle and the
+   * paddle's own movement adds english on top, clamped so the ball never
+   * leaves too flat.
+   * @param {Ball} ball - Ball touching the top of the paddle
+   */
+  bounce(ball) {
+    const speed = ball.getSpeed();
+    if (speed === 0) return;
+
+    const maxAngle = GameConfig.PHYSICS.PADDLE_MAX_BOUNCE_ANGLE * Math.PI / 180;
+    let angle = this.getHitPosition(ball.position.x) * maxAngle;
+    angle += GameConfig.PHYSICS.PADDLE_ENGLISH * (this.trackedVelocity / speed);
+    angle = Math.max(-maxAngle, Math.min(maxAngle, angle));
+
+    ball.setVelocity(Math.sin(angle) * speed, -Math.cos(angle) * speed);
+  }
+
   /**
    * Apply magnetic force to balls
    * @param {Array} balls - Array of ball objects
@@ -225,7 +286,10 @@ export class Paddle {
    */
   reset(x, y) {
     this.position.set(x, y);
+    this.previousPosition.set(x, y);
     this.velocity.set(0, 0);
+    this.lastX = x;
+    this.trackedVelocity = 0;
     this.width = this.baseWidth;
     this.powerUps = {};
     this.glowEffects = [];
@@ -234,12 +298,25 @@ export class Paddle {
     this.aiEnabled = false;
   }
 
+  /**
+   * Smooth the paddle's measured horizontal velocity
+   * @private
+   */
+  _trackMotion(deltaTime) {
+    if (deltaTime > 0) {
+      const moved = (this.position.x - this.lastX) / deltaTime;
+      // Pointer moves land on one tick of several, so average them out
+      this.trackedVelocity += (moved - this.trackedVelocity) * 0.5;
+    }
+    this.lastX = this.position.x;
+  }
+
   /**
    * Update power-up states
    * @private
    */
   _updatePowerUps() {
-    const now = Date.now();
+    const now = this.clock.now();
     
     Object.keys(this.powerUps).forEach(type => {
       if (this.powerUps[type] <= now) {
@@ -306,7 +383,7 @@ export class Paddle {
    * @private
    */
   _updateVisualEffects() {
-    const now = Date.now();
+    const now = this.clock.now();
     
     // Remove expired glow effects
     this.glowEffects = this.glowEffects.filter(effect => {
@@ -317,14 +394,17 @@ export class Paddle {
   /**
    * Render the paddle
    * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} alpha - Interpolation factor between the last two ticks
    */
-  render(ctx) {
+  render(ctx, alpha = 1) {
+    const { x, y } = this.getRenderPosition(alpha);
+
     ctx.save();
     
     // Create wooden paddle gradient
     const gradient = ctx.createLinearGradient(
-      this.position.x, this.position.y,
-      this.position.x, this.position.y + this.height
+      x, y,
+      x, y + this.height
     );
     gradient.addColorStop(0, GameConfig.COLORS.SAND);
     gradient.addColorStop(0.3, '#d2b48c');
@@ -332,14 +412,14 @@ export class Paddle {
     gradient.addColorStop(1, GameConfig.COLORS.BROWN_DARK);
     
     ctx.fillStyle = gradient;
-    ctx.fillRect(this.position.x, this.position.y, this.width, this.height);
+    ctx.fillRect(x, y, this.width, this.height);
     
     // Add wood grain effect
     ctx.fillStyle = GameConfig.COLORS.BROWN_PRIMARY;
-    ctx.fillRect(this.position.x + 2, this.position.y + 2, this.width - 4, 2);
+    ctx.fillRect(x + 2, y + 2, this.width - 4, 2);
     
     // Power-up effects
-    this._renderPowerUpEffects(ctx);
+    this._renderPowerUpEffects(ctx, x, y);
     
     ctx.restore();
   }
@@ -348,19 +428,19 @@ export class Paddle {
    * Render power-up effects
    * @private
    */
-  _renderPowerUpEffects(ctx) {
+  _renderPowerUpEffects(ctx, x, y) {
     // Laser effect
     if (this.hasPowerUp(GameConfig.POWERUPS.TYPES.LASER)) {
       ctx.strokeStyle = '#ff0000';
       ctx.lineWidth = 3;
-      ctx.strokeRect(this.position.x - 2, this.position.y - 2, this.width + 4, this.height + 4);
+      ctx.strokeRect(x - 2, y - 2, this.width + 4, this.height + 4);
     }
     
     // Wide paddle effect
     if (this.hasPowerUp(GameConfig.POWERUPS.TYPES.WIDE_PADDLE)) {
       ctx.strokeStyle = '#00ff00';
       ctx.lineWidth = 2;
-      ctx.strokeRect(this.position.x - 1, this.position.y - 1, this.width + 2, this.height + 2);
+      ctx.strokeRect(x - 1, y - 1, this.width + 2, this.height + 2);
     }
     
     // Shield effect
@@ -368,7 +448,7 @@ export class Paddle {
       ctx.strokeStyle = GameConfig.COLORS.BLUE;
       ctx.lineWidth = 2;
       ctx.setLineDash([5, 5]);
-      ctx.strokeRect(this.position.x - 4, this.position.y - 4, this.width + 8, this.height + 8);
+      ctx.strokeRect(x - 4, y - 4, this.width + 8, this.height + 8);
       ctx.setLineDash([]);
     }
     
@@ -377,7 +457,7 @@ export class Paddle {
       ctx.strokeStyle = '#ff00ff';
       ctx.lineWidth = 1;
       ctx.setLineDash([3, 3]);
-      ctx.strokeRect(this.position.x - this.magneticRange, this.position.y - this.magneticRange, 
+      ctx.strokeRect(x - this.magneticRange, y - this.magneticRange, 
                     this.width + this.magneticRange * 2, this.height + this.magneticRange * 2);
       ctx.setLineDash([]);
     }
@@ -393,6 +473,9 @@ export class Paddle {
       velocity: this.velocity.toObject(),
       width: this.width,
       height: this.height,
+      baseWidth: this.baseWidth,
+      speed: this.speed,
+      trackedVelocity: this.trackedVelocity,
       powerUps: this.powerUps,
       aiEnabled: this.aiEnabled,
       aiStrength: this.aiStrength
@@ -405,9 +488,14 @@ export class Paddle {
    */
   deserialize(data) {
     this.position.set(data.position.x, data.position.y);
+    this.previousPosition.set(data.position.x, data.position.y);
     this.velocity.set(data.velocity.x, data.velocity.y);
+    this.lastX = data.position.x;
+    this.trackedVelocity = data.trackedVelocity ?? 0;
     this.width = data.width;
     this.height = data.height;
+    this.baseWidth = data.baseWidth ?? this.baseWidth;
+    this.speed = data.speed ?? this.speed;
     this.powerUps = data.powerUps || {};
     this.aiEnabled = data.aiEnabled || false;
     this.aiStrength = data.aiStrength || 0.5;
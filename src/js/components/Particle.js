@@ -0,0 +1,83 @@
+import Vector2D from '../utils/Vector2D.js';
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * Short-lived visual particle
+ */
+export class Particle {
+  /**
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {Object} options - Particle options
+   * @param {number} options.vx - X velocity
+   * @param {number} options.vy - Y velocity
+   * @param {string} options.color - Fill color
+   * @param {number} options.size - Radius
+   * @param {number} options.decay - Life lost per frame
+   */
+  constructor(x, y, {
+    vx = 0,
+    vy = 0,
+    color = '#ffffff',
+    size = 3,
+    decay = GameConfig.EFFECTS.PARTICLE_DECAY
+  } = {}) {
+    this.position = new Vector2D(x, y);
+    this.previousPosition = new Vector2D(x, y);
+    this.velocity = new Vector2D(vx, vy);
+    this.color = color;
+    this.size = size;
+    this.life = GameConfig.EFFECTS.PARTICLE_LIFE;
+    this.decay = decay;
+  }
+
+  /**
+   * Update particle position and life
+   * @param {number} deltaTime - Time since last update
+   */
+  update(deltaTime) {
+    this.position.add(new Vector2D(this.velocity.x * deltaTime, this.velocity.y * deltaTime));
+    this.life -= this.decay * deltaTime;
+  }
+
+  /**
+   * Check if the particle is still visible
+   * @returns {boolean} True while alive
+   */
+  isAlive() {
+    return this.life > 0;
+  }
+
+  /**
+   * Remember the current position as the start of this tick
+   */
+  savePreviousPosition() {
+    this.previousPosition.set(this.position.x, this.position.y);
+  }
+
+  /**
+   * Get the position interpolated between the last two ticks
+   * @param {number} alpha - Interpolation factor (0-1)
+   * @returns {Vector2D} Render position
+   */
+  getRenderPosition(alpha = 1) {
+    return this.previousPosition.clone().lerp(this.position, alpha);
+  }
+
+  /**
+   * Render the particle
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} alpha - Interpolation factor between the last two ticks
+   */
+  render(ctx, alpha = 1) {
+    const { x, y } = this.getRenderPosition(alpha);
+
+    ctx.globalAlpha = Math.max(0, this.life);
+    ctx.fillStyle = this.color;
+    ctx.beginPath();
+    ctx.arc(x, y, this.size, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+export default Particle;
@@ -0,0 +1,162 @@
+import Vector2D from '../utils/Vector2D.js';
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * Falling power-up drop entity class
+ */
+export class PowerUp {
+  /**
+   * @param {number} x - Center X where the drop spawns
+   * @param {number} y - Top edge where the drop spawns
+   * @param {string} type - Drop type (key of GameConfig.POWERUPS.DROPS)
+   */
+  constructor(x, y, type) {
+    const drop = GameConfig.POWERUPS.DROPS[type];
+
+    this.width = GameConfig.POWERUPS.DROP_SIZE;
+    this.height = GameConfig.POWERUPS.DROP_SIZE;
+    this.position = new Vector2D(x - this.width / 2, y);
+    this.previousPosition = this.position.clone();
+    this.velocity = new Vector2D(0, GameConfig.POWERUPS.FALL_SPEED);
+    this.type = type;
+    this.effect = drop ? drop.effect : type;
+    this.color = drop ? drop.color : GameConfig.COLORS.GOLD;
+    this.glyph = drop ? drop.glyph : '?';
+  }
+
+  /**
+   * Update drop position
+   * @param {number} deltaTime - Time since last update
+   */
+  update(deltaTime) {
+    this.position.add(new Vector2D(this.velocity.x * deltaTime, this.velocity.y * deltaTime));
+  }
+
+  /**
+   * Remember the current position as the start of this tick
+   */
+  savePreviousPosition() {
+    this.previousPosition.set(this.position.x, this.position.y);
+  }
+
+  /**
+   * Get the position interpolated between the last two ticks
+   * @param {number} alpha - Interpolation factor (0-1)
+   * @returns {Vector2D} Render position
+   */
+  getRenderPosition(alpha = 1) {
+    return this.previousPosition.clone().lerp(this.position, alpha);
+  }
+
+  /**
+   * Check if the drop has fallen past the bottom of the playfield
+   * @param {Object} bounds - Playfield bounds
+   * @returns {boolean} True if off screen
+   */
+  isOffScreen(bounds) {
+    return this.position.y > bounds.height;
+  }
+
+  /**
+   * Check overlap with a paddle
+   * @param {Paddle} paddle - Paddle to test
+   * @returns {boolean} True if caught
+   */
+  intersects(paddle) {
+    const bounds = paddle.getBounds();
+    return this.position.x < bounds.right &&
+      this.position.x + this.width > bounds.left &&
+      this.position.y < bounds.bottom &&
+      this.position.y + this.height > bounds.top;
+  }
+
+  /**
+   * Get drop center point
+   * @returns {Vector2D} Center point
+   */
+  getCenter() {
+    return new Vector2D(this.position.x + this.width / 2, this.position.y + this.height / 2);
+  }
+
+  /**
+   * Render the drop
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {HTMLImageElement} icon - Western icon for this drop, if loaded
+   * @param {number} alpha - Interpolation factor between the last two ticks
+   * @param {Object} options - Render options
+   * @param {boolean} options.overlay - Mark the drop with its glyph
+   */
+  render(ctx, icon, alpha = 1, { overlay = false } = {}) {
+    const { x, y } = this.getRenderPosition(alpha);
+    const hasIcon = icon && icon.complete;
+
+    ctx.save();
+
+    if (hasIcon) {
+      ctx.drawImage(icon, x, y, this.width, this.height);
+    } else {
+      // Fallback to colored circle
+      ctx.fillStyle = this.color;
+      ctx.beginPath();
+      ctx.arc(x + this.width / 2, y + this.height / 2, this.width / 2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Fallback circles always carry their glyph; icons get it as a corner badge
+    if (overlay || !hasIcon) {
+      this.renderGlyph(ctx, x, y, hasIcon);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the drop's glyph, centered or as a badge in the top-right corner
+   * @private
+   */
+  renderGlyph(ctx, x, y, asBadge) {
+    const size = asBadge ? this.width * 0.35 : this.width * 0.6;
+    const centerX = asBadge ? x + this.width - size / 2 : x + this.width / 2;
+    const centerY = asBadge ? y + size / 2 : y + this.height / 2;
+
+    if (asBadge) {
+      ctx.fillStyle = 'rgba(20, 10, 5, 0.85)';
+      ctx.beginPath();
+      ctx.arc(centerX, centerY, size / 2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    ctx.font = `bold ${Math.round(size * (asBadge ? 0.7 : 1))}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = 'rgba(20, 10, 5, 0.9)';
+    ctx.fillStyle = '#ffffff';
+    ctx.strokeText(this.glyph, centerX, centerY);
+    ctx.fillText(this.glyph, centerX, centerY);
+  }
+
+  /**
+   * Serialize drop state
+   * @returns {Object} Serialized state
+   */
+  serialize() {
+    return {
+      position: this.position.toObject(),
+      velocity: this.velocity.toObject(),
+      type: this.type
+    };
+  }
+
+  /**
+   * Deserialize drop state
+   * @param {Object} data - Serialized state
+   */
+  deserialize(data) {
+    this.position.set(data.position.x, data.position.y);
+    this.previousPosition.set(data.position.x, data.position.y);
+    this.velocity.set(data.velocity.x, data.velocity.y);
+  }
+}
+
+export default PowerUp;
@@ -2,11 +2,22 @@
  * Game configuration and constants
  */
 export const GameConfig = {
+  // Game build, stamped into replays (keep in step with package.json)
+  VERSION: '2.0.0',
+
   // Canvas settings
   CANVAS: {
     DEFAULT_WIDTH: 800,
     DEFAULT_HEIGHT: 600,
-    MIN_DIMENSION: 400
+    MIN_DIMENSION: 400,
+    MAX_PIXEL_RATIO: 2 // Render-scale cap; lower is faster, higher is sharper
+  },
+
+  // Logical playfield that gameplay runs in, scaled to fit the screen
+  PLAYFIELD: {
+    WIDTH: 1000,
+    HEIGHT: 800,
+    LETTERBOX_COLOR: '#120a05'
   },
 
   // Game mechanics
@@ -23,9 +34,12 @@ export const GameConfig = {
   PHYSICS: {
     BALL_RADIUS: 8,
     BALL_SPEED: 3,
+    BALL_LAUNCH_ANGLE: 45, // degrees from vertical for a fresh ball
     PADDLE_WIDTH: 100,
     PADDLE_HEIGHT: 15,
     PADDLE_SPEED: 8,
+    PADDLE_MAX_BOUNCE_ANGLE: 60, // degrees from vertical at the paddle's edge
+    PADDLE_ENGLISH: 0.15, // radians of spin per unit of paddle-to-ball speed ratio
     BRICK_WIDTH: 75,
     BRICK_HEIGHT: 20,
     BRICK_PADDING: 5,
@@ -33,6 +47,142 @@ export const GameConfig = {
     BRICK_COLS: 10
   },
 
+  // Simulation loop
+  LOOP: {
+    TICK_RATE: 120, // Fixed simulation ticks per second
+    REFERENCE_FPS: 60, // PHYSICS speeds are tuned per 60 Hz frame
+    MAX_FRAME_TIME: 250, // ms, clamps long frames after tab switches
+    MAX_STEPS_PER_FRAME: 10
+  },
+
+  // Default bindings: two keyboard slots (KeyboardEvent.code values) and one
+  // gamepad slot (standard-mapping button, "Gamepad<index>") per action
+  INPUT: {
+    BINDINGS: {
+      moveLeft: ['ArrowLeft', 'KeyA', 'Gamepad14'],
+      moveRight: ['ArrowRight', 'KeyD', 'Gamepad15'],
+      launch: ['Space', 'Enter', 'Gamepad0'],
+      pause: ['Escape', 'KeyP', 'Gamepad9'],
+      fire: ['KeyF', null, 'Gamepad2'],
+      skipTrack: ['KeyS', null, 'Gamepad5'],
+      mute: ['KeyM', null, null],
+      highScores: ['KeyH', null, 'Gamepad3'],
+      watchReplay: ['KeyR', null, null],
+      fullscreen: ['F11', null, null],
+      menuUp: ['ArrowUp', null, 'Gamepad12'],
+      menuDown: ['ArrowDown', null, 'Gamepad13'],
+      back: ['Backspace', null, 'Gamepad1']
+    },
+    GAMEPAD_SLOT: 2, // Index of the gamepad slot in each binding
+    GAMEPAD: {
+      DEAD_ZONE: 0.15, // Stick travel ignored around center (0-1)
+      RESPONSE_CURVE: 1.5, // Stick exponent; 1 is linear, higher gives finer control near center
+      STICK_MENU_THRESHOLD: 0.6 // Stick travel that counts as a D-pad press in menus
+    },
+    // Pointer-lock mode, where mouse, trackball or spinner motion moves the paddle
+    SPINNER: {
+      ENABLED: false,
+      SENSITIVITY: 1, // Paddle travel per unit of motion, 1 matches the on-screen cursor
+      ACCELERATION: 0.5, // Extra gain for fast spins; 0 is linear
+      ACCELERATION_REFERENCE: 20 // Motion per tick (CSS px) at which acceleration adds its full gain
+    }
+  },
+
+  // Player settings and the choices offered for each
+  SETTINGS: {
+    DEFAULTS: {
+      masterVolume: 0.7,
+      sfxVolume: 0.8,
+      musicVolume: 0.3,
+      muted: false,
+      effectsQuality: 'high',
+      renderScale: 2, // Render-scale cap, see CANVAS.MAX_PIXEL_RATIO
+      reducedMotion: false, // Turned on by default when the system asks for reduced motion
+      language: 'en-western', // Replaced by the browser's language when it's one we offer
+      palette: 'classic', // Key of PALETTES
+      overlays: false, // Patterns on bricks and glyphs on power-ups, so nothing relies on color alone
+      captions: true,
+      captionSize: 'medium',
+      captionBackground: 'translucent',
+      directionIndicators: false // Markers at the playfield edge where a captioned sound came from
+    },
+    EFFECTS_QUALITY: {
+      low: { particles: 0.25, glow: false, trails: false },
+      medium: { particles: 0.5, glow: true, trails: false },
+      high: { particles: 1, glow: true, trails: true }
+    },
+    RENDER_SCALES: [1, 1.5, 2],
+    CAPTION_SIZES: ['small', 'medium', 'large'],
+    CAPTION_BACKGROUNDS: ['none', 'translucent', 'solid'],
+    // Offered languages: the name shown in the picker, the BCP 47 language
+    // used for the document and Intl formatting, and the language missing
+    // messages are looked up in next (catalogs are in config/locales)
+    LANGUAGES: {
+      en: { name: 'English', lang: 'en' },
+      'en-western': { name: 'English (Western)', lang: 'en', fallback: 'en' },
+      es: { name: 'Español', lang: 'es', fallback: 'en' },
+      de: { name: 'Deutsch', lang: 'de', fallback: 'en' }
+    }
+  },
+
+  // Brick palettes. Bricks keep their classic color in the simulation; the
+  // renderer swaps it for the same row in the chosen palette.
+  PALETTES: {
+    classic: {
+      name: 'Classic',
+      bricks: ['#dc143c', '#ff6600', '#ffd700', '#00ff7f', '#00ffff', '#8a2be2', '#ff69b4', '#deb887']
+    },
+    deuteranopia: {
+      name: 'Deuteranopia',
+      bricks: ['#e69f00', '#56b4e9', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#009e73', '#f0f0f0']
+    },
+    protanopia: {
+      name: 'Protanopia',
+      bricks: ['#ffb000', '#648fff', '#f0f0a0', '#785ef0', '#fe6100', '#a0d8ff', '#dc267f', '#f5f5f5']
+    },
+    tritanopia: {
+      name: 'Tritanopia',
+      bricks: ['#d62728', '#17becf', '#ff9896', '#2a6f6f', '#f7f7f7', '#8c2d04', '#9edae5', '#7f7f7f']
+    },
+    highContrast: {
+      name: 'High contrast',
+      bricks: ['#ffffff', '#ffff00', '#00ffff', '#ff40ff', '#40ff40', '#ff8c00', '#c0c0c0', '#80c0ff']
+    }
+  },
+
+  // Pause menu
+  PAUSE: {
+    COUNTDOWN: [3, 2, 1, 'pause.go'], // Shown in turn before play resumes; strings are message keys
+    COUNTDOWN_STEP: 700 // ms per countdown step
+  },
+
+  // Screen-reader support
+  ACCESSIBILITY: {
+    ANNOUNCE_INTERVAL: 1200, // Least ms between live-region announcements
+    DESCRIPTION_INTERVAL: 1000, // Least ms between canvas description updates
+    COMBO_ANNOUNCE_STEP: 10 // Combos are announced at every multiple of this
+  },
+
+  // Captions for sound effects and voice lines
+  CAPTIONS: {
+    DURATION: 2500, // ms each caption stays up
+    MAX_LINES: 3,
+    INDICATOR_DURATION: 1200, // ms a direction marker stays up
+    // Sound effects worth a caption (text is the captions.<sound> message);
+    // clicks, hits and menu blips are left out
+    SOUNDS: ['ballLost', 'powerUpCollect', 'levelComplete', 'gameOver', 'combo3', 'combo5', 'combo10', 'explosion'],
+    // Voice lines by file name -> captions message
+    VOICES: {
+      'stateyourname.wav': 'stateYourName'
+    }
+  },
+
+  // Replay recording and playback
+  REPLAY: {
+    KEYFRAME_INTERVAL: 600, // Ticks between playback snapshots used for scrubbing
+    SPEEDS: [0.25, 0.5, 1, 2, 4]
+  },
+
   // Power-up configurations
   POWERUPS: {
     DROP_CHANCE: 0.3, // 30% chance
@@ -48,7 +198,19 @@ export const GameConfig = {
       MAGNETIC: 'magnetic',
       EXPLOSIVE: 'explosive',
       TIME_FREEZE: 'time_freeze'
-    }
+    },
+    // Western-themed drops and the effect type each one applies
+    DROPS: {
+      // glyph marks the drop when overlays are on; the name read out to
+      // screen readers is the powerUps.<type> message
+      dynamite: { effect: 'multi_ball', color: '#8b4513', glyph: '✱' },
+      whiskey: { effect: 'wide', color: '#d2691e', glyph: '↔' },
+      horseshoe: { effect: 'slow', color: '#c0c0c0', glyph: '▼' },
+      boots: { effect: 'fast', color: '#654321', glyph: '▲' },
+      sheriff_badge: { effect: 'pierce', color: '#ffd700', glyph: '★' }
+    },
+    DROP_SIZE: 60,
+    FALL_SPEED: 2
   },
 
   // Scoring
@@ -66,7 +228,16 @@ export const GameConfig = {
     PARTICLE_LIFE: 1.0,
     PARTICLE_DECAY: 0.02,
     SCREEN_SHAKE_DURATION: 500,
-    TRAIL_LENGTH: 5
+    TRAIL_LENGTH: 5,
+    FLASH_MAX_PER_SECOND: 3, // Photosensitivity limit for full-screen flashes
+    // Reduced-motion mode
+    REDUCED_MOTION: {
+      PARTICLE_SCALE: 0.3, // Applied on top of the effects-quality setting
+      MAX_PARTICLES: 4, // Per burst
+      TRAIL_LENGTH: 2,
+      FADE_OPACITY: 0.15, // Strongest a fade standing in for a shake or flash gets
+      FLASH_MAX_PER_SECOND: 1
+    }
   },
 
   // Colors (Western theme)
@@ -86,73 +257,65 @@ export const GameConfig = {
   AUDIO: {
     MASTER_VOLUME: 0.7,
     EFFECTS_VOLUME: 0.5,
-    MUSIC_VOLUME: 0.3
+    MUSIC_VOLUME: 0.3,
+    // Music playlist, in assets/sounds; a level can ask for one by name
+    TRACKS: [
+      'harmonica 1 tunes - bar 141 - Eitan Epstein Music - main.wav',
+      'The Western short version.wav',
+      'Western.mp3',
+      'Western (Full Version).mp3',
+      'Country Western/Country Western 01.mp3',
+      'Country/Country.mp3',
+      'Country Ways.mp3',
+      'Lady Fortune.mp3',
+      'Traveling Through.mp3',
+      'CountryHoedown_96_JHungerX.wav',
+      'Funny Country.wav',
+      'Uplifting Country 2.wav',
+      'acd c tunes 02a - bar 1225 - eitan-ep - main.wav'
+    ]
   },
 
-  // Achievement definitions
+  // Achievement definitions; names and descriptions are the
+  // achievements.<id> messages
   ACHIEVEMENTS: {
-    FIRST_BLOOD: { 
-      id: 'first_blood', 
-      name: 'First Draw', 
-      description: 'Destroy your first target', 
-      icon: '🔫' 
-    },
-    COMBO_MASTER: { 
-      id: 'combo_master', 
-      name: 'Gunslinger', 
-      description: 'Achieve a 20+ combo streak', 
-      icon: '🔥' 
-    },
-    LEVEL_10: { 
-      id: 'level_10', 
-      name: 'Frontier Marshal', 
-      description: 'Reach level 10 in the Wild West', 
-      icon: '🤠' 
-    },
-    BOSS_SLAYER: { 
-      id: 'boss_slayer', 
-      name: 'Outlaw Hunter', 
-      description: 'Defeat your first gang boss', 
-      icon: '👑' 
-    },
-    PERFECT_LEVEL: { 
-      id: 'perfect_level', 
-      name: 'Sharpshooter', 
-      description: 'Complete a level without losing the ball', 
-      icon: '🎯' 
-    },
-    POWER_USER: { 
-      id: 'power_user', 
-      name: 'Weapons Master', 
-      description: 'Collect 10 power-ups in one game', 
-      icon: '⚡' 
-    },
-    HIGH_ROLLER: { 
-      id: 'high_roller', 
-      name: 'High Stakes', 
-      description: 'Score over 100,000 points', 
-      icon: '💰' 
+    FIRST_BLOOD: { id: 'first_blood', icon: '🔫' },
+    COMBO_MASTER: { id: 'combo_master', icon: '🔥' },
+    LEVEL_10: { id: 'level_10', icon: '🤠' },
+    BOSS_SLAYER: { id: 'boss_slayer', icon: '👑' },
+    PERFECT_LEVEL: { id: 'perfect_level', icon: '🎯' },
+    POWER_USER: { id: 'power_user', icon: '⚡' },
+    HIGH_ROLLER: { id: 'high_roller', icon: '💰' },
+    SPEED_DEMON: { id: 'speed_demon', icon: '⚡' }
+  },
+
+  // Level data (see core/Level.js; built-in levels are in config/levels)
+  LEVELS: {
+    FORMAT: 1,
+    COLUMNS: 12, // Widest brick grid; narrower levels are centered
+    MAX_ROWS: 16,
+    MAX_HITS: 5,
+    TOP: 105, // Playfield units above the first brick row
+    DROP_CHANCE: 0.08, // Chance a brick with no set drop lets a random one fall
+    // What each brick type takes to break and what it scores (times the
+    // base brick score); explosive bricks also hit every brick around them
+    BRICK_TYPES: {
+      normal: { hits: 1, points: 1 },
+      armored: { hits: 3, points: 2 },
+      explosive: { hits: 1, points: 1 },
+      treasure: { hits: 1, points: 5 }
     },
-    SPEED_DEMON: { 
-      id: 'speed_demon', 
-      name: 'Lightning Quick', 
-      description: 'Complete a level in under 30 seconds', 
-      icon: '⚡' 
-    }
+    // Background images in assets/img; a level can also use a plain #rrggbb color
+    BACKGROUNDS: ['background.webp'],
+    DEFAULT_BACKGROUND: 'background.webp'
   },
 
-  // Layout patterns for brick generation
-  LAYOUTS: {
-    CLASSIC: 'classic',
-    PYRAMID: 'pyramid',
-    DIAMOND: 'diamond',
-    WAVE: 'wave',
-    CHECKERED: 'checkered',
-    CIRCLE: 'circle',
-    CROSS: 'cross',
-    HEART: 'heart',
-    SPIRAL: 'spiral',
-    RANDOM: 'random'
+  // Level editor
+  EDITOR: {
+    ROWS: 8, // Rows in a new draft
+    HISTORY: 100, // Undo steps kept
+    GRID_COLOR: 'rgba(255, 215, 0, 0.25)', // Outline of empty cells
+    DROP_MARK: '?' // Marks a brick that drops a random power-up
   }
 };
 
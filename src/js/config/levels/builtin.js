@@ -0,0 +1,245 @@
+/**
+ * Built-in levels
+ *
+ * Ported from the layout generators of the original single-page game
+ * (createPyramidLayout() and friends). Those placed bricks freely and
+ * rolled hits and brick types for the level being played; here each
+ * generator runs once, rasterized onto the level grid, with the hits and
+ * types it would have rolled for its place in the sequence, and produces
+ * plain level data (see core/Level.js). Rolls come from a stream seeded
+ * with the level id, so the levels are the same every time.
+ */
+import { GameConfig } from '../GameConfig.js';
+import { Random } from '../../core/Random.js';
+import { Level } from '../../core/Level.js';
+
+const { COLUMNS } = GameConfig.LEVELS;
+const COLORS = GameConfig.PALETTES.classic.bricks.length;
+
+/**
+ * Hits for a brick, harder further down and on later levels
+ * @private
+ */
+function calculateHits(row, totalRows, level) {
+  if (level === 1) return 1;
+  if (level === 2) return row < totalRows / 2 ? 1 : 2;
+  if (level === 3) {
+    if (row < totalRows / 3) return 1;
+    return row < (totalRows * 2) / 3 ? 2 : 3;
+  }
+
+  // Progressive difficulty
+  const baseHits = 1 + Math.floor(row / (totalRows / level));
+  return Math.min(baseHits, GameConfig.LEVELS.MAX_HITS);
+}
+
+/**
+ * Roll a brick: more special bricks on later levels
+ * @private
+ */
+function createBrick(row, totalRows, level, rng, color) {
+  const hits = calculateHits(row, totalRows, level);
+  const rand = rng.next();
+  const difficultyFactor = level * 0.02;
+
+  if (rand < 0.05 + difficultyFactor) return { type: 'treasure', color, hits };
+  if (rand < 0.1 + difficultyFactor) return { type: 'normal', color, hits, drop: 'random' };
+  if (rand < 0.12 + difficultyFactor) return { type: 'explosive', color, hits };
+  if (row < totalRows / 3 && rand < 0.15 + difficultyFactor) {
+    return { type: 'armored', color, hits: Math.max(hits, 2) };
+  }
+  return { type: 'normal', color, hits };
+}
+
+/**
+ * Turn a grid of bricks (null for empty cells) into level data
+ * @private
+ */
+function toLevel(name, grid, properties = {}) {
+  // Trim empty rows so the level starts at the top of the brick area
+  while (grid.length > 0 && grid[0].every(cell => !cell)) grid.shift();
+  while (grid.length > 0 && grid[grid.length - 1].every(cell => !cell)) grid.pop();
+
+  return Level.fromGrid(grid, { name, ...properties }).toJSON();
+}
+
+/**
+ * Make an empty grid
+ * @private
+ */
+function createGrid(rows, columns = COLUMNS) {
+  return Array.from({ length: rows }, () => new Array(columns).fill(null));
+}
+
+/**
+ * Fill a grid, asking a callback for the brick (or nothing) in each cell
+ * @private
+ */
+function fillGrid(rows, id, place, columns = COLUMNS) {
+  const rng = new Random(id).stream('layout');
+  const grid = createGrid(rows, columns);
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      grid[row][column] = place(row, column, rng);
+    }
+  }
+  return grid;
+}
+
+// The eight-row rainbow wall every run opens with
+function createClassicLayout() {
+  const grid = fillGrid(8, 'classic', row => ({ type: 'normal', color: row % COLORS, hits: 1 }));
+  return toLevel('Classic', grid);
+}
+
+function createPyramidLayout(level) {
+  const rows = 8 + Math.floor(level / 4);
+  const grid = fillGrid(rows, 'pyramid', (row, column, rng) => {
+    const colsInRow = Math.min((row + 1) * 2, COLUMNS);
+    const start = (COLUMNS - colsInRow) / 2;
+    if (column < start || column >= start + colsInRow) return null;
+    return createBrick(row, rows, level, rng, row % COLORS);
+  });
+  return toLevel('Pyramid', grid);
+}
+
+function createDiamondLayout(level) {
+  const rows = 12 + Math.floor(level / 3);
+  const midRow = Math.floor(rows / 2);
+  const grid = fillGrid(rows, 'diamond', (row, column, rng) => {
+    const distFromMid = Math.abs(row - midRow);
+    const colsInRow = Math.max(2, COLUMNS - distFromMid * 2);
+    const start = (COLUMNS - colsInRow) / 2;
+    if (column < start || column >= start + colsInRow) return null;
+    return createBrick(row, rows, level, rng, row % COLORS);
+  });
+  return toLevel('Diamond', grid);
+}
+
+function createWaveLayout(level) {
+  const bandRows = 8 + Math.floor(level / 3);
+  const amplitude = 3; // Rows the band rises and falls by
+  const grid = fillGrid(bandRows + amplitude, 'wave', (row, column, rng) => {
+    const waveOffset = Math.round(((Math.sin(column * 0.5) + 1) / 2) * amplitude);
+    const bandRow = row - waveOffset;
+    if (bandRow < 0 || bandRow >= bandRows) return null;
+    return createBrick(bandRow, bandRows, level, rng, bandRow % COLORS);
+  });
+  return toLevel('Wave', grid);
+}
+
+function createCheckeredLayout(level) {
+  const rows = 10 + Math.floor(level / 3);
+  const grid = fillGrid(rows, 'checkered', (row, column, rng) => (
+    (row + column) % 2 === 0 ? createBrick(row, rows, level, rng, row % COLORS) : null
+  ));
+  return toLevel('Checkered', grid);
+}
+
+function createCircleLayout(level) {
+  const rows = 13;
+  const rings = 5 + Math.floor(level / 4);
+  const grid = fillGrid(rows, 'circle', (row, column, rng) => {
+    // Distance from the middle, 1 at the edge of the grid
+    const x = (column - (COLUMNS - 1) / 2) / (COLUMNS / 2);
+    const y = (row - (rows - 1) / 2) / (rows / 2);
+    const ring = Math.floor(Math.hypot(x, y) * rings);
+    if (ring >= rings || ring % 2 === 1) return null;
+    return createBrick(ring, rings, level, rng, ring % COLORS);
+  });
+  return toLevel('Circle', grid);
+}
+
+function createCrossLayout(level) {
+  const rows = 12 + Math.floor(level / 3);
+  const midColumn = (COLUMNS - 1) / 2;
+  const midRow = (rows - 1) / 2;
+  const thickness = 2;
+  const grid = fillGrid(rows, 'cross', (row, column, rng) => {
+    const inVertical = Math.abs(column - midColumn) < thickness;
+    const inHorizontal = Math.abs(row - midRow) < thickness;
+    return inVertical || inHorizontal ? createBrick(row, rows, level, rng, row % COLORS) : null;
+  });
+  return toLevel('Cross', grid);
+}
+
+function createHeartLayout() {
+  const rows = 11;
+  const colors = [0, 6]; // Crimson and pink
+  let index = 0;
+  const grid = fillGrid(rows, 'heart', (row, column) => {
+    // Inside (x² + y² - 1)³ - x²y³ <= 0
+    const x = (column - (COLUMNS - 1) / 2) * 0.22;
+    const y = 1.2 - row * 0.23;
+    const inside = (x * x + y * y - 1) ** 3 - x * x * y * y * y <= 0;
+    if (!inside) return null;
+
+    const brick = { type: 'normal', color: colors[row % colors.length], hits: 1 };
+    if (index % 9 === 0) brick.drop = 'random';
+    index++;
+    return brick;
+  });
+  return toLevel('Heart', grid);
+}
+
+function createSpiralLayout(level) {
+  const rows = 14;
+  const grid = createGrid(rows);
+  const rng = new Random('spiral').stream('layout');
+  const turns = 2.5;
+  const steps = 400;
+  let placed = 0;
+
+  // Walk out from the middle, stretched to fill the grid
+  for (let i = 0; i < steps; i++) {
+    const t = i / steps;
+    const angle = t * turns * Math.PI * 2;
+    const column = Math.round((COLUMNS - 1) / 2 + Math.cos(angle) * t * (COLUMNS / 2));
+    const row = Math.round((rows - 1) / 2 + Math.sin(angle) * t * (rows / 2));
+
+    if (column >= 0 && column < COLUMNS && row >= 0 && row < rows && !grid[row][column]) {
+      grid[row][column] = createBrick(Math.floor(t * turns * 2), turns * 2, level, rng, placed % COLORS);
+      placed++;
+    }
+  }
+  return toLevel('Spiral', grid);
+}
+
+function createRandomClusters(level) {
+  const rows = 12;
+  const grid = createGrid(rows);
+  const rng = new Random('random').stream('layout');
+  const numClusters = 4 + Math.floor(level / 4);
+
+  for (let cluster = 0; cluster < numClusters; cluster++) {
+    const clusterColumn = rng.int(1, COLUMNS - 2);
+    const clusterRow = rng.int(1, rows - 2);
+
+    for (let row = clusterRow - 2; row <= clusterRow + 2; row++) {
+      for (let column = clusterColumn - 2; column <= clusterColumn + 2; column++) {
+        const inside = Math.hypot((column - clusterColumn) / 2, (row - clusterRow) / 2) <= 1;
+        const onGrid = row >= 0 && row < rows && column >= 0 && column < COLUMNS;
+        if (inside && onGrid && !grid[row][column] && rng.chance(0.75)) {
+          grid[row][column] = createBrick(cluster, numClusters, level, rng, cluster % COLORS);
+        }
+      }
+    }
+  }
+  return toLevel('Clusters', grid);
+}
+
+// Level data by id; the level number is where each sat in the old rotation
+export const BUILTIN_LEVELS = {
+  classic: createClassicLayout(),
+  pyramid: createPyramidLayout(2),
+  diamond: createDiamondLayout(3),
+  wave: createWaveLayout(4),
+  checkered: createCheckeredLayout(5),
+  circle: createCircleLayout(6),
+  cross: createCrossLayout(7),
+  heart: createHeartLayout(8),
+  spiral: createSpiralLayout(9),
+  random: createRandomClusters(10)
+};
+
+export default BUILTIN_LEVELS;
@@ -0,0 +1,12 @@
+/**
+ * Level sequence played by a normal run (ids of BUILTIN_LEVELS)
+ */
+import { BUILTIN_LEVELS } from './builtin.js';
+
+export const LEVEL_MANIFEST = {
+  levels: ['classic', 'pyramid', 'diamond', 'wave', 'checkered', 'circle', 'cross', 'heart', 'spiral', 'random']
+};
+
+export { BUILTIN_LEVELS };
+
+export default LEVEL_MANIFEST;
@@ -0,0 +1,308 @@
+/**
+ * German messages
+ */
+export default {
+  start: {
+    registration: 'ANMELDUNG ERFORDERLICH',
+    stateName: 'Nenn deinen Namen, Fremder',
+    nameLabel: 'Name des Banditen:',
+    namePlaceholder: 'HIER EINGEBEN...',
+    nameRequired: '⚠️ Ohne Namen kein Zutritt zum Saloon! ⚠️',
+    nameMissing: 'NENN DEINEN NAMEN, PARTNER!',
+    defaultName: 'BANDIT',
+    enter: 'SALOON BETRETEN',
+    pressWhenReady: '{keys} drücken, wenn du bereit bist',
+    touchToEnter: 'Zum Betreten tippen',
+    enterNameFirst: 'Erst den Namen eingeben',
+    controls: '🎮 STEUERUNG',
+    settings: '⚙️ EINSTELLUNGEN',
+    editor: '🛠️ LEVEL-EDITOR',
+    helpMove: '🎯 PFEILTASTEN oder WASD zum Zielen',
+    helpKeys: '🔫 {launch} zum Abschlagen • {scores} für die Ruhmeshalle • {mute} für Ton aus'
+  },
+
+  continueRun: {
+    title: 'Spiel fortsetzen?',
+    details: '{name} • LEVEL {level} • {score} PKT • {count} LEBEN',
+    continue: 'FORTSETZEN',
+    startOver: 'NEU ANFANGEN'
+  },
+
+  hud: {
+    score: 'Punkte:',
+    lives: 'Leben:',
+    level: 'LEVEL {level}'
+  },
+
+  gameOver: {
+    title: 'SPIEL VORBEI',
+    newHighScore: 'NEUER REKORD! PLATZ {rank}',
+    finalScore: 'Endstand: {score}',
+    prompt: '🤠 <strong>LEERTASTE</strong> drücken und wieder aufsatteln',
+    again: '🤠 WIEDER AUFSATTELN',
+    scores: 'RUHMESHALLE',
+    replay: 'WIEDERHOLUNG ANSEHEN',
+    keys: '<strong>H</strong> zeigt die Rekorde • <strong>R</strong> zeigt die Wiederholung • <strong>M</strong> schaltet den Ton aus und ein'
+  },
+
+  highScores: {
+    title: '🤠 RUHMESHALLE 🤠',
+    empty: 'Noch keine Rekorde!',
+    rank: 'Platz',
+    name: 'Name',
+    score: 'Punkte',
+    level: 'Level',
+    date: 'Datum',
+    replay: 'Wiederholung',
+    watchReplay: 'Wiederholung ansehen',
+    exportReplay: 'Wiederholung exportieren',
+    loadReplay: '📂 WIEDERHOLUNG LADEN',
+    backPrompt: '<strong>LEERTASTE</strong> drücken, um zurückzureiten'
+  },
+
+  bindings: {
+    title: '🤠 STEUERUNG 🤠',
+    slots: {
+      key: 'TASTE',
+      altKey: 'ALT. TASTE',
+      gamepad: 'GAMEPAD'
+    },
+    pressKey: 'TASTE DRÜCKEN…',
+    pressButton: 'KNOPF DRÜCKEN…',
+    deadZone: 'Stick-Totzone',
+    responseCurve: 'Stick-Ansprechverhalten',
+    linear: 'linear',
+    spinner: 'Spinner-Modus (sperrt die Maus)',
+    spinnerSensitivity: 'Spinner-Empfindlichkeit',
+    spinnerAcceleration: 'Spinner-Beschleunigung',
+    off: 'aus',
+    backPrompt: 'Taste oder Knopf anklicken, um sie zu ändern • <strong>ESC</strong> zum Zurückreiten'
+  },
+
+  actions: {
+    moveLeft: 'Nach links',
+    moveRight: 'Nach rechts',
+    launch: 'Abschießen / bestätigen',
+    pause: 'Pause',
+    fire: 'Feuern',
+    skipTrack: 'Titel überspringen',
+    mute: 'Ton aus',
+    highScores: 'Ruhmeshalle',
+    watchReplay: 'Wiederholung ansehen',
+    fullscreen: 'Vollbild',
+    menuUp: 'Menü hoch',
+    menuDown: 'Menü runter',
+    back: 'Zurück'
+  },
+
+  settings: {
+    title: '🤠 EINSTELLUNGEN 🤠',
+    sound: 'Ton',
+    masterVolume: 'Gesamtlautstärke',
+    sfxVolume: 'Soundeffekte',
+    musicVolume: 'Musik',
+    muted: 'Alles stumm',
+    captions: 'Untertitel',
+    showCaptions: 'Untertitel für Geräusche und Stimmen',
+    captionSize: 'Untertitelgröße',
+    captionSizes: {
+      small: 'Klein',
+      medium: 'Mittel',
+      large: 'Groß'
+    },
+    captionBackground: 'Untertitelhintergrund',
+    captionBackgrounds: {
+      none: 'Keiner (umrandeter Text)',
+      translucent: 'Durchscheinend',
+      solid: 'Deckend'
+    },
+    directionIndicators: 'Pfeile, die zeigen, woher Geräusche kommen',
+    controls: 'Steuerung',
+    display: 'Anzeige',
+    effectsQuality: 'Effektqualität',
+    qualities: {
+      low: 'Niedrig',
+      medium: 'Mittel',
+      high: 'Hoch'
+    },
+    renderScale: 'Renderskalierung',
+    renderScaleFastest: '1× (am schnellsten)',
+    renderScaleSharpest: '2× (am schärfsten)',
+    palette: 'Ziegelfarben',
+    overlays: 'Muster auf Ziegeln und Symbole auf Power-ups',
+    reducedMotion: 'Weniger Bewegung (kein Wackeln oder Blitzen, weniger Partikel)',
+    language: 'Sprache',
+    openControls: '🎮 STEUERUNG…',
+    backPrompt: 'Änderungen gelten sofort • <strong>ESC</strong> zum Zurückreiten'
+  },
+
+  palettes: {
+    classic: 'Klassisch',
+    deuteranopia: 'Deuteranopie',
+    protanopia: 'Protanopie',
+    tritanopia: 'Tritanopie',
+    highContrast: 'Hoher Kontrast'
+  },
+
+  pause: {
+    title: '⏸️ PAUSE',
+    resume: 'WEITER',
+    restart: 'LEVEL NEU STARTEN',
+    settings: 'EINSTELLUNGEN',
+    help: 'STEUERUNGSHILFE',
+    quit: 'ZUM TITELBILDSCHIRM',
+    go: 'ZIEH!'
+  },
+
+  replay: {
+    playPause: 'Abspielen/Pause (LEERTASTE)',
+    position: 'Position in der Wiederholung',
+    speed: 'Wiedergabegeschwindigkeit',
+    export: 'Wiederholung exportieren',
+    close: 'Ansehen beenden'
+  },
+
+  editor: {
+    title: '🛠️ LEVEL-EDITOR',
+    brush: 'Pinsel',
+    tool: 'Werkzeug',
+    tools: {
+      paint: 'Malen',
+      erase: 'Löschen',
+      drop: 'Bonus setzen'
+    },
+    color: 'Farbe',
+    colorOption: 'Farbe {number}',
+    type: 'Steintyp',
+    types: {
+      normal: 'Einfach',
+      armored: 'Gepanzert',
+      explosive: 'Explosiv',
+      treasure: 'Schatz'
+    },
+    hits: 'Treffer',
+    drop: 'Bonus beim Zerstören',
+    noDrop: 'Keiner',
+    randomDrop: 'Beliebig (zufällig)',
+    level: 'Level',
+    name: 'Name',
+    namePlaceholder: 'Ohne Titel',
+    columns: 'Spalten',
+    rows: 'Reihen',
+    ballSpeed: 'Ballgeschwindigkeit',
+    dropChance: 'Zufällige Bonuschance',
+    music: 'Musik',
+    keepMusic: 'Playlist weiterlaufen lassen',
+    background: 'Hintergrund',
+    defaultBackground: 'Standard',
+    plainColor: 'Einfarbig',
+    backgroundColor: 'Hintergrundfarbe',
+    undo: '↶ RÜCKGÄNGIG',
+    redo: '↷ WIEDERHOLEN',
+    new: 'NEU',
+    save: '💾 SPEICHERN',
+    import: '📂 IMPORTIEREN',
+    export: '📤 EXPORTIEREN',
+    playTest: '▶ TESTEN',
+    backToEditor: 'ZURÜCK ZUM EDITOR',
+    saved: 'Entwurf gespeichert.',
+    saveFailed: 'Der Entwurf konnte nicht gespeichert werden.',
+    imported: 'Level geladen.',
+    invalid: 'Dieses Level ist noch nicht spielbar: {error}',
+    backPrompt: 'Zum Malen auf das Spielfeld klicken oder ziehen • <strong>Strg+Z</strong> / <strong>Strg+Y</strong> zum Rückgängigmachen / Wiederholen • <strong>ESC</strong> für zurück'
+  },
+
+  common: {
+    back: 'ZURÜCK',
+    resetDefaults: 'ZURÜCKSETZEN'
+  },
+
+  mobile: {
+    skipSong: 'TITEL ÜBERSPRINGEN',
+    helpMove: '👆 Berühren und ziehen, um den Schläger zu bewegen',
+    helpSkip: '🎵 Tippen, um Titel zu überspringen',
+    install: '🤠 AUFSATTELN!'
+  },
+
+  powerUps: {
+    dynamite: 'Dynamit',
+    whiskey: 'Whiskey',
+    horseshoe: 'Glückshufeisen',
+    boots: 'Stiefel',
+    sheriff_badge: 'Sheriffstern'
+  },
+
+  effects: {
+    wide: 'breiter Schläger',
+    slow: 'langsamer Ball',
+    fast: 'schneller Ball',
+    pierce: 'durchschlagender Ball'
+  },
+
+  announce: {
+    lifeLost: 'Ball verloren! Noch {count} Leben.',
+    levelCleared: 'Level geschafft! Weiter mit Level {level}. Punkte: {score}.',
+    powerUp: 'Power-up: {name}.',
+    combo: '{count}er-Combo!',
+    runStarted: 'Spiel gestartet. Level {level}, {count} Leben.',
+    paused: 'Pause.',
+    resuming: 'Es geht weiter.',
+    gameOver: 'Spiel vorbei. Endstand {score}, Level {level}.',
+    newHighScore: 'Neuer Rekord, Platz {rank}!'
+  },
+
+  describe: {
+    canvas: 'KnockoffArcade-Spielfeld',
+    idle: 'KnockoffArcade-Spielfeld. Kein Spiel im Gange.',
+    level: 'Level {level}',
+    replayLevel: 'Wiederholung, Level {level}',
+    score: '{score} Punkte',
+    lives: '{count} Leben',
+    targets: {
+      one: 'noch {count} Ziel',
+      other: 'noch {count} Ziele'
+    },
+    gameOver: 'Spiel vorbei',
+    paused: 'pausiert',
+    ball: {
+      one: 'Ball {motion} {side}',
+      other: '{count} Bälle, der tiefste {motion} {side}'
+    },
+    falling: 'fällt',
+    rising: 'steigt',
+    above: 'über dem Schläger',
+    left: 'links vom Schläger',
+    right: 'rechts vom Schläger',
+    active: 'aktiv: {effects}'
+  },
+
+  captions: {
+    ballLost: '[Pfiff fällt ab]',
+    powerUpCollect: '[Saloontür knarrt]',
+    levelComplete: '[Mundharmonika-Melodie]',
+    gameOver: '[Dramatische Akkorde]',
+    combo3: '[Jii!]',
+    combo5: '[Jiihaa!]',
+    combo10: '[JIIHAAA!]',
+    explosion: '[Dynamit explodiert]',
+    stateYourName: 'Sheriff: Nenn deinen Namen'
+  },
+
+  achievements: {
+    first_blood: { name: 'Erster Schuss', description: 'Zerstöre dein erstes Ziel' },
+    combo_master: { name: 'Revolverheld', description: 'Schaffe eine Combo von über 20' },
+    level_10: { name: 'Marshal der Grenze', description: 'Erreiche Level 10 im Wilden Westen' },
+    boss_slayer: { name: 'Banditenjäger', description: 'Besiege deinen ersten Bandenboss' },
+    perfect_level: { name: 'Scharfschütze', description: 'Schaffe ein Level, ohne den Ball zu verlieren' },
+    power_user: { name: 'Waffenmeister', description: 'Sammle 10 Power-ups in einem Spiel' },
+    high_roller: { name: 'Hoher Einsatz', description: 'Erziele über 100.000 Punkte' },
+    speed_demon: { name: 'Blitzschnell', description: 'Schaffe ein Level in unter 30 Sekunden' }
+  },
+
+  error: {
+    title: '⚠️ FEHLER ⚠️',
+    failed: 'Das Spiel konnte nicht gestartet werden:',
+    hint: 'Lade die Seite neu oder prüfe, ob dein Browser unterstützt wird.',
+    refresh: 'Seite neu laden'
+  }
+};
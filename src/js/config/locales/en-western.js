@@ -0,0 +1,46 @@
+/**
+ * Western-flavored English - the game's own voice. Only the messages that
+ * differ from plain English are listed; the rest fall back to en.
+ */
+export default {
+  start: {
+    registration: 'REGISTRATION REQUIRED',
+    stateName: 'State yer name, stranger',
+    nameLabel: 'Outlaw Name:',
+    nameRequired: '⚠️ Name required to enter saloon! ⚠️',
+    nameMissing: 'ENTER YER NAME, PARTNER!',
+    defaultName: 'OUTLAW',
+    enter: 'ENTER SALOON',
+    touchToEnter: 'Touch to enter',
+    helpMove: '🎯 Use ARROW KEYS or WASD to aim',
+    helpKeys: '🔫 {launch} to launch • {scores} for Hall of Fame • {mute} to Mute'
+  },
+
+  gameOver: {
+    prompt: '🤠 Press <strong>SPACE</strong> to saddle up again',
+    again: '🤠 SADDLE UP AGAIN'
+  },
+
+  highScores: {
+    title: '🤠 HALL OF FAME 🤠',
+    backPrompt: 'Press <strong>SPACE</strong> to mosey on back'
+  },
+
+  bindings: {
+    title: '🤠 CONTROLS 🤠',
+    backPrompt: 'Click a key or button to change it • <strong>ESC</strong> to mosey on back'
+  },
+
+  settings: {
+    title: '🤠 SETTINGS 🤠',
+    backPrompt: 'Changes apply right away • <strong>ESC</strong> to mosey on back'
+  },
+
+  pause: {
+    go: 'DRAW!'
+  },
+
+  mobile: {
+    install: '🤠 SADDLE UP!'
+  }
+};
@@ -0,0 +1,323 @@
+/**
+ * English messages - the base every other catalog falls back to
+ */
+export default {
+  start: {
+    registration: 'SIGN IN',
+    stateName: 'Enter your name',
+    nameLabel: 'Player name:',
+    namePlaceholder: 'TYPE HERE...',
+    nameRequired: '⚠️ A name is required to play ⚠️',
+    nameMissing: 'ENTER YOUR NAME!',
+    defaultName: 'PLAYER',
+    enter: 'PLAY',
+    pressWhenReady: 'Press {keys} when ready',
+    touchToEnter: 'Touch to play',
+    enterNameFirst: 'Enter name first',
+    controls: '🎮 CONTROLS',
+    settings: '⚙️ SETTINGS',
+    editor: '🛠️ LEVEL EDITOR',
+    helpMove: '🎯 Use ARROW KEYS or WASD to move',
+    helpKeys: '🔫 {launch} to launch • {scores} for Hall of Fame • {mute} to Mute'
+  },
+
+  continueRun: {
+    title: 'Continue run?',
+    details: {
+      one: '{name} • LEVEL {level} • {score} PTS • {count} LIFE',
+      other: '{name} • LEVEL {level} • {score} PTS • {count} LIVES'
+    },
+    continue: 'CONTINUE',
+    startOver: 'START OVER'
+  },
+
+  hud: {
+    score: 'Score:',
+    lives: 'Lives:',
+    level: 'LEVEL {level}'
+  },
+
+  gameOver: {
+    title: 'GAME OVER',
+    newHighScore: 'NEW HIGH SCORE! RANK #{rank}',
+    finalScore: 'Final Score: {score}',
+    prompt: '🎮 Press <strong>SPACE</strong> to play again',
+    again: '🎮 PLAY AGAIN',
+    scores: 'HALL OF FAME',
+    replay: 'WATCH REPLAY',
+    keys: 'Press <strong>H</strong> to view high scores • Press <strong>R</strong> to watch the replay • Press <strong>M</strong> to mute/unmute'
+  },
+
+  highScores: {
+    title: '🏆 HALL OF FAME 🏆',
+    empty: 'No high scores yet!',
+    rank: 'Rank',
+    name: 'Name',
+    score: 'Score',
+    level: 'Level',
+    date: 'Date',
+    replay: 'Replay',
+    watchReplay: 'Watch replay',
+    exportReplay: 'Export replay',
+    loadReplay: '📂 LOAD A REPLAY',
+    backPrompt: 'Press <strong>SPACE</strong> to go back'
+  },
+
+  bindings: {
+    title: '🎮 CONTROLS 🎮',
+    slots: {
+      key: 'KEY',
+      altKey: 'ALT KEY',
+      gamepad: 'GAMEPAD'
+    },
+    pressKey: 'PRESS A KEY…',
+    pressButton: 'PRESS A BUTTON…',
+    deadZone: 'Stick dead zone',
+    responseCurve: 'Stick response',
+    linear: 'linear',
+    spinner: 'Spinner mode (locks the mouse)',
+    spinnerSensitivity: 'Spinner sensitivity',
+    spinnerAcceleration: 'Spinner acceleration',
+    off: 'off',
+    backPrompt: 'Click a key or button to change it • <strong>ESC</strong> to go back'
+  },
+
+  actions: {
+    moveLeft: 'Move left',
+    moveRight: 'Move right',
+    launch: 'Launch / confirm',
+    pause: 'Pause',
+    fire: 'Fire',
+    skipTrack: 'Skip track',
+    mute: 'Mute',
+    highScores: 'Hall of fame',
+    watchReplay: 'Watch replay',
+    fullscreen: 'Fullscreen',
+    menuUp: 'Menu up',
+    menuDown: 'Menu down',
+    back: 'Back'
+  },
+
+  settings: {
+    title: '⚙️ SETTINGS ⚙️',
+    sound: 'Sound',
+    masterVolume: 'Master volume',
+    sfxVolume: 'Sound effects',
+    musicVolume: 'Music',
+    muted: 'Mute everything',
+    captions: 'Captions',
+    showCaptions: 'Show captions for sounds & voices',
+    captionSize: 'Caption size',
+    captionSizes: {
+      small: 'Small',
+      medium: 'Medium',
+      large: 'Large'
+    },
+    captionBackground: 'Caption background',
+    captionBackgrounds: {
+      none: 'None (outlined text)',
+      translucent: 'See-through',
+      solid: 'Solid'
+    },
+    directionIndicators: 'Arrows showing where sounds came from',
+    controls: 'Controls',
+    display: 'Display',
+    effectsQuality: 'Effects quality',
+    qualities: {
+      low: 'Low',
+      medium: 'Medium',
+      high: 'High'
+    },
+    renderScale: 'Render scale',
+    renderScaleFastest: '1× (fastest)',
+    renderScaleSharpest: '2× (sharpest)',
+    palette: 'Brick colors',
+    overlays: 'Brick patterns & power-up symbols',
+    reducedMotion: 'Reduced motion (no shake or flashing, fewer particles)',
+    language: 'Language',
+    openControls: '🎮 CONTROLS…',
+    backPrompt: 'Changes apply right away • <strong>ESC</strong> to go back'
+  },
+
+  palettes: {
+    classic: 'Classic',
+    deuteranopia: 'Deuteranopia',
+    protanopia: 'Protanopia',
+    tritanopia: 'Tritanopia',
+    highContrast: 'High contrast'
+  },
+
+  pause: {
+    title: '⏸️ PAUSED',
+    resume: 'RESUME',
+    restart: 'RESTART LEVEL',
+    settings: 'SETTINGS',
+    help: 'CONTROLS HELP',
+    quit: 'QUIT TO TITLE',
+    go: 'GO!'
+  },
+
+  replay: {
+    playPause: 'Play/pause (SPACE)',
+    position: 'Replay position',
+    speed: 'Playback speed',
+    speedOption: '{speed}×',
+    export: 'Export replay',
+    close: 'Stop watching'
+  },
+
+  editor: {
+    title: '🛠️ LEVEL EDITOR',
+    brush: 'Brush',
+    tool: 'Tool',
+    tools: {
+      paint: 'Paint',
+      erase: 'Erase',
+      drop: 'Set drop'
+    },
+    color: 'Color',
+    colorOption: 'Color {number}',
+    type: 'Brick type',
+    types: {
+      normal: 'Plain',
+      armored: 'Armored',
+      explosive: 'Explosive',
+      treasure: 'Treasure'
+    },
+    hits: 'Hits',
+    drop: 'Power-up drop',
+    noDrop: 'None',
+    randomDrop: 'Any (random)',
+    level: 'Level',
+    name: 'Name',
+    namePlaceholder: 'Untitled',
+    columns: 'Columns',
+    rows: 'Rows',
+    ballSpeed: 'Ball speed',
+    dropChance: 'Random drop chance',
+    music: 'Music',
+    keepMusic: 'Keep the playlist going',
+    background: 'Background',
+    defaultBackground: 'Default',
+    plainColor: 'Plain color',
+    backgroundColor: 'Background color',
+    undo: '↶ UNDO',
+    redo: '↷ REDO',
+    new: 'NEW',
+    save: '💾 SAVE',
+    import: '📂 IMPORT',
+    export: '📤 EXPORT',
+    playTest: '▶ PLAY-TEST',
+    backToEditor: 'BACK TO EDITOR',
+    saved: 'Draft saved.',
+    saveFailed: 'Could not save the draft.',
+    imported: 'Level loaded.',
+    invalid: "Can't use this level yet: {error}",
+    backPrompt: 'Click or drag on the playfield to paint • <strong>Ctrl+Z</strong> / <strong>Ctrl+Y</strong> to undo / redo • <strong>ESC</strong> to go back'
+  },
+
+  common: {
+    back: 'BACK',
+    resetDefaults: 'RESET DEFAULTS'
+  },
+
+  mobile: {
+    skipSong: 'SKIP SONG',
+    helpMove: '👆 Touch & drag to move paddle',
+    helpSkip: '🎵 Tap to skip songs',
+    install: '📲 INSTALL'
+  },
+
+  powerUps: {
+    dynamite: 'Dynamite',
+    whiskey: 'Whiskey',
+    horseshoe: 'Lucky horseshoe',
+    boots: 'Boots',
+    sheriff_badge: "Sheriff's badge"
+  },
+
+  effects: {
+    wide: 'wide paddle',
+    slow: 'slow ball',
+    fast: 'fast ball',
+    pierce: 'piercing ball'
+  },
+
+  announce: {
+    lifeLost: {
+      one: 'Ball lost! {count} life left.',
+      other: 'Ball lost! {count} lives left.'
+    },
+    levelCleared: 'Level cleared! On to level {level}. Score {score}.',
+    powerUp: 'Power-up: {name}.',
+    combo: '{count} hit combo!',
+    runStarted: {
+      one: 'Run started. Level {level}, {count} life.',
+      other: 'Run started. Level {level}, {count} lives.'
+    },
+    paused: 'Paused.',
+    resuming: 'Resuming.',
+    gameOver: 'Game over. Final score {score}, level {level}.',
+    newHighScore: 'New high score, rank {rank}!'
+  },
+
+  describe: {
+    canvas: 'KnockoffArcade playfield',
+    idle: 'KnockoffArcade playfield. No run in progress.',
+    level: 'Level {level}',
+    replayLevel: 'Replay, level {level}',
+    score: 'score {score}',
+    lives: {
+      one: '{count} life',
+      other: '{count} lives'
+    },
+    targets: {
+      one: '{count} target left',
+      other: '{count} targets left'
+    },
+    gameOver: 'game over',
+    paused: 'paused',
+    ball: {
+      one: 'ball {motion} {side}',
+      other: '{count} balls, lowest {motion} {side}'
+    },
+    falling: 'falling',
+    rising: 'rising',
+    above: 'above the paddle',
+    left: 'left of the paddle',
+    right: 'right of the paddle',
+    active: 'active: {effects}',
+    separator: ', ',
+    end: '{description}.'
+  },
+
+  captions: {
+    ballLost: '[Whistle falls]',
+    powerUpCollect: '[Saloon door creaks]',
+    levelComplete: '[Harmonica tune]',
+    gameOver: '[Dramatic chords]',
+    combo3: '[Yee!]',
+    combo5: '[Yeehaw!]',
+    combo10: '[YEEHAW!]',
+    explosion: '[Dynamite blast]',
+    stateYourName: 'Sheriff: State your name'
+  },
+
+  achievements: {
+    first_blood: { name: 'First Draw', description: 'Destroy your first target' },
+    combo_master: { name: 'Gunslinger', description: 'Achieve a 20+ combo streak' },
+    level_10: { name: 'Frontier Marshal', description: 'Reach level 10 in the Wild West' },
+    boss_slayer: { name: 'Outlaw Hunter', description: 'Defeat your first gang boss' },
+    perfect_level: { name: 'Sharpshooter', description: 'Complete a level without losing the ball' },
+    power_user: { name: 'Weapons Master', description: 'Collect 10 power-ups in one game' },
+    high_roller: { name: 'High Stakes', description: 'Score over 100,000 points' },
+    speed_demon: { name: 'Lightning Quick', description: 'Complete a level in under 30 seconds' }
+  },
+
+  error: {
+    title: '⚠️ ERROR ⚠️',
+    failed: 'Failed to start the game:',
+    hint: 'Please try refreshing the page or check your browser compatibility.',
+    refresh: 'Refresh Page'
+  }
+};
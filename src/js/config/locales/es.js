@@ -0,0 +1,320 @@
+/**
+ * Spanish messages
+ */
+export default {
+  start: {
+    registration: 'REGISTRO OBLIGATORIO',
+    stateName: 'Diga su nombre, forastero',
+    nameLabel: 'Nombre de forajido:',
+    namePlaceholder: 'ESCRIBA AQUÍ...',
+    nameRequired: '⚠️ ¡Hace falta un nombre para entrar al salón! ⚠️',
+    nameMissing: '¡DIGA SU NOMBRE, COMPADRE!',
+    defaultName: 'FORAJIDO',
+    enter: 'ENTRAR AL SALÓN',
+    pressWhenReady: 'Pulse {keys} cuando esté listo',
+    touchToEnter: 'Toque para entrar',
+    enterNameFirst: 'Primero, su nombre',
+    controls: '🎮 CONTROLES',
+    settings: '⚙️ AJUSTES',
+    editor: '🛠️ EDITOR DE NIVELES',
+    helpMove: '🎯 FLECHAS o WASD para apuntar',
+    helpKeys: '🔫 {launch} para lanzar • {scores} para el Salón de la Fama • {mute} para silenciar'
+  },
+
+  continueRun: {
+    title: '¿Continuar la partida?',
+    details: {
+      one: '{name} • NIVEL {level} • {score} PTS • {count} VIDA',
+      other: '{name} • NIVEL {level} • {score} PTS • {count} VIDAS'
+    },
+    continue: 'CONTINUAR',
+    startOver: 'EMPEZAR DE NUEVO'
+  },
+
+  hud: {
+    score: 'Puntos:',
+    lives: 'Vidas:',
+    level: 'NIVEL {level}'
+  },
+
+  gameOver: {
+    title: 'FIN DEL JUEGO',
+    newHighScore: '¡NUEVO RÉCORD! PUESTO N.º {rank}',
+    finalScore: 'Puntuación final: {score}',
+    prompt: '🤠 Pulse <strong>ESPACIO</strong> para volver a montar',
+    again: '🤠 VOLVER A MONTAR',
+    scores: 'SALÓN DE LA FAMA',
+    replay: 'VER REPETICIÓN',
+    keys: 'Pulse <strong>H</strong> para ver los récords • <strong>R</strong> para ver la repetición • <strong>M</strong> para activar o quitar el sonido'
+  },
+
+  highScores: {
+    title: '🤠 SALÓN DE LA FAMA 🤠',
+    empty: '¡Aún no hay récords!',
+    rank: 'Puesto',
+    name: 'Nombre',
+    score: 'Puntos',
+    level: 'Nivel',
+    date: 'Fecha',
+    replay: 'Repetición',
+    watchReplay: 'Ver repetición',
+    exportReplay: 'Exportar repetición',
+    loadReplay: '📂 CARGAR UNA REPETICIÓN',
+    backPrompt: 'Pulse <strong>ESPACIO</strong> para volver'
+  },
+
+  bindings: {
+    title: '🤠 CONTROLES 🤠',
+    slots: {
+      key: 'TECLA',
+      altKey: 'TECLA ALT.',
+      gamepad: 'MANDO'
+    },
+    pressKey: 'PULSE UNA TECLA…',
+    pressButton: 'PULSE UN BOTÓN…',
+    deadZone: 'Zona muerta del joystick',
+    responseCurve: 'Respuesta del joystick',
+    linear: 'lineal',
+    spinner: 'Modo spinner (bloquea el ratón)',
+    spinnerSensitivity: 'Sensibilidad del spinner',
+    spinnerAcceleration: 'Aceleración del spinner',
+    off: 'no',
+    backPrompt: 'Haga clic en una tecla o botón para cambiarlo • <strong>ESC</strong> para volver'
+  },
+
+  actions: {
+    moveLeft: 'Mover a la izquierda',
+    moveRight: 'Mover a la derecha',
+    launch: 'Lanzar / confirmar',
+    pause: 'Pausa',
+    fire: 'Disparar',
+    skipTrack: 'Saltar canción',
+    mute: 'Silenciar',
+    highScores: 'Salón de la fama',
+    watchReplay: 'Ver repetición',
+    fullscreen: 'Pantalla completa',
+    menuUp: 'Menú arriba',
+    menuDown: 'Menú abajo',
+    back: 'Volver'
+  },
+
+  settings: {
+    title: '🤠 AJUSTES 🤠',
+    sound: 'Sonido',
+    masterVolume: 'Volumen general',
+    sfxVolume: 'Efectos de sonido',
+    musicVolume: 'Música',
+    muted: 'Silenciar todo',
+    captions: 'Subtítulos',
+    showCaptions: 'Subtitular sonidos y voces',
+    captionSize: 'Tamaño de los subtítulos',
+    captionSizes: {
+      small: 'Pequeño',
+      medium: 'Mediano',
+      large: 'Grande'
+    },
+    captionBackground: 'Fondo de los subtítulos',
+    captionBackgrounds: {
+      none: 'Ninguno (texto con contorno)',
+      translucent: 'Translúcido',
+      solid: 'Sólido'
+    },
+    directionIndicators: 'Flechas que indican de dónde viene el sonido',
+    controls: 'Controles',
+    display: 'Pantalla',
+    effectsQuality: 'Calidad de los efectos',
+    qualities: {
+      low: 'Baja',
+      medium: 'Media',
+      high: 'Alta'
+    },
+    renderScale: 'Escala de renderizado',
+    renderScaleFastest: '1× (más rápido)',
+    renderScaleSharpest: '2× (más nítido)',
+    palette: 'Colores de los ladrillos',
+    overlays: 'Tramas en ladrillos y símbolos en potenciadores',
+    reducedMotion: 'Movimiento reducido (sin sacudidas ni destellos, menos partículas)',
+    language: 'Idioma',
+    openControls: '🎮 CONTROLES…',
+    backPrompt: 'Los cambios se aplican al momento • <strong>ESC</strong> para volver'
+  },
+
+  palettes: {
+    classic: 'Clásica',
+    deuteranopia: 'Deuteranopía',
+    protanopia: 'Protanopía',
+    tritanopia: 'Tritanopía',
+    highContrast: 'Alto contraste'
+  },
+
+  pause: {
+    title: '⏸️ EN PAUSA',
+    resume: 'CONTINUAR',
+    restart: 'REINICIAR NIVEL',
+    settings: 'AJUSTES',
+    help: 'AYUDA DE CONTROLES',
+    quit: 'SALIR AL TÍTULO',
+    go: '¡DESENFUNDA!'
+  },
+
+  replay: {
+    playPause: 'Reproducir/pausar (ESPACIO)',
+    position: 'Posición de la repetición',
+    speed: 'Velocidad de reproducción',
+    export: 'Exportar repetición',
+    close: 'Dejar de ver'
+  },
+
+  editor: {
+    title: '🛠️ EDITOR DE NIVELES',
+    brush: 'Pincel',
+    tool: 'Herramienta',
+    tools: {
+      paint: 'Pintar',
+      erase: 'Borrar',
+      drop: 'Poner premio'
+    },
+    color: 'Color',
+    colorOption: 'Color {number}',
+    type: 'Tipo de ladrillo',
+    types: {
+      normal: 'Sencillo',
+      armored: 'Blindado',
+      explosive: 'Explosivo',
+      treasure: 'Tesoro'
+    },
+    hits: 'Golpes',
+    drop: 'Premio que suelta',
+    noDrop: 'Ninguno',
+    randomDrop: 'Cualquiera (al azar)',
+    level: 'Nivel',
+    name: 'Nombre',
+    namePlaceholder: 'Sin título',
+    columns: 'Columnas',
+    rows: 'Filas',
+    ballSpeed: 'Velocidad de la bola',
+    dropChance: 'Probabilidad de premio al azar',
+    music: 'Música',
+    keepMusic: 'Seguir con la lista',
+    background: 'Fondo',
+    defaultBackground: 'Predeterminado',
+    plainColor: 'Color liso',
+    backgroundColor: 'Color de fondo',
+    undo: '↶ DESHACER',
+    redo: '↷ REHACER',
+    new: 'NUEVO',
+    save: '💾 GUARDAR',
+    import: '📂 IMPORTAR',
+    export: '📤 EXPORTAR',
+    playTest: '▶ PROBAR',
+    backToEditor: 'VOLVER AL EDITOR',
+    saved: 'Borrador guardado.',
+    saveFailed: 'No se pudo guardar el borrador.',
+    imported: 'Nivel cargado.',
+    invalid: 'Este nivel aún no se puede usar: {error}',
+    backPrompt: 'Haz clic o arrastra sobre el tablero para pintar • <strong>Ctrl+Z</strong> / <strong>Ctrl+Y</strong> para deshacer / rehacer • <strong>ESC</strong> para volver'
+  },
+
+  common: {
+    back: 'VOLVER',
+    resetDefaults: 'RESTABLECER'
+  },
+
+  mobile: {
+    skipSong: 'SALTAR CANCIÓN',
+    helpMove: '👆 Toque y arrastre para mover la paleta',
+    helpSkip: '🎵 Toque para saltar canciones',
+    install: '🤠 ¡A CABALLO!'
+  },
+
+  powerUps: {
+    dynamite: 'Dinamita',
+    whiskey: 'Whisky',
+    horseshoe: 'Herradura de la suerte',
+    boots: 'Botas',
+    sheriff_badge: 'Placa de sheriff'
+  },
+
+  effects: {
+    wide: 'paleta ancha',
+    slow: 'bola lenta',
+    fast: 'bola rápida',
+    pierce: 'bola perforante'
+  },
+
+  announce: {
+    lifeLost: {
+      one: '¡Bola perdida! Queda {count} vida.',
+      other: '¡Bola perdida! Quedan {count} vidas.'
+    },
+    levelCleared: '¡Nivel superado! Al nivel {level}. Puntos: {score}.',
+    powerUp: 'Potenciador: {name}.',
+    combo: '¡Combo de {count} golpes!',
+    runStarted: {
+      one: 'Partida iniciada. Nivel {level}, {count} vida.',
+      other: 'Partida iniciada. Nivel {level}, {count} vidas.'
+    },
+    paused: 'En pausa.',
+    resuming: 'Continuando.',
+    gameOver: 'Fin del juego. Puntuación final {score}, nivel {level}.',
+    newHighScore: '¡Nuevo récord, puesto {rank}!'
+  },
+
+  describe: {
+    canvas: 'Campo de juego de KnockoffArcade',
+    idle: 'Campo de juego de KnockoffArcade. No hay ninguna partida en curso.',
+    level: 'Nivel {level}',
+    replayLevel: 'Repetición, nivel {level}',
+    score: '{score} puntos',
+    lives: {
+      one: '{count} vida',
+      other: '{count} vidas'
+    },
+    targets: {
+      one: 'queda {count} blanco',
+      other: 'quedan {count} blancos'
+    },
+    gameOver: 'fin del juego',
+    paused: 'en pausa',
+    ball: {
+      one: 'bola {motion} {side}',
+      other: '{count} bolas, la más baja {motion} {side}'
+    },
+    falling: 'cayendo',
+    rising: 'subiendo',
+    above: 'sobre la paleta',
+    left: 'a la izquierda de la paleta',
+    right: 'a la derecha de la paleta',
+    active: 'activo: {effects}'
+  },
+
+  captions: {
+    ballLost: '[Silbido que cae]',
+    powerUpCollect: '[Cruje la puerta del salón]',
+    levelComplete: '[Melodía de armónica]',
+    gameOver: '[Acordes dramáticos]',
+    combo3: '[¡Yii!]',
+    combo5: '[¡Yijaa!]',
+    combo10: '[¡YIJAAA!]',
+    explosion: '[Estalla la dinamita]',
+    stateYourName: 'Sheriff: Diga su nombre'
+  },
+
+  achievements: {
+    first_blood: { name: 'Primer disparo', description: 'Destruye tu primer blanco' },
+    combo_master: { name: 'Pistolero', description: 'Consigue un combo de más de 20' },
+    level_10: { name: 'Alguacil de la frontera', description: 'Llega al nivel 10 del Salvaje Oeste' },
+    boss_slayer: { name: 'Cazador de forajidos', description: 'Derrota a tu primer jefe de banda' },
+    perfect_level: { name: 'Tirador de élite', description: 'Supera un nivel sin perder la bola' },
+    power_user: { name: 'Maestro de armas', description: 'Recoge 10 potenciadores en una partida' },
+    high_roller: { name: 'Apuesta alta', description: 'Supera los 100.000 puntos' },
+    speed_demon: { name: 'Rápido como el rayo', description: 'Supera un nivel en menos de 30 segundos' }
+  },
+
+  error: {
+    title: '⚠️ ERROR ⚠️',
+    failed: 'No se pudo iniciar el juego:',
+    hint: 'Pruebe a recargar la página o compruebe la compatibilidad de su navegador.',
+    refresh: 'Recargar página'
+  }
+};
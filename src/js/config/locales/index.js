@@ -0,0 +1,16 @@
+/**
+ * Message catalogs by language key (see GameConfig.SETTINGS.LANGUAGES)
+ */
+import en from './en.js';
+import enWestern from './en-western.js';
+import es from './es.js';
+import de from './de.js';
+
+export const CATALOGS = {
+  en,
+  'en-western': enWestern,
+  es,
+  de
+};
+
+export default CATALOGS;
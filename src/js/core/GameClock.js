@@ -0,0 +1,114 @@
+/**
+ * Game-time clock
+ *
+ * Game time only moves when the simulation advances it, so pausing the game
+ * (or hiding the tab) freezes every power-up and effect timer. A time scale
+ * below 1 slows game time down for slow-motion effects.
+ */
+export class GameClock {
+  constructor() {
+    this.time = 0;
+    this.timeScale = 1;
+    this.paused = false;
+  }
+
+  /**
+   * Get the current game time
+   * @returns {number} Game time in milliseconds
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Advance game time by a slice of real time
+   * @param {number} realMs - Real milliseconds elapsed
+   * @returns {number} Game milliseconds elapsed (0 while paused)
+   */
+  advance(realMs) {
+    if (this.paused) return 0;
+
+    const gameMs = realMs * this.timeScale;
+    this.time += gameMs;
+    return gameMs;
+  }
+
+  /**
+   * Get a game-time timestamp in the future
+   * @param {number} duration - Milliseconds of game time from now
+   * @returns {number} Expiry timestamp
+   */
+  after(duration) {
+    return this.time + duration;
+  }
+
+  /**
+   * Check whether a game-time timestamp has passed
+   * @param {number} timestamp - Game-time timestamp
+   * @returns {boolean} True if expired
+   */
+  hasPassed(timestamp) {
+    return this.time >= timestamp;
+  }
+
+  /**
+   * Stop game time
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Restart game time
+   */
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * Check if game time is stopped
+   * @returns {boolean} True if paused
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Set the time scale
+   * @param {number} scale - 1 is normal speed, 0.5 half speed
+   */
+  setTimeScale(scale) {
+    this.timeScale = Math.max(0, scale);
+  }
+
+  /**
+   * Reset game time to zero for a new run
+   */
+  reset() {
+    this.time = 0;
+    this.timeScale = 1;
+    this.paused = false;
+  }
+
+  /**
+   * Serialize clock state
+   * @returns {Object} Serialized state
+   */
+  serialize() {
+    return { time: this.time, timeScale: this.timeScale };
+  }
+
+  /**
+   * Deserialize clock state
+   * @param {Object} data - Serialized state
+   */
+  deserialize(data) {
+    this.time = data.time;
+    this.timeScale = data.timeScale ?? 1;
+  }
+}
+
+// Shared clock read by the game and its components
+export const gameClock = new GameClock();
+
+export default GameClock;
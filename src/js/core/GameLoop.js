@@ -0,0 +1,116 @@
+import GameConfig from '../config/GameConfig.js';
+
+/**
+ * Fixed-timestep game loop with render interpolation
+ *
+ * The simulation advances in constant ticks regardless of the display refresh
+ * rate. Delta times handed to the update callback are expressed in reference
+ * frames (1 = one frame at GameConfig.LOOP.REFERENCE_FPS), so the per-frame
+ * speeds in GameConfig.PHYSICS keep their meaning on 120/144 Hz monitors.
+ */
+export class GameLoop {
+  /**
+   * @param {Object} options - Loop options
+   * @param {Function} options.update - Called once per tick with (deltaTime, stepMs)
+   * @param {Function} options.render - Called once per animation frame with interpolation alpha (0-1)
+   * @param {number} options.tickRate - Simulation ticks per second
+   * @param {number} options.maxFrameTime - Longest frame (ms) accepted before clamping
+   * @param {number} options.maxStepsPerFrame - Tick budget per animation frame
+   */
+  constructor({
+    update,
+    render,
+    tickRate = GameConfig.LOOP.TICK_RATE,
+    maxFrameTime = GameConfig.LOOP.MAX_FRAME_TIME,
+    maxStepsPerFrame = GameConfig.LOOP.MAX_STEPS_PER_FRAME
+  }) {
+    this.update = update;
+    this.render = render;
+    this.maxFrameTime = maxFrameTime;
+    this.maxStepsPerFrame = maxStepsPerFrame;
+    this.setTickRate(tickRate);
+
+    this.accumulator = 0;
+    this.lastTime = null;
+    this.running = false;
+    this.frameHandle = null;
+    this.tickCount = 0;
+  }
+
+  /**
+   * Change the simulation tick rate
+   * @param {number} tickRate - Ticks per second
+   */
+  setTickRate(tickRate) {
+    this.tickRate = tickRate;
+    this.stepMs = 1000 / tickRate;
+    this.stepDelta = GameConfig.LOOP.REFERENCE_FPS / tickRate;
+  }
+
+  /**
+   * Start requesting animation frames
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this.resetTiming();
+    this.frameHandle = requestAnimationFrame(time => this.frame(time));
+  }
+
+  /**
+   * Stop requesting animation frames
+   */
+  stop() {
+    this.running = false;
+    if (this.frameHandle !== null) {
+      cancelAnimationFrame(this.frameHandle);
+      this.frameHandle = null;
+    }
+  }
+
+  /**
+   * Forget elapsed time, e.g. after a pause, so the simulation doesn't catch up
+   */
+  resetTiming() {
+    this.lastTime = null;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Process one animation frame
+   * @param {number} timestamp - Frame timestamp in milliseconds
+   */
+  frame(timestamp = performance.now()) {
+    if (this.lastTime === null) {
+      this.lastTime = timestamp;
+    }
+
+    // Clamp long frames (tab switches, breakpoints) instead of fast-forwarding
+    const frameTime = Math.min(Math.max(0, timestamp - this.lastTime), this.maxFrameTime);
+    this.lastTime = timestamp;
+    this.accumulator += frameTime;
+
+    let steps = 0;
+    while (this.accumulator >= this.stepMs && steps < this.maxStepsPerFrame) {
+      this.update(this.stepDelta, this.stepMs);
+      this.accumulator -= this.stepMs;
+      this.tickCount++;
+      steps++;
+    }
+
+    // Out of tick budget - drop the backlog rather than spiral, but keep a
+    // partial tick so interpolation doesn't hitch
+    if (steps >= this.maxStepsPerFrame && this.accumulator >= this.stepMs) {
+      this.accumulator = 0;
+    }
+
+    this.render(this.accumulator / this.stepMs);
+
+    if (this.running) {
+      this.frameHandle = requestAnimationFrame(time => this.frame(time));
+    }
+  }
+}
+
+export default GameLoop;
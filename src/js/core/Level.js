@@ -0,0 +1,309 @@
+import { GameConfig } from '../config/GameConfig.js';
+
+/**
+ * Level data
+ *
+ * A level is plain JSON. Its bricks are drawn as rows of characters, one
+ * per grid cell, with '.' for an empty cell; the legend says what each
+ * other character stands for:
+ *
+ *   {
+ *     "format": 1,
+ *     "name": "Pyramid",
+ *     "columns": 4,
+ *     "bricks": [".aa.", "abba"],
+ *     "legend": {
+ *       "a": { "color": 2 },
+ *       "b": { "type": "armored", "color": 0, "hits": 2, "drop": "whiskey" }
+ *     },
+ *     "ballSpeed": 1.2,
+ *     "dropChance": 0.1,
+ *     "music": "Western.mp3",
+ *     "background": "#2d1810"
+ *   }
+ *
+ * A legend entry's color is a row of the brick palette (so colorblind
+ * palettes still apply), its type a key of GameConfig.LEVELS.BRICK_TYPES,
+ * hits defaults to what the type takes, and drop names the power-up it
+ * always lets fall ('random' for any). ballSpeed scales the usual speed
+ * for the level number; music is a GameConfig.AUDIO.TRACKS entry and
+ * background a GameConfig.LEVELS.BACKGROUNDS image or a #rrggbb color.
+ * Everything below columns is optional.
+ *
+ * A sequence manifest lists the levels a run plays, in order, by id; a
+ * run that gets past the last one starts the list again.
+ */
+
+const EMPTY = '.';
+
+// Checks for the optional level properties, and what each expects
+const PROPERTIES = {
+  ballSpeed: [value => Number.isFinite(value) && value >= 0.5 && value <= 2, 'a number from 0.5 to 2'],
+  dropChance: [value => Number.isFinite(value) && value >= 0 && value <= 1, 'a number from 0 to 1'],
+  music: [value => value === null || GameConfig.AUDIO.TRACKS.includes(value), 'one of the music tracks'],
+  background: [
+    value => value === null || GameConfig.LEVELS.BACKGROUNDS.includes(value) || /^#[0-9a-f]{6}$/i.test(value),
+    'a background image or #rrggbb color'
+  ]
+};
+
+// Legend characters handed out, in order, to the brick kinds of a grid
+const SYMBOLS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!#$%&*+-/:;<=>?@^_~';
+
+export class Level {
+  static FORMAT = GameConfig.LEVELS.FORMAT;
+  static EMPTY = EMPTY;
+
+  /**
+   * Parse and validate a level from JSON text or plain data
+   * @param {string|Object} source - Level JSON or parsed data
+   * @returns {Level} Level
+   * @throws {Error} If the data is not a usable level
+   */
+  static from(source) {
+    const data = typeof source === 'string' ? JSON.parse(source) : source;
+    const { COLUMNS, MAX_ROWS, BRICK_TYPES } = GameConfig.LEVELS;
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Level data must be an object');
+    }
+    if (data.format !== Level.FORMAT) {
+      throw new Error(`Unsupported level format: ${data.format}`);
+    }
+    if (data.name !== undefined && typeof data.name !== 'string') {
+      throw new Error('Level name must be text');
+    }
+    if (!Number.isInteger(data.columns) || data.columns < 1 || data.columns > COLUMNS) {
+      throw new Error(`Level columns must be a whole number from 1 to ${COLUMNS}`);
+    }
+    if (!data.legend || typeof data.legend !== 'object' || Array.isArray(data.legend)) {
+      throw new Error('Level is missing its legend');
+    }
+
+    const legend = {};
+    for (let [symbol, entry] of Object.entries(data.legend)) {
+      if (symbol.length !== 1 || symbol === EMPTY) {
+        throw new Error(`Level legend key "${symbol}" must be a single character other than "${EMPTY}"`);
+      }
+      if (!entry || typeof entry !== 'object') {
+        throw new Error(`Level legend "${symbol}" must be an object`);
+      }
+
+      const { type = 'normal', color, hits = BRICK_TYPES[type]?.hits, drop = null } = entry;
+      if (!Object.hasOwn(BRICK_TYPES, type)) {
+        throw new Error(`Level legend "${symbol}" has unknown brick type "${type}"`);
+      }
+      if (!Number.isInteger(color) || color < 0 || color >= GameConfig.PALETTES.classic.bricks.length) {
+        throw new Error(`Level legend "${symbol}" color must be a palette row from 0 to ${GameConfig.PALETTES.classic.bricks.length - 1}`);
+      }
+      if (!Number.isInteger(hits) || hits < 1 || hits > GameConfig.LEVELS.MAX_HITS) {
+        throw new Error(`Level legend "${symbol}" hits must be a whole number from 1 to ${GameConfig.LEVELS.MAX_HITS}`);
+      }
+      if (drop !== null && drop !== 'random' && !Object.hasOwn(GameConfig.POWERUPS.DROPS, drop)) {
+        throw new Error(`Level legend "${symbol}" has unknown drop "${drop}"`);
+      }
+      legend[symbol] = { type, color, hits, drop };
+    }
+
+    if (!Array.isArray(data.bricks) || data.bricks.length < 1 || data.bricks.length > MAX_ROWS) {
+      throw new Error(`Level bricks must be 1 to ${MAX_ROWS} rows`);
+    }
+    let bricks = 0;
+    data.bricks.forEach((row, index) => {
+      if (typeof row !== 'string' || row.length !== data.columns) {
+        throw new Error(`Level row ${index + 1} must be ${data.columns} characters`);
+      }
+      for (let column = 0; column < row.length; column++) {
+        const symbol = row[column];
+        if (symbol === EMPTY) continue;
+        if (!Object.hasOwn(legend, symbol)) {
+          throw new Error(`Level row ${index + 1}, column ${column + 1} uses "${symbol}", which is not in the legend`);
+        }
+        bricks++;
+      }
+    });
+    if (bricks === 0) {
+      throw new Error('Level has no bricks');
+    }
+
+    for (let [field, [valid, expected]] of Object.entries(PROPERTIES)) {
+      if (data[field] !== undefined && !valid(data[field])) {
+        throw new Error(`Level ${field} must be ${expected}`);
+      }
+    }
+
+    return new Level({ ...data, legend });
+  }
+
+  /**
+   * Check a value for one of the optional level properties
+   * @param {string} field - 'ballSpeed', 'dropChance', 'music' or 'background'
+   * @param {*} value - Value to check
+   * @returns {boolean} True if a level could use it
+   */
+  static isValidProperty(field, value) {
+    return Object.hasOwn(PROPERTIES, field) && PROPERTIES[field][0](value);
+  }
+
+  /**
+   * Build a level from a grid of bricks
+   * @param {Array[]} grid - Rows of cells: { type, color, hits, drop } or null for empty
+   * @param {Object} properties - Other level fields (name, ballSpeed, ...)
+   * @returns {Level} Validated level
+   * @throws {Error} If the grid or properties are not a usable level
+   */
+  static fromGrid(grid, properties = {}) {
+    const legend = {};
+    const symbols = new Map(); // Legend entry JSON -> character
+    const bricks = grid.map(row => row.map(cell => {
+      if (!cell) return EMPTY;
+
+      const { type = 'normal', color, hits = GameConfig.LEVELS.BRICK_TYPES[type]?.hits, drop = null } = cell;
+      const entry = { type, color, hits, drop };
+      const key = JSON.stringify(entry);
+      if (!symbols.has(key)) {
+        if (symbols.size === SYMBOLS.length) {
+          throw new Error(`Level uses more than ${SYMBOLS.length} kinds of brick`);
+        }
+        const symbol = SYMBOLS[symbols.size];
+        symbols.set(key, symbol);
+        legend[symbol] = entry;
+      }
+      return symbols.get(key);
+    }).join(''));
+
+    return Level.from({
+      ...properties,
+      format: Level.FORMAT,
+      columns: grid.length > 0 ? grid[0].length : 0,
+      bricks,
+      legend
+    });
+  }
+
+  /**
+   * Get where a level's bricks sit on the playfield, centered across it
+   * @param {number} columns - Grid columns
+   * @param {number} width - Playfield width
+   * @param {number} scale - Playfield scale (see Simulation.getScale())
+   * @returns {Object} { left, top, brickWidth, brickHeight, padding } in playfield units
+   */
+  static getLayout(columns, width, scale) {
+    const brickWidth = GameConfig.PHYSICS.BRICK_WIDTH * scale;
+    const brickHeight = GameConfig.PHYSICS.BRICK_HEIGHT * scale;
+    const padding = GameConfig.PHYSICS.BRICK_PADDING * scale;
+    return {
+      left: (width - (columns * (brickWidth + padding) - padding)) / 2,
+      top: GameConfig.LEVELS.TOP * scale,
+      brickWidth,
+      brickHeight,
+      padding
+    };
+  }
+
+  /**
+   * Resolve a sequence manifest into the levels it lists
+   * @param {Object} manifest - { levels: [id, ...] }
+   * @param {Object} library - Level data by id
+   * @returns {Level[]} Validated levels, in play order
+   * @throws {Error} If the manifest or one of its levels is not usable
+   */
+  static sequence(manifest, library) {
+    if (!manifest || !Array.isArray(manifest.levels) || manifest.levels.length === 0) {
+      throw new Error('Level manifest must list at least one level');
+    }
+
+    return manifest.levels.map(id => {
+      if (!Object.hasOwn(library, id)) {
+        throw new Error(`Level manifest lists unknown level "${id}"`);
+      }
+      try {
+        return Level.from({ ...library[id], id });
+      } catch (error) {
+        throw new Error(`${error.message} (in level "${id}")`);
+      }
+    });
+  }
+
+  /**
+   * @param {Object} data - Level fields, already validated
+   */
+  constructor({
+    id = null,
+    name = '',
+    columns,
+    bricks,
+    legend,
+    ballSpeed = 1,
+    dropChance = GameConfig.LEVELS.DROP_CHANCE,
+    music = null,
+    background = null
+  }) {
+    this.id = id;
+    this.name = name;
+    this.columns = columns;
+    this.bricks = [...bricks]; // Rows of legend characters
+    this.legend = legend;
+    this.ballSpeed = ballSpeed;
+    this.dropChance = dropChance;
+    this.music = music; // null keeps the playlist going
+    this.background = background; // null uses the default background
+  }
+
+  /**
+   * Get every brick the level places
+   * @returns {Array} { row, column, type, color, hits, drop }, top row first
+   */
+  getCells() {
+    const cells = [];
+    this.bricks.forEach((row, rowIndex) => {
+      for (let column = 0; column < row.length; column++) {
+        if (row[column] !== EMPTY) {
+          cells.push({ row: rowIndex, column, ...this.legend[row[column]] });
+        }
+      }
+    });
+    return cells;
+  }
+
+  /**
+   * Get the level as a grid, the shape Level.fromGrid() takes
+   * @returns {Array[]} Rows of cells: { type, color, hits, drop } or null for empty
+   */
+  toGrid() {
+    return this.bricks.map(row => Array.from(row, symbol => (
+      symbol === EMPTY ? null : { ...this.legend[symbol] }
+    )));
+  }
+
+  /**
+   * Serialize for saving or export
+   * @returns {Object} Level JSON data
+   */
+  toJSON() {
+    const data = {
+      format: Level.FORMAT,
+      name: this.name,
+      columns: this.columns,
+      bricks: [...this.bricks],
+      legend: {},
+      ballSpeed: this.ballSpeed,
+      dropChance: this.dropChance,
+      music: this.music,
+      background: this.background
+    };
+
+    // Legend entries only spell out what differs from the defaults
+    for (let [symbol, { type, color, hits, drop }] of Object.entries(this.legend)) {
+      const entry = { color };
+      if (type !== 'normal') entry.type = type;
+      if (hits !== GameConfig.LEVELS.BRICK_TYPES[type].hits) entry.hits = hits;
+      if (drop !== null) entry.drop = drop;
+      data.legend[symbol] = entry;
+    }
+
+    return data;
+  }
+}
+
+export default Level;
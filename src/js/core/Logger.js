@@ -1,3 +1,4 @@
+
 /**
  * Enhanced logging system with multiple levels and enterprise features
  */
@@ -121,7 +122,7 @@ export class Logger {
       combo: gameState.combo,
       ballCount: gameState.balls?.length || 0,
       activePowerUps: Object.keys(gameState.paddle?.powerUps || {})
-        .filter(key => gameState.paddle.powerUps[key] > Date.now())
+        .filter(key => gameState.paddle.hasPowerUp(key))
     });
   }
 
@@ -0,0 +1,190 @@
+/**
+ * Seedable random number service
+ *
+ * Every source of randomness draws from a named stream so gameplay rolls
+ * stay reproducible for a given seed no matter how many particles were
+ * spawned or which music was playing. Each stream is a small mulberry32
+ * generator seeded from the run seed and the stream name.
+ */
+
+/**
+ * Hash a string into a 32-bit seed (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Single deterministic random sequence
+ */
+export class RandomStream {
+  /**
+   * @param {number} seed - 32-bit seed
+   */
+  constructor(seed = 0) {
+    this.state = seed >>> 0;
+  }
+
+  /**
+   * Get the next number in the sequence
+   * @returns {number} Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get a float in a range
+   * @param {number} min - Inclusive minimum
+   * @param {number} max - Exclusive maximum
+   * @returns {number} Random float
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Get an integer in a range
+   * @param {number} min - Inclusive minimum
+   * @param {number} max - Inclusive maximum
+   * @returns {number} Random integer
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Roll against a probability
+   * @param {number} probability - Chance of success (0-1)
+   * @returns {boolean} True on success
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick a random element
+   * @param {Array} items - Items to pick from
+   * @returns {*} Random item, or undefined for an empty array
+   */
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  /**
+   * Get a random direction
+   * @returns {number} 1 or -1
+   */
+  sign() {
+    return this.next() < 0.5 ? -1 : 1;
+  }
+}
+
+/**
+ * Run seed plus the named streams derived from it
+ */
+export class Random {
+  static STREAMS = {
+    GAMEPLAY: 'gameplay', // Anything that changes the simulation
+    COSMETIC: 'cosmetic', // Particles and other visuals
+    AUDIO: 'audio' // Procedural music and sound effects
+  };
+
+  /**
+   * Make a fresh seed for an unseeded run
+   * @returns {number} 32-bit seed
+   */
+  static createSeed() {
+    return (Date.now() ^ Math.floor(Math.random() * 4294967296)) >>> 0;
+  }
+
+  /**
+   * @param {number|string} seed - Run seed
+   */
+  constructor(seed = Random.createSeed()) {
+    this.streams = new Map();
+    this.setSeed(seed);
+  }
+
+  /**
+   * Reseed every stream
+   * @param {number|string} seed - Run seed; strings are hashed
+   */
+  setSeed(seed) {
+    this.seed = typeof seed === 'string' ? hashString(seed) : seed >>> 0;
+    this.streams.clear();
+  }
+
+  /**
+   * Get a named stream, creating it on first use
+   * @param {string} name - Stream name
+   * @returns {RandomStream} Stream
+   */
+  stream(name) {
+    if (!this.streams.has(name)) {
+      this.streams.set(name, new RandomStream(hashString(`${this.seed}:${name}`)));
+    }
+    return this.streams.get(name);
+  }
+
+  get gameplay() {
+    return this.stream(Random.STREAMS.GAMEPLAY);
+  }
+
+  get cosmetic() {
+    return this.stream(Random.STREAMS.COSMETIC);
+  }
+
+  get audio() {
+    return this.stream(Random.STREAMS.AUDIO);
+  }
+
+  /**
+   * Get a fixed number for one named thing in this run (e.g. one brick's look)
+   *
+   * Unlike a stream draw, it doesn't depend on how much else was drawn first.
+   * @param {string} name - What the number is for
+   * @returns {number} Unsigned 32-bit number
+   */
+  derive(name) {
+    return hashString(`${this.seed}:${name}`);
+  }
+
+  /**
+   * Serialize the seed and stream positions
+   * @returns {Object} Serialized state
+   */
+  serialize() {
+    const streams = {};
+    this.streams.forEach((stream, name) => {
+      streams[name] = stream.state;
+    });
+    return { seed: this.seed, streams };
+  }
+
+  /**
+   * Restore a serialized state
+   * @param {Object} data - Serialized state
+   */
+  deserialize(data) {
+    this.setSeed(data.seed);
+    Object.entries(data.streams || {}).forEach(([name, state]) => {
+      this.stream(name).state = state >>> 0;
+    });
+  }
+}
+
+export const random = new Random();
+
+export default Random;
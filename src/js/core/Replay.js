@@ -0,0 +1,245 @@
+import { GameConfig } from '../config/GameConfig.js';
+
+/**
+ * Recorded run
+ *
+ * The simulation is deterministic, so a run is fully described by its seed
+ * and the inputs fed to each tick. Inputs are stored as change events
+ * rather than one entry per tick: held keys are packed into bits and only
+ * written when they change, and a pointer position is only written on the
+ * tick it was used. An analog stick position rides along as an optional
+ * fourth element in hundredths, written when it changes. Pauses are kept
+ * as tick markers; they never change the outcome but show where the player
+ * stopped. Level restarts are tick markers too, applied before that tick.
+ */
+
+// Held-input bits
+const LEFT = 1;
+const RIGHT = 2;
+
+export class Replay {
+  static FORMAT = 1;
+
+  /**
+   * Parse and validate a replay from JSON text or plain data
+   * @param {string|Object} source - Replay JSON or parsed data
+   * @returns {Replay} Replay
+   * @throws {Error} If the data is not a usable replay
+   */
+  static from(source) {
+    const data = typeof source === 'string' ? JSON.parse(source) : source;
+
+    if (!data || typeof data !== 'object') {
+      throw new Error('Replay data must be an object');
+    }
+    if (data.format !== Replay.FORMAT) {
+      throw new Error(`Unsupported replay format: ${data.format}`);
+    }
+    if (!Number.isInteger(data.seed) || data.seed < 0) {
+      throw new Error('Replay is missing its seed');
+    }
+    if (!Number.isInteger(data.length) || data.length < 0) {
+      throw new Error('Replay is missing its length');
+    }
+    if (!Array.isArray(data.inputs) || !Array.isArray(data.pauses)) {
+      throw new Error('Replay is missing its inputs');
+    }
+
+    // Replays from before level restarts existed have none
+    const restarts = data.restarts ?? [];
+    const ordered = Array.isArray(restarts) && restarts.every((tick, i) => (
+      Number.isInteger(tick) && tick >= 0 && (i === 0 || tick >= restarts[i - 1])
+    ));
+    if (!ordered) {
+      throw new Error('Replay has invalid level restarts');
+    }
+
+    let lastTick = -1;
+    for (let entry of data.inputs) {
+      const valid = Array.isArray(entry) &&
+        Number.isInteger(entry[0]) && entry[0] > lastTick &&
+        Number.isInteger(entry[1]) &&
+        (entry[2] === null || Number.isFinite(entry[2])) &&
+        (entry[3] === undefined || (Number.isInteger(entry[3]) && Math.abs(entry[3]) <= 100));
+      if (!valid) {
+        throw new Error(`Invalid replay input at tick ${entry && entry[0]}`);
+      }
+      lastTick = entry[0];
+    }
+
+    return new Replay(data);
+  }
+
+  /**
+   * @param {Object} data - Replay fields
+   */
+  constructor({
+    seed,
+    version = GameConfig.VERSION,
+    tickRate = GameConfig.LOOP.TICK_RATE,
+    playfield = { width: GameConfig.PLAYFIELD.WIDTH, height: GameConfig.PLAYFIELD.HEIGHT },
+    inputs = [],
+    pauses = [],
+    restarts = [],
+    length = 0,
+    result = null,
+    recordedAt = new Date().toISOString()
+  }) {
+    this.seed = seed;
+    this.version = version;
+    this.tickRate = tickRate;
+    this.playfield = { width: playfield.width, height: playfield.height };
+    this.inputs = inputs; // [tick, heldBits, pointerX | null, axis?]
+    this.pauses = pauses;
+    this.restarts = restarts; // Ticks the level was restarted before, in order
+    this.length = length; // Ticks in the run
+    this.result = result; // { name, score, level } once finished
+    this.recordedAt = recordedAt;
+  }
+
+  /**
+   * Check whether this replay was recorded by the running build
+   * @returns {boolean} True if the versions match
+   */
+  isCompatible() {
+    return this.version === GameConfig.VERSION && this.tickRate === GameConfig.LOOP.TICK_RATE;
+  }
+
+  /**
+   * Get the inputs fed to the simulation on a tick
+   * @param {number} tick - Simulation tick
+   * @returns {Object} Simulation inputs
+   */
+  getInputs(tick) {
+    // Binary search for the last entry at or before this tick
+    let low = 0;
+    let high = this.inputs.length - 1;
+    let found = -1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.inputs[mid][0] <= tick) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    if (found < 0) {
+      return { left: false, right: false, pointerX: null, axis: 0 };
+    }
+
+    const [entryTick, bits, pointerX, axis = 0] = this.inputs[found];
+    return {
+      left: (bits & LEFT) !== 0,
+      right: (bits & RIGHT) !== 0,
+      pointerX: entryTick === tick ? pointerX : null,
+      axis: axis / 100
+    };
+  }
+
+  /**
+   * Get the run length in seconds
+   * @returns {number} Duration in seconds
+   */
+  getDuration() {
+    return this.length / this.tickRate;
+  }
+
+  /**
+   * Serialize to plain data for storage or export
+   * @returns {Object} Plain-data replay
+   */
+  toJSON() {
+    return {
+      format: Replay.FORMAT,
+      version: this.version,
+      seed: this.seed,
+      tickRate: this.tickRate,
+      playfield: { ...this.playfield },
+      length: this.length,
+      inputs: this.inputs,
+      pauses: this.pauses,
+      restarts: this.restarts,
+      result: this.result,
+      recordedAt: this.recordedAt
+    };
+  }
+}
+
+/**
+ * Records a live run into a Replay
+ */
+export class ReplayRecorder {
+  /**
+   * @param {Object} options - Recording options
+   * @param {number} options.seed - Numeric run seed
+   * @param {Object} options.playfield - Playfield size the run uses
+   * @param {Replay} options.replay - Unfinished replay to carry on, e.g. from a resumed run
+   */
+  constructor({ seed, playfield, replay = null }) {
+    this.replay = replay || new Replay({ seed, playfield });
+
+    const last = this.replay.inputs[this.replay.inputs.length - 1];
+    this.heldBits = last ? last[1] : 0;
+    this.axis = last ? last[3] || 0 : 0;
+  }
+
+  /**
+   * Record the inputs about to be fed to a tick
+   *
+   * The axis must already be rounded to hundredths so the live run sees
+   * exactly what playback will.
+   * @param {number} tick - Simulation tick the inputs apply to
+   * @param {Object} inputs - Simulation inputs
+   */
+  record(tick, inputs) {
+    const bits = (inputs.left ? LEFT : 0) | (inputs.right ? RIGHT : 0);
+    const pointerX = inputs.pointerX ?? null;
+    const axis = Math.round((inputs.axis || 0) * 100);
+
+    if (bits !== this.heldBits || pointerX !== null || axis !== this.axis) {
+      const entry = [tick, bits, pointerX];
+      if (axis !== 0) entry.push(axis);
+      this.replay.inputs.push(entry);
+      this.heldBits = bits;
+      this.axis = axis;
+    }
+    this.replay.length = tick + 1;
+  }
+
+  /**
+   * Mark the player pausing before a tick
+   * @param {number} tick - Simulation tick
+   */
+  markPause(tick) {
+    const { pauses } = this.replay;
+    if (pauses[pauses.length - 1] !== tick) {
+      pauses.push(tick);
+    }
+  }
+
+  /**
+   * Mark the player restarting the level before a tick
+   *
+   * Every restart is kept, even several on one tick, since each one
+   * changes the run.
+   * @param {number} tick - Simulation tick
+   */
+  markRestart(tick) {
+    this.replay.restarts.push(tick);
+  }
+
+  /**
+   * Stop recording
+   * @param {Object} result - How the run ended ({ name, score, level })
+   * @returns {Replay} Finished replay
+   */
+  finish(result) {
+    this.replay.result = result;
+    return this.replay;
+  }
+}
+
+export default Replay;
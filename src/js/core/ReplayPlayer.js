@@ -0,0 +1,191 @@
+import { EventEmitter } from './EventEmitter.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { Simulation } from './Simulation.js';
+import { GameClock } from './GameClock.js';
+import { Random } from './Random.js';
+
+/**
+ * Plays a Replay back through its own Simulation
+ *
+ * Playback re-runs the recorded inputs from the recorded seed. Snapshots of
+ * the simulation are kept every few hundred ticks as playback passes them,
+ * so scrubbing restores the nearest snapshot and fast-forwards silently
+ * from there instead of replaying the whole run.
+ */
+export class ReplayPlayer extends EventEmitter {
+  static EVENTS = {
+    STATE: 'state', // () - playing, speed or position changed
+    FINISHED: 'finished' // () - reached the end of the run
+  };
+
+  /**
+   * @param {Replay} replay - Replay to play
+   * @param {Object} options - Player options
+   * @param {Simulation} options.simulation - Simulation to play into (by default a new one with
+   *   its own clock and random numbers, so playback leaves the live game's alone)
+   * @param {number} options.keyframeInterval - Ticks between scrubbing snapshots
+   */
+  constructor(replay, {
+    simulation,
+    keyframeInterval = GameConfig.REPLAY.KEYFRAME_INTERVAL
+  } = {}) {
+    super();
+
+    this.replay = replay;
+    this.simulation = simulation || new Simulation({
+      seed: replay.seed,
+      width: replay.playfield.width,
+      height: replay.playfield.height,
+      clock: new GameClock(),
+      random: new Random(replay.seed)
+    });
+    this.keyframeInterval = keyframeInterval;
+    this.stepMs = 1000 / replay.tickRate;
+
+    this.playing = false;
+    this.speed = 1;
+    this.budget = 0; // Fractional ticks owed at the current speed
+
+    this.simulation.reset(replay.seed);
+    this.keyframes = new Map();
+    this.saveKeyframe();
+  }
+
+  /**
+   * Get the current playback position
+   * @returns {number} Simulation tick
+   */
+  get tick() {
+    return this.simulation.tick;
+  }
+
+  /**
+   * Get the run length
+   * @returns {number} Ticks in the replay
+   */
+  get length() {
+    return this.replay.length;
+  }
+
+  /**
+   * Check whether playback has reached the end of the run
+   * @returns {boolean} True when finished
+   */
+  isFinished() {
+    return this.simulation.tick >= this.replay.length ||
+      this.simulation.status !== Simulation.STATUS.PLAYING;
+  }
+
+  play() {
+    if (this.isFinished()) {
+      this.seek(0);
+    }
+    this.playing = true;
+    this.emit(ReplayPlayer.EVENTS.STATE);
+  }
+
+  pause() {
+    this.playing = false;
+    this.budget = 0;
+    this.emit(ReplayPlayer.EVENTS.STATE);
+  }
+
+  togglePlay() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Set the playback speed
+   * @param {number} speed - Ticks played per real tick (1 is real time)
+   */
+  setSpeed(speed) {
+    if (speed > 0) {
+      this.speed = speed;
+      this.emit(ReplayPlayer.EVENTS.STATE);
+    }
+  }
+
+  /**
+   * Advance playback by one real tick's worth of replay
+   */
+  update() {
+    if (!this.playing) return;
+
+    this.budget += this.speed;
+    while (this.budget >= 1 && !this.isFinished()) {
+      this.stepOnce();
+      this.budget--;
+    }
+
+    if (this.isFinished()) {
+      this.pause();
+      this.emit(ReplayPlayer.EVENTS.FINISHED);
+    }
+  }
+
+  /**
+   * Jump to a tick
+   * @param {number} tick - Target tick (clamped to the run)
+   */
+  seek(tick) {
+    const target = Math.max(0, Math.min(Math.floor(tick), this.replay.length));
+
+    // Restore the latest snapshot at or before the target, then fast-forward
+    let keyframe = 0;
+    for (let keyframeTick of this.keyframes.keys()) {
+      if (keyframeTick <= target && keyframeTick > keyframe) {
+        keyframe = keyframeTick;
+      }
+    }
+
+    if (target < this.simulation.tick || keyframe > this.simulation.tick) {
+      this.simulation.deserialize(JSON.parse(this.keyframes.get(keyframe)));
+    }
+
+    this.simulation.silent = true;
+    while (this.simulation.tick < target && !this.isFinished()) {
+      this.stepOnce();
+    }
+    this.simulation.silent = false;
+
+    this.budget = 0;
+    this.emit(ReplayPlayer.EVENTS.STATE);
+  }
+
+  /**
+   * Feed one recorded tick to the simulation
+   * @private
+   */
+  stepOnce() {
+    const { tick } = this.simulation;
+    for (let restart of this.replay.restarts) {
+      if (restart === tick) {
+        this.simulation.restartLevel();
+      }
+    }
+
+    this.simulation.step(this.replay.getInputs(tick), this.stepMs);
+
+    if (this.simulation.tick % this.keyframeInterval === 0) {
+      this.saveKeyframe();
+    }
+  }
+
+  /**
+   * Snapshot the simulation at the current tick
+   * @private
+   */
+  saveKeyframe() {
+    const { tick } = this.simulation;
+    if (!this.keyframes.has(tick)) {
+      // Stored as text so restoring never shares state with the live run
+      this.keyframes.set(tick, JSON.stringify(this.simulation.serialize()));
+    }
+  }
+}
+
+export default ReplayPlayer;
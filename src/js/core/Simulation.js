@@ -0,0 +1,720 @@
+import { EventEmitter } from './EventEmitter.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { gameClock } from './GameClock.js';
+import { Random, random } from './Random.js';
+import { Ball } from '../components/Ball.js';
+import { Paddle } from '../components/Paddle.js';
+import { Brick } from '../components/Brick.js';
+import { PowerUp } from '../components/PowerUp.js';
+import { Physics } from '../systems/Physics.js';
+import { SpatialGrid } from '../utils/SpatialGrid.js';
+import { Level } from './Level.js';
+import { LEVEL_MANIFEST, BUILTIN_LEVELS } from '../config/levels/index.js';
+
+// Levels a normal run plays
+const BUILTIN_SEQUENCE = Level.sequence(LEVEL_MANIFEST, BUILTIN_LEVELS);
+
+/**
+ * Headless game rules and physics
+ *
+ * The simulation owns everything that decides how a run plays out - paddle,
+ * balls, bricks, drops, score and lives - and nothing that touches the DOM,
+ * canvas or audio. Each step takes the player's inputs and advances the
+ * state by one fixed tick. Anything the presentation layer should react to
+ * (sounds, particles, game over) is emitted as an event, so the same core
+ * runs in the browser, in Node and in tests.
+ */
+export class Simulation extends EventEmitter {
+  static STATUS = {
+    PLAYING: 'playing',
+    GAME_OVER: 'gameOver'
+  };
+
+  static EVENTS = {
+    SOUND: 'sound', // (name, position) - a named sound effect, with where it came from if that matters
+    BRICK_HIT: 'brickHit', // (brick, destroyed)
+    COMBO: 'combo', // (combo)
+    PARTICLES: 'particles', // ({ x, y, color, count })
+    POWER_UP: 'powerUp', // ({ type, effect })
+    LIFE_LOST: 'lifeLost', // (lives) - the last ball in play was lost
+    LEVEL_COMPLETE: 'levelComplete', // (level)
+    CAVITY: 'cavity', // (entered, ball) - a ball got above the bricks (true) or dropped back below them (false)
+    CAVITY_SHOT: 'cavityShot', // (brick, points) - a brick hit by a ball still glowing from the cavity
+    GAME_OVER: 'gameOver' // ({ score, level })
+  };
+
+  /**
+   * @param {Object} options - Simulation options
+   * @param {number|string} options.seed - Run seed (random if omitted)
+   * @param {number} options.width - Playfield width
+   * @param {number} options.height - Playfield height
+   * @param {GameClock} options.clock - Game-time clock
+   * @param {Random} options.random - Random number service
+   * @param {Level[]} options.levels - Levels to play in turn (the built-in sequence if omitted)
+   */
+  constructor({
+    seed,
+    width = GameConfig.PLAYFIELD.WIDTH,
+    height = GameConfig.PLAYFIELD.HEIGHT,
+    clock = gameClock,
+    random: rng = random,
+    levels = BUILTIN_SEQUENCE
+  } = {}) {
+    super();
+
+    this.playfield = { width, height };
+    this.levels = levels;
+    this.clock = clock;
+    this.random = rng;
+    this.tick = 0;
+    this.silent = false; // Suppresses events, e.g. while a replay fast-forwards
+
+    this.reset(seed);
+  }
+
+  /**
+   * Start a fresh run
+   * @param {number|string} seed - Run seed (random if omitted)
+   */
+  reset(seed = Random.createSeed()) {
+    this.random.setSeed(seed);
+    this.clock.reset();
+    this.tick = 0;
+
+    this.status = Simulation.STATUS.PLAYING;
+    this.score = 0;
+    this.levelStartScore = 0; // Score to go back to if the level is restarted
+    this.lives = 10;
+    this.level = 1;
+    this.combo = 0;
+    this.multiplier = 1;
+
+    const scale = this.getScale();
+    this.paddle = new Paddle(this.playfield.width / 2 - 60 * scale, this.playfield.height - 50 * scale, this.clock);
+    this.paddle.width = 120 * scale;
+    this.paddle.baseWidth = this.paddle.width;
+    this.paddle.height = 15 * scale;
+    this.paddle.speed = 8 * scale;
+
+    this.balls = [this.createBall(1)];
+    this.powerUps = [];
+    this.createBricks();
+  }
+
+  /**
+   * Advance the simulation by one fixed tick
+   * @param {Object} inputs - Player inputs for this tick
+   * @param {boolean} inputs.left - Move left held
+   * @param {boolean} inputs.right - Move right held
+   * @param {number} inputs.axis - Analog stick position (-1 to 1), used when neither is held
+   * @param {number|null} inputs.pointerX - Playfield X to center the paddle on, if the pointer moved
+   * @param {number} stepMs - Tick length in milliseconds
+   */
+  step(inputs = {}, stepMs = 1000 / GameConfig.LOOP.TICK_RATE) {
+    if (this.status !== Simulation.STATUS.PLAYING) return;
+
+    // Game time and movement both follow the clock's time scale
+    this.clock.advance(stepMs);
+    const frameDelta = stepMs * GameConfig.LOOP.REFERENCE_FPS / 1000;
+    const deltaTime = frameDelta * this.clock.timeScale;
+
+    this.tick++;
+    this.storePreviousPositions();
+    this.updatePaddle(deltaTime, inputs);
+    this.updateBalls(deltaTime);
+    this.updatePowerUps(deltaTime);
+    this.checkGameState();
+  }
+
+  /**
+   * Emit an event unless the simulation is running silently
+   * @param {string} event - Event name
+   * @param {...any} args - Event arguments
+   */
+  emit(event, ...args) {
+    if (!this.silent) {
+      super.emit(event, ...args);
+    }
+  }
+
+  /**
+   * Get the playfield bounds the components collide against
+   * @returns {Object} Bounds object
+   */
+  getBounds() {
+    return { width: this.playfield.width, height: this.playfield.height };
+  }
+
+  /**
+   * Get the size factor applied to paddle, ball and brick dimensions
+   * @returns {number} Playfield scale relative to an 800 unit square
+   */
+  getScale() {
+    return Math.min(this.playfield.width, this.playfield.height) / 800;
+  }
+
+  /**
+   * Create a ball at the center of the playfield, launched upwards
+   * @param {number} direction - 1 to head right, -1 to head left
+   * @returns {Ball} New ball
+   */
+  createBall(direction) {
+    const scale = this.getScale();
+    const ball = new Ball(this.playfield.width / 2, this.playfield.height / 2, this.clock);
+    const angle = GameConfig.PHYSICS.BALL_LAUNCH_ANGLE * Math.PI / 180;
+    const speed = this.getBallSpeed();
+
+    ball.radius = 12 * scale;
+    ball.setVelocity(direction * Math.sin(angle) * speed, -Math.cos(angle) * speed);
+    return ball;
+  }
+
+  /**
+   * Get the ball speed for the current level
+   * @returns {number} Speed per reference frame, scaled to the playfield
+   */
+  getBallSpeed() {
+    const scale = this.getScale();
+    const levelScaling = Math.pow(GameConfig.GAME.DIFFICULTY_SCALING, this.level - 1);
+    return GameConfig.PHYSICS.BALL_SPEED * scale * levelScaling * this.getLevel().ballSpeed;
+  }
+
+  /**
+   * Get the data for the level being played
+   * @returns {Level} Level; past the end of the sequence it starts over
+   */
+  getLevel() {
+    return this.levels[(this.level - 1) % this.levels.length];
+  }
+
+  /**
+   * Lay out the current level's bricks, centered on the playfield
+   */
+  createBricks() {
+    this.bricks = [];
+    const level = this.getLevel();
+    const { left, top, brickWidth, brickHeight, padding } = Level.getLayout(level.columns, this.playfield.width, this.getScale());
+    const colors = GameConfig.PALETTES.classic.bricks;
+
+    for (let cell of level.getCells()) {
+      const brick = new Brick(
+        left + cell.column * (brickWidth + padding),
+        top + cell.row * (brickHeight + padding),
+        brickWidth,
+        brickHeight,
+        colors[cell.color],
+        cell.hits
+      );
+      brick.type = cell.type;
+      brick.drop = cell.drop;
+      // Looks come from the seed and grid position, so they match in replays whatever else was drawn
+      brick.seed = this.random.derive(`brick:${this.level}:${cell.row}:${cell.column}`);
+      this.bricks.push(brick);
+    }
+
+    this.indexBricks(brickWidth + padding);
+  }
+
+  /**
+   * Rebuild the brick spatial index and remaining-brick count
+   * @param {number} cellSize - Grid cell size, roughly one brick plus padding
+   */
+  indexBricks(cellSize = this.brickGrid.cellSize) {
+    this.brickGrid = new SpatialGrid(cellSize);
+    this.remainingBricks = 0;
+
+    for (let brick of this.bricks) {
+      if (brick.visible) {
+        this.brickGrid.insert(brick, brick.getBounds());
+        this.remainingBricks++;
+      }
+    }
+  }
+
+  /**
+   * Remember positions at the start of a tick for render interpolation
+   */
+  storePreviousPositions() {
+    const entities = [this.paddle, ...this.balls, ...this.powerUps];
+    for (let entity of entities) {
+      entity.savePreviousPosition();
+    }
+  }
+
+  updatePaddle(deltaTime, inputs) {
+    // Pointer control puts the paddle straight under the pointer
+    if (inputs.pointerX !== null && inputs.pointerX !== undefined) {
+      this.paddle.position.x = inputs.pointerX - this.paddle.width / 2;
+    }
+
+    // Keyboard and D-pad controls, then the analog stick
+    if (inputs.left) {
+      this.paddle.moveLeft(deltaTime);
+    } else if (inputs.right) {
+      this.paddle.moveRight(deltaTime);
+    } else if (inputs.axis) {
+      this.paddle.moveBy(inputs.axis);
+    } else {
+      this.paddle.stop();
+    }
+
+    this.paddle.update(deltaTime, this.getBounds(), this.balls);
+  }
+
+  updateBalls(deltaTime) {
+    const bounds = this.getBounds();
+    const staticColliders = this.getColliders(bounds);
+    const topBrickY = GameConfig.LEVELS.TOP * this.getScale(); // Where the brick layout starts
+
+    for (let i = this.balls.length - 1; i >= 0; i--) {
+      const ball = this.balls[i];
+
+      // Sweep along the ball's path, bouncing off walls, paddle and nearby bricks
+      const colliders = staticColliders.concat(this.getBrickColliders(ball, deltaTime));
+      Physics.moveBall(ball, deltaTime, colliders, contact => this.handleBallContact(ball, contact));
+
+      // Expire power-ups and cavity glow
+      ball.updateEffects();
+
+      // Check if ball is in cavity (above top row of bricks)
+      const isInCavity = ball.position.y < topBrickY;
+
+      if (isInCavity && !ball.inCavity) {
+        // Ball just entered cavity! Speed it up SuperBreakout style
+        ball.enterCavity(1.8); // 80% speed increase
+        this.score += 50; // Cavity entry bonus
+        this.emitParticles(ball.position.x, ball.position.y, '#ffd700', 8); // Gold particles
+        this.emit(Simulation.EVENTS.CAVITY, true, ball);
+      } else if (!isInCavity && ball.inCavity) {
+        // Ball left cavity - golden effect lasts 5 seconds, then speed is restored
+        ball.leaveCavity(5000);
+        this.emit(Simulation.EVENTS.CAVITY, false, ball);
+      }
+
+      // Bottom boundary - lose ball
+      if (ball.position.y >= bounds.height - ball.radius) {
+        this.balls.splice(i, 1);
+        this.emitParticles(ball.position.x, ball.position.y, '#ff0000', 10);
+        this.emit(Simulation.EVENTS.SOUND, 'ballLost', { x: ball.position.x, y: ball.position.y });
+      }
+    }
+
+    // Check if all balls are lost
+    if (this.balls.length === 0) {
+      this.lives--;
+      this.emit(Simulation.EVENTS.LIFE_LOST, this.lives);
+      if (this.lives <= 0) {
+        this.gameOver();
+      } else {
+        this.resetBall();
+      }
+    }
+  }
+
+  updatePowerUps(deltaTime) {
+    const bounds = this.getBounds();
+
+    for (let i = this.powerUps.length - 1; i >= 0; i--) {
+      const powerUp = this.powerUps[i];
+      powerUp.update(deltaTime);
+
+      // Remove if off screen
+      if (powerUp.isOffScreen(bounds)) {
+        this.powerUps.splice(i, 1);
+        continue;
+      }
+
+      // Check collision with paddle
+      if (powerUp.intersects(this.paddle)) {
+        this.applyPowerUp(powerUp.type);
+        this.powerUps.splice(i, 1);
+        this.emitParticles(powerUp.position.x, powerUp.position.y, powerUp.color, 15);
+        this.score += 250;
+        this.emit(Simulation.EVENTS.SOUND, 'powerUpCollect', { x: powerUp.position.x, y: powerUp.position.y });
+      }
+    }
+  }
+
+  /**
+   * Collect the walls and paddle every ball can bounce off this tick
+   * @param {Object} bounds - Playfield bounds
+   * @returns {Array} Physics colliders
+   */
+  getColliders(bounds) {
+    const colliders = Physics.createWalls(bounds);
+    colliders.push({ ...this.paddle.getBounds(), type: 'paddle', body: this.paddle });
+    return colliders;
+  }
+
+  /**
+   * Look up the bricks a ball could reach this tick
+   * @param {Ball} ball - Ball about to move
+   * @param {number} deltaTime - Time since last update
+   * @returns {Array} Physics colliders for nearby bricks
+   */
+  getBrickColliders(ball, deltaTime) {
+    // Bounces can turn the ball anywhere, so cover its full travel in every direction
+    const reach = ball.velocity.magnitude() * deltaTime + ball.radius;
+    const area = {
+      left: ball.position.x - reach,
+      right: ball.position.x + reach,
+      top: ball.position.y - reach,
+      bottom: ball.position.y + reach
+    };
+
+    return this.brickGrid.query(area).map(brick => ({ ...brick.getBounds(), type: 'brick', body: brick }));
+  }
+
+  /**
+   * Drop a destroyed brick from the spatial index
+   * @param {Brick} brick - Brick that was destroyed
+   */
+  removeBrick(brick) {
+    if (this.brickGrid.remove(brick)) {
+      this.remainingBricks--;
+    }
+  }
+
+  /**
+   * Resolve a ball touching a wall, the paddle or a brick
+   * @param {Ball} ball - Ball that made contact
+   * @param {Object} contact - Physics contact
+   * @returns {string} Physics.RESPONSE for the ball
+   */
+  handleBallContact(ball, contact) {
+    const { type, body } = contact.collider;
+
+    if (type === 'paddle') {
+      // Side hits just bounce; the top of the paddle aims the ball
+      if (contact.normal.y >= 0) {
+        return Physics.RESPONSE.REFLECT;
+      }
+
+      this.paddle.bounce(ball);
+      this.emit(Simulation.EVENTS.SOUND, 'paddleHit');
+      return Physics.RESPONSE.CUSTOM;
+    }
+
+    if (type === 'brick') {
+      // Already knocked out by another ball this tick
+      if (!body.visible) {
+        return Physics.RESPONSE.PASS_THROUGH;
+      }
+
+      // Spiked balls smash straight through
+      const spiked = this.hitBrick(body, ball);
+      return spiked ? Physics.RESPONSE.PASS_THROUGH : Physics.RESPONSE.REFLECT;
+    }
+
+    return Physics.RESPONSE.REFLECT;
+  }
+
+  /**
+   * Damage a brick (and the spike chain behind it) and score it
+   * @param {Brick} brick - Brick the ball touched
+   * @param {Ball} ball - Ball that hit it
+   * @returns {boolean} True if the ball is spiked and keeps going
+   */
+  hitBrick(brick, ball) {
+    const bricksHit = [];
+
+    // Check if ball has spike (sheriff badge) power-up
+    const hasSpike = ball.hasPowerUp(GameConfig.POWERUPS.TYPES.PIERCE);
+
+    if (hasSpike) {
+      // Find up to 3 bricks in the direction of ball movement
+      bricksHit.push(brick);
+
+      const direction = { x: Math.sign(ball.velocity.x), y: Math.sign(ball.velocity.y) };
+      let currentBrick = brick;
+
+      // Find next 2 bricks in the movement direction
+      for (let i = 0; i < 2; i++) {
+        const nextBrick = this.findNextBrick(currentBrick, direction);
+        if (nextBrick && nextBrick.visible) {
+          bricksHit.push(nextBrick);
+          currentBrick = nextBrick;
+        } else {
+          break;
+        }
+      }
+    } else {
+      bricksHit.push(brick);
+    }
+
+    // Process all hit bricks, including any caught in an explosion
+    for (let i = 0; i < bricksHit.length; i++) {
+      const hitBrick = bricksHit[i];
+      const destroyed = hitBrick.hit();
+      this.emit(Simulation.EVENTS.BRICK_HIT, hitBrick, destroyed);
+
+      // Tough bricks only crack until their last hit
+      if (!destroyed) continue;
+
+      this.removeBrick(hitBrick);
+
+      // Add score with cavity bonus
+      const brickType = GameConfig.LEVELS.BRICK_TYPES[hitBrick.type] || GameConfig.LEVELS.BRICK_TYPES.normal;
+      let points = 100 * this.multiplier * brickType.points;
+      const ballInCavity = ball.hasCavityEffect();
+      if (ballInCavity) {
+        points *= 2; // Double points for cavity shots!
+        this.emit(Simulation.EVENTS.CAVITY_SHOT, hitBrick, points);
+      }
+      this.score += points;
+
+      this.combo++;
+      this.emit(Simulation.EVENTS.COMBO, this.combo);
+
+      // Create particles (extra for cavity shots)
+      const particleCount = hasSpike ? 15 : (ballInCavity ? 15 : 10);
+      const particleColor = ballInCavity || hitBrick.type === 'treasure' ? '#ffd700' : hitBrick.color; // Gold for cavity shots and treasure
+      const center = hitBrick.getCenter();
+      this.emitParticles(center.x, center.y, particleColor, particleCount);
+
+      if (hitBrick.drop) {
+        // Bricks the level gave a drop always let it fall
+        this.createPowerUp(center.x, center.y, hitBrick.drop === 'random' ? undefined : hitBrick.drop);
+      } else if (hitBrick === brick && this.random.gameplay.chance(this.getLevel().dropChance) && this.powerUps.length < 2) {
+        // Random power-up drop (only from first brick) - reduced spawn rate and limit total powerups
+        this.createPowerUp(center.x, center.y);
+      }
+
+      if (hitBrick.type === 'explosive') {
+        this.explodeBrick(hitBrick, bricksHit);
+      }
+    }
+
+    // Update multiplier
+    if (this.combo > 5) {
+      this.multiplier = Math.min(5, Math.floor(this.combo / 5) + 1);
+    }
+
+    return hasSpike;
+  }
+
+  /**
+   * Set off an explosive brick, adding every brick around it to the hit list
+   * @param {Brick} brick - Explosive brick that was just destroyed
+   * @param {Brick[]} bricksHit - Bricks being hit this contact; neighbours are appended
+   */
+  explodeBrick(brick, bricksHit) {
+    const reach = GameConfig.PHYSICS.BRICK_PADDING * this.getScale() * 2;
+    const bounds = brick.getBounds();
+    const neighbours = this.brickGrid.query({
+      left: bounds.left - reach,
+      right: bounds.right + reach,
+      top: bounds.top - reach,
+      bottom: bounds.bottom + reach
+    });
+
+    for (let neighbour of neighbours) {
+      if (neighbour.visible && !bricksHit.includes(neighbour)) {
+        bricksHit.push(neighbour);
+      }
+    }
+
+    const center = brick.getCenter();
+    this.emitParticles(center.x, center.y, GameConfig.COLORS.ORANGE, 25);
+    this.emit(Simulation.EVENTS.SOUND, 'explosion', { x: center.x, y: center.y });
+  }
+
+  findNextBrick(currentBrick, direction) {
+    const scale = this.getScale();
+    const brickWidth = currentBrick.width;
+    const brickHeight = currentBrick.height;
+    const padding = 5 * scale;
+
+    // Calculate approximate next brick position
+    const nextX = currentBrick.position.x + (direction.x * (brickWidth + padding));
+    const nextY = currentBrick.position.y + (direction.y * (brickHeight + padding));
+
+    // Find brick at that position among the ones indexed around it
+    const candidates = this.brickGrid.query({
+      left: nextX,
+      right: nextX + brickWidth,
+      top: nextY,
+      bottom: nextY + brickHeight
+    });
+
+    return candidates.find(brick =>
+      brick.visible &&
+      Math.abs(brick.position.x - nextX) < (brickWidth / 2) &&
+      Math.abs(brick.position.y - nextY) < (brickHeight / 2)
+    );
+  }
+
+  checkGameState() {
+    if (this.status === Simulation.STATUS.PLAYING && this.remainingBricks <= 0) {
+      this.levelComplete();
+    }
+  }
+
+  levelComplete() {
+    this.level++;
+    this.combo = 0;
+    this.multiplier = 1;
+
+    const levelBonus = this.level * 1000;
+    this.score += levelBonus;
+    this.levelStartScore = this.score;
+    this.emit(Simulation.EVENTS.SOUND, 'levelComplete');
+
+    this.createBricks();
+    this.resetBall();
+    this.emit(Simulation.EVENTS.LEVEL_COMPLETE, this.level);
+  }
+
+  /**
+   * Play the current level again from the top
+   *
+   * The bricks and ball start over and the score goes back to what it was
+   * when the level began. Lost lives are not given back.
+   */
+  restartLevel() {
+    if (this.status !== Simulation.STATUS.PLAYING) return;
+
+    this.score = this.levelStartScore;
+    this.combo = 0;
+    this.multiplier = 1;
+    this.powerUps = [];
+
+    this.createBricks();
+    this.resetBall();
+  }
+
+  resetBall() {
+    const direction = this.random.gameplay.sign();
+
+    // Fresh ball without power-ups
+    this.balls = [this.createBall(direction)];
+
+    // Reset paddle power-ups and size
+    this.paddle.reset(this.paddle.position.x, this.paddle.position.y);
+  }
+
+  gameOver() {
+    this.status = Simulation.STATUS.GAME_OVER;
+    this.emit(Simulation.EVENTS.SOUND, 'gameOver');
+    this.emit(Simulation.EVENTS.GAME_OVER, { score: this.score, level: this.level });
+  }
+
+  /**
+   * Ask the presentation layer for a particle burst
+   * @private
+   */
+  emitParticles(x, y, color, count) {
+    this.emit(Simulation.EVENTS.PARTICLES, { x, y, color, count });
+  }
+
+  /**
+   * Let a power-up fall
+   * @param {number} x - Where it starts
+   * @param {number} y - Where it starts
+   * @param {string} type - Key of GameConfig.POWERUPS.DROPS (random if omitted)
+   */
+  createPowerUp(x, y, type = this.random.gameplay.pick(Object.keys(GameConfig.POWERUPS.DROPS))) {
+    this.powerUps.push(new PowerUp(x, y, type));
+  }
+
+  /**
+   * Apply a collected drop
+   * @param {string} type - Drop type (key of GameConfig.POWERUPS.DROPS)
+   */
+  applyPowerUp(type) {
+    const { TYPES, DROPS } = GameConfig.POWERUPS;
+    const effect = DROPS[type] ? DROPS[type].effect : type;
+
+    switch (effect) {
+      case TYPES.MULTI_BALL:
+        // Dynamite - multi-ball explosion, split a ball that is still in play
+        if (this.balls.length > 0 && this.balls.length < 5) {
+          const newBall = this.balls[0].clone(); // Inherits power-ups
+          newBall.reverse('x');
+          this.balls.push(newBall);
+        }
+        break;
+      case TYPES.WIDE_PADDLE:
+        // Whiskey - liquid courage makes the paddle wider
+        this.paddle.applyPowerUp(effect);
+        break;
+      case TYPES.FAST_BALL:
+      case TYPES.SLOW_BALL:
+        // Boots speed the balls up, the lucky horseshoe slows them down
+        this.balls.forEach(ball => ball.applyPowerUp(effect));
+        break;
+      case TYPES.PIERCE:
+        // Sheriff badge - balls smash through up to three bricks
+        this.balls.forEach(ball => ball.applyPowerUp(effect));
+        break;
+    }
+
+    this.emit(Simulation.EVENTS.POWER_UP, { type, effect });
+  }
+
+  /**
+   * Serialize the whole simulation state
+   * @returns {Object} Plain-data snapshot
+   */
+  serialize() {
+    return {
+      playfield: { ...this.playfield },
+      tick: this.tick,
+      status: this.status,
+      score: this.score,
+      levelStartScore: this.levelStartScore,
+      lives: this.lives,
+      level: this.level,
+      combo: this.combo,
+      multiplier: this.multiplier,
+      clock: this.clock.serialize(),
+      random: this.random.serialize(),
+      paddle: this.paddle.serialize(),
+      balls: this.balls.map(ball => ball.serialize()),
+      bricks: this.bricks.map(brick => brick.serialize()),
+      brickCellSize: this.brickGrid.cellSize,
+      powerUps: this.powerUps.map(powerUp => powerUp.serialize())
+    };
+  }
+
+  /**
+   * Restore a snapshot from serialize()
+   * @param {Object} data - Serialized state
+   */
+  deserialize(data) {
+    this.playfield = { ...data.playfield };
+    this.tick = data.tick;
+    this.status = data.status;
+    this.score = data.score;
+    this.levelStartScore = data.levelStartScore ?? data.score;
+    this.lives = data.lives;
+    this.level = data.level;
+    this.combo = data.combo;
+    this.multiplier = data.multiplier;
+    this.clock.deserialize(data.clock);
+    this.random.deserialize(data.random);
+
+    this.paddle.deserialize(data.paddle);
+
+    this.balls = data.balls.map(ballData => {
+      const ball = new Ball(0, 0, this.clock);
+      ball.deserialize(ballData);
+      return ball;
+    });
+
+    this.bricks = data.bricks.map(brickData => {
+      const brick = new Brick(0, 0, 0, 0, brickData.color);
+      brick.deserialize(brickData);
+      return brick;
+    });
+    this.indexBricks(data.brickCellSize);
+
+    this.powerUps = data.powerUps.map(powerUpData => {
+      const powerUp = new PowerUp(0, 0, powerUpData.type);
+      powerUp.deserialize(powerUpData);
+      return powerUp;
+    });
+  }
+}
+
+export default Simulation;
@@ -0,0 +1,97 @@
+import Vector2D from '../utils/Vector2D.js';
+
+/**
+ * Maps the fixed logical playfield onto the screen
+ *
+ * Gameplay always runs in playfield units. The viewport scales the playfield
+ * to fit the screen, centered with letterbox bars, so a resize only changes
+ * how the game is drawn and never the game itself. Screen sizes are in CSS
+ * pixels; the pixel ratio maps them onto the canvas backing store.
+ */
+export class Viewport {
+  /**
+   * @param {number} width - Playfield width in logical units
+   * @param {number} height - Playfield height in logical units
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.screenWidth = width;
+    this.screenHeight = height;
+    this.scale = 1;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.pixelRatio = 1;
+  }
+
+  /**
+   * Fit the playfield to a new screen size
+   * @param {number} screenWidth - Screen width in CSS pixels
+   * @param {number} screenHeight - Screen height in CSS pixels
+   * @param {number} pixelRatio - Backing-store pixels per CSS pixel
+   */
+  resize(screenWidth, screenHeight, pixelRatio = 1) {
+    this.pixelRatio = pixelRatio;
+    this.screenWidth = screenWidth;
+    this.screenHeight = screenHeight;
+    this.scale = Math.min(screenWidth / this.width, screenHeight / this.height);
+    this.offsetX = (screenWidth - this.width * this.scale) / 2;
+    this.offsetY = (screenHeight - this.height * this.scale) / 2;
+  }
+
+  /**
+   * Set a context up to draw in playfield units
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  apply(ctx) {
+    const ratio = this.pixelRatio;
+    ctx.setTransform(this.scale * ratio, 0, 0, this.scale * ratio, this.offsetX * ratio, this.offsetY * ratio);
+  }
+
+  /**
+   * Get backing-store pixels per playfield unit
+   * @returns {number} Pixel scale
+   */
+  getPixelScale() {
+    return this.scale * this.pixelRatio;
+  }
+
+  /**
+   * Convert a screen point to playfield units
+   * @param {number} screenX - X in CSS pixels from the canvas's left edge
+   * @param {number} screenY - Y in CSS pixels from the canvas's top edge
+   * @returns {Vector2D} Playfield point
+   */
+  toPlayfield(screenX, screenY) {
+    return new Vector2D(
+      (screenX - this.offsetX) / this.scale,
+      (screenY - this.offsetY) / this.scale
+    );
+  }
+
+  /**
+   * Convert a pointer event position to playfield units
+   * @param {number} clientX - Pointer client X
+   * @param {number} clientY - Pointer client Y
+   * @param {DOMRect} rect - Canvas bounding rect
+   * @returns {Vector2D} Playfield point
+   */
+  clientToPlayfield(clientX, clientY, rect) {
+    // The canvas may be stretched by CSS, so go through its on-page size
+    const scaleX = rect.width ? this.screenWidth / rect.width : 1;
+    const scaleY = rect.height ? this.screenHeight / rect.height : 1;
+    return this.toPlayfield((clientX - rect.left) * scaleX, (clientY - rect.top) * scaleY);
+  }
+
+  /**
+   * Convert a playfield point to screen pixels
+   * @param {number} x - Playfield X
+   * @param {number} y - Playfield Y
+   * @returns {Vector2D} Screen point in CSS pixels
+   */
+  toScreen(x, y) {
+    return new Vector2D(x * this.scale + this.offsetX, y * this.scale + this.offsetY);
+  }
+}
+
+export default Viewport;
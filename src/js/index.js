@@ -6,6 +6,8 @@
 import '../css/main.css';
 import { logger } from './core/Logger.js';
 import GameConfig from './config/GameConfig.js';
+import { InputManager } from './systems/InputManager.js';
+import { i18n } from './systems/I18n.js';
 
 // Initialize application
 class App {
@@ -82,7 +84,9 @@ class App {
     // Dynamically import the game module to enable code splitting
     const { KnockoffArcade } = await import('./Game.js');
     
-    this.game = new KnockoffArcade();
+    // A ?seed= URL parameter replays the same run
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    this.game = new KnockoffArcade(seed !== null ? { seed } : {});
     await this.game.init();
   }
 
@@ -97,14 +101,12 @@ class App {
       logger.error('Unhandled promise rejection:', event.reason);
     });
 
-    // Visibility change (pause game when tab is hidden)
+    // Visibility change (pause and save the run when tab is hidden; the
+    // pause menu waits for the player when they come back)
     document.addEventListener('visibilitychange', () => {
-      if (this.game) {
-        if (document.hidden) {
-          this.game.pause();
-        } else {
-          this.game.resume();
-        }
+      if (this.game && document.hidden) {
+        this.game.pause();
+        this.game.saveRun();
       }
     });
 
@@ -115,18 +117,12 @@ class App {
       }
     });
 
-    // Keyboard shortcuts
-    document.addEventListener('keydown', (event) => {
-      // F11 for fullscreen
-      if (event.key === 'F11') {
-        event.preventDefault();
+    // Fullscreen belongs to the page; the game's input layer reports the
+    // action (pause is handled inside the game)
+    this.game.input.on(InputManager.EVENTS.ACTION, action => {
+      if (action === InputManager.ACTIONS.FULLSCREEN) {
         this.toggleFullscreen();
       }
-      
-      // Escape to pause
-      if (event.key === 'Escape' && this.game) {
-        this.game.togglePause();
-      }
     });
   }
 
@@ -192,10 +188,10 @@ class App {
     if (container) {
       container.innerHTML = `
         <div class="start-screen">
-          <h1 style="color: var(--color-red);">⚠️ ERROR ⚠️</h1>
-          <p>Failed to start the game:</p>
+          <h1 style="color: var(--color-red);">${i18n.t('error.title')}</h1>
+          <p>${i18n.t('error.failed')}</p>
           <p style="color: var(--color-red); font-weight: bold;">${message}</p>
-          <p>Please try refreshing the page or check your browser compatibility.</p>
+          <p>${i18n.t('error.hint')}</p>
           <button onclick="location.reload()" style="
             background: var(--color-brown-primary);
             color: var(--color-sand);
@@ -205,7 +201,7 @@ class App {
             cursor: pointer;
             font-family: var(--font-primary);
             font-weight: bold;
-          ">Refresh Page</button>
+          ">${i18n.t('error.refresh')}</button>
         </div>
       `;
     }
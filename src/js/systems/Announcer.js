@@ -0,0 +1,124 @@
+/**
+ * Screen-reader announcements for KnockoffArcade
+ *
+ * Game events reach assistive technology through a pair of visually hidden
+ * aria-live regions, one polite and one assertive. Announcements are
+ * throttled so a burst of events doesn't flood the reader: messages wait
+ * in a short queue and go out at most one per interval, a newer message
+ * with the same key replaces a queued one (only the latest score matters),
+ * and assertive messages jump the queue.
+ */
+
+export class Announcer {
+  static PRIORITIES = {
+    POLITE: 'polite',
+    ASSERTIVE: 'assertive'
+  };
+
+  /**
+   * @param {Object} options - Announcer options
+   * @param {HTMLElement} options.container - Where the live regions go (defaults to document.body)
+   * @param {number} options.interval - Least ms between announcements
+   * @param {number} options.maxQueue - Queued messages kept; the oldest are dropped
+   */
+  constructor({ container = document.body, interval = 1200, maxQueue = 4 } = {}) {
+    this.interval = interval;
+    this.maxQueue = maxQueue;
+    this.queue = []; // { message, priority, key }
+    this.lastAnnouncedAt = -Infinity;
+    this.timer = null;
+
+    this.regions = {};
+    for (let priority of Object.values(Announcer.PRIORITIES)) {
+      const region = document.createElement('div');
+      region.className = 'sr-only';
+      region.setAttribute('aria-live', priority);
+      region.setAttribute('aria-atomic', 'true');
+      region.setAttribute('role', priority === Announcer.PRIORITIES.ASSERTIVE ? 'alert' : 'status');
+      container.appendChild(region);
+      this.regions[priority] = region;
+    }
+  }
+
+  /**
+   * Queue a message for screen readers
+   * @param {string} message - Text to read out
+   * @param {Object} options - Announcement options
+   * @param {string} options.priority - Announcer.PRIORITIES value
+   * @param {string} options.key - Replaces any queued message with the same key
+   */
+  announce(message, { priority = Announcer.PRIORITIES.POLITE, key = null } = {}) {
+    if (!message) return;
+
+    if (key !== null) {
+      this.queue = this.queue.filter(entry => entry.key !== key);
+    }
+
+    const entry = { message, priority, key };
+    if (priority === Announcer.PRIORITIES.ASSERTIVE) {
+      this.queue.unshift(entry);
+    } else {
+      this.queue.push(entry);
+    }
+
+    // Over the limit, the oldest polite message goes first
+    while (this.queue.length > this.maxQueue) {
+      const oldest = this.queue.findIndex(queued => queued.priority !== Announcer.PRIORITIES.ASSERTIVE);
+      this.queue.splice(oldest < 0 ? this.queue.length - 1 : oldest, 1);
+    }
+
+    this.flush();
+  }
+
+  /**
+   * Drop everything still queued
+   */
+  clear() {
+    this.queue = [];
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Remove the live regions
+   */
+  destroy() {
+    this.clear();
+    for (let region of Object.values(this.regions)) {
+      region.remove();
+    }
+  }
+
+  /**
+   * Announce the next queued message, or wait until the interval allows it
+   * @private
+   */
+  flush() {
+    if (this.timer || this.queue.length === 0) return;
+
+    const wait = this.lastAnnouncedAt + this.interval - Date.now();
+    if (wait > 0) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush();
+      }, wait);
+      return;
+    }
+
+    const { message, priority } = this.queue.shift();
+    const region = this.regions[priority];
+
+    // Clearing first makes readers repeat a message identical to the last one
+    region.textContent = '';
+    region.textContent = message;
+    this.lastAnnouncedAt = Date.now();
+
+    if (this.queue.length > 0) {
+      this.flush();
+    }
+  }
+}
+
+export default Announcer;
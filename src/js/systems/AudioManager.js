@@ -1,10 +1,25 @@
+import { random } from '../core/Random.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { i18n } from './I18n.js';
+
 /**
  * Audio Manager for KnockoffArcade
  * Handles all sound effects and background music
+ *
+ * Sounds and voice lines listed in GameConfig.CAPTIONS are also emitted as
+ * CAPTION events, whether or not they can be heard, so they can be shown
+ * on screen.
  */
 
-export class AudioManager {
+export class AudioManager extends EventEmitter {
+  static EVENTS = {
+    CAPTION: 'caption' // ({ text, source, position }) - position is in playfield units, or null
+  };
+
   constructor() {
+    super();
+
     this.sounds = new Map();
     this.context = null;
     this.masterVolume = 0.7;
@@ -14,6 +29,7 @@ export class AudioManager {
     this.voiceVolume = 1.5;
     this.isInitialized = false;
     this.isMuted = false;
+    this.isMusicDucked = false; // Music is turned down under a voice line
     this.userHasInteracted = false;
     this.hasPlayedFirstTrack = false;
 
@@ -34,6 +50,14 @@ export class AudioManager {
         envelope: { attack: 0.001, decay: 0.05, sustain: 0.1, release: 0.094 }
       },
 
+      // Long, heavy gunshot for an explosive brick going off
+      explosion: {
+        type: 'gunshot',
+        duration: 0.6,
+        volume: 1.0,
+        envelope: { attack: 0.001, decay: 0.2, sustain: 0.3, release: 0.399 }
+      },
+
       // Spittoon pings for brick breaking (different pitches)
       brickBreak1: {
         type: 'spittoon',
@@ -157,7 +181,7 @@ export class AudioManager {
 
       // Create master gain node
       this.masterGain = this.context.createGain();
-      this.masterGain.gain.value = this.masterVolume;
+      this.masterGain.gain.value = this.isMuted ? 0 : this.masterVolume;
       this.masterGain.connect(this.context.destination);
 
       // Create music gain node
@@ -179,7 +203,19 @@ export class AudioManager {
     }
   }
 
+  /**
+   * Play a named sound effect
+   * @param {string} soundName - Key of soundDefinitions
+   * @param {Object} options - Playback options
+   * @param {number} options.volume - Overrides the sound's own volume
+   * @param {{x: number, y: number}} options.position - Where in the playfield the sound came from
+   */
   async playSound(soundName, options = {}) {
+    if (GameConfig.CAPTIONS.SOUNDS.includes(soundName)) {
+      const text = i18n.t(`captions.${soundName}`);
+      this.emit(AudioManager.EVENTS.CAPTION, { text, source: soundName, position: options.position || null });
+    }
+
     // Don't play anything if user hasn't interacted yet
     if (!this.userHasInteracted) {
       console.log('Audio blocked - waiting for user interaction');
@@ -257,7 +293,7 @@ export class AudioManager {
     for (let i = 0; i < bufferSize; i++) {
       const t = i / bufferSize;
       const envelope = Math.exp(-t * 50) * (1 - t); // Sharp attack, quick decay
-      const noise = (Math.random() * 2 - 1);
+      const noise = (random.audio.next() * 2 - 1);
       const crack = Math.sin(t * Math.PI * 200) * Math.exp(-t * 30); // Sharp crack component
       output[i] = (noise * 0.7 + crack * 0.3) * envelope;
     }
@@ -729,7 +765,7 @@ export class AudioManager {
     for (let i = 0; i < bufferSize; i++) {
       const t = i / bufferSize;
       const envelope = Math.sin(t * Math.PI) * 0.7;
-      output[i] = (Math.random() * 2 - 1) * envelope;
+      output[i] = (random.audio.next() * 2 - 1) * envelope;
     }
 
     const source = this.context.createBufferSource();
@@ -784,7 +820,7 @@ export class AudioManager {
   // Random brick break sound selection
   playBrickBreak() {
     const sounds = ['brickBreak1', 'brickBreak2', 'brickBreak3'];
-    const randomSound = sounds[Math.floor(Math.random() * sounds.length)];
+    const randomSound = random.audio.pick(sounds);
     this.playSound(randomSound);
   }
 
@@ -821,24 +857,7 @@ export class AudioManager {
     console.log('Is muted:', this.isMuted);
 
     // Setup music files if not already done
-    if (!this.musicFiles) {
-      this.musicFiles = [
-        './assets/sounds/harmonica 1 tunes - bar 141 - Eitan Epstein Music - main.wav',
-        './assets/sounds/The Western short version.wav',
-        './assets/sounds/Western.mp3',
-        './assets/sounds/Western (Full Version).mp3',
-        './assets/sounds/Country Western/Country Western 01.mp3',
-        './assets/sounds/Country/Country.mp3',
-        './assets/sounds/Country Ways.mp3',
-        './assets/sounds/Lady Fortune.mp3',
-        './assets/sounds/Traveling Through.mp3',
-        './assets/sounds/CountryHoedown_96_JHungerX.wav',
-        './assets/sounds/Funny Country.wav',
-        './assets/sounds/Uplifting Country 2.wav',
-        './assets/sounds/acd c tunes 02a - bar 1225 - eitan-ep - main.wav'
-      ];
-      this.currentTrackIndex = 0;
-    }
+    this.setupMusicFiles();
 
     // Stop any currently playing music to prevent overlapping
     this.stopCurrentMusic();
@@ -1049,7 +1068,7 @@ export class AudioManager {
     if (!this.isInitialized || !this.currentMusic || this.isMuted) return;
 
     // Pick a random chord
-    const randomChord = this.westernChords[Math.floor(Math.random() * this.westernChords.length)];
+    const randomChord = random.audio.pick(this.westernChords);
 
     // Fixed duration for 4 beats (assuming 120 BPM = 0.5 seconds per beat)
     const beatsPerMinute = 120;
@@ -1153,10 +1172,10 @@ export class AudioManager {
     const sixteenthNote = duration / 16;
 
     for (let i = 0; i < 16; i++) {
-      if (Math.random() < 0.7) { // Not every note played
+      if (random.audio.chance(0.7)) { // Not every note played
         const noteTime = startTime + (i * sixteenthNote);
         const chordIndex = pickingPattern[i % pickingPattern.length];
-        const frequency = chord.notes[chordIndex] * (1 + Math.random() * 0.5); // Vary octave
+        const frequency = chord.notes[chordIndex] * (1 + random.audio.next() * 0.5); // Vary octave
 
         const oscillator = this.context.createOscillator();
         const gainNode = this.context.createGain();
@@ -1198,7 +1217,7 @@ export class AudioManager {
     const noteLength = duration / 4;
 
     melodyNotes.forEach((frequency, index) => {
-      if (Math.random() < 0.6) { // Sparse melody
+      if (random.audio.chance(0.6)) { // Sparse melody
         const noteTime = startTime + (index * noteLength);
         const oscillator = this.context.createOscillator();
         const gainNode = this.context.createGain();
@@ -1259,7 +1278,7 @@ export class AudioManager {
       }
 
       // Subtle hi-hat on off-beats
-      if (Math.random() < 0.4) {
+      if (random.audio.chance(0.4)) {
         this.playHiHat(beatTime + beatLength / 2);
       }
     }
@@ -1267,7 +1286,7 @@ export class AudioManager {
 
   playRandomMelody(chord, chordDuration, startTime) {
     // Generate a short random melody (3-6 notes)
-    const melodyLength = 3 + Math.floor(Math.random() * 4);
+    const melodyLength = random.audio.int(3, 6);
     const noteDuration = (chordDuration - 1) / melodyLength; // Leave space at end
 
     // Get chord-appropriate melody notes
@@ -1277,10 +1296,10 @@ export class AudioManager {
       const noteStartTime = startTime + (i * noteDuration);
 
       // Pick random note that fits the chord
-      const randomNote = chordNotes[Math.floor(Math.random() * chordNotes.length)];
+      const randomNote = random.audio.pick(chordNotes);
 
       // 20% chance of rest (silence)
-      if (Math.random() < 0.2) {
+      if (random.audio.chance(0.2)) {
         continue; // Skip this note (create a rest)
       }
 
@@ -1338,10 +1357,10 @@ export class AudioManager {
 
     for (let i = 0; i < totalTriplets; i++) {
       // 40% chance to play each triplet note
-      if (Math.random() < 0.4) {
+      if (random.audio.chance(0.4)) {
         const noteStartTime = startTime + (i * tripletDuration);
         const chordNote = chord[i % chord.length];
-        const tripletNote = chordNote * (1 + Math.random() * 0.5); // Vary the octave slightly
+        const tripletNote = chordNote * (1 + random.audio.next() * 0.5); // Vary the octave slightly
 
         this.playPolyrhythmNote(tripletNote, tripletDuration * 0.7, noteStartTime, 'triplet');
       }
@@ -1354,7 +1373,7 @@ export class AudioManager {
 
     for (let beat = 0; beat < numBeats; beat++) {
       // Play on the "and" of each beat (half-beat offset)
-      if (Math.random() < 0.6) {
+      if (random.audio.chance(0.6)) {
         const noteStartTime = startTime + (beat * secondsPerBeat) + (secondsPerBeat / 2);
         const chordNote = chord[(beat + 1) % chord.length];
         const offbeatNote = chordNote * 1.5; // Perfect fifth
@@ -1371,9 +1390,9 @@ export class AudioManager {
 
     for (let i = 0; i < totalSixteenths; i++) {
       // Very sparse - only 15% chance per sixteenth note
-      if (Math.random() < 0.15) {
+      if (random.audio.chance(0.15)) {
         const noteStartTime = startTime + (i * sixteenthDuration);
-        const chordNote = chord[Math.floor(Math.random() * chord.length)];
+        const chordNote = random.audio.pick(chord);
         const sixteenthNote = chordNote * 2; // One octave up
 
         this.playPolyrhythmNote(sixteenthNote, sixteenthDuration * 0.8, noteStartTime, 'sixteenth');
@@ -1431,19 +1450,19 @@ export class AudioManager {
       const beatStartTime = startTime + (beat * secondsPerBeat);
 
       // Kick drum on beats 1 and 3 (60% chance)
-      if (beat % 2 === 0 && Math.random() < 0.6) {
+      if (beat % 2 === 0 && random.audio.chance(0.6)) {
         this.playKickDrum(beatStartTime);
       }
 
       // Snare drum on beats 2 and 4 (70% chance)
-      if (beat % 2 === 1 && Math.random() < 0.7) {
+      if (beat % 2 === 1 && random.audio.chance(0.7)) {
         this.playSnare(beatStartTime);
       }
 
       // Hi-hat subdivisions (every eighth note, 40% chance)
       for (let eighth = 0; eighth < 2; eighth++) {
         const eighthTime = beatStartTime + (eighth * secondsPerBeat / 2);
-        if (Math.random() < 0.4) {
+        if (random.audio.chance(0.4)) {
           this.playHiHat(eighthTime);
         }
       }
@@ -1455,12 +1474,12 @@ export class AudioManager {
 
     for (let beat = 0; beat < numBeats; beat++) {
       // Crash cymbal occasionally on beat 1 (20% chance)
-      if (beat === 0 && Math.random() < 0.2) {
+      if (beat === 0 && random.audio.chance(0.2)) {
         this.playCrashCymbal(startTime + (beat * secondsPerBeat));
       }
 
       // Ride cymbal patterns (30% chance per beat)
-      if (Math.random() < 0.3) {
+      if (random.audio.chance(0.3)) {
         this.playRideCymbal(startTime + (beat * secondsPerBeat));
       }
     }
@@ -1502,7 +1521,7 @@ export class AudioManager {
     for (let i = 0; i < bufferSize; i++) {
       const t = i / bufferSize;
       const envelope = Math.exp(-t * 40);
-      output[i] = (Math.random() * 2 - 1) * envelope;
+      output[i] = (random.audio.next() * 2 - 1) * envelope;
     }
 
     const source = this.context.createBufferSource();
@@ -1534,7 +1553,7 @@ export class AudioManager {
     for (let i = 0; i < bufferSize; i++) {
       const t = i / bufferSize;
       const envelope = Math.exp(-t * 60);
-      output[i] = (Math.random() * 2 - 1) * envelope * 0.5;
+      output[i] = (random.audio.next() * 2 - 1) * envelope * 0.5;
     }
 
     const source = this.context.createBufferSource();
@@ -1566,7 +1585,7 @@ export class AudioManager {
     for (let i = 0; i < bufferSize; i++) {
       const t = i / bufferSize;
       const envelope = Math.exp(-t * 3);
-      output[i] = (Math.random() * 2 - 1) * envelope * 0.3;
+      output[i] = (random.audio.next() * 2 - 1) * envelope * 0.3;
     }
 
     const source = this.context.createBufferSource();
@@ -1687,6 +1706,43 @@ export class AudioManager {
     this.currentMusic = null;
   }
 
+  /**
+   * Build the playlist from GameConfig.AUDIO.TRACKS, once
+   * @private
+   */
+  setupMusicFiles() {
+    if (!this.musicFiles) {
+      this.musicFiles = GameConfig.AUDIO.TRACKS.map(track => `./assets/sounds/${track}`);
+      this.currentTrackIndex = 0;
+    }
+  }
+
+  /**
+   * Switch the music to a track, e.g. the one a level asks for
+   *
+   * The playlist carries on from that track afterwards. Nothing changes if
+   * it is already playing; if music hasn't started yet it starts there.
+   * @param {string} track - Entry of GameConfig.AUDIO.TRACKS
+   */
+  playTrack(track) {
+    this.setupMusicFiles();
+    const index = GameConfig.AUDIO.TRACKS.indexOf(track);
+    if (index < 0) {
+      console.warn(`Unknown music track ${track}`);
+      return;
+    }
+
+    const playing = this.currentMusic && this.currentMusic.melody === 'audio_files';
+    if (playing && this.currentTrackIndex % this.musicFiles.length === index) return;
+
+    this.currentTrackIndex = index;
+    if (playing) {
+      this.stopCurrentMusic();
+      this.currentMusic = { melody: 'audio_files', type: 'background', startTime: this.context ? this.context.currentTime : 0 };
+      this.playNextAudioTrack();
+    }
+  }
+
   playNextTrackManual() {
     if (!this.musicFiles || this.musicFiles.length === 0) return;
 
@@ -1745,7 +1801,7 @@ export class AudioManager {
   // Volume controls
   setMasterVolume(volume) {
     this.masterVolume = Math.max(0, Math.min(1, volume));
-    if (this.masterGain) {
+    if (this.masterGain && !this.isMuted) {
       this.masterGain.gain.value = this.masterVolume;
     }
   }
@@ -1756,6 +1812,9 @@ export class AudioManager {
 
   setMusicVolume(volume) {
     this.musicVolume = Math.max(0, Math.min(1, volume));
+    if (this.musicGain && !this.isMusicDucked) {
+      this.musicGain.gain.value = this.musicVolume;
+    }
   }
 
   mute() {
@@ -1789,6 +1848,8 @@ export class AudioManager {
    * @returns {Promise} Resolves when voice starts playing
    */
   async playVoiceAudio(voiceFile, volume = 0.8, delay = 0) {
+    this.captionVoice(voiceFile, delay);
+
     // Initialize audio if needed
     if (!this.isInitialized) {
       await this.initializeAudio();
@@ -1861,6 +1922,20 @@ export class AudioManager {
     }
   }
 
+  /**
+   * Emit the caption for a voice line once it starts
+   * @private
+   */
+  captionVoice(voiceFile, delay) {
+    const name = voiceFile.split('/').pop();
+    const message = GameConfig.CAPTIONS.VOICES[name];
+    if (!message) return;
+
+    setTimeout(() => {
+      this.emit(AudioManager.EVENTS.CAPTION, { text: i18n.t(`captions.${message}`), source: name, position: null });
+    }, delay * 1000);
+  }
+
   /**
    * Stop current voice audio if playing
    */
@@ -1880,8 +1955,10 @@ export class AudioManager {
    * Temporarily reduce music volume for voice playback
    */
   reduceMusicVolume() {
+    this.isMusicDucked = true;
     if (this.musicGain) {
-      this.musicGain.gain.setValueAtTime(this.musicVolumeReduced * this.masterVolume, this.context.currentTime);
+      // musicGain feeds masterGain, so the master volume already applies
+      this.musicGain.gain.setValueAtTime(this.musicVolumeReduced, this.context.currentTime);
       console.log('Music volume reduced for voice playback');
     }
   }
@@ -1890,8 +1967,9 @@ export class AudioManager {
    * Restore music volume after voice playback
    */
   restoreMusicVolume() {
+    this.isMusicDucked = false;
     if (this.musicGain) {
-      this.musicGain.gain.setValueAtTime(this.musicVolume * this.masterVolume, this.context.currentTime);
+      this.musicGain.gain.setValueAtTime(this.musicVolume, this.context.currentTime);
       console.log('Music volume restored after voice playback');
     }
   }
@@ -0,0 +1,515 @@
+import { RandomStream } from '../core/Random.js';
+import { GameConfig } from '../config/GameConfig.js';
+
+// Overlay drawn on each brick row kind, so rows differ by more than color
+const PATTERNS = ['dots', 'diagonal', 'horizontal', 'vertical', 'cross', 'chevron', 'diamond', 'plain'];
+
+/**
+ * Rough-cut wood brick renderer
+ *
+ * Each brick's weathered look (grain, chipped edges, nail holes, cracks) is
+ * painted once into an offscreen sprite and reused with drawImage. Sprites
+ * are keyed by size, color, type, damage and a wear variant picked from
+ * the brick's seed, so identical bricks share a sprite while neighbours
+ * still look different. Armored, explosive and treasure bricks carry a
+ * mark of their type. A colorblind palette swaps each classic row color for
+ * the same row in that palette, and overlays add a pattern per row and pips
+ * for the hits a tough brick has left.
+ */
+export class BrickRenderer {
+  static VARIANTS = 6;
+
+  /**
+   * @param {Object} options - Renderer options
+   * @param {string} options.palette - Key of GameConfig.PALETTES
+   * @param {boolean} options.overlays - Draw patterns and hit pips
+   */
+  constructor({ palette = 'classic', overlays = false } = {}) {
+    this.sprites = new Map();
+    this.resolution = 1; // Sprite pixels per playfield unit
+    this.palette = GameConfig.PALETTES[palette] ? palette : 'classic';
+    this.overlays = overlays;
+  }
+
+  /**
+   * Switch brick palette; throws away every cached sprite
+   * @param {string} palette - Key of GameConfig.PALETTES
+   */
+  setPalette(palette) {
+    if (GameConfig.PALETTES[palette] && palette !== this.palette) {
+      this.palette = palette;
+      this.clear();
+    }
+  }
+
+  /**
+   * Turn pattern and hit-pip overlays on or off; throws away every cached sprite
+   * @param {boolean} overlays - Draw overlays
+   */
+  setOverlays(overlays) {
+    if (overlays !== this.overlays) {
+      this.overlays = overlays;
+      this.clear();
+    }
+  }
+
+  /**
+   * Get the row kind of a brick color
+   * @param {string} color - Classic brick color
+   * @returns {number} Index in the classic palette, or -1 for other colors
+   */
+  getKind(color) {
+    return GameConfig.PALETTES.classic.bricks.indexOf(color);
+  }
+
+  /**
+   * Get the color to paint a brick in the current palette
+   * @param {string} color - Classic brick color
+   * @returns {string} Palette color (other colors pass through)
+   */
+  getColor(color) {
+    const kind = this.getKind(color);
+    return kind < 0 ? color : GameConfig.PALETTES[this.palette].bricks[kind];
+  }
+
+  /**
+   * Set how many sprite pixels to paint per playfield unit
+   *
+   * Called whenever the view is resized so sprites stay crisp; changing
+   * the resolution throws away every cached sprite.
+   * @param {number} resolution - Pixels per playfield unit
+   */
+  setResolution(resolution) {
+    if (resolution > 0 && resolution !== this.resolution) {
+      this.resolution = resolution;
+      this.clear();
+    }
+  }
+
+  /**
+   * Draw a brick from its cached sprite
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Brick} brick - Brick to draw
+   */
+  render(ctx, brick) {
+    const sprite = this.getSprite(brick);
+    ctx.drawImage(sprite, brick.position.x, brick.position.y, brick.width, brick.height);
+  }
+
+  /**
+   * Get (or paint) the sprite for a brick
+   * @param {Brick} brick - Brick to look up
+   * @returns {HTMLCanvasElement} Sprite canvas
+   */
+  getSprite(brick) {
+    const variant = (brick.seed >>> 0) % BrickRenderer.VARIANTS;
+    const key = this.getKey(brick, variant);
+
+    if (!this.sprites.has(key)) {
+      this.sprites.set(key, this.createSprite(brick, variant));
+    }
+    return this.sprites.get(key);
+  }
+
+  /**
+   * Build the cache key for a brick
+   * @param {Brick} brick - Brick to key
+   * @param {number} variant - Wear variant
+   * @returns {string} Cache key
+   */
+  getKey(brick, variant) {
+    const width = Math.ceil(brick.width);
+    const height = Math.ceil(brick.height);
+    return `${width}x${height}|${brick.color}|${brick.type}|${brick.getDamage()}/${brick.maxHits}|${variant}`;
+  }
+
+  /**
+   * Drop every cached sprite
+   */
+  clear() {
+    this.sprites.clear();
+  }
+
+  /**
+   * Paint a new sprite
+   * @private
+   */
+  createSprite(brick, variant) {
+    const width = Math.ceil(brick.width);
+    const height = Math.ceil(brick.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * this.resolution);
+    canvas.height = Math.ceil(height * this.resolution);
+
+    // Paint in playfield units so the wood looks the same at any resolution
+    const ctx = canvas.getContext('2d');
+    ctx.scale(canvas.width / width, canvas.height / height);
+
+    const rng = new RandomStream(variant * 0x9e3779b9);
+    const color = this.getColor(brick.color);
+    this.drawWoodBrick(ctx, width, height, color, rng);
+
+    if (brick.getDamage() > 0) {
+      this.drawCracks(ctx, width, height, brick.getDamage() / brick.maxHits, rng);
+    }
+
+    if (brick.type && brick.type !== 'normal') {
+      this.drawTypeMark(ctx, width, height, brick.type);
+    }
+
+    if (this.overlays) {
+      const ink = this.getInk(color);
+      const kind = this.getKind(brick.color);
+      if (kind >= 0) {
+        this.drawPattern(ctx, width, height, PATTERNS[kind % PATTERNS.length], ink);
+      }
+      if (brick.maxHits > 1) {
+        this.drawHitPips(ctx, width, height, brick.hits, ink);
+      }
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Paint rough cut wood at the origin
+   * @private
+   */
+  drawWoodBrick(ctx, width, height, color, rng) {
+    const x = 0;
+    const y = 0;
+
+    // Create wood base color (darker version of the main color)
+    const woodColor = this.darkenColor(color, 0.3);
+
+    // Fill base with wood color
+    ctx.fillStyle = woodColor;
+    ctx.fillRect(x, y, width, height);
+
+    // Add wood grain texture with random lines
+    ctx.strokeStyle = this.darkenColor(color, 1 - 0.7 * 0.8); // Wood color, 20% darker
+    ctx.lineWidth = 0.5;
+    ctx.globalAlpha = 0.6;
+
+    // Draw horizontal wood grain lines
+    const grainLines = Math.floor(height / 3);
+    for (let i = 0; i < grainLines; i++) {
+      const lineY = y + (i + 1) * (height / (grainLines + 1));
+      const variance = rng.range(-1, 1); // Random variance for rough look
+
+      ctx.beginPath();
+      ctx.moveTo(x + 2, lineY + variance);
+
+      // Create wavy grain line
+      for (let px = 0; px <= width - 4; px += 4) {
+        const waveY = lineY + variance + Math.sin((px / width) * Math.PI * 2) * 0.5;
+        ctx.lineTo(x + 2 + px, waveY);
+      }
+      ctx.stroke();
+    }
+
+    ctx.globalAlpha = 1;
+
+    // Add paint overlay with worn edges
+    ctx.fillStyle = color;
+    ctx.globalAlpha = 0.7;
+
+    // Paint doesn't cover the entire brick (worn/chipped look)
+    const paintInset = 1;
+    ctx.fillRect(
+      x + paintInset,
+      y + paintInset,
+      width - paintInset * 2,
+      height - paintInset * 2
+    );
+
+    ctx.globalAlpha = 1;
+
+    // Add rough edges and weathering
+    ctx.strokeStyle = this.darkenColor(color, 0.4);
+    ctx.lineWidth = 1;
+
+    // Draw rough wooden edges
+    ctx.beginPath();
+
+    // Top edge (slightly uneven)
+    ctx.moveTo(x, y);
+    for (let i = 0; i <= width; i += 2) {
+      ctx.lineTo(x + i, y + rng.range(0, 0.5));
+    }
+
+    // Right edge
+    for (let i = 0; i <= height; i += 2) {
+      ctx.lineTo(x + width - rng.range(0, 0.5), y + i);
+    }
+
+    // Bottom edge
+    for (let i = width; i >= 0; i -= 2) {
+      ctx.lineTo(x + i, y + height - rng.range(0, 0.5));
+    }
+
+    // Left edge
+    for (let i = height; i >= 0; i -= 2) {
+      ctx.lineTo(x + rng.range(0, 0.5), y + i);
+    }
+
+    ctx.closePath();
+    ctx.stroke();
+
+    // Add nail holes or imperfections
+    if (rng.chance(0.3)) {
+      ctx.fillStyle = this.darkenColor(color, 1 - 0.7 * 0.5); // Wood color, 50% darker
+      const nailX = x + 2 + rng.range(0, width - 4);
+      const nailY = y + 2 + rng.range(0, height - 4);
+      ctx.beginPath();
+      ctx.arc(nailX, nailY, 0.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Add highlight on top edge for 3D effect
+    ctx.strokeStyle = this.lightenColor(color, 0.3);
+    ctx.lineWidth = 1;
+    ctx.globalAlpha = 0.8;
+    ctx.beginPath();
+    ctx.moveTo(x + 1, y + 1);
+    ctx.lineTo(x + width - 1, y + 1);
+    ctx.stroke();
+
+    // Add shadow on bottom edge
+    ctx.strokeStyle = this.darkenColor(color, 1 - 0.7 * 0.7); // Wood color, 30% darker
+    ctx.beginPath();
+    ctx.moveTo(x + 1, y + height - 1);
+    ctx.lineTo(x + width - 1, y + height - 1);
+    ctx.stroke();
+
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Paint splits in the wood for a damaged brick
+   * @private
+   */
+  drawCracks(ctx, width, height, damage, rng) {
+    const cracks = Math.max(1, Math.round(damage * 3));
+
+    ctx.strokeStyle = 'rgba(20, 10, 5, 0.8)';
+    ctx.lineWidth = 1;
+
+    for (let i = 0; i < cracks; i++) {
+      let crackX = rng.range(width * 0.2, width * 0.8);
+      let crackY = 0;
+
+      ctx.beginPath();
+      ctx.moveTo(crackX, crackY);
+      while (crackY < height) {
+        crackX += rng.range(-3, 3);
+        crackY += rng.range(2, 5);
+        ctx.lineTo(crackX, Math.min(crackY, height));
+      }
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Mark a special brick: iron straps on armored bricks, a TNT label on
+   * explosive ones and a gold coin on treasure
+   * @private
+   */
+  drawTypeMark(ctx, width, height, type) {
+    ctx.save();
+
+    switch (type) {
+      case 'armored': {
+        const strap = Math.max(4, width * 0.08);
+        ctx.fillStyle = '#4a4a4a';
+        ctx.fillRect(strap, 0, strap, height);
+        ctx.fillRect(width - strap * 2, 0, strap, height);
+        ctx.fillStyle = '#a9a9a9';
+        for (let x of [strap * 1.5, width - strap * 1.5]) {
+          for (let y of [height * 0.25, height * 0.75]) {
+            ctx.beginPath();
+            ctx.arc(x, y, Math.min(1.5, strap / 3), 0, Math.PI * 2);
+            ctx.fill();
+          }
+        }
+        break;
+      }
+      case 'explosive': {
+        const labelWidth = Math.min(width * 0.6, height * 2.2);
+        const labelHeight = height * 0.6;
+        ctx.fillStyle = '#8b0000';
+        ctx.fillRect((width - labelWidth) / 2, (height - labelHeight) / 2, labelWidth, labelHeight);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${Math.floor(labelHeight * 0.8)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('TNT', width / 2, height / 2 + 0.5);
+        break;
+      }
+      case 'treasure': {
+        const radius = height * 0.3;
+        ctx.fillStyle = '#ffd700';
+        ctx.strokeStyle = '#8b6914';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(width / 2, height / 2, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.fillStyle = '#8b6914';
+        ctx.font = `bold ${Math.floor(radius * 1.5)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('$', width / 2, height / 2 + 0.5);
+        break;
+      }
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Paint a row pattern over the brick
+   * @private
+   */
+  drawPattern(ctx, width, height, pattern, ink) {
+    const step = 8;
+    const midY = height / 2;
+
+    ctx.save();
+    ctx.strokeStyle = ink;
+    ctx.fillStyle = ink;
+    ctx.lineWidth = 1.5;
+    ctx.globalAlpha = 0.55;
+    ctx.beginPath();
+
+    switch (pattern) {
+      case 'dots':
+        for (let x = step / 2; x < width; x += step) {
+          for (let y = step / 2; y < height; y += step) {
+            ctx.moveTo(x + 1.5, y);
+            ctx.arc(x, y, 1.5, 0, Math.PI * 2);
+          }
+        }
+        ctx.fill();
+        break;
+      case 'diagonal':
+        for (let x = -height; x < width; x += step) {
+          ctx.moveTo(x, height);
+          ctx.lineTo(x + height, 0);
+        }
+        ctx.stroke();
+        break;
+      case 'horizontal':
+        for (let y = step / 2; y < height; y += step / 2) {
+          ctx.moveTo(0, y);
+          ctx.lineTo(width, y);
+        }
+        ctx.stroke();
+        break;
+      case 'vertical':
+        for (let x = step / 2; x < width; x += step) {
+          ctx.moveTo(x, 0);
+          ctx.lineTo(x, height);
+        }
+        ctx.stroke();
+        break;
+      case 'cross':
+        for (let x = -height; x < width; x += step) {
+          ctx.moveTo(x, height);
+          ctx.lineTo(x + height, 0);
+          ctx.moveTo(x, 0);
+          ctx.lineTo(x + height, height);
+        }
+        ctx.stroke();
+        break;
+      case 'chevron':
+        for (let x = 0; x < width; x += step) {
+          ctx.moveTo(x, midY + 3);
+          ctx.lineTo(x + step / 2, midY - 3);
+          ctx.lineTo(x + step, midY + 3);
+        }
+        ctx.stroke();
+        break;
+      case 'diamond': {
+        const size = Math.min(width, height) * 0.3;
+        ctx.moveTo(width / 2, midY - size);
+        ctx.lineTo(width / 2 + size, midY);
+        ctx.lineTo(width / 2, midY + size);
+        ctx.lineTo(width / 2 - size, midY);
+        ctx.closePath();
+        ctx.fill();
+        break;
+      }
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Paint one pip per hit a tough brick has left
+   * @private
+   */
+  drawHitPips(ctx, width, height, hits, ink) {
+    const radius = Math.min(3, height / 6);
+    const gap = radius * 3;
+    const startX = width - 4 - radius - (hits - 1) * gap;
+
+    ctx.save();
+    ctx.fillStyle = ink;
+    for (let i = 0; i < hits; i++) {
+      ctx.beginPath();
+      ctx.arc(startX + i * gap, 4 + radius, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Pick overlay ink that stands out against a paint color
+   * @param {string} color - Hex color
+   * @returns {string} Near-black for light paint, white for dark paint
+   */
+  getInk(color) {
+    const hex = color.replace('#', '');
+    const r = parseInt(hex.substr(0, 2), 16);
+    const g = parseInt(hex.substr(2, 2), 16);
+    const b = parseInt(hex.substr(4, 2), 16);
+    const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+
+    return luminance > 0.5 ? '#1a0d05' : '#ffffff';
+  }
+
+  /**
+   * Darken a hex color
+   * @param {string} color - Hex color
+   * @param {number} factor - Amount to darken (0-1)
+   * @returns {string} RGB color
+   */
+  darkenColor(color, factor) {
+    // Convert hex to RGB and darken
+    const hex = color.replace('#', '');
+    const r = Math.max(0, parseInt(hex.substr(0, 2), 16) * (1 - factor));
+    const g = Math.max(0, parseInt(hex.substr(2, 2), 16) * (1 - factor));
+    const b = Math.max(0, parseInt(hex.substr(4, 2), 16) * (1 - factor));
+
+    return `rgb(${Math.floor(r)}, ${Math.floor(g)}, ${Math.floor(b)})`;
+  }
+
+  /**
+   * Lighten a hex color
+   * @param {string} color - Hex color
+   * @param {number} factor - Amount to lighten
+   * @returns {string} RGB color
+   */
+  lightenColor(color, factor) {
+    // Convert hex to RGB and lighten
+    const hex = color.replace('#', '');
+    const r = Math.min(255, parseInt(hex.substr(0, 2), 16) * (1 + factor));
+    const g = Math.min(255, parseInt(hex.substr(2, 2), 16) * (1 + factor));
+    const b = Math.min(255, parseInt(hex.substr(4, 2), 16) * (1 + factor));
+
+    return `rgb(${Math.floor(r)}, ${Math.floor(g)}, ${Math.floor(b)})`;
+  }
+}
+
+export default BrickRenderer;
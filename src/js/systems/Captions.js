@@ -0,0 +1,193 @@
+import { GameConfig } from '../config/GameConfig.js';
+
+/**
+ * On-screen captions for sound effects and voice lines
+ *
+ * Captions from AudioManager CAPTION events are shown as lines in a strip
+ * over the bottom of the screen. A caption for a sound that is already up
+ * is refreshed in place rather than stacked, so a run of yeehaws stays one
+ * line. Sounds that come from somewhere in the playfield can also leave a
+ * direction marker at the nearest playfield edge, drawn on the canvas.
+ */
+export class Captions {
+  /**
+   * @param {Object} options - Caption options
+   * @param {HTMLElement} options.element - Caption strip element
+   * @param {number} options.duration - ms each caption stays up
+   * @param {number} options.maxLines - Lines shown at once; the oldest goes first
+   * @param {number} options.indicatorDuration - ms each direction marker stays up
+   */
+  constructor({
+    element,
+    duration = GameConfig.CAPTIONS.DURATION,
+    maxLines = GameConfig.CAPTIONS.MAX_LINES,
+    indicatorDuration = GameConfig.CAPTIONS.INDICATOR_DURATION
+  } = {}) {
+    this.element = element;
+    this.duration = duration;
+    this.maxLines = maxLines;
+    this.indicatorDuration = indicatorDuration;
+
+    this.enabled = true;
+    this.indicatorsEnabled = false;
+    this.lines = new Map(); // source -> { element, timer }
+    this.indicators = []; // { x, y, elapsed }
+  }
+
+  /**
+   * Show or hide captions
+   * @param {boolean} enabled - Show captions
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.element.classList.toggle('hidden', !enabled);
+    if (!enabled) {
+      this.clearLines();
+    }
+  }
+
+  /**
+   * Set the caption text size
+   * @param {string} size - One of GameConfig.SETTINGS.CAPTION_SIZES
+   */
+  setSize(size) {
+    this.element.dataset.size = size;
+  }
+
+  /**
+   * Set the backing behind caption text
+   * @param {string} background - One of GameConfig.SETTINGS.CAPTION_BACKGROUNDS
+   */
+  setBackground(background) {
+    this.element.dataset.background = background;
+  }
+
+  /**
+   * Turn direction markers on or off
+   * @param {boolean} enabled - Show direction markers
+   */
+  setIndicators(enabled) {
+    this.indicatorsEnabled = enabled;
+    if (!enabled) {
+      this.indicators = [];
+    }
+  }
+
+  /**
+   * Show a caption
+   * @param {Object} caption - AudioManager CAPTION event
+   * @param {string} caption.text - Caption text
+   * @param {string} caption.source - Sound or voice line it belongs to
+   * @param {{x: number, y: number}|null} caption.position - Playfield position of the sound
+   */
+  show({ text, source, position = null }) {
+    if (this.indicatorsEnabled && position) {
+      this.indicators.push({ x: position.x, y: position.y, elapsed: 0 });
+    }
+
+    if (!this.enabled) return;
+
+    let line = this.lines.get(source);
+    if (line) {
+      clearTimeout(line.timer);
+      this.lines.delete(source); // Re-added below so it counts as the newest
+    } else {
+      const element = document.createElement('div');
+      element.className = 'caption-line';
+      this.element.appendChild(element);
+      line = { element, timer: null };
+    }
+
+    line.element.textContent = text;
+    line.timer = setTimeout(() => this.removeLine(source), this.duration);
+    this.lines.set(source, line);
+
+    while (this.lines.size > this.maxLines) {
+      this.removeLine(this.lines.keys().next().value);
+    }
+  }
+
+  /**
+   * Advance direction markers
+   * @param {number} ms - Time since the last update
+   */
+  update(ms) {
+    for (let indicator of this.indicators) {
+      indicator.elapsed += ms;
+    }
+    this.indicators = this.indicators.filter(indicator => indicator.elapsed < this.indicatorDuration);
+  }
+
+  /**
+   * Draw direction markers at the playfield edge nearest each sound
+   * @param {CanvasRenderingContext2D} ctx - Canvas context in playfield units
+   * @param {number} width - Playfield width
+   * @param {number} height - Playfield height
+   */
+  renderIndicators(ctx, width, height) {
+    const size = 18;
+
+    for (let indicator of this.indicators) {
+      const x = Math.max(size, Math.min(width - size, indicator.x));
+      const y = Math.max(size, Math.min(height - size, indicator.y));
+
+      // Point at whichever edge the sound is closest to
+      const distances = { left: x, right: width - x, top: y, bottom: height - y };
+      const edge = Object.keys(distances).reduce((a, b) => (distances[b] < distances[a] ? b : a));
+      const angle = { right: 0, bottom: Math.PI / 2, left: Math.PI, top: -Math.PI / 2 }[edge];
+      const anchor = {
+        left: [size, y],
+        right: [width - size, y],
+        top: [x, size],
+        bottom: [x, height - size]
+      }[edge];
+
+      ctx.save();
+      ctx.globalAlpha = 1 - indicator.elapsed / this.indicatorDuration;
+      ctx.translate(anchor[0], anchor[1]);
+      ctx.rotate(angle);
+      ctx.beginPath();
+      ctx.moveTo(size * 0.6, 0);
+      ctx.lineTo(-size * 0.6, -size * 0.6);
+      ctx.lineTo(-size * 0.6, size * 0.6);
+      ctx.closePath();
+      ctx.fillStyle = GameConfig.COLORS.GOLD;
+      ctx.fill();
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = GameConfig.COLORS.BROWN_DARK;
+      ctx.stroke();
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Remove every caption and marker
+   */
+  clear() {
+    this.clearLines();
+    this.indicators = [];
+  }
+
+  /**
+   * @private
+   */
+  clearLines() {
+    for (let source of [...this.lines.keys()]) {
+      this.removeLine(source);
+    }
+  }
+
+  /**
+   * @private
+   */
+  removeLine(source) {
+    const line = this.lines.get(source);
+    if (!line) return;
+
+    clearTimeout(line.timer);
+    line.element.remove();
+    this.lines.delete(source);
+  }
+}
+
+export default Captions;
@@ -0,0 +1,229 @@
+/**
+ * Gamepad polling for the input manager
+ *
+ * The Gamepad API has no button events, so pads are polled once per tick
+ * and button edges are emitted as events. Buttons are reported as codes
+ * like "Gamepad0" (standard mapping index) so they can be bound to
+ * actions next to keyboard codes. Each pad is given a player slot when it
+ * connects, for local multiplayer. Pushing the left stick up or down also
+ * presses the D-pad, so menus can be driven from the stick.
+ */
+
+import { EventEmitter } from '../core/EventEmitter.js';
+import { GameConfig } from '../config/GameConfig.js';
+
+// Standard-mapping button names, by index
+const BUTTON_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT',
+  'SELECT', 'START', 'L3', 'R3', 'D-PAD ↑', 'D-PAD ↓', 'D-PAD ←', 'D-PAD →', 'HOME'
+];
+
+const DPAD_UP = 12;
+const DPAD_DOWN = 13;
+
+export class GamepadInput extends EventEmitter {
+  static EVENTS = {
+    BUTTON: 'button', // (code, pressed, player)
+    CONNECTED: 'connected', // (player, id)
+    DISCONNECTED: 'disconnected' // (player, id)
+  };
+
+  /**
+   * Get the code for a button
+   * @param {number} index - Standard-mapping button index
+   * @returns {string} Button code
+   */
+  static buttonCode(index) {
+    return `Gamepad${index}`;
+  }
+
+  /**
+   * Check whether a code belongs to a gamepad button
+   * @param {string} code - Input code
+   * @returns {boolean} True for gamepad codes
+   */
+  static isButtonCode(code) {
+    return typeof code === 'string' && code.startsWith('Gamepad');
+  }
+
+  /**
+   * Describe a gamepad button code for display
+   * @param {string} code - Gamepad code
+   * @returns {string} Short label
+   */
+  static describeCode(code) {
+    const index = Number(code.slice('Gamepad'.length));
+    return `PAD ${BUTTON_NAMES[index] || index}`;
+  }
+
+  /**
+   * Apply a dead zone and response curve to a stick axis
+   * @param {number} value - Raw axis value (-1 to 1)
+   * @param {number} deadZone - Ignored travel around the center (0-1)
+   * @param {number} curve - Response exponent; 1 is linear, higher is finer near center
+   * @returns {number} Shaped value (-1 to 1)
+   */
+  static shapeAxis(value, deadZone, curve) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadZone) return 0;
+
+    const scaled = Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+    return Math.sign(value) * Math.pow(scaled, curve);
+  }
+
+  /**
+   * @param {Object} options - Gamepad options
+   * @param {number} options.deadZone - Stick dead zone (0-1)
+   * @param {number} options.responseCurve - Stick response exponent
+   * @param {Function} options.getGamepads - Source of pads (navigator.getGamepads by default)
+   */
+  constructor({
+    deadZone = GameConfig.INPUT.GAMEPAD.DEAD_ZONE,
+    responseCurve = GameConfig.INPUT.GAMEPAD.RESPONSE_CURVE,
+    getGamepads = () => (navigator.getGamepads ? Array.from(navigator.getGamepads()) : [])
+  } = {}) {
+    super();
+
+    this.deadZone = deadZone;
+    this.responseCurve = responseCurve;
+    this.getGamepads = getGamepads;
+
+    this.pads = new Map(); // pad index -> { id, player, held, axisX }
+  }
+
+  /**
+   * Set the stick dead zone
+   * @param {number} deadZone - 0 to 0.9
+   */
+  setDeadZone(deadZone) {
+    this.deadZone = Math.max(0, Math.min(0.9, deadZone));
+  }
+
+  /**
+   * Set the stick response curve
+   * @param {number} curve - 1 (linear) to 3
+   */
+  setResponseCurve(curve) {
+    this.responseCurve = Math.max(1, Math.min(3, curve));
+  }
+
+  /**
+   * Read every pad and emit button changes
+   */
+  poll() {
+    const seen = new Set();
+
+    for (let gamepad of this.getGamepads()) {
+      if (!gamepad || !gamepad.connected) continue;
+      seen.add(gamepad.index);
+
+      let pad = this.pads.get(gamepad.index);
+      if (!pad) {
+        pad = { id: gamepad.id, player: this.nextFreePlayer(), held: new Set(), axisX: 0 };
+        this.pads.set(gamepad.index, pad);
+        this.emit(GamepadInput.EVENTS.CONNECTED, pad.player, pad.id);
+      }
+
+      this.readPad(gamepad, pad);
+    }
+
+    // Pads that vanished were unplugged; let go of everything they held
+    for (let [index, pad] of this.pads) {
+      if (!seen.has(index)) {
+        for (let code of pad.held) {
+          this.emit(GamepadInput.EVENTS.BUTTON, code, false, pad.player);
+        }
+        this.pads.delete(index);
+        this.emit(GamepadInput.EVENTS.DISCONNECTED, pad.player, pad.id);
+      }
+    }
+  }
+
+  /**
+   * Check whether a button is held
+   * @param {string} code - Gamepad code
+   * @param {number|null} player - Player slot, or null for any pad
+   * @returns {boolean} True while held
+   */
+  isHeld(code, player = null) {
+    for (let pad of this.pads.values()) {
+      if ((player === null || pad.player === player) && pad.held.has(code)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Get the shaped left-stick X
+   * @param {number|null} player - Player slot, or null for any pad
+   * @returns {number} -1 to 1, strongest pad wins
+   */
+  getAxis(player = null) {
+    let axis = 0;
+    for (let pad of this.pads.values()) {
+      if ((player === null || pad.player === player) && Math.abs(pad.axisX) > Math.abs(axis)) {
+        axis = pad.axisX;
+      }
+    }
+    return axis;
+  }
+
+  /**
+   * Get the number of connected pads
+   * @returns {number} Pad count
+   */
+  get count() {
+    return this.pads.size;
+  }
+
+  /**
+   * @private
+   */
+  readPad(gamepad, pad) {
+    const axes = gamepad.axes || [];
+    const buttons = gamepad.buttons || [];
+    const held = new Set();
+
+    buttons.forEach((button, index) => {
+      if (button && button.pressed) {
+        held.add(GamepadInput.buttonCode(index));
+      }
+    });
+
+    // The stick doubles as a D-pad for menus
+    const stickY = axes[1] || 0;
+    const threshold = GameConfig.INPUT.GAMEPAD.STICK_MENU_THRESHOLD;
+    if (stickY <= -threshold) held.add(GamepadInput.buttonCode(DPAD_UP));
+    if (stickY >= threshold) held.add(GamepadInput.buttonCode(DPAD_DOWN));
+
+    pad.axisX = GamepadInput.shapeAxis(axes[0] || 0, this.deadZone, this.responseCurve);
+
+    for (let code of held) {
+      if (!pad.held.has(code)) {
+        this.emit(GamepadInput.EVENTS.BUTTON, code, true, pad.player);
+      }
+    }
+    for (let code of pad.held) {
+      if (!held.has(code)) {
+        this.emit(GamepadInput.EVENTS.BUTTON, code, false, pad.player);
+      }
+    }
+    pad.held = held;
+  }
+
+  /**
+   * Find the lowest player slot no pad is using
+   * @private
+   */
+  nextFreePlayer() {
+    const taken = new Set([...this.pads.values()].map(pad => pad.player));
+    let player = 0;
+    while (taken.has(player)) {
+      player++;
+    }
+    return player;
+  }
+}
+
+export default GamepadInput;
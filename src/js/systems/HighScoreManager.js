@@ -1,11 +1,19 @@
 /**
  * High Score Manager for KnockoffArcade
  * Handles high score storage, retrieval, and management
+ *
+ * Each entry can carry a replay of the run. Replays are stored under their
+ * own keys so loading the table stays cheap, and are deleted along with
+ * the entries that fall off it.
  */
 
+import { Replay } from '../core/Replay.js';
+import { i18n } from './I18n.js';
+
 export class HighScoreManager {
   constructor() {
     this.storageKey = 'knockoffarcade_highscores';
+    this.replayKeyPrefix = 'knockoffarcade_replay_';
     this.maxScores = 10;
     this.highScores = this.loadHighScores();
   }
@@ -84,9 +92,10 @@ export class HighScoreManager {
    * @param {string} name - Player name
    * @param {number} score - Player score
    * @param {number} level - Level reached
+   * @param {Replay} replay - Recording of the run (optional)
    * @returns {number} The rank achieved (1-based)
    */
-  addHighScore(name, score, level) {
+  addHighScore(name, score, level, replay = null) {
     const entry = {
       name: name.substring(0, 20), // Limit name length
       score: score,
@@ -94,6 +103,13 @@ export class HighScoreManager {
       date: new Date().toISOString().split('T')[0]
     };
 
+    if (replay) {
+      const replayId = this.saveReplay(replay);
+      if (replayId) {
+        entry.replayId = replayId;
+      }
+    }
+
     // Find insertion position
     let position = this.highScores.length;
     for (let i = 0; i < this.highScores.length; i++) {
@@ -108,6 +124,7 @@ export class HighScoreManager {
 
     // Keep only top scores
     if (this.highScores.length > this.maxScores) {
+      this.highScores.slice(this.maxScores).forEach(dropped => this.deleteReplay(dropped.replayId));
       this.highScores = this.highScores.slice(0, this.maxScores);
     }
 
@@ -129,17 +146,69 @@ export class HighScoreManager {
    * Clear all high scores
    */
   clearHighScores() {
+    this.highScores.forEach(entry => this.deleteReplay(entry.replayId));
     this.highScores = [];
     this.saveHighScores();
   }
 
+  /**
+   * Store a replay under its own key
+   * @param {Replay} replay - Replay to store
+   * @returns {string|null} Replay id, or null if it could not be stored
+   */
+  saveReplay(replay) {
+    const replayId = `${Date.now().toString(36)}-${replay.seed.toString(36)}`;
+    try {
+      localStorage.setItem(this.replayKeyPrefix + replayId, JSON.stringify(replay));
+      return replayId;
+    } catch (error) {
+      // Usually the storage quota; the score still counts without its replay
+      console.error('Error saving replay:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Load the replay stored with a high score entry
+   * @param {number} index - Entry index in the table
+   * @returns {Replay|null} Replay, or null if the entry has none
+   */
+  getReplay(index) {
+    const entry = this.highScores[index];
+    if (!entry || !entry.replayId) {
+      return null;
+    }
+
+    try {
+      const stored = localStorage.getItem(this.replayKeyPrefix + entry.replayId);
+      return stored ? Replay.from(stored) : null;
+    } catch (error) {
+      console.error('Error loading replay:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a stored replay
+   * @param {string} replayId - Replay id (ignored if empty)
+   */
+  deleteReplay(replayId) {
+    if (!replayId) return;
+
+    try {
+      localStorage.removeItem(this.replayKeyPrefix + replayId);
+    } catch (error) {
+      console.error('Error deleting replay:', error);
+    }
+  }
+
   /**
    * Format score for display
    * @param {number} score - The score to format
    * @returns {string} Formatted score string
    */
   formatScore(score) {
-    return score.toLocaleString();
+    return i18n.formatNumber(score);
   }
 
   /**
@@ -148,15 +217,17 @@ export class HighScoreManager {
    */
   generateHighScoresHTML() {
     if (this.highScores.length === 0) {
-      return '<p style="text-align: center; color: #8b4513;">No high scores yet!</p>';
+      return `<p style="text-align: center; color: #8b4513;">${i18n.t('highScores.empty')}</p>`;
     }
 
     let html = '<table style="width: 100%; border-collapse: collapse;">';
     html += '<thead><tr style="border-bottom: 2px solid #8b4513;">';
-    html += '<th style="text-align: left; padding: 8px; color: #8b4513;">Rank</th>';
-    html += '<th style="text-align: left; padding: 8px; color: #8b4513;">Name</th>';
-    html += '<th style="text-align: right; padding: 8px; color: #8b4513;">Score</th>';
-    html += '<th style="text-align: center; padding: 8px; color: #8b4513;">Level</th>';
+    html += `<th style="text-align: left; padding: 8px; color: #8b4513;">${i18n.t('highScores.rank')}</th>`;
+    html += `<th style="text-align: left; padding: 8px; color: #8b4513;">${i18n.t('highScores.name')}</th>`;
+    html += `<th style="text-align: right; padding: 8px; color: #8b4513;">${i18n.t('highScores.score')}</th>`;
+    html += `<th style="text-align: center; padding: 8px; color: #8b4513;">${i18n.t('highScores.level')}</th>`;
+    html += `<th style="text-align: center; padding: 8px; color: #8b4513;">${i18n.t('highScores.date')}</th>`;
+    html += `<th style="text-align: center; padding: 8px; color: #8b4513;">${i18n.t('highScores.replay')}</th>`;
     html += '</tr></thead><tbody>';
 
     this.highScores.forEach((entry, index) => {
@@ -165,7 +236,15 @@ export class HighScoreManager {
       html += `<td style="padding: 8px; color: #5d4037;">${medal} ${index + 1}</td>`;
       html += `<td style="padding: 8px; color: #5d4037; font-weight: bold;">${entry.name}</td>`;
       html += `<td style="padding: 8px; text-align: right; color: #8b4513; font-weight: bold;">${this.formatScore(entry.score)}</td>`;
-      html += `<td style="padding: 8px; text-align: center; color: #5d4037;">${entry.level}</td>`;
+      html += `<td style="padding: 8px; text-align: center; color: #5d4037;">${i18n.formatNumber(entry.level)}</td>`;
+      html += `<td style="padding: 8px; text-align: center; color: #5d4037;">${entry.date ? i18n.formatDate(entry.date) : ''}</td>`;
+      html += '<td style="padding: 8px; text-align: center;">';
+      if (entry.replayId) {
+        const data = `data-replay-index="${index}"`;
+        html += `<button class="replay-btn" data-replay-action="watch" ${data} title="${i18n.t('highScores.watchReplay')}">▶</button>`;
+        html += `<button class="replay-btn" data-replay-action="export" ${data} title="${i18n.t('highScores.exportReplay')}">💾</button>`;
+      }
+      html += '</td>';
       html += '</tr>';
     });
 
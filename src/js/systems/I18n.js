@@ -0,0 +1,210 @@
+/**
+ * Localization for KnockoffArcade
+ *
+ * Player-facing text lives in a message catalog per language (see
+ * config/locales). A message is looked up along the language's fallback
+ * chain, so a flavor such as en-western, or a partial translation, only
+ * lists the messages it changes. Messages take {placeholders}; numbers and
+ * dates passed in are formatted for the language with Intl. A message given
+ * as plural forms ({ one, other, ... }) picks its form from params.count
+ * using Intl.PluralRules.
+ *
+ * Markup in index.html is tagged with the message it shows:
+ *   data-i18n="key"          - text content
+ *   data-i18n-html="key"     - inner HTML (catalog messages are trusted)
+ *   data-i18n-attr="placeholder:key;title:key" - attributes
+ */
+
+import { EventEmitter } from '../core/EventEmitter.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { CATALOGS } from '../config/locales/index.js';
+
+export class I18n extends EventEmitter {
+  static EVENTS = {
+    CHANGE: 'change' // (language) - the language was changed
+  };
+
+  /**
+   * Pick the offered language that best suits the browser's preferences
+   * @param {string[]} preferred - BCP 47 tags, most preferred first (navigator.languages)
+   * @param {Object} languages - Offered languages (GameConfig.SETTINGS.LANGUAGES)
+   * @param {string} fallback - Language to use when none match
+   * @returns {string} Language key
+   */
+  static matchLanguage(preferred, languages = GameConfig.SETTINGS.LANGUAGES, fallback = GameConfig.SETTINGS.DEFAULTS.language) {
+    for (let tag of preferred || []) {
+      const primary = tag.toLowerCase().split('-')[0];
+      // The default keeps its flavor when its language is what's asked for
+      if (languages[fallback] && languages[fallback].lang === primary) return fallback;
+
+      const match = Object.keys(languages).find(key => languages[key].lang === primary);
+      if (match) return match;
+    }
+    return fallback;
+  }
+
+  /**
+   * @param {Object} options - Localization options
+   * @param {string} options.language - Key of options.languages
+   * @param {Object} options.languages - Offered languages: key -> { name, lang, fallback }
+   * @param {Object} options.catalogs - Message catalogs by language key
+   */
+  constructor({
+    language = GameConfig.SETTINGS.DEFAULTS.language,
+    languages = GameConfig.SETTINGS.LANGUAGES,
+    catalogs = CATALOGS
+  } = {}) {
+    super();
+
+    this.languages = languages;
+    this.catalogs = catalogs;
+    this.missing = new Set(); // Keys already warned about
+    this.setLanguage(language);
+  }
+
+  /**
+   * Switch language and emit CHANGE
+   * @param {string} language - Key of the offered languages
+   * @returns {boolean} True if the language is offered
+   */
+  setLanguage(language) {
+    if (!Object.hasOwn(this.languages, language)) {
+      console.warn(`Ignoring unknown language ${language}`);
+      return false;
+    }
+
+    if (language !== this.language) {
+      this.language = language;
+      this.chain = this.getFallbackChain(language);
+      this.locale = this.languages[language].lang;
+      this.pluralRules = new Intl.PluralRules(this.locale);
+      this.numberFormat = new Intl.NumberFormat(this.locale);
+      this.emit(I18n.EVENTS.CHANGE, language);
+    }
+    return true;
+  }
+
+  /**
+   * Get the languages a message is looked up in, in order
+   * @param {string} language - Language key
+   * @returns {string[]} The language followed by its fallbacks
+   */
+  getFallbackChain(language) {
+    const chain = [];
+    for (let next = language; next && !chain.includes(next); next = this.languages[next]?.fallback) {
+      chain.push(next);
+    }
+    return chain;
+  }
+
+  /**
+   * Check whether a message exists in the current language or a fallback
+   * @param {string} key - Dotted message key
+   * @returns {boolean} True if found
+   */
+  has(key) {
+    return this.lookup(key) !== undefined;
+  }
+
+  /**
+   * Translate a message
+   * @param {string} key - Dotted message key, e.g. 'gameOver.finalScore'
+   * @param {Object} params - Placeholder values; count also picks the plural form
+   * @returns {string} Translated text, or the key itself if no language has it
+   */
+  t(key, params = {}) {
+    let message = this.lookup(key);
+
+    if (message === undefined) {
+      if (!this.missing.has(key)) {
+        this.missing.add(key);
+        console.warn(`Missing message ${key} for ${this.language}`);
+      }
+      return key;
+    }
+
+    if (typeof message === 'object') {
+      const form = Number.isFinite(params.count) ? this.pluralRules.select(params.count) : 'other';
+      message = message[form] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+      Object.hasOwn(params, name) ? this.formatValue(params[name]) : placeholder
+    ));
+  }
+
+  /**
+   * Format a number for the current language
+   * @param {number} value - Number to format
+   * @param {Object} options - Intl.NumberFormat options
+   * @returns {string} Formatted number
+   */
+  formatNumber(value, options) {
+    const format = options ? new Intl.NumberFormat(this.locale, options) : this.numberFormat;
+    return format.format(value);
+  }
+
+  /**
+   * Format a date for the current language
+   * @param {Date|string} date - Date, or a YYYY-MM-DD string as kept with high scores
+   * @param {Object} options - Intl.DateTimeFormat options
+   * @returns {string} Formatted date
+   */
+  formatDate(date, options = { dateStyle: 'medium' }) {
+    if (typeof date === 'string') {
+      // A bare date is a calendar day, not midnight UTC
+      const [year, month, day] = date.split('-').map(Number);
+      date = new Date(year, month - 1, day);
+    }
+    return new Intl.DateTimeFormat(this.locale, options).format(date);
+  }
+
+  /**
+   * Fill in every tagged element under a root
+   * @param {Document|HTMLElement} root - Where to look
+   */
+  translatePage(root = document) {
+    for (let element of root.querySelectorAll('[data-i18n]')) {
+      element.textContent = this.t(element.dataset.i18n);
+    }
+    for (let element of root.querySelectorAll('[data-i18n-html]')) {
+      element.innerHTML = this.t(element.dataset.i18nHtml);
+    }
+    for (let element of root.querySelectorAll('[data-i18n-attr]')) {
+      for (let pair of element.dataset.i18nAttr.split(';')) {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        element.setAttribute(attribute, this.t(key));
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  lookup(key) {
+    for (let language of this.chain) {
+      let message = this.catalogs[language];
+      for (let part of key.split('.')) {
+        message = message && typeof message === 'object' ? message[part] : undefined;
+      }
+      if (typeof message === 'string' || (message && typeof message.other === 'string')) {
+        return message;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * @private
+   */
+  formatValue(value) {
+    if (typeof value === 'number') return this.formatNumber(value);
+    if (value instanceof Date) return this.formatDate(value);
+    return String(value);
+  }
+}
+
+// Shared instance used for all player-facing text
+export const i18n = new I18n();
+
+export default I18n;
@@ -0,0 +1,620 @@
+/**
+ * Input Manager for KnockoffArcade
+ * Maps devices to abstract game actions
+ *
+ * The game never looks at key codes. Keys and gamepad buttons are bound to
+ * actions (two keyboard slots and one gamepad slot per action), held
+ * actions are polled each tick with isActive(), and presses are emitted as
+ * ACTION events. Mouse and touch positions are collected in one place and
+ * handed to the game as the latest pointer, or, in spinner mode with the
+ * pointer locked, as relative motion. Bindings, stick and spinner settings
+ * can be changed and are saved to localStorage.
+ */
+
+import { EventEmitter } from '../core/EventEmitter.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { GamepadInput } from './GamepadInput.js';
+
+const ACTIONS = {
+  MOVE_LEFT: 'moveLeft',
+  MOVE_RIGHT: 'moveRight',
+  LAUNCH: 'launch', // Start a run and confirm menus
+  PAUSE: 'pause',
+  FIRE: 'fire',
+  SKIP_TRACK: 'skipTrack',
+  MUTE: 'mute',
+  HIGH_SCORES: 'highScores',
+  WATCH_REPLAY: 'watchReplay',
+  FULLSCREEN: 'fullscreen',
+  MENU_UP: 'menuUp', // Move focus between menu buttons
+  MENU_DOWN: 'menuDown',
+  BACK: 'back' // Leave the current menu screen
+};
+
+// Readable names for codes that don't speak for themselves
+const KEY_NAMES = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Space: 'SPACE',
+  Enter: 'ENTER',
+  Escape: 'ESC',
+  ShiftLeft: 'L-SHIFT',
+  ShiftRight: 'R-SHIFT',
+  ControlLeft: 'L-CTRL',
+  ControlRight: 'R-CTRL',
+  AltLeft: 'L-ALT',
+  AltRight: 'R-ALT'
+};
+
+export class InputManager extends EventEmitter {
+  static ACTIONS = ACTIONS;
+
+  static EVENTS = {
+    ACTION: 'action', // (action, event, player) - an action was pressed; event is null for gamepads
+    BINDINGS: 'bindings', // () - bindings were changed
+    GAMEPAD: 'gamepad', // (connected, player, id) - a gamepad was plugged in or removed
+    POINTER_LOCK: 'pointerLock' // (locked) - pointer lock was gained or lost
+  };
+
+  // Actions that still fire while the player is typing in a text field
+  static TYPING_SAFE = [ACTIONS.LAUNCH, ACTIONS.PAUSE, ACTIONS.MENU_UP, ACTIONS.MENU_DOWN];
+
+  // Version 1 had no gamepad slot; it is filled from the defaults on load
+  static BINDINGS_VERSION = 2;
+
+  /**
+   * Describe a key or gamepad code for display
+   * @param {string|null} code - KeyboardEvent.code or gamepad code
+   * @returns {string} Short label
+   */
+  static describeCode(code) {
+    if (!code) return '—';
+    if (GamepadInput.isButtonCode(code)) return GamepadInput.describeCode(code);
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Numpad')) return `NUM ${code.slice(6)}`;
+    return code.toUpperCase();
+  }
+
+  /**
+   * Apply sensitivity and acceleration to relative motion
+   * @param {number} motion - Raw motion (CSS px)
+   * @param {Object} options - Spinner settings
+   * @param {number} options.sensitivity - Base gain
+   * @param {number} options.acceleration - Extra gain at speed
+   * @returns {number} Shaped motion (CSS px)
+   */
+  static shapeMotion(motion, { sensitivity, acceleration }) {
+    const speed = Math.abs(motion) / GameConfig.INPUT.SPINNER.ACCELERATION_REFERENCE;
+    return motion * sensitivity * (1 + acceleration * speed);
+  }
+
+  /**
+   * @param {Object} options - Input options
+   * @param {Object} options.defaults - Default bindings (action -> [key, key, pad])
+   * @param {Function} options.getGamepads - Source of pads, see GamepadInput
+   */
+  constructor({ defaults = GameConfig.INPUT.BINDINGS, getGamepads } = {}) {
+    super();
+
+    this.storageKey = 'knockoffarcade_bindings';
+    this.defaults = defaults;
+
+    this.gamepads = new GamepadInput({ getGamepads });
+    this.gamepads.on(GamepadInput.EVENTS.BUTTON, (code, pressed, player) => {
+      this.handlePadButton(code, pressed, player);
+    });
+    this.gamepads.on(GamepadInput.EVENTS.CONNECTED, (player, id) => {
+      this.emit(InputManager.EVENTS.GAMEPAD, true, player, id);
+    });
+    this.gamepads.on(GamepadInput.EVENTS.DISCONNECTED, (player, id) => {
+      this.emit(InputManager.EVENTS.GAMEPAD, false, player, id);
+    });
+
+    this.spinner = InputManager.defaultSpinner();
+    this.bindings = this.loadBindings();
+
+    this.held = new Set(); // Key codes currently down
+    this.pointer = null; // Latest { clientX, clientY } not yet consumed
+    this.pointerTarget = null;
+    this.motion = 0; // Relative X motion while the pointer is locked, not yet consumed
+    this.capture = null; // { resolve, device } waiting for the next press
+
+    this.listeners = [];
+  }
+
+  /**
+   * Start listening to the keyboard and to pointer input on an element
+   * @param {HTMLElement} pointerTarget - Element that receives mouse and touch input
+   * @param {Object} options - Listener options
+   * @param {boolean} options.touch - Also listen for touch input
+   */
+  attach(pointerTarget, { touch = GameConfig.TOUCH_ENABLED } = {}) {
+    this.listen(document, 'keydown', (e) => this.handleKeyDown(e));
+    this.listen(document, 'keyup', (e) => this.handleKeyUp(e));
+
+    // Keys released while the window is unfocused never send keyup
+    this.listen(window, 'blur', () => this.held.clear());
+
+    // Pads are polled every tick, but pick up hot-plugs right away
+    this.listen(window, 'gamepadconnected', () => this.update());
+    this.listen(window, 'gamepaddisconnected', () => this.update());
+
+    if (!pointerTarget) return;
+    this.pointerTarget = pointerTarget;
+
+    // A locked pointer has no position, only motion
+    this.listen(pointerTarget, 'mousemove', (e) => {
+      if (this.isPointerLocked()) {
+        this.motion += e.movementX || 0;
+      } else {
+        this.setPointer(e.clientX, e.clientY);
+      }
+    });
+    this.listen(document, 'pointerlockchange', () => {
+      this.motion = 0;
+      this.emit(InputManager.EVENTS.POINTER_LOCK, this.isPointerLocked());
+    });
+    this.listen(document, 'pointerlockerror', () => console.warn('Pointer lock was refused'));
+
+    if (touch) {
+      // Keep the page from scrolling or zooming under the player's finger
+      const onTouch = (e) => {
+        e.preventDefault();
+        if (e.touches.length > 0) {
+          this.setPointer(e.touches[0].clientX, e.touches[0].clientY);
+        }
+      };
+      this.listen(pointerTarget, 'touchstart', (e) => {
+        onTouch(e);
+        this.emit(InputManager.EVENTS.ACTION, ACTIONS.LAUNCH, e); // Tap to start or confirm
+      }, { passive: false });
+      this.listen(pointerTarget, 'touchmove', onTouch, { passive: false });
+      this.listen(pointerTarget, 'touchend', (e) => e.preventDefault(), { passive: false });
+    }
+  }
+
+  /**
+   * Remove every listener added by attach()
+   */
+  detach() {
+    for (let { target, type, handler, options } of this.listeners) {
+      target.removeEventListener(type, handler, options);
+    }
+    this.listeners = [];
+    this.held.clear();
+    this.exitPointerLock();
+    this.pointerTarget = null;
+  }
+
+  /**
+   * Poll gamepads; call once per tick
+   */
+  update() {
+    this.gamepads.poll();
+  }
+
+  /**
+   * Check whether a held action is active
+   *
+   * The keyboard counts as player 0, alongside the first gamepad.
+   * @param {string} action - InputManager.ACTIONS value
+   * @param {number|null} player - Player slot, or null for any device
+   * @returns {boolean} True while any key or button bound to it is down
+   */
+  isActive(action, player = null) {
+    const codes = this.bindings[action];
+    if (!codes) return false;
+
+    return codes.some(code => {
+      if (!code) return false;
+      if (GamepadInput.isButtonCode(code)) return this.gamepads.isHeld(code, player);
+      return (player === null || player === 0) && this.held.has(code);
+    });
+  }
+
+  /**
+   * Get the horizontal movement requested by held actions
+   * @param {number|null} player - Player slot, or null for any device
+   * @returns {number} -1 for left, 1 for right, 0 for neither or both
+   */
+  getMoveAxis(player = null) {
+    return (this.isActive(ACTIONS.MOVE_RIGHT, player) ? 1 : 0) -
+      (this.isActive(ACTIONS.MOVE_LEFT, player) ? 1 : 0);
+  }
+
+  /**
+   * Get the analog stick position, after dead zone and response curve
+   * @param {number|null} player - Player slot, or null for any pad
+   * @returns {number} -1 to 1
+   */
+  getAnalogAxis(player = null) {
+    return this.gamepads.getAxis(player);
+  }
+
+  /**
+   * Get the stick settings
+   * @returns {Object} { deadZone, responseCurve }
+   */
+  getGamepadOptions() {
+    return { deadZone: this.gamepads.deadZone, responseCurve: this.gamepads.responseCurve };
+  }
+
+  /**
+   * Change the stick settings
+   * @param {Object} options - Stick settings
+   * @param {number} options.deadZone - Dead zone (0-0.9)
+   * @param {number} options.responseCurve - Response exponent (1-3)
+   */
+  setGamepadOptions({ deadZone, responseCurve }) {
+    if (Number.isFinite(deadZone)) this.gamepads.setDeadZone(deadZone);
+    if (Number.isFinite(responseCurve)) this.gamepads.setResponseCurve(responseCurve);
+    this.saveBindings();
+    this.emit(InputManager.EVENTS.BINDINGS);
+  }
+
+  /**
+   * Take the latest pointer position, if it moved since the last call
+   * @returns {Object|null} { clientX, clientY } or null
+   */
+  consumePointer() {
+    const pointer = this.pointer;
+    this.pointer = null;
+    return pointer;
+  }
+
+  /**
+   * Take the relative motion since the last call, shaped by the spinner settings
+   * @returns {number} Horizontal motion (CSS px)
+   */
+  consumeMotion() {
+    const motion = this.motion;
+    this.motion = 0;
+    return motion === 0 ? 0 : InputManager.shapeMotion(motion, this.spinner);
+  }
+
+  /**
+   * Check whether the pointer is locked to the pointer target
+   * @returns {boolean} True while locked
+   */
+  isPointerLocked() {
+    return Boolean(this.pointerTarget) && document.pointerLockElement === this.pointerTarget;
+  }
+
+  /**
+   * Lock the pointer to the pointer target, if spinner mode is on
+   *
+   * Browsers only grant this from a click or key press.
+   */
+  requestPointerLock() {
+    const target = this.pointerTarget;
+    if (!this.spinner.enabled || !target || !target.requestPointerLock || this.isPointerLocked()) return;
+
+    // Newer browsers return a promise that rejects outside a user gesture
+    const request = target.requestPointerLock();
+    if (request && request.catch) {
+      request.catch(error => console.warn('Pointer lock was refused:', error));
+    }
+  }
+
+  /**
+   * Give the pointer back
+   */
+  exitPointerLock() {
+    if (this.isPointerLocked() && document.exitPointerLock) {
+      document.exitPointerLock();
+    }
+  }
+
+  /**
+   * Get the spinner settings
+   * @returns {Object} { enabled, sensitivity, acceleration }
+   */
+  getSpinnerOptions() {
+    return { ...this.spinner };
+  }
+
+  /**
+   * Change the spinner settings
+   * @param {Object} options - Spinner settings
+   * @param {boolean} options.enabled - Use pointer lock and relative motion
+   * @param {number} options.sensitivity - Base gain (0.25-4)
+   * @param {number} options.acceleration - Extra gain at speed (0-2)
+   */
+  setSpinnerOptions(options) {
+    this.applySpinnerOptions(options);
+    if (!this.spinner.enabled) {
+      this.exitPointerLock();
+    }
+    this.saveBindings();
+    this.emit(InputManager.EVENTS.BINDINGS);
+  }
+
+  /**
+   * Record a pointer position
+   * @param {number} clientX - Pointer client X
+   * @param {number} clientY - Pointer client Y
+   */
+  setPointer(clientX, clientY) {
+    this.pointer = { clientX, clientY };
+  }
+
+  /**
+   * Get the actions a key is bound to
+   * @param {string} code - KeyboardEvent.code
+   * @returns {string[]} Bound actions
+   */
+  getActionsFor(code) {
+    return Object.keys(this.bindings).filter(action => this.bindings[action].includes(code));
+  }
+
+  /**
+   * Get a copy of the current bindings
+   * @returns {Object} action -> [code, code]
+   */
+  getBindings() {
+    const copy = {};
+    for (let action of Object.keys(this.bindings)) {
+      copy[action] = [...this.bindings[action]];
+    }
+    return copy;
+  }
+
+  /**
+   * Get a readable label for the keys bound to an action
+   *
+   * Gamepad buttons are only listed while a pad is connected.
+   * @param {string} action - InputManager.ACTIONS value
+   * @returns {string} e.g. "SPACE / ENTER"
+   */
+  describeAction(action) {
+    const showPad = this.gamepads.count > 0;
+    const codes = (this.bindings[action] || [])
+      .filter(code => code && (showPad || !GamepadInput.isButtonCode(code)));
+    return codes.length > 0 ? codes.map(code => InputManager.describeCode(code)).join(' / ') : '—';
+  }
+
+  /**
+   * Bind a key to an action slot
+   *
+   * A key can only do one thing, so it is taken off any other action first.
+   * @param {string} action - InputManager.ACTIONS value
+   * @param {number} slot - Binding slot (0 and 1 for keys, INPUT.GAMEPAD_SLOT for buttons)
+   * @param {string|null} code - Key or gamepad code, or null to clear the slot
+   */
+  rebind(action, slot, code) {
+    if (!this.bindings[action]) return;
+
+    if (code) {
+      for (let other of Object.keys(this.bindings)) {
+        this.bindings[other] = this.bindings[other].map(bound => (bound === code ? null : bound));
+      }
+    }
+
+    this.bindings[action][slot] = code;
+    this.saveBindings();
+    this.emit(InputManager.EVENTS.BINDINGS);
+  }
+
+  /**
+   * Restore the default bindings
+   */
+  resetBindings() {
+    this.bindings = this.copyDefaults();
+    this.gamepads.setDeadZone(GameConfig.INPUT.GAMEPAD.DEAD_ZONE);
+    this.gamepads.setResponseCurve(GameConfig.INPUT.GAMEPAD.RESPONSE_CURVE);
+    this.spinner = InputManager.defaultSpinner();
+    this.exitPointerLock();
+    this.saveBindings();
+    this.emit(InputManager.EVENTS.BINDINGS);
+  }
+
+  /**
+   * Wait for the next key or button press, for the bindings screen
+   *
+   * While waiting, presses are swallowed instead of triggering actions.
+   * Escape on the keyboard always cancels.
+   * @param {Object} options - Capture options
+   * @param {string} options.device - 'keyboard' or 'gamepad'
+   * @returns {Promise<string|null>} The pressed code, or null if cancelled
+   */
+  captureNextKey({ device = 'keyboard' } = {}) {
+    this.cancelCapture();
+    return new Promise((resolve) => {
+      this.capture = { resolve, device };
+    });
+  }
+
+  /**
+   * Stop waiting for a key press
+   */
+  cancelCapture() {
+    this.resolveCapture(null);
+  }
+
+  /**
+   * Load bindings, stick and spinner settings from localStorage, falling back to the defaults
+   * @returns {Object} action -> [key, key, pad]
+   */
+  loadBindings() {
+    const bindings = this.copyDefaults();
+
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      const data = stored ? JSON.parse(stored) : null;
+      const known = data && Number.isInteger(data.version) &&
+        data.version >= 1 && data.version <= InputManager.BINDINGS_VERSION;
+
+      if (known && data.bindings) {
+        // Only known actions and slots are taken; anything missing keeps its default
+        for (let action of Object.keys(bindings)) {
+          const codes = data.bindings[action];
+          if (Array.isArray(codes)) {
+            bindings[action] = bindings[action].map((fallback, slot) => (
+              slot < codes.length ? codes[slot] || null : fallback
+            ));
+          }
+        }
+      }
+
+      if (known && data.gamepad) {
+        const { deadZone, responseCurve } = data.gamepad;
+        if (Number.isFinite(deadZone)) this.gamepads.setDeadZone(deadZone);
+        if (Number.isFinite(responseCurve)) this.gamepads.setResponseCurve(responseCurve);
+      }
+
+      if (known && data.spinner) {
+        this.applySpinnerOptions(data.spinner);
+      }
+    } catch (error) {
+      console.error('Error loading key bindings:', error);
+    }
+
+    return bindings;
+  }
+
+  /**
+   * Save bindings to localStorage
+   */
+  saveBindings() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        version: InputManager.BINDINGS_VERSION,
+        bindings: this.bindings,
+        gamepad: this.getGamepadOptions(),
+        spinner: this.getSpinnerOptions()
+      }));
+    } catch (error) {
+      console.error('Error saving key bindings:', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleKeyDown(event) {
+    if (this.capture) {
+      event.preventDefault();
+      if (event.code === 'Escape') {
+        this.resolveCapture(null);
+      } else if (this.capture.device === 'keyboard') {
+        this.resolveCapture(event.code);
+      }
+      return;
+    }
+
+    this.held.add(event.code);
+
+    let actions = this.getActionsFor(event.code);
+    if (this.isTyping(event)) {
+      actions = actions.filter(action => InputManager.TYPING_SAFE.includes(action));
+    }
+    if (actions.length === 0) return;
+
+    event.preventDefault();
+    if (event.repeat) return;
+
+    for (let action of actions) {
+      this.emit(InputManager.EVENTS.ACTION, action, event);
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleKeyUp(event) {
+    this.held.delete(event.code);
+  }
+
+  /**
+   * @private
+   */
+  handlePadButton(code, pressed, player) {
+    if (!pressed) return;
+
+    if (this.capture) {
+      if (this.capture.device === 'gamepad') {
+        this.resolveCapture(code);
+      }
+      return;
+    }
+
+    for (let action of this.getActionsFor(code)) {
+      this.emit(InputManager.EVENTS.ACTION, action, null, player);
+    }
+  }
+
+  /**
+   * @private
+   */
+  resolveCapture(code) {
+    if (this.capture) {
+      const { resolve } = this.capture;
+      this.capture = null;
+      resolve(code);
+    }
+  }
+
+  /**
+   * Check whether a key event is going into a text field
+   * @private
+   */
+  isTyping(event) {
+    const target = event.target;
+    if (!target || !target.tagName) return false;
+
+    const tag = target.tagName.toLowerCase();
+    return tag === 'textarea' || tag === 'select' || target.isContentEditable ||
+      (tag === 'input' && !['button', 'checkbox', 'radio', 'range'].includes(target.type));
+  }
+
+  /**
+   * Take the valid fields of a spinner settings object
+   * @private
+   */
+  applySpinnerOptions({ enabled, sensitivity, acceleration }) {
+    if (typeof enabled === 'boolean') {
+      this.spinner.enabled = enabled;
+    }
+    if (Number.isFinite(sensitivity)) {
+      this.spinner.sensitivity = Math.max(0.25, Math.min(4, sensitivity));
+    }
+    if (Number.isFinite(acceleration)) {
+      this.spinner.acceleration = Math.max(0, Math.min(2, acceleration));
+    }
+  }
+
+  /**
+   * @private
+   */
+  static defaultSpinner() {
+    const { ENABLED, SENSITIVITY, ACCELERATION } = GameConfig.INPUT.SPINNER;
+    return { enabled: ENABLED, sensitivity: SENSITIVITY, acceleration: ACCELERATION };
+  }
+
+  /**
+   * @private
+   */
+  copyDefaults() {
+    const bindings = {};
+    for (let action of Object.keys(this.defaults)) {
+      const codes = this.defaults[action];
+      bindings[action] = [codes[0] || null, codes[1] || null, codes[2] || null];
+    }
+    return bindings;
+  }
+
+  /**
+   * Add a listener that detach() can remove
+   * @private
+   */
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+}
+
+export default InputManager;
@@ -0,0 +1,463 @@
+/**
+ * Level Editor for KnockoffArcade
+ * Keeps the level a designer is working on and the history of their edits
+ *
+ * The draft is a grid of bricks plus the level's properties. Bricks are
+ * painted with a brush (type, color, hits and drop); everything painted
+ * between beginStroke() and endStroke() is one undo step, so a drag undoes
+ * in one go. Drafts turn into level data (see core/Level.js) to play-test,
+ * save to localStorage and share as JSON files. The grid is laid out the
+ * way Simulation lays out a level and drawn through the game's
+ * BrickRenderer, so painted bricks look just as they will in play.
+ */
+
+import { EventEmitter } from '../core/EventEmitter.js';
+import { Level } from '../core/Level.js';
+import { Brick } from '../components/Brick.js';
+import { GameConfig } from '../config/GameConfig.js';
+
+const isWhole = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Check a brush or grid cell: { type, color, hits, drop }
+ * @private
+ */
+function isCell({ type, color, hits, drop }) {
+  const { BRICK_TYPES, MAX_HITS } = GameConfig.LEVELS;
+  return Object.hasOwn(BRICK_TYPES, type) &&
+    isWhole(color, 0, GameConfig.PALETTES.classic.bricks.length - 1) &&
+    isWhole(hits, 1, MAX_HITS) &&
+    (drop === null || drop === 'random' || Object.hasOwn(GameConfig.POWERUPS.DROPS, drop));
+}
+
+/**
+ * Compare two grid cells (null for empty)
+ * @private
+ */
+function isSameCell(a, b) {
+  if (!a || !b) return a === b;
+  return a.type === b.type && a.color === b.color && a.hits === b.hits && a.drop === b.drop;
+}
+
+/**
+ * Make an empty grid
+ * @private
+ */
+function createCells(rows, columns) {
+  return Array.from({ length: rows }, () => new Array(columns).fill(null));
+}
+
+export class LevelEditor extends EventEmitter {
+  static EVENTS = {
+    CHANGE: 'change' // () - the draft, brush or undo history changed
+  };
+
+  static TOOLS = {
+    PAINT: 'paint', // Place the brush's brick
+    ERASE: 'erase', // Empty the cell
+    DROP: 'drop' // Give an existing brick the brush's drop
+  };
+
+  /**
+   * Make a fresh draft
+   * @param {number} rows - Grid rows
+   * @param {number} columns - Grid columns
+   * @returns {Object} Empty draft
+   */
+  static createDraft(rows = GameConfig.EDITOR.ROWS, columns = GameConfig.LEVELS.COLUMNS) {
+    return {
+      name: '',
+      cells: createCells(rows, columns),
+      ballSpeed: 1,
+      dropChance: GameConfig.LEVELS.DROP_CHANCE,
+      music: null,
+      background: null
+    };
+  }
+
+  /**
+   * @param {Object} options - Editor options
+   * @param {number} options.width - Playfield width
+   * @param {number} options.height - Playfield height
+   * @param {number} options.historyLimit - Undo steps kept
+   */
+  constructor({
+    width = GameConfig.PLAYFIELD.WIDTH,
+    height = GameConfig.PLAYFIELD.HEIGHT,
+    historyLimit = GameConfig.EDITOR.HISTORY
+  } = {}) {
+    super();
+
+    this.storageKey = 'knockoffarcade_level_draft';
+    this.playfield = { width, height };
+    this.scale = Math.min(width, height) / 800; // As Simulation.getScale()
+    this.historyLimit = historyLimit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.stroke = null; // { changed } while a stroke is being painted
+
+    this.brush = { tool: LevelEditor.TOOLS.PAINT, type: 'normal', color: 0, hits: 1, drop: null };
+    this.draft = this.loadDraft() || LevelEditor.createDraft();
+  }
+
+  /**
+   * Change the brush and emit CHANGE
+   *
+   * Picking a type without hits sets hits to what that type takes.
+   * @param {Object} changes - Any of tool, type, color, hits, drop
+   * @returns {boolean} True if the brush was valid
+   */
+  setBrush(changes) {
+    const brush = { ...this.brush, ...changes };
+    if (changes.type !== undefined && changes.hits === undefined) {
+      brush.hits = GameConfig.LEVELS.BRICK_TYPES[changes.type]?.hits;
+    }
+
+    if (!Object.values(LevelEditor.TOOLS).includes(brush.tool) || !isCell(brush)) {
+      console.warn('Ignoring invalid brush:', changes);
+      return false;
+    }
+
+    this.brush = brush;
+    this.emit(LevelEditor.EVENTS.CHANGE);
+    return true;
+  }
+
+  /**
+   * Start a stroke; everything it paints is undone together
+   */
+  beginStroke() {
+    this.stroke = { changed: false };
+  }
+
+  /**
+   * Use the brush's tool on a cell
+   * @param {number} row - Grid row
+   * @param {number} column - Grid column
+   * @returns {boolean} True if the cell changed
+   */
+  applyAt(row, column) {
+    const { cells } = this.draft;
+    if (!isWhole(row, 0, cells.length - 1) || !isWhole(column, 0, cells[0].length - 1)) {
+      return false;
+    }
+
+    const { tool, type, color, hits, drop } = this.brush;
+    const current = cells[row][column];
+    let next = null;
+    if (tool === LevelEditor.TOOLS.PAINT) {
+      next = { type, color, hits, drop };
+    } else if (tool === LevelEditor.TOOLS.DROP) {
+      if (!current) return false;
+      next = { ...current, drop };
+    }
+    if (isSameCell(current, next)) return false;
+
+    // A click outside a stroke is an undo step of its own
+    if (!this.stroke || !this.stroke.changed) {
+      this.record();
+      if (this.stroke) this.stroke.changed = true;
+    }
+    cells[row][column] = next;
+    this.emit(LevelEditor.EVENTS.CHANGE);
+    return true;
+  }
+
+  /**
+   * @returns {boolean} True while a stroke is being painted
+   */
+  isStroking() {
+    return this.stroke !== null;
+  }
+
+  /**
+   * Finish the stroke being painted
+   */
+  endStroke() {
+    this.stroke = null;
+  }
+
+  /**
+   * Get the draft's level properties
+   * @returns {Object} { name, columns, rows, ballSpeed, dropChance, music, background }
+   */
+  getProperties() {
+    const { name, cells, ballSpeed, dropChance, music, background } = this.draft;
+    return { name, columns: cells[0].length, rows: cells.length, ballSpeed, dropChance, music, background };
+  }
+
+  /**
+   * Change a level property and emit CHANGE
+   *
+   * Changing columns or rows resizes the grid, keeping the bricks that still fit.
+   * @param {string} key - Key of getProperties()
+   * @param {*} value - New value
+   * @returns {boolean} True if the value was valid
+   */
+  setProperty(key, value) {
+    const { COLUMNS, MAX_ROWS } = GameConfig.LEVELS;
+    const valid = {
+      name: () => typeof value === 'string',
+      columns: () => isWhole(value, 1, COLUMNS),
+      rows: () => isWhole(value, 1, MAX_ROWS)
+    }[key] || (() => Level.isValidProperty(key, value));
+
+    if (!Object.hasOwn(this.getProperties(), key) || !valid()) {
+      console.warn(`Ignoring invalid level ${key}:`, value);
+      return false;
+    }
+    if (this.getProperties()[key] === value) return true;
+
+    this.record();
+    if (key === 'columns' || key === 'rows') {
+      const { columns, rows } = { ...this.getProperties(), [key]: value };
+      const cells = createCells(rows, columns);
+      this.draft.cells.forEach((row, rowIndex) => row.forEach((cell, column) => {
+        if (rowIndex < rows && column < columns) cells[rowIndex][column] = cell;
+      }));
+      this.draft.cells = cells;
+    } else {
+      this.draft[key] = value;
+    }
+    this.emit(LevelEditor.EVENTS.CHANGE);
+    return true;
+  }
+
+  /**
+   * Count the bricks in the draft
+   * @returns {number} Bricks placed
+   */
+  countBricks() {
+    return this.draft.cells.reduce((count, row) => count + row.filter(Boolean).length, 0);
+  }
+
+  /**
+   * Start over with an empty draft (can be undone)
+   */
+  newDraft() {
+    this.endStroke();
+    this.record();
+    this.draft = LevelEditor.createDraft();
+    this.emit(LevelEditor.EVENTS.CHANGE);
+  }
+
+  /**
+   * @returns {boolean} True if there is an edit to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean} True if there is an undone edit to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Take back the last edit
+   * @returns {boolean} True if there was one
+   */
+  undo() {
+    if (!this.canUndo()) return false;
+
+    this.endStroke();
+    this.redoStack.push(this.snapshot());
+    this.draft = this.undoStack.pop();
+    this.emit(LevelEditor.EVENTS.CHANGE);
+    return true;
+  }
+
+  /**
+   * Put back the last undone edit
+   * @returns {boolean} True if there was one
+   */
+  redo() {
+    if (!this.canRedo()) return false;
+
+    this.endStroke();
+    this.undoStack.push(this.snapshot());
+    this.draft = this.redoStack.pop();
+    this.emit(LevelEditor.EVENTS.CHANGE);
+    return true;
+  }
+
+  /**
+   * Turn the draft into a playable level
+   * @returns {Level} Validated level
+   * @throws {Error} If the draft is not a usable level yet (e.g. it has no bricks)
+   */
+  toLevel() {
+    const { name, cells, ballSpeed, dropChance, music, background } = this.draft;
+    return Level.fromGrid(cells, { name, ballSpeed, dropChance, music, background });
+  }
+
+  /**
+   * Serialize the draft for export
+   * @returns {Object} Level JSON data
+   * @throws {Error} If the draft is not a usable level yet
+   */
+  toJSON() {
+    return this.toLevel().toJSON();
+  }
+
+  /**
+   * Replace the draft with a level (can be undone)
+   * @param {string|Object} source - Level JSON or parsed data
+   * @returns {Level} The level loaded
+   * @throws {Error} If the data is not a usable level; the draft is left as it was
+   */
+  load(source) {
+    const level = Level.from(source);
+
+    this.endStroke();
+    this.record();
+    this.draft = this.fromLevel(level);
+    this.emit(LevelEditor.EVENTS.CHANGE);
+    return level;
+  }
+
+  /**
+   * Save the draft to localStorage; a draft with no bricks clears the save
+   * @returns {boolean} True if saved
+   */
+  save() {
+    try {
+      if (this.countBricks() === 0) {
+        localStorage.removeItem(this.storageKey);
+      } else {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.toLevel()));
+      }
+      return true;
+    } catch (error) {
+      console.error('Error saving level draft:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get where the draft's bricks sit on the playfield
+   * @returns {Object} { left, top, brickWidth, brickHeight, padding } (see Level.getLayout())
+   */
+  getLayout() {
+    return Level.getLayout(this.draft.cells[0].length, this.playfield.width, this.scale);
+  }
+
+  /**
+   * Find the grid cell under a playfield point
+   * @param {number} x - Playfield X
+   * @param {number} y - Playfield Y
+   * @returns {Object|null} { row, column }, or null outside the grid
+   */
+  cellAt(x, y) {
+    const { left, top, brickWidth, brickHeight, padding } = this.getLayout();
+    const { cells } = this.draft;
+    // Each cell reaches halfway into the padding around it
+    const column = Math.floor((x - left + padding / 2) / (brickWidth + padding));
+    const row = Math.floor((y - top + padding / 2) / (brickHeight + padding));
+
+    if (!isWhole(row, 0, cells.length - 1) || !isWhole(column, 0, cells[0].length - 1)) {
+      return null;
+    }
+    return { row, column };
+  }
+
+  /**
+   * Draw the grid and its bricks in playfield units
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {BrickRenderer} brickRenderer - The game's brick renderer
+   * @param {Object|null} hover - { row, column } of the cell under the pointer
+   */
+  render(ctx, brickRenderer, hover = null) {
+    const { left, top, brickWidth, brickHeight, padding } = this.getLayout();
+    const colors = GameConfig.PALETTES.classic.bricks;
+
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.font = `bold ${Math.round(brickHeight * 0.6)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    this.draft.cells.forEach((row, rowIndex) => row.forEach((cell, column) => {
+      const x = left + column * (brickWidth + padding);
+      const y = top + rowIndex * (brickHeight + padding);
+
+      if (!cell) {
+        ctx.strokeStyle = GameConfig.EDITOR.GRID_COLOR;
+        ctx.strokeRect(x + 0.5, y + 0.5, brickWidth - 1, brickHeight - 1);
+      } else {
+        const brick = new Brick(x, y, brickWidth, brickHeight, colors[cell.color], cell.hits);
+        brick.type = cell.type;
+        brick.drop = cell.drop;
+        brick.seed = rowIndex * GameConfig.LEVELS.COLUMNS + column; // Wear stays put while painting
+        brickRenderer.render(ctx, brick);
+
+        if (cell.drop) {
+          // Drops are marked in the brick's right end with the power-up's glyph
+          const { DROPS } = GameConfig.POWERUPS;
+          const mark = cell.drop === 'random' ? GameConfig.EDITOR.DROP_MARK : DROPS[cell.drop].glyph;
+          const markX = x + brickWidth - brickHeight / 2;
+          ctx.fillStyle = GameConfig.COLORS.GOLD;
+          ctx.strokeStyle = '#000000';
+          ctx.strokeText(mark, markX, y + brickHeight / 2);
+          ctx.fillText(mark, markX, y + brickHeight / 2);
+        }
+      }
+    }));
+
+    if (hover) {
+      ctx.strokeStyle = GameConfig.COLORS.GOLD;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(
+        left + hover.column * (brickWidth + padding) - 1,
+        top + hover.row * (brickHeight + padding) - 1,
+        brickWidth + 2,
+        brickHeight + 2
+      );
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Remember the draft before an edit
+   * @private
+   */
+  record() {
+    this.undoStack.push(this.snapshot());
+    if (this.undoStack.length > this.historyLimit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * @private
+   */
+  snapshot() {
+    return JSON.parse(JSON.stringify(this.draft));
+  }
+
+  /**
+   * @private
+   */
+  fromLevel(level) {
+    const { name, ballSpeed, dropChance, music, background } = level;
+    return { name, cells: level.toGrid(), ballSpeed, dropChance, music, background };
+  }
+
+  /**
+   * @private
+   */
+  loadDraft() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      return stored ? this.fromLevel(Level.from(stored)) : null;
+    } catch (error) {
+      console.error('Error loading level draft:', error);
+      return null;
+    }
+  }
+}
+
+export default LevelEditor;
@@ -0,0 +1,249 @@
+import Vector2D from '../utils/Vector2D.js';
+
+const EPSILON = 1e-6;
+const SEPARATION = 0.01; // Gap left between ball and surface after a bounce
+
+/**
+ * Swept circle-vs-rectangle collision detection and response
+ *
+ * Colliders are plain bounds objects ({ left, right, top, bottom }) with an
+ * optional `type` and `body` so the game can tell walls, paddle and bricks
+ * apart. A moving circle is tested against each collider along its whole
+ * path, so fast balls can't tunnel through thin bricks or the paddle.
+ */
+export class Physics {
+  /**
+   * Contact responses returned by a moveBall() contact callback
+   */
+  static RESPONSE = {
+    REFLECT: 'reflect', // Bounce off the contact normal
+    PASS_THROUGH: 'pass_through', // Keep going and ignore this collider for the rest of the step
+    CUSTOM: 'custom' // Callback already set the new velocity
+  };
+
+  static MAX_CONTACTS_PER_STEP = 4;
+
+  /**
+   * Find when a moving circle first touches a rectangle
+   * @param {Vector2D} position - Circle center at the start of the move
+   * @param {Vector2D} displacement - Movement over the step
+   * @param {number} radius - Circle radius
+   * @param {Object} rect - Bounds { left, right, top, bottom }
+   * @returns {Object|null} Contact { time (0-1), normal, point } or null
+   */
+  static sweepCircleRect(position, displacement, radius, rect) {
+    const overlap = Physics.overlapCircleRect(position, radius, rect);
+    if (overlap) {
+      // Already touching - only a contact if we're moving further in
+      if (displacement.dot(overlap.normal) < 0) {
+        return { time: 0, normal: overlap.normal, point: position.clone() };
+      }
+      return null;
+    }
+
+    let best = null;
+    const consider = (time, normal) => {
+      if (time < 0 || time > 1) return;
+      if (best && time >= best.time) return;
+      best = { time, normal };
+    };
+
+    const { x: px, y: py } = position;
+    const { x: dx, y: dy } = displacement;
+
+    // Faces of the rectangle pushed out by the radius
+    if (dx > EPSILON) {
+      const t = (rect.left - radius - px) / dx;
+      const y = py + dy * t;
+      if (y >= rect.top && y <= rect.bottom) consider(t, new Vector2D(-1, 0));
+    } else if (dx < -EPSILON) {
+      const t = (rect.right + radius - px) / dx;
+      const y = py + dy * t;
+      if (y >= rect.top && y <= rect.bottom) consider(t, new Vector2D(1, 0));
+    }
+
+    if (dy > EPSILON) {
+      const t = (rect.top - radius - py) / dy;
+      const x = px + dx * t;
+      if (x >= rect.left && x <= rect.right) consider(t, new Vector2D(0, -1));
+    } else if (dy < -EPSILON) {
+      const t = (rect.bottom + radius - py) / dy;
+      const x = px + dx * t;
+      if (x >= rect.left && x <= rect.right) consider(t, new Vector2D(0, 1));
+    }
+
+    // Rounded corners
+    const corners = [
+      new Vector2D(rect.left, rect.top),
+      new Vector2D(rect.right, rect.top),
+      new Vector2D(rect.left, rect.bottom),
+      new Vector2D(rect.right, rect.bottom)
+    ];
+
+    corners.forEach(corner => {
+      const t = Physics.sweepCirclePoint(position, displacement, radius, corner);
+      if (t === null) return;
+
+      const contact = new Vector2D(px + dx * t, py + dy * t);
+      const outsideX = contact.x < rect.left || contact.x > rect.right;
+      const outsideY = contact.y < rect.top || contact.y > rect.bottom;
+      if (outsideX && outsideY) {
+        consider(t, contact.subtract(corner).normalize());
+      }
+    });
+
+    if (!best) return null;
+
+    return {
+      time: best.time,
+      normal: best.normal,
+      point: new Vector2D(px + dx * best.time, py + dy * best.time)
+    };
+  }
+
+  /**
+   * Find when a moving circle first touches a point
+   * @param {Vector2D} position - Circle center at the start of the move
+   * @param {Vector2D} displacement - Movement over the step
+   * @param {number} radius - Circle radius
+   * @param {Vector2D} point - Point to test
+   * @returns {number|null} Time of contact (0-1) or null
+   */
+  static sweepCirclePoint(position, displacement, radius, point) {
+    const fx = position.x - point.x;
+    const fy = position.y - point.y;
+    const a = displacement.magnitudeSquared();
+    if (a < EPSILON) return null;
+
+    const b = 2 * (fx * displacement.x + fy * displacement.y);
+    const c = fx * fx + fy * fy - radius * radius;
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return t >= 0 && t <= 1 ? t : null;
+  }
+
+  /**
+   * Test a resting circle against a rectangle
+   * @param {Vector2D} position - Circle center
+   * @param {number} radius - Circle radius
+   * @param {Object} rect - Bounds { left, right, top, bottom }
+   * @returns {Object|null} { normal, depth } pointing out of the rectangle, or null
+   */
+  static overlapCircleRect(position, radius, rect) {
+    const closestX = Math.max(rect.left, Math.min(position.x, rect.right));
+    const closestY = Math.max(rect.top, Math.min(position.y, rect.bottom));
+    const offset = new Vector2D(position.x - closestX, position.y - closestY);
+    const distanceSquared = offset.magnitudeSquared();
+
+    if (distanceSquared >= radius * radius - EPSILON) return null;
+
+    if (distanceSquared > EPSILON) {
+      const distance = Math.sqrt(distanceSquared);
+      return { normal: offset.divide(distance), depth: radius - distance };
+    }
+
+    // Center inside the rectangle - push out through the nearest face
+    const exits = [
+      { depth: position.x - rect.left, normal: new Vector2D(-1, 0) },
+      { depth: rect.right - position.x, normal: new Vector2D(1, 0) },
+      { depth: position.y - rect.top, normal: new Vector2D(0, -1) },
+      { depth: rect.bottom - position.y, normal: new Vector2D(0, 1) }
+    ];
+    const nearest = exits.reduce((min, exit) => (exit.depth < min.depth ? exit : min));
+    return { normal: nearest.normal, depth: nearest.depth + radius };
+  }
+
+  /**
+   * Find the earliest contact along a path among many colliders
+   * @param {Vector2D} position - Circle center at the start of the move
+   * @param {Vector2D} displacement - Movement over the step
+   * @param {number} radius - Circle radius
+   * @param {Array} colliders - Collider bounds
+   * @param {Set} ignored - Colliders to skip
+   * @returns {Object|null} Contact { time, normal, point, collider } or null
+   */
+  static findEarliestContact(position, displacement, radius, colliders, ignored = new Set()) {
+    let earliest = null;
+
+    colliders.forEach(collider => {
+      if (ignored.has(collider)) return;
+
+      const contact = Physics.sweepCircleRect(position, displacement, radius, collider);
+      if (contact && (!earliest || contact.time < earliest.time)) {
+        earliest = { ...contact, collider };
+      }
+    });
+
+    return earliest;
+  }
+
+  /**
+   * Move a ball along its velocity, bouncing off colliders on the way
+   * @param {Ball} ball - Ball to move
+   * @param {number} deltaTime - Time since last update
+   * @param {Array} colliders - Collider bounds
+   * @param {Function} onContact - Called with each contact; returns a Physics.RESPONSE
+   * @returns {Array} Contacts that happened during the step
+   */
+  static moveBall(ball, deltaTime, colliders, onContact = null) {
+    const contacts = [];
+    const ignored = new Set();
+    let remaining = 1;
+    let bounces = 0;
+
+    // Leftover movement after the last allowed bounce is dropped rather than
+    // risk moving through something unchecked. Pass-through contacts don't
+    // count: each collider can only be passed once per step anyway.
+    while (bounces < Physics.MAX_CONTACTS_PER_STEP && remaining > EPSILON) {
+      const displacement = ball.velocity.clone().multiply(deltaTime * remaining);
+      const contact = Physics.findEarliestContact(ball.position, displacement, ball.radius, colliders, ignored);
+
+      if (!contact) {
+        ball.position.add(displacement);
+        break;
+      }
+
+      // Advance to the point of contact
+      ball.position.add(displacement.multiply(contact.time));
+      remaining *= (1 - contact.time);
+      contacts.push(contact);
+
+      const response = onContact ? onContact(contact) : Physics.RESPONSE.REFLECT;
+
+      if (response === Physics.RESPONSE.PASS_THROUGH) {
+        ignored.add(contact.collider);
+        continue;
+      }
+
+      bounces += 1;
+
+      if (response !== Physics.RESPONSE.CUSTOM && ball.velocity.dot(contact.normal) < 0) {
+        ball.velocity.reflect(contact.normal);
+      }
+
+      // Step off the surface so the next sweep doesn't start in contact
+      ball.position.add(contact.normal.clone().multiply(SEPARATION));
+    }
+
+    return contacts;
+  }
+
+  /**
+   * Build wall colliders around a playfield (the bottom stays open)
+   * @param {Object} bounds - Playfield { width, height }
+   * @returns {Array} Wall colliders
+   */
+  static createWalls(bounds) {
+    const thickness = Math.max(bounds.width, bounds.height);
+
+    return [
+      { type: 'wall', left: -thickness, right: 0, top: -thickness, bottom: bounds.height + thickness },
+      { type: 'wall', left: bounds.width, right: bounds.width + thickness, top: -thickness, bottom: bounds.height + thickness },
+      { type: 'wall', left: -thickness, right: bounds.width + thickness, top: -thickness, bottom: 0 }
+    ];
+  }
+}
+
+export default Physics;
@@ -0,0 +1,164 @@
+/**
+ * Save Manager for KnockoffArcade
+ * Suspends a run in progress to localStorage so it survives a page reload
+ *
+ * A save holds the full simulation snapshot (bricks, balls, paddle, power-up
+ * timers in game time, cavity state) plus the replay recorded so far.
+ * Saves carry a schema version; older saves are stepped forward through
+ * MIGRATIONS and anything that cannot be migrated or fails validation is
+ * discarded rather than loaded half-broken.
+ */
+
+import { GameConfig } from '../config/GameConfig.js';
+import { Replay } from '../core/Replay.js';
+import { Simulation } from '../core/Simulation.js';
+
+export class SaveManager {
+  static SCHEMA_VERSION = 1;
+
+  // Upgrades keyed by the schema they upgrade from, e.g. { 1: (save) => ({ ...save, schema: 2 }) }
+  static MIGRATIONS = {};
+
+  /**
+   * @param {Object} options - Save options
+   * @param {Object} options.migrations - Schema upgrades (defaults to SaveManager.MIGRATIONS)
+   */
+  constructor({ migrations = SaveManager.MIGRATIONS } = {}) {
+    this.storageKey = 'knockoffarcade_savedrun';
+    this.migrations = migrations;
+  }
+
+  /**
+   * Save a run in progress
+   * @param {Object} run - Run to save
+   * @param {string} run.playerName - Player name
+   * @param {Simulation} run.simulation - Live simulation
+   * @param {Replay} run.replay - Replay recorded so far
+   * @returns {boolean} True if saved
+   */
+  save({ playerName, simulation, replay }) {
+    const save = {
+      schema: SaveManager.SCHEMA_VERSION,
+      version: GameConfig.VERSION,
+      savedAt: new Date().toISOString(),
+      playerName,
+      simulation: simulation.serialize(),
+      replay: replay ? replay.toJSON() : null
+    };
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(save));
+      return true;
+    } catch (error) {
+      console.error('Error saving run:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the saved run, migrating it to the current schema
+   * @returns {Object|null} Save data (with its replay parsed), or null if there is no usable save
+   */
+  load() {
+    let save = null;
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      save = stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error('Error loading saved run:', error);
+    }
+
+    if (!save) {
+      return null;
+    }
+
+    let migrated = null;
+    try {
+      migrated = this.migrate(save);
+    } catch (error) {
+      console.error('Error migrating saved run:', error);
+    }
+
+    if (!migrated || !this.isValid(migrated)) {
+      console.warn(`Discarding saved run with schema ${save.schema}`);
+      this.clear();
+      return null;
+    }
+
+    // A run whose replay is damaged can still be resumed, just not watched
+    if (migrated.replay) {
+      try {
+        migrated.replay = Replay.from(migrated.replay);
+      } catch (error) {
+        console.warn('Saved run replay is unusable:', error);
+        migrated.replay = null;
+      }
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Check for a saved run without loading it
+   * @returns {boolean} True if a usable save exists
+   */
+  hasSave() {
+    return this.load() !== null;
+  }
+
+  /**
+   * Delete the saved run
+   */
+  clear() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      console.error('Error clearing saved run:', error);
+    }
+  }
+
+  /**
+   * Step a save forward to the current schema
+   * @param {Object} save - Save data at any schema
+   * @returns {Object|null} Save at the current schema, or null if there is no upgrade path
+   */
+  migrate(save) {
+    let current = save;
+
+    while (Number.isInteger(current.schema) && current.schema < SaveManager.SCHEMA_VERSION) {
+      const upgrade = this.migrations[current.schema];
+      if (!upgrade) {
+        return null;
+      }
+      current = upgrade(current);
+    }
+
+    return current.schema === SaveManager.SCHEMA_VERSION ? current : null;
+  }
+
+  /**
+   * Check that a save has everything needed to resume
+   * @param {Object} save - Save at the current schema
+   * @returns {boolean} True if the save can be loaded
+   */
+  isValid(save) {
+    const sim = save.simulation;
+    if (!sim || sim.status !== Simulation.STATUS.PLAYING) {
+      return false;
+    }
+
+    const numbers = [sim.tick, sim.score, sim.lives, sim.level, sim.combo, sim.multiplier];
+    if (!numbers.every(Number.isFinite) || sim.lives <= 0) {
+      return false;
+    }
+
+    if (!sim.paddle || !Array.isArray(sim.balls) || !Array.isArray(sim.bricks) ||
+        !Array.isArray(sim.powerUps) || !sim.clock || !sim.random || !sim.playfield) {
+      return false;
+    }
+
+    return true;
+  }
+}
+
+export default SaveManager;
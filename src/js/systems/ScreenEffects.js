@@ -0,0 +1,162 @@
+import { GameConfig } from '../config/GameConfig.js';
+
+/**
+ * Full-screen effects: screen shake and color flashes
+ *
+ * Flashes are rate-limited so the screen never flashes more often than
+ * GameConfig.EFFECTS.FLASH_MAX_PER_SECOND. In reduced-motion mode the view
+ * never moves: shakes become a brief dim fade, flashes become a gentle,
+ * faint fade, and the flash limit tightens further.
+ */
+export class ScreenEffects {
+  /**
+   * @param {Object} options - Effect options
+   * @param {RandomStream} options.rng - Cosmetic random stream for shake offsets
+   * @param {boolean} options.reducedMotion - Start in reduced-motion mode
+   */
+  constructor({ rng, reducedMotion = false } = {}) {
+    this.rng = rng;
+    this.reducedMotion = reducedMotion;
+    this.time = 0; // ms of effect time, advanced by update()
+    this.lastFlashAt = -Infinity;
+    this.reset();
+  }
+
+  /**
+   * Switch reduced-motion mode; anything in progress is dropped
+   * @param {boolean} reducedMotion - Reduce motion
+   */
+  setReducedMotion(reducedMotion) {
+    this.reducedMotion = reducedMotion;
+    this.reset();
+  }
+
+  /**
+   * Stop every effect
+   */
+  reset() {
+    this.shakeIntensity = 0;
+    this.shakeRemaining = 0;
+    this.offset = { x: 0, y: 0 };
+    this.overlay = null; // { color, opacity, duration, elapsed, fadeIn }
+  }
+
+  /**
+   * Shake the view
+   * @param {number} intensity - Largest offset in playfield units
+   * @param {number} duration - ms
+   */
+  shake(intensity, duration) {
+    if (this.reducedMotion) {
+      // A dim pulse stands in for the jolt
+      const opacity = Math.min(intensity / 100, GameConfig.EFFECTS.REDUCED_MOTION.FADE_OPACITY);
+      this.showOverlay('#000000', opacity, duration, true);
+      return;
+    }
+
+    this.shakeIntensity = Math.max(this.shakeIntensity, intensity);
+    this.shakeRemaining = Math.max(this.shakeRemaining, duration);
+  }
+
+  /**
+   * Flash the screen with a color
+   * @param {string} color - CSS color
+   * @param {number} duration - ms
+   * @param {number} opacity - Peak opacity (0-1)
+   * @returns {boolean} True if shown; flashes over the rate limit are dropped
+   */
+  flash(color, duration, opacity = 0.5) {
+    const { FLASH_MAX_PER_SECOND, REDUCED_MOTION } = GameConfig.EFFECTS;
+    const perSecond = this.reducedMotion ? REDUCED_MOTION.FLASH_MAX_PER_SECOND : FLASH_MAX_PER_SECOND;
+    if (this.time - this.lastFlashAt < 1000 / perSecond) {
+      return false;
+    }
+    this.lastFlashAt = this.time;
+
+    if (this.reducedMotion) {
+      this.showOverlay(color, Math.min(opacity, REDUCED_MOTION.FADE_OPACITY), duration * 2, true);
+    } else {
+      this.showOverlay(color, opacity, duration, false);
+    }
+    return true;
+  }
+
+  /**
+   * Advance running effects
+   * @param {number} ms - Time since the last update
+   */
+  update(ms) {
+    this.time += ms;
+
+    if (this.shakeRemaining > 0) {
+      this.shakeRemaining -= ms;
+      this.shakeIntensity *= 0.95 ** (ms / 16); // Same decay as the original 60 fps shake
+      this.offset.x = this.rng.range(-0.5, 0.5) * this.shakeIntensity;
+      this.offset.y = this.rng.range(-0.5, 0.5) * this.shakeIntensity;
+    } else {
+      this.shakeIntensity = 0;
+      this.offset.x = 0;
+      this.offset.y = 0;
+    }
+
+    if (this.overlay) {
+      this.overlay.elapsed += ms;
+      if (this.overlay.elapsed >= this.overlay.duration) {
+        this.overlay = null;
+      }
+    }
+  }
+
+  /**
+   * Offset the context by the current shake
+   * @param {CanvasRenderingContext2D} ctx - Canvas context in playfield units
+   */
+  apply(ctx) {
+    if (this.offset.x !== 0 || this.offset.y !== 0) {
+      ctx.translate(this.offset.x, this.offset.y);
+    }
+  }
+
+  /**
+   * Draw the current flash or fade over the playfield
+   * @param {CanvasRenderingContext2D} ctx - Canvas context in playfield units
+   * @param {number} width - Playfield width
+   * @param {number} height - Playfield height
+   */
+  renderOverlay(ctx, width, height) {
+    const opacity = this.getOverlayOpacity();
+    if (opacity <= 0) return;
+
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    ctx.fillStyle = this.overlay.color;
+    ctx.fillRect(-this.offset.x, -this.offset.y, width, height);
+    ctx.restore();
+  }
+
+  /**
+   * Get the opacity the overlay is drawn at right now
+   * @returns {number} 0-1
+   */
+  getOverlayOpacity() {
+    if (!this.overlay) return 0;
+
+    const { opacity, duration, elapsed, fadeIn } = this.overlay;
+    const progress = Math.min(1, elapsed / duration);
+    if (!fadeIn) {
+      return opacity * (1 - progress); // Snap on, fade out
+    }
+    return opacity * Math.sin(progress * Math.PI); // Ease in and out
+  }
+
+  /**
+   * @private
+   */
+  showOverlay(color, opacity, duration, fadeIn) {
+    // A stronger overlay already showing wins
+    if (this.overlay && this.getOverlayOpacity() > opacity) return;
+    this.overlay = { color, opacity, duration, elapsed: 0, fadeIn };
+  }
+}
+
+export default ScreenEffects;
@@ -0,0 +1,161 @@
+/**
+ * Settings Manager for KnockoffArcade
+ * Keeps the player's settings and saves them to localStorage
+ *
+ * Covers audio levels and mute, visual-effects quality, render scale,
+ * reduced motion, brick palette and overlays, captions, and language. Every change
+ * is checked against the choices in GameConfig, saved, and emitted as a
+ * CHANGE event so the game can apply it live. Control sensitivity belongs to the InputManager, which
+ * saves it with the bindings.
+ */
+
+import { EventEmitter } from '../core/EventEmitter.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { I18n } from './I18n.js';
+
+const isVolume = value => Number.isFinite(value) && value >= 0 && value <= 1;
+const isBoolean = value => typeof value === 'boolean';
+
+// Checks a stored or incoming value for each setting
+const VALIDATORS = {
+  masterVolume: isVolume,
+  sfxVolume: isVolume,
+  musicVolume: isVolume,
+  muted: isBoolean,
+  effectsQuality: value => Object.hasOwn(GameConfig.SETTINGS.EFFECTS_QUALITY, value),
+  renderScale: value => GameConfig.SETTINGS.RENDER_SCALES.includes(value),
+  reducedMotion: isBoolean,
+  language: value => Object.hasOwn(GameConfig.SETTINGS.LANGUAGES, value),
+  palette: value => Object.hasOwn(GameConfig.PALETTES, value),
+  overlays: isBoolean,
+  captions: isBoolean,
+  captionSize: value => GameConfig.SETTINGS.CAPTION_SIZES.includes(value),
+  captionBackground: value => GameConfig.SETTINGS.CAPTION_BACKGROUNDS.includes(value),
+  directionIndicators: isBoolean
+};
+
+export class SettingsManager extends EventEmitter {
+  static SETTINGS_VERSION = 1;
+
+  static EVENTS = {
+    CHANGE: 'change' // (key, value) - a setting was changed
+  };
+
+  /**
+   * Get the default settings, following the system's reduced-motion and language preferences
+   * @returns {Object} Default settings
+   */
+  static defaults() {
+    const defaults = { ...GameConfig.SETTINGS.DEFAULTS };
+
+    if (typeof window !== 'undefined' && window.matchMedia) {
+      defaults.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    if (typeof navigator !== 'undefined' && navigator.languages) {
+      defaults.language = I18n.matchLanguage(navigator.languages);
+    }
+
+    return defaults;
+  }
+
+  /**
+   * @param {Object} options - Settings options
+   * @param {Object} options.defaults - Settings to fall back to (defaults to SettingsManager.defaults())
+   */
+  constructor({ defaults = SettingsManager.defaults() } = {}) {
+    super();
+
+    this.storageKey = 'knockoffarcade_settings';
+    this.defaults = defaults;
+    this.values = this.loadSettings();
+  }
+
+  /**
+   * Get a setting
+   * @param {string} key - Setting name
+   * @returns {*} Current value
+   */
+  get(key) {
+    return this.values[key];
+  }
+
+  /**
+   * Get a copy of every setting
+   * @returns {Object} Setting name -> value
+   */
+  getAll() {
+    return { ...this.values };
+  }
+
+  /**
+   * Change a setting, save it and emit CHANGE
+   * @param {string} key - Setting name
+   * @param {*} value - New value
+   * @returns {boolean} True if the value was valid
+   */
+  set(key, value) {
+    const validate = VALIDATORS[key];
+    if (!validate || !validate(value)) {
+      console.warn(`Ignoring invalid setting ${key}:`, value);
+      return false;
+    }
+
+    if (this.values[key] !== value) {
+      this.values[key] = value;
+      this.saveSettings();
+      this.emit(SettingsManager.EVENTS.CHANGE, key, value);
+    }
+    return true;
+  }
+
+  /**
+   * Restore every setting to its default
+   */
+  reset() {
+    for (let key of Object.keys(this.defaults)) {
+      this.set(key, this.defaults[key]);
+    }
+  }
+
+  /**
+   * @private
+   */
+  loadSettings() {
+    const values = { ...this.defaults };
+
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      const data = stored ? JSON.parse(stored) : null;
+
+      if (data && data.version === SettingsManager.SETTINGS_VERSION && data.settings) {
+        // Only known, valid settings are taken; anything else keeps its default
+        for (let key of Object.keys(VALIDATORS)) {
+          if (VALIDATORS[key](data.settings[key])) {
+            values[key] = data.settings[key];
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error loading settings:', error);
+    }
+
+    return values;
+  }
+
+  /**
+   * @private
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        version: SettingsManager.SETTINGS_VERSION,
+        settings: this.values
+      }));
+    } catch (error) {
+      console.error('Error saving settings:', error);
+    }
+  }
+}
+
+export default SettingsManager;
@@ -0,0 +1,150 @@
+/**
+ * Uniform-grid spatial index for axis-aligned items
+ *
+ * Items are bucketed into every cell their bounds overlap, so a query only
+ * looks at the handful of items near the queried area instead of all of them.
+ */
+export class SpatialGrid {
+  /**
+   * @param {number} cellSize - Width and height of a grid cell
+   */
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.entries = new Map(); // item -> { bounds, keys }
+  }
+
+  /**
+   * Number of indexed items
+   * @returns {number} Item count
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Add an item
+   * @param {*} item - Item to index
+   * @param {Object} bounds - Bounds { left, right, top, bottom }
+   */
+  insert(item, bounds) {
+    if (this.entries.has(item)) {
+      this.remove(item);
+    }
+
+    const keys = this._keysFor(bounds);
+    keys.forEach(key => {
+      if (!this.cells.has(key)) {
+        this.cells.set(key, new Set());
+      }
+      this.cells.get(key).add(item);
+    });
+
+    this.entries.set(item, { bounds: { ...bounds }, keys });
+  }
+
+  /**
+   * Remove an item
+   * @param {*} item - Item to remove
+   * @returns {boolean} True if the item was indexed
+   */
+  remove(item) {
+    const entry = this.entries.get(item);
+    if (!entry) return false;
+
+    entry.keys.forEach(key => {
+      const cell = this.cells.get(key);
+      cell.delete(item);
+      if (cell.size === 0) {
+        this.cells.delete(key);
+      }
+    });
+
+    this.entries.delete(item);
+    return true;
+  }
+
+  /**
+   * Move an item to new bounds
+   * @param {*} item - Indexed item
+   * @param {Object} bounds - New bounds
+   */
+  update(item, bounds) {
+    this.insert(item, bounds);
+  }
+
+  /**
+   * Check if an item is indexed
+   * @param {*} item - Item to check
+   * @returns {boolean} True if indexed
+   */
+  has(item) {
+    return this.entries.has(item);
+  }
+
+  /**
+   * Find items whose bounds overlap an area
+   * @param {Object} bounds - Area { left, right, top, bottom }
+   * @returns {Array} Matching items
+   */
+  query(bounds) {
+    const found = new Set();
+
+    this._keysFor(bounds).forEach(key => {
+      const cell = this.cells.get(key);
+      if (!cell) return;
+
+      cell.forEach(item => {
+        if (found.has(item)) return;
+
+        const itemBounds = this.entries.get(item).bounds;
+        if (itemBounds.left <= bounds.right && itemBounds.right >= bounds.left &&
+            itemBounds.top <= bounds.bottom && itemBounds.bottom >= bounds.top) {
+          found.add(item);
+        }
+      });
+    });
+
+    return [...found];
+  }
+
+  /**
+   * Find items whose bounds contain a point
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {Array} Matching items
+   */
+  queryPoint(x, y) {
+    return this.query({ left: x, right: x, top: y, bottom: y });
+  }
+
+  /**
+   * Remove all items
+   */
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+  }
+
+  /**
+   * Get the keys of every cell an area touches
+   * @private
+   */
+  _keysFor(bounds) {
+    const minX = Math.floor(bounds.left / this.cellSize);
+    const maxX = Math.floor(bounds.right / this.cellSize);
+    const minY = Math.floor(bounds.top / this.cellSize);
+    const maxY = Math.floor(bounds.bottom / this.cellSize);
+    const keys = [];
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        keys.push(`${cx},${cy}`);
+      }
+    }
+
+    return keys;
+  }
+}
+
+export default SpatialGrid;
@@ -0,0 +1,6 @@
+// Pick the setup file that matches the suite's test environment
+if (typeof window !== 'undefined') {
+  require('./setup.js');
+} else {
+  require('./setup.node.js');
+}
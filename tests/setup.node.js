@@ -0,0 +1,12 @@
+// Jest setup file for headless suites (@jest-environment node), which have
+// no DOM for the browser mocks in setup.js to patch
+
+// Mock console methods to reduce noise in tests
+global.console = {
+  ...console,
+  log: jest.fn(),
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
@@ -0,0 +1,65 @@
+import Announcer from '../../src/js/systems/Announcer.js';
+
+describe('Announcer', () => {
+  let announcer;
+
+  const polite = () => document.querySelector('[aria-live="polite"]').textContent;
+  const assertive = () => document.querySelector('[aria-live="assertive"]').textContent;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    announcer = new Announcer({ interval: 1000, maxQueue: 3 });
+  });
+
+  afterEach(() => {
+    announcer.destroy();
+    jest.useRealTimers();
+  });
+
+  test('should add hidden polite and assertive live regions', () => {
+    const regions = document.querySelectorAll('.sr-only[aria-live]');
+
+    expect(regions).toHaveLength(2);
+    expect(document.querySelector('[aria-live="assertive"]').getAttribute('role')).toBe('alert');
+  });
+
+  test('should space announcements out', () => {
+    announcer.announce('Level cleared!');
+    announcer.announce('Power-up: Whiskey.');
+    expect(polite()).toBe('Level cleared!');
+
+    jest.advanceTimersByTime(999);
+    expect(polite()).toBe('Level cleared!');
+    jest.advanceTimersByTime(1);
+    expect(polite()).toBe('Power-up: Whiskey.');
+  });
+
+  test('should keep only the latest message for a key', () => {
+    announcer.announce('Run started.');
+    announcer.announce('10 hit combo!', { key: 'combo' });
+    announcer.announce('20 hit combo!', { key: 'combo' });
+
+    jest.advanceTimersByTime(1000);
+    expect(polite()).toBe('20 hit combo!');
+    expect(announcer.queue).toHaveLength(0);
+  });
+
+  test('should put assertive messages first and drop the oldest overflow', () => {
+    announcer.announce('Run started.');
+    ['one', 'two', 'three'].forEach(message => announcer.announce(message));
+    announcer.announce('Ball lost!', { priority: Announcer.PRIORITIES.ASSERTIVE });
+
+    jest.advanceTimersByTime(1000);
+    expect(assertive()).toBe('Ball lost!');
+    expect(announcer.queue.map(entry => entry.message)).toEqual(['two', 'three']);
+  });
+
+  test('should forget queued messages when cleared', () => {
+    announcer.announce('Run started.');
+    announcer.announce('Paused.');
+    announcer.clear();
+
+    jest.advanceTimersByTime(5000);
+    expect(polite()).toBe('Run started.');
+  });
+});
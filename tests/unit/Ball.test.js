@@ -1,12 +1,17 @@
 import Ball from '../../src/js/components/Ball.js';
 import GameConfig from '../../src/js/config/GameConfig.js';
+import { gameClock } from '../../src/js/core/GameClock.js';
 
 describe('Ball', () => {
   let ball;
   const canvasBounds = { width: 800, height: 600 };
 
   beforeEach(() => {
-    ball = new Ball(100, 100);
+    ball = new Ball(100, 100, gameClock);
+  });
+
+  afterEach(() => {
+    gameClock.resume();
   });
 
   test('should create ball with correct initial properties', () => {
@@ -97,22 +102,47 @@ describe('Ball', () => {
     ball.applyPowerUp(GameConfig.POWERUPS.TYPES.FAST_BALL, duration);
     
     expect(ball.hasPowerUp(GameConfig.POWERUPS.TYPES.FAST_BALL)).toBe(true);
-    expect(ball.powerUps[GameConfig.POWERUPS.TYPES.FAST_BALL]).toBeGreaterThan(Date.now());
+    expect(ball.powerUps[GameConfig.POWERUPS.TYPES.FAST_BALL]).toBeGreaterThan(gameClock.now());
   });
 
-  test('should remove expired power-ups', async () => {
+  test('should remove expired power-ups', () => {
     const shortDuration = 50;
     ball.applyPowerUp(GameConfig.POWERUPS.TYPES.PIERCE, shortDuration);
     
     expect(ball.hasPowerUp(GameConfig.POWERUPS.TYPES.PIERCE)).toBe(true);
     
-    // Wait for power-up to expire
-    await new Promise(resolve => setTimeout(resolve, 100));
+    // Let game time pass until the power-up expires
+    gameClock.advance(100);
     
     ball.update(1, canvasBounds);
     expect(ball.hasPowerUp(GameConfig.POWERUPS.TYPES.PIERCE)).toBe(false);
   });
 
+  test('should keep power-ups while the game clock is paused', () => {
+    ball.applyPowerUp(GameConfig.POWERUPS.TYPES.PIERCE, 50);
+    gameClock.pause();
+    gameClock.advance(100);
+
+    ball.update(1, canvasBounds);
+    expect(ball.hasPowerUp(GameConfig.POWERUPS.TYPES.PIERCE)).toBe(true);
+  });
+
+  test('should boost speed in the cavity and restore it when the glow expires', () => {
+    ball.setVelocity(3, -4);
+
+    ball.enterCavity(2);
+    expect(ball.getSpeed()).toBeCloseTo(10);
+    expect(ball.hasCavityEffect()).toBe(true);
+
+    ball.leaveCavity(100);
+    expect(ball.hasCavityEffect()).toBe(true);
+
+    gameClock.advance(150);
+    ball.update(0, canvasBounds);
+    expect(ball.hasCavityEffect()).toBe(false);
+    expect(ball.getSpeed()).toBeCloseTo(5);
+  });
+
   test('should get bounds correctly', () => {
     ball.position.x = 100;
     ball.position.y = 150;
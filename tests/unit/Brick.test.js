@@ -0,0 +1,63 @@
+import Brick from '../../src/js/components/Brick.js';
+
+describe('Brick', () => {
+  let brick;
+
+  beforeEach(() => {
+    brick = new Brick(10, 20, 75, 20, '#dc143c');
+  });
+
+  test('should create brick with correct initial properties', () => {
+    expect(brick.position.x).toBe(10);
+    expect(brick.position.y).toBe(20);
+    expect(brick.hits).toBe(1);
+    expect(brick.visible).toBe(true);
+  });
+
+  test('should be destroyed by its last hit', () => {
+    expect(brick.hit()).toBe(true);
+    expect(brick.visible).toBe(false);
+    expect(brick.hit()).toBe(false);
+  });
+
+  test('should take several hits when tougher', () => {
+    brick = new Brick(0, 0, 75, 20, '#ff6600', 3);
+
+    expect(brick.hit()).toBe(false);
+    expect(brick.hit()).toBe(false);
+    expect(brick.getDamage()).toBe(2);
+    expect(brick.visible).toBe(true);
+    expect(brick.hit()).toBe(true);
+    expect(brick.visible).toBe(false);
+  });
+
+  test('should get bounds and center correctly', () => {
+    const bounds = brick.getBounds();
+    expect(bounds.left).toBe(10);
+    expect(bounds.right).toBe(85);
+    expect(bounds.top).toBe(20);
+    expect(bounds.bottom).toBe(40);
+
+    const center = brick.getCenter();
+    expect(center.x).toBe(47.5);
+    expect(center.y).toBe(30);
+  });
+
+  test('should serialize and deserialize correctly', () => {
+    brick = new Brick(5, 5, 75, 20, '#ffd700', 2);
+    brick.type = 'armored';
+    brick.drop = 'boots';
+    brick.hit();
+
+    const restored = new Brick(0, 0, 1, 1, '#000000');
+    restored.deserialize(brick.serialize());
+
+    expect(restored.position.x).toBe(5);
+    expect(restored.color).toBe('#ffd700');
+    expect(restored.hits).toBe(1);
+    expect(restored.maxHits).toBe(2);
+    expect(restored.visible).toBe(true);
+    expect(restored.type).toBe('armored');
+    expect(restored.drop).toBe('boots');
+  });
+});
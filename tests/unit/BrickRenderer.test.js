@@ -0,0 +1,131 @@
+import BrickRenderer from '../../src/js/systems/BrickRenderer.js';
+import Brick from '../../src/js/components/Brick.js';
+import GameConfig from '../../src/js/config/GameConfig.js';
+
+describe('BrickRenderer', () => {
+  let renderer;
+  let ctx;
+
+  const makeBrick = (seed = 0, color = '#dc143c', hits = 1) => {
+    const brick = new Brick(10, 20, 75, 20, color, hits);
+    brick.seed = seed;
+    return brick;
+  };
+
+  beforeEach(() => {
+    renderer = new BrickRenderer();
+    ctx = { drawImage: jest.fn() };
+  });
+
+  test('should paint a sprite once and reuse it', () => {
+    const brick = makeBrick();
+    const spy = jest.spyOn(renderer, 'drawWoodBrick');
+
+    renderer.render(ctx, brick);
+    renderer.render(ctx, brick);
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(ctx.drawImage).toHaveBeenCalledTimes(2);
+    expect(ctx.drawImage).toHaveBeenCalledWith(expect.anything(), 10, 20, 75, 20);
+  });
+
+  test('should share sprites between matching bricks', () => {
+    const a = makeBrick(1);
+    const b = makeBrick(1 + BrickRenderer.VARIANTS);
+
+    expect(renderer.getSprite(a)).toBe(renderer.getSprite(b));
+    expect(renderer.sprites.size).toBe(1);
+  });
+
+  test('should key sprites by color, size, variant and damage', () => {
+    const base = makeBrick(0);
+    const recolored = makeBrick(0, '#ff6600');
+    const otherVariant = makeBrick(1);
+    const resized = makeBrick(0);
+    resized.width = 90;
+
+    [base, recolored, otherVariant, resized].forEach(brick => renderer.getSprite(brick));
+    expect(renderer.sprites.size).toBe(4);
+
+    const tough = makeBrick(0, '#dc143c', 3);
+    const before = renderer.getSprite(tough);
+    tough.hit();
+    expect(renderer.getSprite(tough)).not.toBe(before);
+  });
+
+  test('should mark special brick types on their own sprites', () => {
+    const spy = jest.spyOn(renderer, 'drawTypeMark');
+    const normal = makeBrick(0);
+    const explosive = makeBrick(0);
+    explosive.type = 'explosive';
+
+    renderer.getSprite(normal);
+    expect(spy).not.toHaveBeenCalled();
+
+    expect(renderer.getSprite(explosive)).not.toBe(renderer.getSprite(normal));
+    expect(spy).toHaveBeenCalledWith(expect.anything(), 75, 20, 'explosive');
+  });
+
+  test('should repaint after the cache is cleared', () => {
+    const brick = makeBrick();
+    const before = renderer.getSprite(brick);
+
+    renderer.clear();
+
+    expect(renderer.sprites.size).toBe(0);
+    expect(renderer.getSprite(brick)).not.toBe(before);
+  });
+
+  test('should repaint at a new resolution', () => {
+    const brick = makeBrick();
+    const before = renderer.getSprite(brick);
+
+    renderer.setResolution(2);
+    const sprite = renderer.getSprite(brick);
+
+    expect(sprite).not.toBe(before);
+    expect(sprite.width).toBe(150);
+    expect(sprite.height).toBe(40);
+
+    renderer.setResolution(2);
+    expect(renderer.getSprite(brick)).toBe(sprite);
+  });
+
+  test('should paint each row in the same row of the chosen palette', () => {
+    const { classic, deuteranopia } = GameConfig.PALETTES;
+    const spy = jest.spyOn(renderer, 'drawWoodBrick');
+    const before = renderer.getSprite(makeBrick(0, classic.bricks[3]));
+
+    renderer.setPalette('deuteranopia');
+    expect(renderer.sprites.size).toBe(0);
+    expect(renderer.getSprite(makeBrick(0, classic.bricks[3]))).not.toBe(before);
+    expect(spy).toHaveBeenLastCalledWith(expect.anything(), 75, 20, deuteranopia.bricks[3], expect.anything());
+
+    // Colors outside the palette, and unknown palettes, are left alone
+    expect(renderer.getColor('#123456')).toBe('#123456');
+    renderer.setPalette('sepia');
+    expect(renderer.palette).toBe('deuteranopia');
+  });
+
+  test('should overlay row patterns and the hits left when asked', () => {
+    const pattern = jest.spyOn(renderer, 'drawPattern');
+    const pips = jest.spyOn(renderer, 'drawHitPips');
+    const tough = makeBrick(0, GameConfig.PALETTES.classic.bricks[1], 3);
+
+    renderer.getSprite(tough);
+    expect(pattern).not.toHaveBeenCalled();
+
+    renderer.setOverlays(true);
+    tough.hit();
+    renderer.getSprite(tough);
+    renderer.getSprite(makeBrick(0, '#123456'));
+
+    expect(pattern).toHaveBeenCalledTimes(1);
+    expect(pattern).toHaveBeenCalledWith(expect.anything(), 75, 20, 'diagonal', expect.any(String));
+    expect(pips).toHaveBeenCalledWith(expect.anything(), 75, 20, 2, expect.any(String));
+  });
+
+  test('should pick overlay ink that contrasts with the paint', () => {
+    expect(renderer.getInk('#f0e442')).not.toBe(renderer.getInk('#0072b2'));
+  });
+});
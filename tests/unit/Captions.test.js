@@ -0,0 +1,111 @@
+import Captions from '../../src/js/systems/Captions.js';
+import { AudioManager } from '../../src/js/systems/AudioManager.js';
+
+describe('Captions', () => {
+  let element;
+  let captions;
+
+  const lines = () => [...element.querySelectorAll('.caption-line')].map(line => line.textContent);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    element = document.createElement('div');
+    document.body.appendChild(element);
+    captions = new Captions({ element, duration: 1000, maxLines: 2, indicatorDuration: 500 });
+  });
+
+  afterEach(() => {
+    captions.clear();
+    element.remove();
+    jest.useRealTimers();
+  });
+
+  test('should show captions until they time out', () => {
+    captions.show({ text: '[Whistle falls]', source: 'ballLost' });
+    expect(lines()).toEqual(['[Whistle falls]']);
+
+    jest.advanceTimersByTime(1000);
+    expect(lines()).toEqual([]);
+  });
+
+  test('should refresh a repeated sound in place and drop the oldest line', () => {
+    captions.show({ text: '[Yee!]', source: 'combo3' });
+    captions.show({ text: '[Saloon door creaks]', source: 'powerUpCollect' });
+    jest.advanceTimersByTime(600);
+    captions.show({ text: '[Yee!]', source: 'combo3' });
+    expect(lines()).toEqual(['[Yee!]', '[Saloon door creaks]']);
+
+    // The refreshed line outlives the one shown after it first appeared
+    jest.advanceTimersByTime(400);
+    expect(lines()).toEqual(['[Yee!]']);
+
+    captions.show({ text: '[Whistle falls]', source: 'ballLost' });
+    captions.show({ text: '[Harmonica tune]', source: 'levelComplete' });
+    expect(lines()).toEqual(['[Whistle falls]', '[Harmonica tune]']);
+  });
+
+  test('should apply size and background and hide when disabled', () => {
+    captions.setSize('large');
+    captions.setBackground('solid');
+    expect(element.dataset).toMatchObject({ size: 'large', background: 'solid' });
+
+    captions.show({ text: '[Yee!]', source: 'combo3' });
+    captions.setEnabled(false);
+    captions.show({ text: '[Whistle falls]', source: 'ballLost' });
+
+    expect(element.classList.contains('hidden')).toBe(true);
+    expect(lines()).toEqual([]);
+  });
+
+  test('should keep direction markers only when enabled and for their duration', () => {
+    captions.show({ text: '[Whistle falls]', source: 'ballLost', position: { x: 100, y: 790 } });
+    expect(captions.indicators).toHaveLength(0);
+
+    captions.setIndicators(true);
+    captions.show({ text: '[Whistle falls]', source: 'ballLost', position: { x: 100, y: 790 } });
+    captions.show({ text: '[Harmonica tune]', source: 'levelComplete' });
+    expect(captions.indicators).toHaveLength(1);
+
+    const ctx = { save: jest.fn(), restore: jest.fn(), translate: jest.fn(), rotate: jest.fn(), beginPath: jest.fn(), moveTo: jest.fn(), lineTo: jest.fn(), closePath: jest.fn(), fill: jest.fn(), stroke: jest.fn() };
+    captions.renderIndicators(ctx, 1000, 800);
+    expect(ctx.translate).toHaveBeenCalledWith(100, 782); // Bottom edge, below the sound
+    expect(ctx.rotate).toHaveBeenCalledWith(Math.PI / 2);
+
+    captions.update(500);
+    expect(captions.indicators).toHaveLength(0);
+  });
+});
+
+describe('AudioManager captions', () => {
+  let audio;
+  let received;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    audio = new AudioManager();
+    received = [];
+    audio.on(AudioManager.EVENTS.CAPTION, caption => received.push(caption));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should caption meaningful sounds even when they cannot be heard', () => {
+    audio.isMuted = true;
+    audio.playSound('menuSelect');
+    audio.playSound('ballLost', { position: { x: 40, y: 790 } });
+
+    expect(received).toEqual([{ text: '[Whistle falls]', source: 'ballLost', position: { x: 40, y: 790 } }]);
+  });
+
+  test('should caption a voice line with its speaker when it starts', () => {
+    audio.captionVoice('./assets/sounds/voices/stateyourname.wav', 1.0);
+    expect(received).toHaveLength(0);
+
+    jest.advanceTimersByTime(1000);
+    expect(received).toEqual([{ text: 'Sheriff: State your name', source: 'stateyourname.wav', position: null }]);
+  });
+});
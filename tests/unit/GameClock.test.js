@@ -0,0 +1,61 @@
+import GameClock from '../../src/js/core/GameClock.js';
+
+describe('GameClock', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = new GameClock();
+  });
+
+  test('should start at zero', () => {
+    expect(clock.now()).toBe(0);
+    expect(clock.isPaused()).toBe(false);
+  });
+
+  test('should advance by real time at normal speed', () => {
+    clock.advance(16);
+    clock.advance(16);
+    expect(clock.now()).toBe(32);
+  });
+
+  test('should not advance while paused', () => {
+    clock.advance(100);
+    clock.pause();
+    expect(clock.advance(5000)).toBe(0);
+    expect(clock.now()).toBe(100);
+
+    clock.resume();
+    clock.advance(50);
+    expect(clock.now()).toBe(150);
+  });
+
+  test('should scale game time for slow motion', () => {
+    clock.setTimeScale(0.5);
+    expect(clock.advance(100)).toBe(50);
+    expect(clock.now()).toBe(50);
+  });
+
+  test('should not accept a negative time scale', () => {
+    clock.setTimeScale(-1);
+    expect(clock.timeScale).toBe(0);
+  });
+
+  test('should schedule and check expiry timestamps', () => {
+    const expiry = clock.after(1000);
+    clock.advance(999);
+    expect(clock.hasPassed(expiry)).toBe(false);
+    clock.advance(1);
+    expect(clock.hasPassed(expiry)).toBe(true);
+  });
+
+  test('should reset for a new run', () => {
+    clock.advance(500);
+    clock.setTimeScale(0.25);
+    clock.pause();
+    clock.reset();
+
+    expect(clock.now()).toBe(0);
+    expect(clock.timeScale).toBe(1);
+    expect(clock.isPaused()).toBe(false);
+  });
+});
@@ -0,0 +1,75 @@
+import GameLoop from '../../src/js/core/GameLoop.js';
+import GameConfig from '../../src/js/config/GameConfig.js';
+
+describe('GameLoop', () => {
+  let update;
+  let render;
+  let loop;
+
+  beforeEach(() => {
+    update = jest.fn();
+    render = jest.fn();
+    loop = new GameLoop({ update, render, tickRate: 100, maxFrameTime: 250, maxStepsPerFrame: 10 });
+  });
+
+  test('should express tick length in reference frames', () => {
+    expect(loop.stepMs).toBe(10);
+    expect(loop.stepDelta).toBeCloseTo(GameConfig.LOOP.REFERENCE_FPS / 100);
+  });
+
+  test('should run the same number of ticks regardless of frame rate', () => {
+    const fast = new GameLoop({ update: jest.fn(), render: jest.fn(), tickRate: 100 });
+    const slow = new GameLoop({ update: jest.fn(), render: jest.fn(), tickRate: 100 });
+
+    // One second at 144 Hz and at 60 Hz
+    for (let i = 0; i <= 144; i++) fast.frame(i * (1000 / 144));
+    for (let i = 0; i <= 60; i++) slow.frame(i * (1000 / 60));
+
+    expect(Math.abs(fast.tickCount - slow.tickCount)).toBeLessThanOrEqual(1);
+    expect(slow.tickCount).toBeGreaterThanOrEqual(99);
+  });
+
+  test('should pass leftover time to render as interpolation alpha', () => {
+    loop.frame(0);
+    loop.frame(25);
+
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(update).toHaveBeenCalledWith(loop.stepDelta, 10);
+    expect(render).toHaveBeenLastCalledWith(0.5);
+  });
+
+  test('should clamp long frames after a tab switch', () => {
+    loop = new GameLoop({ update, render, tickRate: 100, maxFrameTime: 50, maxStepsPerFrame: 100 });
+    loop.frame(0);
+    loop.frame(10000);
+
+    expect(update).toHaveBeenCalledTimes(5);
+  });
+
+  test('should drop the backlog when the tick budget is exhausted', () => {
+    loop = new GameLoop({ update, render, tickRate: 100, maxFrameTime: 1000, maxStepsPerFrame: 3 });
+    loop.frame(0);
+    loop.frame(500);
+
+    expect(update).toHaveBeenCalledTimes(3);
+    expect(loop.accumulator).toBe(0);
+  });
+
+  test('should keep a partial tick when the budget is used up exactly', () => {
+    loop = new GameLoop({ update, render, tickRate: 100, maxFrameTime: 1000, maxStepsPerFrame: 3 });
+    loop.frame(0);
+    loop.frame(35);
+
+    expect(update).toHaveBeenCalledTimes(3);
+    expect(loop.accumulator).toBeCloseTo(5);
+    expect(render).toHaveBeenLastCalledWith(0.5);
+  });
+
+  test('should not catch up on time elapsed before resetTiming', () => {
+    loop.frame(0);
+    loop.resetTiming();
+    loop.frame(200);
+
+    expect(update).not.toHaveBeenCalled();
+  });
+});
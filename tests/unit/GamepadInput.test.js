@@ -0,0 +1,80 @@
+import GamepadInput from '../../src/js/systems/GamepadInput.js';
+
+describe('GamepadInput', () => {
+  const { EVENTS } = GamepadInput;
+  let pads;
+  let gamepads;
+
+  const pad = (index, pressed = [], axes = [0, 0]) => ({
+    index,
+    id: `Test pad ${index}`,
+    connected: true,
+    axes,
+    buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i), value: 0 }))
+  });
+
+  beforeEach(() => {
+    pads = [];
+    gamepads = new GamepadInput({ deadZone: 0.2, responseCurve: 2, getGamepads: () => pads });
+  });
+
+  test('should shape stick travel with the dead zone and curve', () => {
+    expect(GamepadInput.shapeAxis(0.1, 0.2, 2)).toBe(0);
+    expect(GamepadInput.shapeAxis(0.6, 0.2, 1)).toBeCloseTo(0.5);
+    expect(GamepadInput.shapeAxis(-0.6, 0.2, 2)).toBeCloseTo(-0.25);
+    expect(GamepadInput.shapeAxis(1, 0.2, 2)).toBe(1);
+  });
+
+  test('should emit button presses and releases once', () => {
+    const onButton = jest.fn();
+    gamepads.on(EVENTS.BUTTON, onButton);
+
+    pads = [pad(0, [0])];
+    gamepads.poll();
+    gamepads.poll();
+    pads = [pad(0)];
+    gamepads.poll();
+
+    expect(onButton.mock.calls).toEqual([['Gamepad0', true, 0], ['Gamepad0', false, 0]]);
+  });
+
+  test('should press the D-pad when the stick is pushed up or down', () => {
+    pads = [pad(0, [], [0, 0.9])];
+    gamepads.poll();
+
+    expect(gamepads.isHeld('Gamepad13')).toBe(true);
+    expect(gamepads.isHeld('Gamepad12')).toBe(false);
+  });
+
+  test('should hand out player slots as pads come and go', () => {
+    const onConnected = jest.fn();
+    const onDisconnected = jest.fn();
+    const onButton = jest.fn();
+    gamepads.on(EVENTS.CONNECTED, onConnected);
+    gamepads.on(EVENTS.DISCONNECTED, onDisconnected);
+
+    pads = [pad(0), pad(1, [9])];
+    gamepads.poll();
+    expect(onConnected.mock.calls).toEqual([[0, 'Test pad 0'], [1, 'Test pad 1']]);
+
+    // Unplugging lets go of held buttons and frees the slot
+    gamepads.on(EVENTS.BUTTON, onButton);
+    pads = [pad(0)];
+    gamepads.poll();
+    expect(onButton).toHaveBeenCalledWith('Gamepad9', false, 1);
+    expect(onDisconnected).toHaveBeenCalledWith(1, 'Test pad 1');
+    expect(gamepads.count).toBe(1);
+
+    pads = [pad(0), pad(2)];
+    gamepads.poll();
+    expect(onConnected).toHaveBeenLastCalledWith(1, 'Test pad 2');
+  });
+
+  test('should report the strongest stick for any player', () => {
+    pads = [pad(0, [], [0.6, 0]), pad(1, [], [-1, 0])];
+    gamepads.poll();
+
+    expect(gamepads.getAxis()).toBe(-1);
+    expect(gamepads.getAxis(0)).toBeCloseTo(0.25);
+  });
+});
@@ -0,0 +1,92 @@
+import I18n from '../../src/js/systems/I18n.js';
+import { CATALOGS } from '../../src/js/config/locales/index.js';
+
+describe('I18n', () => {
+  let i18n;
+
+  beforeEach(() => {
+    i18n = new I18n({ language: 'en-western' });
+  });
+
+  test('should look messages up along the fallback chain', () => {
+    expect(i18n.getFallbackChain('en-western')).toEqual(['en-western', 'en']);
+    expect(i18n.t('start.enter')).toBe('ENTER SALOON');
+    expect(i18n.t('hud.score')).toBe('Score:');
+
+    i18n.setLanguage('en');
+    expect(i18n.t('start.enter')).toBe('PLAY');
+  });
+
+  test('should fill placeholders and pick plural forms', () => {
+    expect(i18n.t('announce.lifeLost', { count: 1 })).toBe('Ball lost! 1 life left.');
+    expect(i18n.t('announce.lifeLost', { count: 2 })).toBe('Ball lost! 2 lives left.');
+    expect(i18n.t('start.pressWhenReady', { keys: 'SPACE' })).toBe('Press SPACE when ready');
+    expect(i18n.t('start.helpKeys', { launch: 'Enter', scores: 'H', mute: 'M' }))
+      .toBe('🔫 Enter to launch • H for Hall of Fame • M to Mute');
+
+    i18n.setLanguage('es');
+    expect(i18n.t('describe.targets', { count: 1 })).toBe('queda 1 blanco');
+    expect(i18n.t('describe.targets', { count: 5 })).toBe('quedan 5 blancos');
+  });
+
+  test('should format numbers and dates for the language', () => {
+    expect(i18n.t('gameOver.finalScore', { score: 12345 })).toBe('Final Score: 12,345');
+
+    i18n.setLanguage('de');
+    expect(i18n.t('gameOver.finalScore', { score: 12345 })).toBe('Endstand: 12.345');
+    expect(i18n.formatNumber(0.15, { style: 'percent' })).toMatch(/^15\s%$/);
+    expect(i18n.formatDate('2024-01-01', { day: '2-digit', month: '2-digit', year: 'numeric' })).toBe('01.01.2024');
+  });
+
+  test('should emit changes and refuse unknown languages', () => {
+    const changes = [];
+    i18n.on(I18n.EVENTS.CHANGE, language => changes.push(language));
+
+    expect(i18n.setLanguage('de')).toBe(true);
+    expect(i18n.setLanguage('de')).toBe(true);
+    expect(i18n.setLanguage('tlh')).toBe(false);
+
+    expect(changes).toEqual(['de']);
+    expect(i18n.locale).toBe('de');
+  });
+
+  test('should return the key for a missing message and warn once', () => {
+    console.warn.mockClear();
+    expect(i18n.t('nowhere.toBeFound')).toBe('nowhere.toBeFound');
+    expect(i18n.t('nowhere.toBeFound')).toBe('nowhere.toBeFound');
+    expect(i18n.has('nowhere.toBeFound')).toBe(false);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('should translate tagged markup', () => {
+    document.body.innerHTML = `
+      <h2 data-i18n="pause.title"></h2>
+      <p data-i18n-html="highScores.backPrompt"></p>
+      <input data-i18n-attr="placeholder:start.namePlaceholder; title:start.nameLabel">`;
+    i18n.setLanguage('de');
+    i18n.translatePage(document);
+
+    expect(document.querySelector('h2').textContent).toBe('⏸️ PAUSE');
+    expect(document.querySelector('p strong').textContent).toBe('LEERTASTE');
+    expect(document.querySelector('input').placeholder).toBe('HIER EINGEBEN...');
+    expect(document.querySelector('input').title).toBe('Name des Banditen:');
+  });
+
+  test('should match the browser language, keeping the default flavor for English', () => {
+    expect(I18n.matchLanguage(['de-AT', 'en'])).toBe('de');
+    expect(I18n.matchLanguage(['en-GB', 'es'])).toBe('en-western');
+    expect(I18n.matchLanguage(['fr-FR', 'es-MX'])).toBe('es');
+    expect(I18n.matchLanguage(['fr-FR'])).toBe('en-western');
+  });
+
+  test('should only have catalog messages that English also has', () => {
+    const keys = (catalog, prefix = '') => Object.entries(catalog).flatMap(([key, value]) => (
+      typeof value === 'object' && typeof value.other !== 'string' ? keys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+    ));
+    const english = new Set(keys(CATALOGS.en));
+
+    for (let language of ['en-western', 'es', 'de']) {
+      expect(keys(CATALOGS[language]).filter(key => !english.has(key))).toEqual([]);
+    }
+  });
+});
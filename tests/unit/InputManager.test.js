@@ -0,0 +1,269 @@
+import InputManager from '../../src/js/systems/InputManager.js';
+
+describe('InputManager', () => {
+  const { ACTIONS, EVENTS } = InputManager;
+  let store;
+  let input;
+  let canvas;
+  let pads;
+
+  // A standard-mapping pad with the given buttons held
+  const pad = (index, pressed = [], axes = [0, 0]) => ({
+    index,
+    id: `Test pad ${index}`,
+    connected: true,
+    axes,
+    buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i), value: 0 }))
+  });
+
+  const press = (code, options = {}) => {
+    const target = options.target || document.body;
+    target.dispatchEvent(new KeyboardEvent('keydown', { code, bubbles: true, cancelable: true, ...options }));
+  };
+  const release = (code) => {
+    document.dispatchEvent(new KeyboardEvent('keyup', { code, bubbles: true }));
+  };
+
+  beforeEach(() => {
+    store = {};
+    localStorage.getItem.mockImplementation(key => (key in store ? store[key] : null));
+    localStorage.setItem.mockImplementation((key, value) => { store[key] = String(value); });
+
+    canvas = document.createElement('canvas');
+    document.body.appendChild(canvas);
+    pads = [];
+    input = new InputManager({ getGamepads: () => pads });
+    input.attach(canvas, { touch: false });
+  });
+
+  afterEach(() => {
+    input.detach();
+    document.body.innerHTML = '';
+  });
+
+  test('should track held actions through their keys', () => {
+    press('KeyA');
+    expect(input.isActive(ACTIONS.MOVE_LEFT)).toBe(true);
+    expect(input.getMoveAxis()).toBe(-1);
+
+    release('KeyA');
+    press('ArrowRight');
+    expect(input.isActive(ACTIONS.MOVE_LEFT)).toBe(false);
+    expect(input.getMoveAxis()).toBe(1);
+  });
+
+  test('should emit pressed actions once per press', () => {
+    const onAction = jest.fn();
+    input.on(EVENTS.ACTION, onAction);
+
+    press('KeyM');
+    press('KeyM', { repeat: true });
+
+    expect(onAction).toHaveBeenCalledTimes(1);
+    expect(onAction.mock.calls[0][0]).toBe(ACTIONS.MUTE);
+  });
+
+  test('should only let typing-safe actions through text fields', () => {
+    const field = document.createElement('input');
+    document.body.appendChild(field);
+    const onAction = jest.fn();
+    input.on(EVENTS.ACTION, onAction);
+
+    press('KeyM', { target: field });
+    press('Enter', { target: field });
+
+    expect(onAction).toHaveBeenCalledTimes(1);
+    expect(onAction.mock.calls[0][0]).toBe(ACTIONS.LAUNCH);
+  });
+
+  test('should hand out the latest pointer once', () => {
+    canvas.dispatchEvent(new MouseEvent('mousemove', { clientX: 120, clientY: 40 }));
+    canvas.dispatchEvent(new MouseEvent('mousemove', { clientX: 150, clientY: 40 }));
+
+    expect(input.consumePointer()).toEqual({ clientX: 150, clientY: 40 });
+    expect(input.consumePointer()).toBeNull();
+  });
+
+  test('should remap a key and take it off its old action', () => {
+    input.rebind(ACTIONS.PAUSE, 1, 'KeyA');
+
+    expect(input.getBindings()[ACTIONS.PAUSE]).toEqual(['Escape', 'KeyA', 'Gamepad9']);
+    expect(input.getBindings()[ACTIONS.MOVE_LEFT]).toEqual(['ArrowLeft', null, 'Gamepad14']);
+
+    press('KeyA');
+    expect(input.isActive(ACTIONS.MOVE_LEFT)).toBe(false);
+  });
+
+  test('should keep remapped bindings across sessions', () => {
+    input.rebind(ACTIONS.FIRE, 0, 'KeyQ');
+
+    const next = new InputManager();
+    expect(next.getBindings()[ACTIONS.FIRE]).toEqual(['KeyQ', null, 'Gamepad2']);
+
+    next.resetBindings();
+    expect(new InputManager().getBindings()[ACTIONS.FIRE]).toEqual(['KeyF', null, 'Gamepad2']);
+  });
+
+  test('should ignore stored bindings from another version', () => {
+    store[input.storageKey] = JSON.stringify({ version: 0, bindings: { fire: ['KeyQ', null] } });
+
+    expect(new InputManager().getBindings()[ACTIONS.FIRE]).toEqual(['KeyF', null, 'Gamepad2']);
+  });
+
+  test('should give keyboard-only bindings the default gamepad buttons', () => {
+    store[input.storageKey] = JSON.stringify({ version: 1, bindings: { fire: ['KeyQ', null] } });
+
+    expect(new InputManager().getBindings()[ACTIONS.FIRE]).toEqual(['KeyQ', null, 'Gamepad2']);
+  });
+
+  test('should map gamepad buttons through the same bindings', () => {
+    const onAction = jest.fn();
+    input.on(EVENTS.ACTION, onAction);
+
+    pads = [pad(0, [0, 14])];
+    input.update();
+    input.update();
+
+    expect(onAction).toHaveBeenCalledTimes(2);
+    expect(onAction).toHaveBeenCalledWith(ACTIONS.LAUNCH, null, 0);
+    expect(input.isActive(ACTIONS.MOVE_LEFT)).toBe(true);
+    expect(input.getMoveAxis()).toBe(-1);
+
+    pads = [pad(0)];
+    input.update();
+    expect(input.isActive(ACTIONS.MOVE_LEFT)).toBe(false);
+  });
+
+  test('should keep each pad to its own player', () => {
+    pads = [pad(0), pad(3, [15], [-1, 0])];
+    input.update();
+
+    expect(input.isActive(ACTIONS.MOVE_RIGHT, 1)).toBe(true);
+    expect(input.isActive(ACTIONS.MOVE_RIGHT, 0)).toBe(false);
+    expect(input.getAnalogAxis(0)).toBe(0);
+    expect(input.getAnalogAxis(1)).toBe(-1);
+
+    // Keys belong to player one
+    press('KeyD');
+    expect(input.isActive(ACTIONS.MOVE_RIGHT, 0)).toBe(true);
+  });
+
+  test('should capture a gamepad button for the gamepad slot', async () => {
+    const onAction = jest.fn();
+    input.on(EVENTS.ACTION, onAction);
+
+    const captured = input.captureNextKey({ device: 'gamepad' });
+    press('KeyM');
+    pads = [pad(0, [4])];
+    input.update();
+
+    await expect(captured).resolves.toBe('Gamepad4');
+    expect(onAction).not.toHaveBeenCalled();
+  });
+
+  test('should keep stick settings with the bindings', () => {
+    input.setGamepadOptions({ deadZone: 0.3, responseCurve: 2 });
+
+    expect(new InputManager().getGamepadOptions()).toEqual({ deadZone: 0.3, responseCurve: 2 });
+  });
+
+  test('should capture the next key instead of firing actions', async () => {
+    const onAction = jest.fn();
+    input.on(EVENTS.ACTION, onAction);
+
+    const captured = input.captureNextKey();
+    press('KeyM');
+    await expect(captured).resolves.toBe('KeyM');
+
+    const cancelled = input.captureNextKey();
+    press('Escape');
+    await expect(cancelled).resolves.toBeNull();
+
+    expect(onAction).not.toHaveBeenCalled();
+  });
+
+  describe('spinner mode', () => {
+    let lockElement;
+
+    const move = (movementX) => {
+      const event = new MouseEvent('mousemove', { clientX: 10, clientY: 10 });
+      Object.defineProperty(event, 'movementX', { value: movementX });
+      canvas.dispatchEvent(event);
+    };
+    const setLock = (element) => {
+      lockElement = element;
+      document.dispatchEvent(new Event('pointerlockchange'));
+    };
+
+    beforeEach(() => {
+      lockElement = null;
+      Object.defineProperty(document, 'pointerLockElement', { configurable: true, get: () => lockElement });
+      canvas.requestPointerLock = jest.fn(() => setLock(canvas));
+      document.exitPointerLock = jest.fn(() => setLock(null));
+    });
+
+    afterEach(() => {
+      delete document.pointerLockElement;
+      delete document.exitPointerLock;
+    });
+
+    test('should only lock the pointer when spinner mode is on', () => {
+      input.requestPointerLock();
+      expect(canvas.requestPointerLock).not.toHaveBeenCalled();
+
+      input.setSpinnerOptions({ enabled: true });
+      input.requestPointerLock();
+      expect(input.isPointerLocked()).toBe(true);
+    });
+
+    test('should collect relative motion instead of positions while locked', () => {
+      input.setSpinnerOptions({ enabled: true, sensitivity: 2, acceleration: 0 });
+      input.requestPointerLock();
+
+      move(5);
+      move(-2);
+      expect(input.consumeMotion()).toBe(6);
+      expect(input.consumeMotion()).toBe(0);
+      expect(input.consumePointer()).toBeNull();
+    });
+
+    test('should give fast spins extra gain', () => {
+      const options = { sensitivity: 1, acceleration: 1 };
+      const slow = InputManager.shapeMotion(2, options);
+      const fast = InputManager.shapeMotion(40, options);
+
+      expect(fast / 40).toBeGreaterThan(slow / 2);
+      expect(InputManager.shapeMotion(-40, options)).toBe(-fast);
+    });
+
+    test('should report losing the lock', () => {
+      const onLock = jest.fn();
+      input.on(EVENTS.POINTER_LOCK, onLock);
+      input.setSpinnerOptions({ enabled: true });
+      input.requestPointerLock();
+
+      setLock(null);
+      expect(onLock.mock.calls).toEqual([[true], [false]]);
+    });
+
+    test('should keep spinner settings with the bindings', () => {
+      input.setSpinnerOptions({ enabled: true, sensitivity: 9 });
+
+      expect(new InputManager().getSpinnerOptions()).toEqual({ enabled: true, sensitivity: 4, acceleration: 0.5 });
+    });
+  });
+
+  test('should describe keys for display', () => {
+    expect(InputManager.describeCode('KeyA')).toBe('A');
+    expect(InputManager.describeCode('ArrowLeft')).toBe('←');
+    expect(InputManager.describeCode('Digit4')).toBe('4');
+    expect(InputManager.describeCode(null)).toBe('—');
+    expect(input.describeAction(ACTIONS.LAUNCH)).toBe('SPACE / ENTER');
+
+    // Gamepad buttons are listed once a pad is plugged in
+    expect(InputManager.describeCode('Gamepad9')).toBe('PAD START');
+    pads = [pad(0)];
+    input.update();
+    expect(input.describeAction(ACTIONS.LAUNCH)).toBe('SPACE / ENTER / PAD A');
+  });
+});
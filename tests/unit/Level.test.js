@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+import Level from '../../src/js/core/Level.js';
+import GameConfig from '../../src/js/config/GameConfig.js';
+import { LEVEL_MANIFEST, BUILTIN_LEVELS } from '../../src/js/config/levels/index.js';
+
+describe('Level', () => {
+  const level = (overrides = {}) => ({
+    format: Level.FORMAT,
+    name: 'Test',
+    columns: 4,
+    bricks: ['.aa.', 'abba'],
+    legend: {
+      a: { color: 2 },
+      b: { type: 'armored', color: 0, hits: 2, drop: 'whiskey' }
+    },
+    ...overrides
+  });
+
+  test('should parse JSON text and fill in defaults', () => {
+    const parsed = Level.from(JSON.stringify(level()));
+
+    expect(parsed.columns).toBe(4);
+    expect(parsed.ballSpeed).toBe(1);
+    expect(parsed.dropChance).toBe(GameConfig.LEVELS.DROP_CHANCE);
+    expect(parsed.music).toBeNull();
+    expect(parsed.background).toBeNull();
+    expect(parsed.legend.a).toEqual({ type: 'normal', color: 2, hits: 1, drop: null });
+  });
+
+  test('should list the cells it places', () => {
+    const cells = Level.from(level()).getCells();
+
+    expect(cells).toHaveLength(6);
+    expect(cells[0]).toEqual({ row: 0, column: 1, type: 'normal', color: 2, hits: 1, drop: null });
+    expect(cells[3]).toEqual({ row: 1, column: 1, type: 'armored', color: 0, hits: 2, drop: 'whiskey' });
+  });
+
+  test('should round-trip through JSON', () => {
+    const data = level({ ballSpeed: 1.25, music: GameConfig.AUDIO.TRACKS[0], background: '#102030' });
+    const copy = Level.from(JSON.parse(JSON.stringify(Level.from(data))));
+
+    expect(copy.toJSON()).toEqual(Level.from(data).toJSON());
+    expect(copy.toJSON().legend.a).toEqual({ color: 2 });
+  });
+
+  test('should build a level from a grid and give the same grid back', () => {
+    const plain = { type: 'normal', color: 2, hits: 1, drop: null };
+    const tough = { type: 'armored', color: 0, hits: 2, drop: 'whiskey' };
+    const grid = [[null, plain, plain, null], [plain, tough, tough, plain]];
+    const built = Level.fromGrid(grid, { name: 'Grid', ballSpeed: 1.5 });
+
+    expect(built.bricks).toEqual(['.aa.', 'abba']);
+    expect(built.toJSON().legend).toEqual(level().legend);
+    expect(built.ballSpeed).toBe(1.5);
+    expect(built.toGrid()).toEqual(grid);
+    expect(() => Level.fromGrid([[null, null]])).toThrow(/no bricks/);
+  });
+
+  test('should center the brick grid on the playfield', () => {
+    const { PHYSICS } = GameConfig;
+    const layout = Level.getLayout(2, 1000, 1);
+
+    expect(layout.brickWidth).toBe(PHYSICS.BRICK_WIDTH);
+    expect(layout.top).toBe(GameConfig.LEVELS.TOP);
+    expect(layout.left * 2 + PHYSICS.BRICK_WIDTH * 2 + PHYSICS.BRICK_PADDING).toBeCloseTo(1000);
+    expect(Level.isValidProperty('ballSpeed', 1.5)).toBe(true);
+    expect(Level.isValidProperty('background', 'red')).toBe(false);
+    expect(Level.isValidProperty('columns', 4)).toBe(false);
+  });
+
+  test.each([
+    [{ format: 99 }, /Unsupported level format/],
+    [{ columns: GameConfig.LEVELS.COLUMNS + 1 }, /columns/],
+    [{ bricks: ['.aa', 'abba'] }, /row 1 must be 4 characters/],
+    [{ bricks: ['.ax.'] }, /row 1, column 3 uses "x"/],
+    [{ bricks: ['....'] }, /no bricks/],
+    [{ legend: { a: { color: 99 } } }, /color/],
+    [{ legend: { a: { type: 'glass', color: 0 } } }, /unknown brick type "glass"/],
+    [{ legend: { a: { color: 0, hits: 0 } } }, /hits/],
+    [{ legend: { a: { color: 0, drop: 'rocket' } } }, /unknown drop "rocket"/],
+    [{ legend: { '..': { color: 0 } } }, /single character/],
+    [{ ballSpeed: 5 }, /ballSpeed/],
+    [{ music: 'missing.mp3' }, /music/],
+    [{ background: 'red' }, /background/]
+  ])('should reject %j', (overrides, message) => {
+    const data = level(overrides);
+    if (overrides.legend && !overrides.bricks) {
+      data.bricks = ['a...'];
+    }
+
+    expect(() => Level.from(data)).toThrow(message);
+  });
+
+  test('should resolve a manifest and name the level that fails', () => {
+    const levels = Level.sequence({ levels: ['one', 'one'] }, { one: level() });
+
+    expect(levels).toHaveLength(2);
+    expect(levels[0].id).toBe('one');
+    expect(() => Level.sequence({ levels: ['two'] }, { one: level() })).toThrow(/unknown level "two"/);
+    expect(() => Level.sequence({ levels: ['bad'] }, { bad: level({ columns: 0 }) })).toThrow(/in level "bad"/);
+    expect(() => Level.sequence({ levels: [] }, {})).toThrow(/at least one level/);
+  });
+
+  test('should ship every layout as a valid built-in level', () => {
+    const levels = Level.sequence(LEVEL_MANIFEST, BUILTIN_LEVELS);
+
+    expect(levels.map(entry => entry.id)).toEqual([
+      'classic', 'pyramid', 'diamond', 'wave', 'checkered', 'circle', 'cross', 'heart', 'spiral', 'random'
+    ]);
+    for (let entry of levels) {
+      expect(entry.getCells().length).toBeGreaterThan(10);
+    }
+
+    // The opening wall is the eight-row rainbow
+    const classic = levels[0].getCells();
+    expect(classic).toHaveLength(8 * GameConfig.LEVELS.COLUMNS);
+    expect(new Set(classic.map(cell => cell.color)).size).toBe(8);
+  });
+});
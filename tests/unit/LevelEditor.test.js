@@ -0,0 +1,195 @@
+import LevelEditor from '../../src/js/systems/LevelEditor.js';
+import Level from '../../src/js/core/Level.js';
+import BrickRenderer from '../../src/js/systems/BrickRenderer.js';
+import GameConfig from '../../src/js/config/GameConfig.js';
+
+describe('LevelEditor', () => {
+  let store;
+  let editor;
+
+  beforeEach(() => {
+    store = {};
+    localStorage.getItem.mockImplementation(key => (key in store ? store[key] : null));
+    localStorage.setItem.mockImplementation((key, value) => { store[key] = String(value); });
+    localStorage.removeItem.mockImplementation(key => { delete store[key]; });
+    console.warn.mockClear();
+
+    editor = new LevelEditor();
+  });
+
+  test('should start with an empty full-width draft', () => {
+    expect(editor.getProperties()).toEqual({
+      name: '',
+      columns: GameConfig.LEVELS.COLUMNS,
+      rows: GameConfig.EDITOR.ROWS,
+      ballSpeed: 1,
+      dropChance: GameConfig.LEVELS.DROP_CHANCE,
+      music: null,
+      background: null
+    });
+    expect(editor.countBricks()).toBe(0);
+    expect(editor.canUndo()).toBe(false);
+    expect(() => editor.toLevel()).toThrow(/no bricks/);
+  });
+
+  test('should paint with the brush and reset hits when the type changes', () => {
+    expect(editor.setBrush({ type: 'armored', color: 3 })).toBe(true);
+    expect(editor.brush.hits).toBe(GameConfig.LEVELS.BRICK_TYPES.armored.hits);
+    editor.setBrush({ hits: 5, drop: 'boots' });
+    editor.applyAt(1, 2);
+
+    expect(editor.draft.cells[1][2]).toEqual({ type: 'armored', color: 3, hits: 5, drop: 'boots' });
+    expect(editor.setBrush({ color: 99 })).toBe(false);
+    expect(editor.setBrush({ tool: 'spray' })).toBe(false);
+    expect(console.warn).toHaveBeenCalled();
+    expect(editor.applyAt(99, 0)).toBe(false);
+  });
+
+  test('should set drops on existing bricks and erase them', () => {
+    editor.applyAt(0, 0);
+    editor.setBrush({ tool: LevelEditor.TOOLS.DROP, drop: 'random' });
+
+    expect(editor.applyAt(0, 1)).toBe(false); // Nothing there to drop from
+    editor.applyAt(0, 0);
+    expect(editor.draft.cells[0][0].drop).toBe('random');
+
+    editor.setBrush({ tool: LevelEditor.TOOLS.ERASE });
+    editor.applyAt(0, 0);
+    expect(editor.countBricks()).toBe(0);
+  });
+
+  test('should undo a whole stroke in one step and redo it', () => {
+    const changes = jest.fn();
+    editor.on(LevelEditor.EVENTS.CHANGE, changes);
+
+    editor.beginStroke();
+    for (let column = 0; column < 4; column++) {
+      editor.applyAt(0, column);
+      editor.applyAt(0, column); // Painting over the same brick is no change
+    }
+    editor.endStroke();
+    editor.applyAt(1, 0);
+
+    expect(changes).toHaveBeenCalledTimes(5);
+    expect(editor.undo()).toBe(true);
+    expect(editor.countBricks()).toBe(4);
+    expect(editor.undo()).toBe(true);
+    expect(editor.countBricks()).toBe(0);
+    expect(editor.undo()).toBe(false);
+
+    expect(editor.redo()).toBe(true);
+    expect(editor.countBricks()).toBe(4);
+    editor.applyAt(2, 0); // A new edit drops what was left to redo
+    expect(editor.canRedo()).toBe(false);
+  });
+
+  test('should keep only the last HISTORY undo steps', () => {
+    editor = new LevelEditor({ historyLimit: 3 });
+    for (let column = 0; column < 5; column++) {
+      editor.applyAt(0, column);
+    }
+
+    while (editor.undo());
+    expect(editor.countBricks()).toBe(2);
+  });
+
+  test('should resize the grid, keeping the bricks that still fit', () => {
+    editor.applyAt(0, 0);
+    editor.applyAt(0, 5);
+    editor.applyAt(3, 0);
+
+    expect(editor.setProperty('columns', 4)).toBe(true);
+    expect(editor.setProperty('rows', 2)).toBe(true);
+    expect(editor.draft.cells).toHaveLength(2);
+    expect(editor.draft.cells[0]).toHaveLength(4);
+    expect(editor.countBricks()).toBe(1);
+
+    expect(editor.setProperty('rows', GameConfig.LEVELS.MAX_ROWS + 1)).toBe(false);
+    expect(editor.setProperty('ballSpeed', 9)).toBe(false);
+    expect(editor.setProperty('background', '#112233')).toBe(true);
+    expect(editor.setProperty('secret', 1)).toBe(false);
+
+    editor.undo();
+    expect(editor.getProperties().background).toBeNull();
+    editor.undo();
+    expect(editor.getProperties().rows).toBe(GameConfig.EDITOR.ROWS);
+  });
+
+  test('should turn the draft into a level the game can play', () => {
+    editor.setProperty('name', 'Test');
+    editor.setProperty('ballSpeed', 1.5);
+    editor.setProperty('music', GameConfig.AUDIO.TRACKS[2]);
+    editor.setBrush({ type: 'explosive', color: 4 });
+    editor.applyAt(1, 3);
+
+    const level = Level.from(editor.toJSON());
+    expect(level.name).toBe('Test');
+    expect(level.ballSpeed).toBe(1.5);
+    expect(level.music).toBe(GameConfig.AUDIO.TRACKS[2]);
+    expect(level.getCells()).toEqual([{ row: 1, column: 3, type: 'explosive', color: 4, hits: 1, drop: null }]);
+  });
+
+  test('should import levels as an undoable edit and reject bad files', () => {
+    const data = {
+      format: Level.FORMAT,
+      name: 'Imported',
+      columns: 3,
+      bricks: ['a.a'],
+      legend: { a: { color: 1, drop: 'whiskey' } }
+    };
+    editor.load(JSON.stringify(data));
+
+    expect(editor.getProperties()).toMatchObject({ name: 'Imported', columns: 3, rows: 1 });
+    expect(editor.draft.cells[0][2]).toEqual({ type: 'normal', color: 1, hits: 1, drop: 'whiskey' });
+
+    expect(() => editor.load('{"format":1}')).toThrow();
+    expect(editor.getProperties().name).toBe('Imported');
+    editor.undo();
+    expect(editor.getProperties().name).toBe('');
+  });
+
+  test('should save the draft and pick it up again', () => {
+    editor.setProperty('name', 'Saved');
+    editor.applyAt(2, 2);
+    expect(editor.save()).toBe(true);
+
+    const restored = new LevelEditor();
+    expect(restored.getProperties().name).toBe('Saved');
+    expect(restored.draft.cells[2][2]).toEqual(editor.draft.cells[2][2]);
+
+    // Nothing worth keeping clears the save
+    restored.newDraft();
+    restored.save();
+    expect(new LevelEditor().countBricks()).toBe(0);
+
+    store[restored.storageKey] = '{broken';
+    expect(new LevelEditor().countBricks()).toBe(0);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  test('should find cells under the pointer where the game would place the bricks', () => {
+    const { left, top, brickWidth, brickHeight, padding } = editor.getLayout();
+
+    expect(editor.cellAt(left + 1, top + 1)).toEqual({ row: 0, column: 0 });
+    expect(editor.cellAt(left + (brickWidth + padding) * 2 + 5, top + (brickHeight + padding) + 5)).toEqual({ row: 1, column: 2 });
+    expect(editor.cellAt(left - padding, top)).toBeNull();
+    expect(editor.cellAt(left, top + (brickHeight + padding) * GameConfig.EDITOR.ROWS)).toBeNull();
+  });
+
+  test('should draw bricks through the brick renderer', () => {
+    const renderer = new BrickRenderer();
+    const ctx = document.createElement('canvas').getContext('2d');
+    jest.spyOn(renderer, 'render');
+
+    editor.setBrush({ type: 'treasure', color: 5, drop: 'random' });
+    editor.applyAt(0, 1);
+    editor.render(ctx, renderer, { row: 0, column: 0 });
+
+    expect(renderer.render).toHaveBeenCalledTimes(1);
+    const brick = renderer.render.mock.calls[0][1];
+    expect(brick.type).toBe('treasure');
+    expect(brick.color).toBe(GameConfig.PALETTES.classic.bricks[5]);
+    expect(brick.position.x).toBeCloseTo(editor.getLayout().left + editor.getLayout().brickWidth + editor.getLayout().padding);
+    expect(ctx.fillText).toHaveBeenCalledWith(GameConfig.EDITOR.DROP_MARK, expect.any(Number), expect.any(Number));
+  });
+});
@@ -0,0 +1,99 @@
+import Paddle from '../../src/js/components/Paddle.js';
+import Ball from '../../src/js/components/Ball.js';
+import GameConfig from '../../src/js/config/GameConfig.js';
+
+describe('Paddle', () => {
+  const bounds = { width: 800, height: 600 };
+  const maxAngle = GameConfig.PHYSICS.PADDLE_MAX_BOUNCE_ANGLE * Math.PI / 180;
+  let paddle;
+
+  beforeEach(() => {
+    paddle = new Paddle(350, 550);
+  });
+
+  const ballAt = (offset, vx = 2, vy = 4) => {
+    const ball = new Ball(paddle.getBounds().centerX + offset, 540);
+    ball.setVelocity(vx, vy);
+    return ball;
+  };
+
+  test('should keep the ball speed on a bounce', () => {
+    const ball = ballAt(30, 1, 5);
+    const speed = ball.getSpeed();
+
+    paddle.bounce(ball);
+
+    expect(ball.getSpeed()).toBeCloseTo(speed);
+    expect(ball.velocity.y).toBeLessThan(0);
+  });
+
+  test('should send a centered hit straight up', () => {
+    const ball = ballAt(0);
+
+    paddle.bounce(ball);
+
+    expect(ball.velocity.x).toBeCloseTo(0);
+  });
+
+  test('should map hit position to launch angle', () => {
+    const left = ballAt(-paddle.width / 4);
+    const right = ballAt(paddle.width / 4);
+
+    paddle.bounce(left);
+    paddle.bounce(right);
+
+    expect(left.velocity.x).toBeLessThan(0);
+    expect(right.velocity.x).toBeCloseTo(-left.velocity.x);
+  });
+
+  test('should clamp the angle at the paddle edge', () => {
+    const ball = ballAt(paddle.width);
+
+    paddle.bounce(ball);
+
+    const angle = Math.atan2(ball.velocity.x, -ball.velocity.y);
+    expect(angle).toBeCloseTo(maxAngle);
+  });
+
+  test('should add english from paddle movement', () => {
+    paddle.moveRight();
+    paddle.update(1, bounds);
+    const ball = ballAt(0);
+
+    paddle.bounce(ball);
+
+    expect(ball.velocity.x).toBeGreaterThan(0);
+  });
+
+  test('should still clamp the angle with english', () => {
+    paddle.moveRight();
+    paddle.update(1, bounds);
+    paddle.update(1, bounds);
+    const ball = ballAt(paddle.width, 0.5, 1);
+
+    paddle.bounce(ball);
+
+    const angle = Math.atan2(ball.velocity.x, -ball.velocity.y);
+    expect(angle).toBeLessThanOrEqual(maxAngle + 1e-9);
+  });
+
+  test('should measure pointer-driven movement', () => {
+    paddle.setPosition(400, 550);
+    paddle.update(1, bounds);
+
+    expect(paddle.trackedVelocity).toBeGreaterThan(0);
+
+    paddle.reset(350, 550);
+    expect(paddle.trackedVelocity).toBe(0);
+  });
+
+  test('should keep measured movement through a snapshot', () => {
+    paddle.setPosition(400, 550);
+    paddle.update(1, bounds);
+
+    const restored = new Paddle(0, 0);
+    restored.deserialize(JSON.parse(JSON.stringify(paddle.serialize())));
+
+    expect(restored.trackedVelocity).toBe(paddle.trackedVelocity);
+  });
+});
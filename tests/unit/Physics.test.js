@@ -0,0 +1,112 @@
+import Physics from '../../src/js/systems/Physics.js';
+import Vector2D from '../../src/js/utils/Vector2D.js';
+import Ball from '../../src/js/components/Ball.js';
+
+describe('Physics', () => {
+  const brick = { left: 100, right: 175, top: 100, bottom: 120 };
+
+  test('should find the earliest contact on the top face', () => {
+    const contact = Physics.sweepCircleRect(new Vector2D(130, 50), new Vector2D(0, 100), 10, brick);
+
+    expect(contact.time).toBeCloseTo(0.4);
+    expect(contact.normal.x).toBeCloseTo(0);
+    expect(contact.normal.y).toBeCloseTo(-1);
+  });
+
+  test('should detect side hits', () => {
+    const contact = Physics.sweepCircleRect(new Vector2D(50, 110), new Vector2D(100, 0), 10, brick);
+
+    expect(contact.time).toBeCloseTo(0.4);
+    expect(contact.normal.x).toBeCloseTo(-1);
+    expect(contact.normal.y).toBeCloseTo(0);
+  });
+
+  test('should use a diagonal normal for corner hits', () => {
+    const contact = Physics.sweepCircleRect(new Vector2D(80, 80), new Vector2D(30, 30), 5, brick);
+
+    expect(contact).not.toBeNull();
+    expect(contact.normal.x).toBeCloseTo(-Math.SQRT1_2);
+    expect(contact.normal.y).toBeCloseTo(-Math.SQRT1_2);
+  });
+
+  test('should miss when the path passes by', () => {
+    expect(Physics.sweepCircleRect(new Vector2D(50, 50), new Vector2D(200, 0), 10, brick)).toBeNull();
+    expect(Physics.sweepCircleRect(new Vector2D(130, 50), new Vector2D(0, 30), 10, brick)).toBeNull();
+  });
+
+  test('should not let a fast ball tunnel through a thin brick', () => {
+    const ball = new Ball(130, 50);
+    ball.radius = 5;
+    ball.setVelocity(0, 200);
+
+    Physics.moveBall(ball, 1, [brick]);
+
+    expect(ball.position.y).toBeLessThan(brick.top);
+    expect(ball.velocity.y).toBeLessThan(0);
+  });
+
+  test('should handle several contacts within one step', () => {
+    const walls = Physics.createWalls({ width: 200, height: 200 });
+    const ball = new Ball(190, 100);
+    ball.radius = 5;
+    ball.setVelocity(20, -200);
+
+    const contacts = Physics.moveBall(ball, 1, walls);
+
+    expect(contacts.length).toBe(2);
+    expect(ball.velocity.x).toBeLessThan(0);
+    expect(ball.velocity.y).toBeGreaterThan(0);
+    expect(ball.position.x).toBeLessThanOrEqual(195);
+    expect(ball.position.y).toBeGreaterThanOrEqual(5);
+  });
+
+  test('should keep speed when reflecting', () => {
+    const ball = new Ball(130, 50);
+    ball.radius = 10;
+    ball.setVelocity(30, 40);
+
+    Physics.moveBall(ball, 1, [brick]);
+
+    expect(ball.getSpeed()).toBeCloseTo(50);
+  });
+
+  test('should let the callback pass through a collider', () => {
+    const ball = new Ball(130, 50);
+    ball.radius = 5;
+    ball.setVelocity(0, 200);
+
+    const onContact = jest.fn(() => Physics.RESPONSE.PASS_THROUGH);
+    Physics.moveBall(ball, 1, [brick], onContact);
+
+    expect(onContact).toHaveBeenCalledTimes(1);
+    expect(onContact.mock.calls[0][0].collider).toBe(brick);
+    expect(ball.position.y).toBeCloseTo(250);
+    expect(ball.velocity.y).toBe(200);
+  });
+
+  test('should not count pass-through contacts toward the contact limit', () => {
+    const column = [];
+    for (let i = 0; i < Physics.MAX_CONTACTS_PER_STEP + 2; i += 1) {
+      const top = 100 + i * 30;
+      column.push({ ...brick, top, bottom: top + 20 });
+    }
+    const ball = new Ball(130, 50);
+    ball.radius = 5;
+    ball.setVelocity(0, 300);
+
+    const onContact = jest.fn(() => Physics.RESPONSE.PASS_THROUGH);
+    Physics.moveBall(ball, 1, column, onContact);
+
+    expect(onContact).toHaveBeenCalledTimes(column.length);
+    expect(ball.position.y).toBeCloseTo(350);
+    expect(ball.velocity.y).toBe(300);
+  });
+
+  test('should push out of an overlap only when moving further in', () => {
+    const inside = Physics.sweepCircleRect(new Vector2D(130, 95), new Vector2D(0, 5), 10, brick);
+    expect(inside.time).toBe(0);
+    expect(inside.normal.y).toBeCloseTo(-1);
+
+    expect(Physics.sweepCircleRect(new Vector2D(130, 95), new Vector2D(0, -5), 10, brick)).toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+import Random, { RandomStream } from '../../src/js/core/Random.js';
+
+describe('Random', () => {
+  const take = (stream, count) => Array.from({ length: count }, () => stream.next());
+
+  test('should repeat the same sequence for the same seed', () => {
+    const a = new Random(1234);
+    const b = new Random(1234);
+
+    expect(take(a.gameplay, 10)).toEqual(take(b.gameplay, 10));
+  });
+
+  test('should differ between seeds', () => {
+    const a = new Random(1);
+    const b = new Random(2);
+
+    expect(take(a.gameplay, 5)).not.toEqual(take(b.gameplay, 5));
+  });
+
+  test('should accept string seeds', () => {
+    const a = new Random('high-noon');
+    const b = new Random('high-noon');
+
+    expect(a.seed).toBe(b.seed);
+    expect(take(a.gameplay, 5)).toEqual(take(b.gameplay, 5));
+  });
+
+  test('should keep streams independent', () => {
+    const a = new Random(42);
+    const b = new Random(42);
+
+    // Cosmetic draws must not shift gameplay rolls
+    take(a.cosmetic, 100);
+    take(a.audio, 100);
+
+    expect(take(a.gameplay, 10)).toEqual(take(b.gameplay, 10));
+  });
+
+  test('should derive fixed numbers by name', () => {
+    const a = new Random(42);
+    const b = new Random(42);
+    take(a.cosmetic, 100);
+
+    expect(a.derive('brick:1:0:0')).toBe(b.derive('brick:1:0:0'));
+    expect(a.derive('brick:1:0:0')).not.toBe(a.derive('brick:1:0:1'));
+    expect(new Random(43).derive('brick:1:0:0')).not.toBe(a.derive('brick:1:0:0'));
+  });
+
+  test('should restart streams when reseeded', () => {
+    const rng = new Random(7);
+    const first = take(rng.gameplay, 5);
+
+    rng.setSeed(7);
+
+    expect(take(rng.gameplay, 5)).toEqual(first);
+  });
+
+  test('should resume from a serialized state', () => {
+    const rng = new Random(99);
+    take(rng.gameplay, 3);
+    const saved = rng.serialize();
+    const expected = take(rng.gameplay, 5);
+
+    const restored = new Random();
+    restored.deserialize(saved);
+
+    expect(take(restored.gameplay, 5)).toEqual(expected);
+  });
+});
+
+describe('RandomStream', () => {
+  let stream;
+
+  beforeEach(() => {
+    stream = new RandomStream(123);
+  });
+
+  test('should produce floats in [0, 1)', () => {
+    for (let i = 0; i < 1000; i++) {
+      const value = stream.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test('should keep ranges and integers in bounds', () => {
+    for (let i = 0; i < 1000; i++) {
+      const value = stream.range(-4, 4);
+      expect(value).toBeGreaterThanOrEqual(-4);
+      expect(value).toBeLessThan(4);
+
+      const int = stream.int(3, 6);
+      expect(Number.isInteger(int)).toBe(true);
+      expect(int).toBeGreaterThanOrEqual(3);
+      expect(int).toBeLessThanOrEqual(6);
+    }
+  });
+
+  test('should pick items and signs', () => {
+    const items = ['dynamite', 'whiskey', 'boots'];
+
+    expect(items).toContain(stream.pick(items));
+    expect([1, -1]).toContain(stream.sign());
+    expect(stream.pick([])).toBeUndefined();
+  });
+
+  test('should respect chance extremes', () => {
+    expect(stream.chance(0)).toBe(false);
+    expect(stream.chance(1)).toBe(true);
+  });
+});
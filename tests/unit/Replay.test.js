@@ -0,0 +1,166 @@
+/**
+ * @jest-environment node
+ */
+import { Replay, ReplayRecorder } from '../../src/js/core/Replay.js';
+import ReplayPlayer from '../../src/js/core/ReplayPlayer.js';
+import Simulation from '../../src/js/core/Simulation.js';
+import GameConfig from '../../src/js/config/GameConfig.js';
+
+describe('Replay', () => {
+  const stepMs = 1000 / GameConfig.LOOP.TICK_RATE;
+
+  // Play a run with a mix of pointer, keyboard and stick control and a level
+  // restart, recording it
+  const recordRun = (ticks) => {
+    const sim = new Simulation({ seed: 'replay' });
+    const recorder = new ReplayRecorder({ seed: sim.random.seed, playfield: sim.playfield });
+
+    for (let i = 0; i < ticks && sim.status === Simulation.STATUS.PLAYING; i++) {
+      const ball = sim.balls[0];
+      let inputs;
+      if (i % 400 < 300) {
+        inputs = { left: false, right: false, pointerX: ball && i % 3 === 0 ? Math.round(ball.position.x) : null };
+      } else if (i % 1200 < 800) {
+        inputs = { left: i % 800 < 400, right: i % 800 >= 400, pointerX: null };
+      } else {
+        inputs = { left: false, right: false, pointerX: null, axis: Math.round(Math.sin(i / 20) * 100) / 100 };
+      }
+
+      recorder.record(sim.tick, inputs);
+      sim.step(inputs, stepMs);
+      if (i === 100) recorder.markPause(sim.tick);
+      if (i === 1000) {
+        recorder.markRestart(sim.tick);
+        sim.restartLevel();
+      }
+    }
+
+    const replay = recorder.finish({ name: 'Tester', score: sim.score, level: sim.level });
+    return { replay, final: sim.serialize() };
+  };
+
+  describe('recording', () => {
+    test('should only store input changes', () => {
+      const { replay } = recordRun(1200);
+
+      expect(replay.length).toBe(1200);
+      expect(replay.inputs.length).toBeLessThan(replay.length);
+      expect(replay.pauses).toEqual([101]);
+      expect(replay.version).toBe(GameConfig.VERSION);
+    });
+
+    test('should look up held keys and one-shot pointer moves', () => {
+      const replay = new Replay({ seed: 1, inputs: [[5, 1, null], [8, 1, 250], [10, 0, null]], length: 20 });
+
+      expect(replay.getInputs(0)).toEqual({ left: false, right: false, pointerX: null, axis: 0 });
+      expect(replay.getInputs(6)).toEqual({ left: true, right: false, pointerX: null, axis: 0 });
+      expect(replay.getInputs(8)).toEqual({ left: true, right: false, pointerX: 250, axis: 0 });
+      expect(replay.getInputs(9)).toEqual({ left: true, right: false, pointerX: null, axis: 0 });
+      expect(replay.getInputs(15)).toEqual({ left: false, right: false, pointerX: null, axis: 0 });
+    });
+
+    test('should store stick positions in hundredths while they change', () => {
+      const recorder = new ReplayRecorder({ seed: 1, playfield: { width: 1000, height: 800 } });
+      recorder.record(0, { axis: 0.25 });
+      recorder.record(1, { axis: 0.25 });
+      recorder.record(2, { axis: -1 });
+      recorder.record(3, { axis: 0 });
+
+      const { replay } = recorder;
+      expect(replay.inputs).toEqual([[0, 0, null, 25], [2, 0, null, -100], [3, 0, null]]);
+      expect(replay.getInputs(1).axis).toBe(0.25);
+      expect(replay.getInputs(3).axis).toBe(0);
+    });
+  });
+
+  describe('parsing', () => {
+    test('should round-trip through JSON', () => {
+      const { replay } = recordRun(600);
+      const parsed = Replay.from(JSON.stringify(replay));
+
+      expect(parsed.toJSON()).toEqual(replay.toJSON());
+      expect(parsed.isCompatible()).toBe(true);
+    });
+
+    test('should reject malformed replays', () => {
+      const valid = new Replay({ seed: 1, length: 10, inputs: [[1, 0, null]] }).toJSON();
+
+      expect(() => Replay.from('not json')).toThrow();
+      expect(() => Replay.from({ ...valid, format: 99 })).toThrow('format');
+      expect(() => Replay.from({ ...valid, seed: 'abc' })).toThrow('seed');
+      expect(() => Replay.from({ ...valid, inputs: [[3, 0, null], [2, 0, null]] })).toThrow('tick');
+      expect(() => Replay.from({ ...valid, inputs: [[3, 0, null, 150]] })).toThrow('tick');
+      expect(() => Replay.from({ ...valid, restarts: [5, 2] })).toThrow('restarts');
+      expect(() => Replay.from(valid)).not.toThrow();
+    });
+  });
+
+  describe('playback', () => {
+    test('should reproduce the recorded run', () => {
+      const { replay, final } = recordRun(3000);
+      const player = new ReplayPlayer(replay);
+
+      player.play();
+      while (player.playing) {
+        player.update();
+      }
+
+      expect(player.isFinished()).toBe(true);
+      expect(player.simulation.serialize()).toEqual(final);
+    });
+
+    test('should play faster and slower', () => {
+      const { replay } = recordRun(600);
+      const player = new ReplayPlayer(replay);
+
+      player.setSpeed(4);
+      player.play();
+      player.update();
+      expect(player.tick).toBe(4);
+
+      player.setSpeed(0.5);
+      player.update();
+      player.update();
+      expect(player.tick).toBe(5);
+    });
+
+    test('should scrub back and forth to the same state', () => {
+      const { replay } = recordRun(2000);
+      const player = new ReplayPlayer(replay, { keyframeInterval: 300 });
+
+      player.seek(1700);
+      const forward = player.simulation.serialize();
+
+      player.seek(250);
+      expect(player.tick).toBe(250);
+
+      player.seek(1700);
+      expect(player.simulation.serialize()).toEqual(forward);
+    });
+
+    test('should stay silent while scrubbing', () => {
+      const { replay } = recordRun(2000);
+      const player = new ReplayPlayer(replay);
+      const onSound = jest.fn();
+      player.simulation.on(Simulation.EVENTS.SOUND, onSound);
+
+      player.seek(2000);
+
+      expect(onSound).not.toHaveBeenCalled();
+    });
+
+    test('should leave the live run alone', () => {
+      const { replay } = recordRun(2000);
+      const live = new Simulation({ seed: 'live' });
+      live.step({}, stepMs);
+      const before = live.serialize();
+
+      const player = new ReplayPlayer(replay);
+      player.seek(1000);
+
+      expect(player.simulation.clock).not.toBe(live.clock);
+      expect(player.simulation.random).not.toBe(live.random);
+      expect(live.serialize()).toEqual(before);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import SaveManager from '../../src/js/systems/SaveManager.js';
+import Simulation from '../../src/js/core/Simulation.js';
+import ReplayPlayer from '../../src/js/core/ReplayPlayer.js';
+import { ReplayRecorder } from '../../src/js/core/Replay.js';
+import GameConfig from '../../src/js/config/GameConfig.js';
+
+describe('SaveManager', () => {
+  const stepMs = 1000 / GameConfig.LOOP.TICK_RATE;
+  let store;
+  let saves;
+  let sim;
+  let recorder;
+
+  // Keep the paddle under the first ball, recording every tick
+  const run = (ticks) => {
+    for (let i = 0; i < ticks; i++) {
+      const ball = sim.balls[0];
+      const inputs = { pointerX: ball && sim.tick % 2 === 0 ? Math.round(ball.position.x) : null };
+      recorder.record(sim.tick, inputs);
+      sim.step(inputs, stepMs);
+    }
+  };
+
+  beforeEach(() => {
+    store = {};
+    localStorage.getItem.mockImplementation(key => (key in store ? store[key] : null));
+    localStorage.setItem.mockImplementation((key, value) => { store[key] = String(value); });
+    localStorage.removeItem.mockImplementation(key => { delete store[key]; });
+
+    saves = new SaveManager();
+    sim = new Simulation({ seed: 'save' });
+    recorder = new ReplayRecorder({ seed: sim.random.seed, playfield: sim.playfield });
+  });
+
+  test('should report no save when storage is empty', () => {
+    expect(saves.load()).toBeNull();
+    expect(saves.hasSave()).toBe(false);
+  });
+
+  test('should save and restore a run in progress', () => {
+    run(2000);
+    saves.save({ playerName: 'Tester', simulation: sim, replay: recorder.replay });
+
+    const save = saves.load();
+    const restored = new Simulation({ seed: 'other' });
+    restored.deserialize(save.simulation);
+
+    expect(save.playerName).toBe('Tester');
+    expect(save.schema).toBe(SaveManager.SCHEMA_VERSION);
+    expect(restored.serialize()).toEqual(sim.serialize());
+    expect(save.replay.length).toBe(2000);
+  });
+
+  test('should keep the replay of a resumed run watchable', () => {
+    run(1500);
+    saves.save({ playerName: 'Tester', simulation: sim, replay: recorder.replay });
+    run(1500);
+    const expected = sim.serialize();
+
+    // Pick the run back up from the save, as after a reload
+    const save = saves.load();
+    sim.deserialize(save.simulation);
+    recorder = new ReplayRecorder({ replay: save.replay });
+    run(1500);
+    expect(sim.serialize()).toEqual(expected);
+
+    const player = new ReplayPlayer(recorder.finish({ name: 'Tester', score: sim.score, level: sim.level }));
+    player.seek(3000);
+    expect(player.simulation.serialize()).toEqual(expected);
+  });
+
+  test('should clear the save', () => {
+    saves.save({ playerName: 'Tester', simulation: sim, replay: null });
+    saves.clear();
+
+    expect(saves.hasSave()).toBe(false);
+  });
+
+  test('should migrate older saves', () => {
+    saves.save({ playerName: 'Tester', simulation: sim, replay: null });
+    const current = JSON.parse(store[saves.storageKey]);
+    const { playerName, ...legacy } = current;
+    store[saves.storageKey] = JSON.stringify({ ...legacy, schema: 0, name: playerName });
+
+    const migrating = new SaveManager({
+      migrations: { 0: ({ name, ...save }) => ({ ...save, playerName: name, schema: 1 }) }
+    });
+    const save = migrating.load();
+
+    expect(save.playerName).toBe('Tester');
+    expect(save.schema).toBe(1);
+  });
+
+  test('should discard saves it cannot migrate or use', () => {
+    store[saves.storageKey] = JSON.stringify({ schema: 0, simulation: {} });
+    expect(saves.load()).toBeNull();
+    expect(store[saves.storageKey]).toBeUndefined();
+
+    store[saves.storageKey] = JSON.stringify({ schema: SaveManager.SCHEMA_VERSION + 1 });
+    expect(saves.load()).toBeNull();
+
+    store[saves.storageKey] = '{broken';
+    expect(saves.load()).toBeNull();
+
+    saves.save({ playerName: 'Tester', simulation: sim, replay: null });
+    const finished = JSON.parse(store[saves.storageKey]);
+    finished.simulation.status = Simulation.STATUS.GAME_OVER;
+    store[saves.storageKey] = JSON.stringify(finished);
+    expect(saves.load()).toBeNull();
+  });
+});
@@ -0,0 +1,63 @@
+import ScreenEffects from '../../src/js/systems/ScreenEffects.js';
+import { RandomStream } from '../../src/js/core/Random.js';
+import GameConfig from '../../src/js/config/GameConfig.js';
+
+describe('ScreenEffects', () => {
+  let effects;
+  let ctx;
+
+  beforeEach(() => {
+    effects = new ScreenEffects({ rng: new RandomStream(1) });
+    ctx = { translate: jest.fn(), fillRect: jest.fn(), save: jest.fn(), restore: jest.fn() };
+  });
+
+  test('should shake the view and settle', () => {
+    effects.shake(10, 100);
+    effects.update(16);
+    effects.apply(ctx);
+    expect(ctx.translate).toHaveBeenCalledTimes(1);
+
+    effects.update(200);
+    effects.update(16);
+    expect(effects.offset).toEqual({ x: 0, y: 0 });
+  });
+
+  test('should drop flashes over the rate limit', () => {
+    expect(effects.flash('#fff', 100)).toBe(true);
+    effects.update(50);
+    expect(effects.flash('#fff', 100)).toBe(false);
+
+    effects.update(1000 / GameConfig.EFFECTS.FLASH_MAX_PER_SECOND);
+    expect(effects.flash('#fff', 100)).toBe(true);
+  });
+
+  test('should swap shakes and flashes for faint fades in reduced-motion mode', () => {
+    const { FADE_OPACITY, FLASH_MAX_PER_SECOND } = GameConfig.EFFECTS.REDUCED_MOTION;
+    effects.setReducedMotion(true);
+
+    effects.shake(15, 800);
+    effects.update(16);
+    effects.apply(ctx);
+    expect(ctx.translate).not.toHaveBeenCalled();
+    expect(effects.getOverlayOpacity()).toBeGreaterThan(0);
+
+    // Fades ease in rather than snapping on, and stay faint
+    effects.reset();
+    effects.update(1000);
+    effects.flash('#fff', 400, 1);
+    expect(effects.getOverlayOpacity()).toBe(0);
+    effects.update(400);
+    expect(effects.getOverlayOpacity()).toBeCloseTo(FADE_OPACITY);
+
+    effects.update(1000 / FLASH_MAX_PER_SECOND - 500);
+    expect(effects.flash('#fff', 400)).toBe(false);
+  });
+
+  test('should draw the overlay over the playfield', () => {
+    effects.flash('#ffd700', 400, 0.4);
+    effects.renderOverlay(ctx, 1000, 800);
+
+    expect(ctx.fillStyle).toBe('#ffd700');
+    expect(ctx.fillRect.mock.calls[0].slice(2)).toEqual([1000, 800]);
+  });
+});
@@ -0,0 +1,75 @@
+import SettingsManager from '../../src/js/systems/SettingsManager.js';
+import GameConfig from '../../src/js/config/GameConfig.js';
+
+describe('SettingsManager', () => {
+  let store;
+  let settings;
+
+  beforeEach(() => {
+    store = {};
+    localStorage.getItem.mockImplementation(key => (key in store ? store[key] : null));
+    localStorage.setItem.mockImplementation((key, value) => { store[key] = String(value); });
+
+    settings = new SettingsManager();
+  });
+
+  afterEach(() => {
+    delete window.matchMedia;
+  });
+
+  test('should start from the configured defaults', () => {
+    expect(settings.getAll()).toEqual(GameConfig.SETTINGS.DEFAULTS);
+  });
+
+  test('should turn on reduced motion when the system asks for it', () => {
+    window.matchMedia = jest.fn(query => ({ matches: query === '(prefers-reduced-motion: reduce)' }));
+
+    expect(new SettingsManager().get('reducedMotion')).toBe(true);
+  });
+
+  test('should emit and keep changes across sessions', () => {
+    const onChange = jest.fn();
+    settings.on(SettingsManager.EVENTS.CHANGE, onChange);
+
+    settings.set('musicVolume', 0.5);
+    settings.set('muted', true);
+    settings.set('muted', true);
+
+    expect(onChange.mock.calls).toEqual([['musicVolume', 0.5], ['muted', true]]);
+    expect(JSON.parse(store[settings.storageKey]).version).toBe(SettingsManager.SETTINGS_VERSION);
+
+    const next = new SettingsManager();
+    expect(next.get('musicVolume')).toBe(0.5);
+    expect(next.get('muted')).toBe(true);
+  });
+
+  test('should reject values outside the offered choices', () => {
+    expect(settings.set('masterVolume', 2)).toBe(false);
+    expect(settings.set('effectsQuality', 'ultra')).toBe(false);
+    expect(settings.set('unknown', 1)).toBe(false);
+    expect(settings.get('masterVolume')).toBe(GameConfig.SETTINGS.DEFAULTS.masterVolume);
+  });
+
+  test('should skip invalid or foreign stored settings', () => {
+    store[settings.storageKey] = JSON.stringify({
+      version: SettingsManager.SETTINGS_VERSION,
+      settings: { sfxVolume: 0.25, renderScale: 3, language: 'klingon' }
+    });
+    expect(new SettingsManager().getAll()).toEqual({ ...GameConfig.SETTINGS.DEFAULTS, sfxVolume: 0.25 });
+
+    store[settings.storageKey] = JSON.stringify({ version: 99, settings: { sfxVolume: 0.25 } });
+    expect(new SettingsManager().get('sfxVolume')).toBe(GameConfig.SETTINGS.DEFAULTS.sfxVolume);
+
+    store[settings.storageKey] = '{broken';
+    expect(new SettingsManager().getAll()).toEqual(GameConfig.SETTINGS.DEFAULTS);
+  });
+
+  test('should reset every setting to its default', () => {
+    settings.set('effectsQuality', 'low');
+    settings.set('reducedMotion', true);
+    settings.reset();
+
+    expect(settings.getAll()).toEqual(GameConfig.SETTINGS.DEFAULTS);
+    expect(new SettingsManager().getAll()).toEqual(GameConfig.SETTINGS.DEFAULTS);
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * @jest-environment node
+ */
+import Simulation from '../../src/js/core/Simulation.js';
+import Level from '../../src/js/core/Level.js';
+import GameClock, { gameClock } from '../../src/js/core/GameClock.js';
+import GameConfig from '../../src/js/config/GameConfig.js';
+import Random from '../../src/js/core/Random.js';
+
+describe('Simulation', () => {
+  const stepMs = 1000 / GameConfig.LOOP.TICK_RATE;
+  let sim;
+
+  // Keep the paddle under the first ball so runs last
+  const track = () => ({ pointerX: sim.balls[0] ? sim.balls[0].position.x : null });
+
+  const run = (ticks, inputs = track) => {
+    for (let i = 0; i < ticks; i++) {
+      sim.step(inputs(), stepMs);
+    }
+  };
+
+  beforeEach(() => {
+    sim = new Simulation({ seed: 'test' });
+  });
+
+  test('should start a fresh run', () => {
+    expect(sim.status).toBe(Simulation.STATUS.PLAYING);
+    expect(sim.score).toBe(0);
+    expect(sim.balls).toHaveLength(1);
+    expect(sim.remainingBricks).toBe(sim.bricks.length);
+    expect(sim.bricks.length).toBeGreaterThan(0);
+  });
+
+  test('should run thousands of ticks without a DOM', () => {
+    run(5000);
+
+    expect(sim.tick).toBe(5000);
+    expect(sim.score).toBeGreaterThan(0);
+    expect(sim.remainingBricks).toBe(sim.bricks.filter(brick => brick.visible).length);
+  });
+
+  test('should be deterministic for a seed', () => {
+    run(3000);
+    const first = sim.serialize();
+
+    sim.reset('test');
+    run(3000);
+
+    expect(sim.serialize()).toEqual(first);
+  });
+
+  test('should move the paddle from keyboard inputs', () => {
+    const start = sim.paddle.position.x;
+
+    run(10, () => ({ left: true }));
+
+    expect(sim.paddle.position.x).toBeLessThan(start);
+  });
+
+  test('should emit events instead of playing audio', () => {
+    const sounds = [];
+    const bursts = [];
+    sim.on(Simulation.EVENTS.SOUND, name => sounds.push(name));
+    sim.on(Simulation.EVENTS.PARTICLES, burst => bursts.push(burst));
+
+    run(3000);
+
+    expect(sounds).toContain('paddleHit');
+    expect(bursts.length).toBeGreaterThan(0);
+  });
+
+  test('should report the cavity through events', () => {
+    const onCavity = jest.fn();
+    const onCavityShot = jest.fn();
+    sim.on(Simulation.EVENTS.CAVITY, onCavity);
+    sim.on(Simulation.EVENTS.CAVITY_SHOT, onCavityShot);
+    const ball = sim.balls[0];
+
+    // Lift the ball above the bricks
+    ball.position.y = ball.radius * 2;
+    ball.setVelocity(0, -1);
+    sim.step({}, stepMs);
+    expect(onCavity).toHaveBeenCalledWith(true, ball);
+
+    const brick = sim.bricks.find(candidate => candidate.visible && candidate.hits === 1);
+    sim.hitBrick(brick, ball);
+    expect(onCavityShot).toHaveBeenCalledWith(brick, expect.any(Number));
+  });
+
+  test('should give bricks the same looks whatever else was drawn', () => {
+    const other = new Simulation({ seed: 'test', random: new Random() });
+    for (let i = 0; i < 50; i++) other.random.cosmetic.next();
+    other.createBricks();
+
+    expect(other.bricks.map(brick => brick.seed)).toEqual(sim.bricks.map(brick => brick.seed));
+  });
+
+  test('should report each life lost', () => {
+    const onLifeLost = jest.fn();
+    sim.on(Simulation.EVENTS.LIFE_LOST, onLifeLost);
+    sim.lives = 2;
+
+    run(5000, () => ({ pointerX: 0 }));
+
+    expect(onLifeLost.mock.calls).toEqual([[1], [0]]);
+  });
+
+  test('should end the run when the last life is lost', () => {
+    const onGameOver = jest.fn();
+    sim.on(Simulation.EVENTS.GAME_OVER, onGameOver);
+    sim.lives = 1;
+
+    // Park the paddle in a corner so the ball gets past it
+    run(5000, () => ({ pointerX: 0 }));
+
+    expect(sim.status).toBe(Simulation.STATUS.GAME_OVER);
+    expect(onGameOver).toHaveBeenCalledWith({ score: sim.score, level: sim.level });
+
+    const tick = sim.tick;
+    sim.step({}, stepMs);
+    expect(sim.tick).toBe(tick);
+  });
+
+  test('should restart the level with the score it started with', () => {
+    run(2000);
+    const lives = sim.lives;
+    sim.lives -= 1;
+    expect(sim.score).toBeGreaterThan(0);
+
+    sim.restartLevel();
+
+    expect(sim.score).toBe(0);
+    expect(sim.level).toBe(1);
+    expect(sim.lives).toBe(lives - 1);
+    expect(sim.remainingBricks).toBe(sim.bricks.length);
+    expect(sim.balls).toHaveLength(1);
+  });
+
+  test('should lay out each level from its data and go round the sequence', () => {
+    const levels = [
+      Level.from({ format: 1, columns: 3, bricks: ['aaa'], legend: { a: { color: 1 } }, ballSpeed: 2 }),
+      Level.from({ format: 1, columns: 2, bricks: ['b.', '.b'], legend: { b: { type: 'armored', color: 0 } } })
+    ];
+    sim = new Simulation({ seed: 'levels', levels });
+
+    expect(sim.bricks).toHaveLength(3);
+    expect(sim.bricks[0].color).toBe(GameConfig.PALETTES.classic.bricks[1]);
+    expect(sim.balls[0].velocity.magnitude()).toBeCloseTo(GameConfig.PHYSICS.BALL_SPEED * sim.getScale() * 2);
+
+    // Centered on the playfield
+    const left = sim.bricks[0].position.x;
+    const right = sim.bricks[2].position.x + sim.bricks[2].width;
+    expect(left).toBeCloseTo(sim.playfield.width - right);
+
+    sim.levelComplete();
+    expect(sim.bricks).toHaveLength(2);
+    expect(sim.bricks[0].maxHits).toBe(GameConfig.LEVELS.BRICK_TYPES.armored.hits);
+    expect(sim.bricks[1].position.y).toBeGreaterThan(sim.bricks[0].position.y);
+
+    sim.levelComplete();
+    expect(sim.getLevel()).toBe(levels[0]);
+  });
+
+  test('should score treasure, set off explosives and drop set power-ups', () => {
+    const levels = [Level.from({
+      format: 1,
+      columns: 3,
+      bricks: ['nen', 'ntd'],
+      legend: {
+        n: { color: 0 },
+        e: { type: 'explosive', color: 1 },
+        t: { type: 'treasure', color: 2 },
+        d: { color: 3, drop: 'boots' }
+      },
+      dropChance: 0
+    })];
+    sim = new Simulation({ seed: 'types', levels });
+    const sounds = [];
+    sim.on(Simulation.EVENTS.SOUND, name => sounds.push(name));
+
+    const [, explosive, , , treasure, dropper] = sim.bricks;
+    sim.hitBrick(explosive, sim.balls[0]);
+
+    // The explosion reaches every neighbour, the dropper included
+    expect(sim.bricks.every(brick => !brick.visible)).toBe(true);
+    expect(sounds).toContain('explosion');
+    expect(sim.powerUps.map(powerUp => powerUp.type)).toEqual(['boots']);
+    expect(treasure.type).toBe('treasure');
+    expect(dropper.drop).toBe('boots');
+    expect(sim.score).toBeGreaterThanOrEqual(100 * (5 + GameConfig.LEVELS.BRICK_TYPES.treasure.points));
+  });
+
+  test('should resume identically from a snapshot', () => {
+    run(1500);
+    const snapshot = JSON.parse(JSON.stringify(sim.serialize()));
+    run(1500);
+    const expected = sim.serialize();
+
+    const restored = new Simulation({ seed: 'other' });
+    restored.deserialize(snapshot);
+    for (let i = 0; i < 1500; i++) {
+      restored.step({ pointerX: restored.balls[0] ? restored.balls[0].position.x : null }, stepMs);
+    }
+
+    expect(restored.serialize()).toEqual(expected);
+  });
+
+  test('should run power-up timers on the clock it is given', () => {
+    const { PIERCE, WIDE_PADDLE } = GameConfig.POWERUPS.TYPES;
+    const clock = new GameClock();
+    const globalTime = gameClock.now();
+    sim = new Simulation({ seed: 'clock', clock });
+    sim.balls[0].applyPowerUp(PIERCE, 1000);
+    sim.paddle.applyPowerUp(WIDE_PADDLE, 10000);
+
+    run(5 * GameConfig.LOOP.TICK_RATE);
+    expect(clock.now()).toBeCloseTo(5000);
+    expect(gameClock.now()).toBe(globalTime);
+    expect(sim.balls.some(ball => ball.hasPowerUp(PIERCE))).toBe(false);
+    expect(sim.paddle.hasPowerUp(WIDE_PADDLE)).toBe(true);
+
+    // Expiry times and the clock they count against are restored together
+    const restored = new Simulation({ seed: 'other', clock: new GameClock() });
+    restored.deserialize(JSON.parse(JSON.stringify(sim.serialize())));
+    expect(restored.clock.now()).toBe(clock.now());
+    expect(restored.paddle.hasPowerUp(WIDE_PADDLE)).toBe(true);
+    restored.clock.advance(5001);
+    expect(restored.paddle.hasPowerUp(WIDE_PADDLE)).toBe(false);
+  });
+});
@@ -0,0 +1,87 @@
+import SpatialGrid from '../../src/js/utils/SpatialGrid.js';
+
+const rect = (left, top, width, height) => ({
+  left,
+  top,
+  right: left + width,
+  bottom: top + height
+});
+
+describe('SpatialGrid', () => {
+  let grid;
+
+  beforeEach(() => {
+    grid = new SpatialGrid(50);
+  });
+
+  test('should find items overlapping a query area', () => {
+    const near = { id: 'near' };
+    const far = { id: 'far' };
+    grid.insert(near, rect(10, 10, 20, 20));
+    grid.insert(far, rect(400, 400, 20, 20));
+
+    expect(grid.query(rect(0, 0, 40, 40))).toEqual([near]);
+    expect(grid.query(rect(390, 390, 10, 10))).toEqual([far]);
+    expect(grid.query(rect(200, 200, 10, 10))).toEqual([]);
+  });
+
+  test('should return items spanning several cells once', () => {
+    const wide = { id: 'wide' };
+    grid.insert(wide, rect(20, 20, 120, 10));
+
+    expect(grid.query(rect(0, 0, 200, 100))).toEqual([wide]);
+  });
+
+  test('should skip items that share a cell but miss the area', () => {
+    const item = { id: 'item' };
+    grid.insert(item, rect(0, 0, 10, 10));
+
+    expect(grid.query(rect(30, 30, 10, 10))).toEqual([]);
+  });
+
+  test('should find items containing a point', () => {
+    const item = { id: 'item' };
+    grid.insert(item, rect(60, 60, 20, 20));
+
+    expect(grid.queryPoint(70, 70)).toEqual([item]);
+    expect(grid.queryPoint(90, 70)).toEqual([]);
+  });
+
+  test('should remove items incrementally', () => {
+    const a = { id: 'a' };
+    const b = { id: 'b' };
+    grid.insert(a, rect(0, 0, 10, 10));
+    grid.insert(b, rect(5, 5, 10, 10));
+
+    expect(grid.remove(a)).toBe(true);
+    expect(grid.remove(a)).toBe(false);
+    expect(grid.size).toBe(1);
+    expect(grid.has(a)).toBe(false);
+    expect(grid.query(rect(0, 0, 20, 20))).toEqual([b]);
+  });
+
+  test('should move items when updated', () => {
+    const item = { id: 'item' };
+    grid.insert(item, rect(0, 0, 10, 10));
+    grid.update(item, rect(300, 300, 10, 10));
+
+    expect(grid.query(rect(0, 0, 20, 20))).toEqual([]);
+    expect(grid.query(rect(295, 295, 20, 20))).toEqual([item]);
+    expect(grid.size).toBe(1);
+  });
+
+  test('should handle negative coordinates', () => {
+    const item = { id: 'item' };
+    grid.insert(item, rect(-80, -30, 20, 20));
+
+    expect(grid.queryPoint(-70, -20)).toEqual([item]);
+  });
+
+  test('should clear all items', () => {
+    grid.insert({}, rect(0, 0, 10, 10));
+    grid.clear();
+
+    expect(grid.size).toBe(0);
+    expect(grid.query(rect(0, 0, 100, 100))).toEqual([]);
+  });
+});
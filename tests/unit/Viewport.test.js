@@ -0,0 +1,75 @@
+import Viewport from '../../src/js/core/Viewport.js';
+
+describe('Viewport', () => {
+  let viewport;
+
+  beforeEach(() => {
+    viewport = new Viewport(1000, 800);
+  });
+
+  test('should letterbox a wide screen', () => {
+    viewport.resize(2000, 800);
+
+    expect(viewport.scale).toBe(1);
+    expect(viewport.offsetX).toBe(500);
+    expect(viewport.offsetY).toBe(0);
+  });
+
+  test('should letterbox a tall screen', () => {
+    viewport.resize(500, 1000);
+
+    expect(viewport.scale).toBe(0.5);
+    expect(viewport.offsetX).toBe(0);
+    expect(viewport.offsetY).toBe(300);
+  });
+
+  test('should round-trip points between screen and playfield', () => {
+    viewport.resize(1280, 720);
+
+    const screen = viewport.toScreen(250, 400);
+    const back = viewport.toPlayfield(screen.x, screen.y);
+
+    expect(back.x).toBeCloseTo(250);
+    expect(back.y).toBeCloseTo(400);
+  });
+
+  test('should map pointer positions through the canvas rect', () => {
+    viewport.resize(2000, 800);
+    // Canvas shown at half size by CSS, 10px from the page edge
+    const rect = { left: 10, top: 0, width: 1000, height: 400 };
+
+    const point = viewport.clientToPlayfield(10 + 500, 200, rect);
+
+    expect(point.x).toBeCloseTo(500);
+    expect(point.y).toBeCloseTo(400);
+  });
+
+  test('should set the context transform', () => {
+    const ctx = { setTransform: jest.fn() };
+    viewport.resize(500, 1000);
+
+    viewport.apply(ctx);
+
+    expect(ctx.setTransform).toHaveBeenCalledWith(0.5, 0, 0, 0.5, 0, 300);
+  });
+
+  test('should scale the transform to the backing store on high-DPI screens', () => {
+    const ctx = { setTransform: jest.fn() };
+    viewport.resize(500, 1000, 2);
+
+    viewport.apply(ctx);
+
+    expect(viewport.getPixelScale()).toBe(1);
+    expect(ctx.setTransform).toHaveBeenCalledWith(1, 0, 0, 1, 0, 600);
+  });
+
+  test('should map pointers in CSS pixels regardless of pixel ratio', () => {
+    viewport.resize(1000, 800, 3);
+    const rect = { left: 0, top: 0, width: 1000, height: 800 };
+
+    const point = viewport.clientToPlayfield(250, 200, rect);
+
+    expect(point.x).toBeCloseTo(250);
+    expect(point.y).toBeCloseTo(200);
+  });
+});